@@ -0,0 +1,32 @@
+// api/controllers/acmeChallengeController.js
+/**
+ * ACME Challenge Controller
+ *
+ * Answers ACME HTTP-01 challenge requests. Mounted outside /api because
+ * the CA fetches the fixed path /.well-known/acme-challenge/<token>.
+ */
+
+const { acmeChallengeService } = require("../../services/core");
+const logger = require("../../utils/logger").getLogger(
+  "acmeChallengeController"
+);
+const { AppError, asyncHandler } = require("../../utils/errorHandler");
+
+/**
+ * Respond with the key authorization of a challenge
+ *
+ * GET /.well-known/acme-challenge/:token
+ */
+exports.getChallenge = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const keyAuthorization = await acmeChallengeService.getKeyAuthorization(
+    token
+  );
+  if (!keyAuthorization) {
+    throw new AppError("Unknown ACME challenge", 404);
+  }
+
+  logger.info(`Answered HTTP-01 challenge ${token} for ${req.hostname}`);
+  res.type("text/plain").send(keyAuthorization);
+});
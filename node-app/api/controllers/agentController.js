@@ -15,11 +15,18 @@ const { AppError, asyncHandler } = require("../../utils/errorHandler");
  *
  * POST /api/agent/register
  * {
- *   "agentId": "agent-name"
+ *   "agentId": "agent-name",
+ *   "enrollmentToken": "enr_...",
+ *   "hostname": "vps-1", "version": "1.4.0",
+ *   "labels": { "region": "eu" }, "capabilities": ["mongodb"],
+ *   "csr": "-----BEGIN CERTIFICATE REQUEST-----..."
  * }
+ *
+ * Certificates are only issued for a csr, the agent keeps its private key.
+ * Without one the stored CSR of a registered agent is signed again.
  */
 exports.registerAgent = asyncHandler(async (req, res) => {
-  const { agentId } = req.body;
+  const { agentId, hostname, version, labels, capabilities, csr } = req.body;
 
   if (!agentId) {
     throw new AppError("Agent ID is required", 400);
@@ -34,30 +41,13 @@ exports.registerAgent = asyncHandler(async (req, res) => {
     );
   }
 
-  // Get agent IP from request headers or connection
-  let targetIp =
-    req.headers["x-forwarded-for"] ||
-    req.headers["x-real-ip"] ||
-    req.headers["x-agent-ip"] ||
-    req.connection.remoteAddress ||
-    "";
-
-  // Clean up IPv6 prefix if present and extract first IP if multiple
-  if (targetIp) {
-    // Extract first IP if there are multiple IPs in x-forwarded-for
-    targetIp = targetIp.split(",")[0].trim();
-
-    // Remove IPv6 prefix
-    targetIp = targetIp.replace(/^::ffff:/, "");
-
-    // Validate IP format
-    if (!isValidIP(targetIp)) {
-      logger.warn(`Invalid IP format detected: ${targetIp}, using fallback`);
-      targetIp = "127.0.0.1"; // Fallback to localhost if invalid
-    }
-  } else {
-    targetIp = "127.0.0.1"; // Default fallback
-  }
+  const targetIp = getRequestIp(req);
+
+  const { enrollment, refreshToken } = await authorizeRegistration(
+    req,
+    agentId,
+    targetIp
+  );
 
   logger.info(`Registering agent ${agentId} with IP ${targetIp}`);
 
@@ -77,14 +67,26 @@ exports.registerAgent = asyncHandler(async (req, res) => {
       {
         useTls: true,
         generateCertificates: true,
+        csr,
+        metadata: { hostname, version, labels, capabilities },
       }
     );
 
+    // The refresh token is used up once the agent has its new pair
+    if (refreshToken) {
+      await coreServices.agentService.revokeToken(refreshToken.jti, {
+        agentId,
+        expiresAt: refreshToken.exp,
+      });
+    }
+
     // Build response based on certificate generation results
     const response = {
       success: true,
       agentId,
       token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
       targetIp,
       tlsEnabled: result.tlsEnabled,
     };
@@ -114,10 +116,124 @@ exports.registerAgent = asyncHandler(async (req, res) => {
       targetIp,
     });
 
-    throw new AppError(`Agent registration failed: ${err.message}`, 500);
+    // Let the agent retry with the same enrollment token
+    if (enrollment) {
+      try {
+        await coreServices.enrollmentService.releaseToken(enrollment.id);
+      } catch (releaseErr) {
+        logger.warn(
+          `Failed to release enrollment token ${enrollment.id}: ${releaseErr.message}`
+        );
+      }
+    }
+
+    throw new AppError(
+      `Agent registration failed: ${err.message}`,
+      err.statusCode || 500
+    );
   }
 });
 
+/**
+ * Check that the caller may register the agent. New agents need an
+ * enrollment token; registered agents need their client certificate, a
+ * refresh token or an enrollment token issued for them. Agents whose first
+ * registration failed are still pending and count as new.
+ * @returns {Promise<Object>} { enrollment, refreshToken }: the redeemed
+ *   enrollment token and the refresh token payload, if one was used
+ */
+async function authorizeRegistration(req, agentId, targetIp) {
+  const record = coreServices.agentService.getAgent(agentId);
+  const existing = record && record.state !== "pending" ? record : null;
+
+  if (existing) {
+    const credentials = await getAgentCredentials(req, agentId);
+    if (credentials) {
+      return { enrollment: null, refreshToken: credentials.refreshToken };
+    }
+  }
+
+  const enrollmentToken =
+    req.body.enrollmentToken || req.headers["x-enrollment-token"];
+
+  if (!enrollmentToken) {
+    if (!existing && process.env.AGENT_ENROLLMENT_REQUIRED === "false") {
+      logger.warn(
+        `Registering agent ${agentId} without enrollment token (AGENT_ENROLLMENT_REQUIRED=false)`
+      );
+      return { enrollment: null, refreshToken: null };
+    }
+
+    throw new AppError(
+      existing
+        ? `Agent ${agentId} is already registered. Re-registration requires its client certificate, a refresh token or an enrollment token issued for it`
+        : "An enrollment token is required to register an agent",
+      401
+    );
+  }
+
+  const enrollment = await coreServices.enrollmentService.redeemToken(
+    enrollmentToken,
+    {
+      agentId,
+      address: targetIp,
+      requireBinding: !!existing,
+    }
+  );
+  return { enrollment, refreshToken: null };
+}
+
+/**
+ * Credentials of the agent in the request that cannot be obtained with an
+ * access token: its client certificate or one of its refresh tokens. The
+ * refresh token is only checked here, the caller uses it up.
+ * @returns {Promise<Object|null>} { refreshToken } with the refresh token
+ *   payload (null for a client certificate), or null without credentials
+ */
+async function getAgentCredentials(req, agentId) {
+  if (
+    req.user &&
+    req.user.authMethod === "mtls" &&
+    req.user.agentId === agentId
+  ) {
+    return { refreshToken: null };
+  }
+
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = await coreServices.agentService.verifyAgentToken(refreshToken, {
+      type: "refresh",
+    });
+  } catch (err) {
+    return null;
+  }
+
+  return payload.agentId === agentId ? { refreshToken: payload } : null;
+}
+
+/**
+ * Address of the agent sending a request. Behind Traefik this is the
+ * client address from X-Forwarded-For, which Express only takes from the
+ * proxies in TRUSTED_PROXIES.
+ * @param {Object} req - Express request
+ * @returns {string} IP address
+ */
+function getRequestIp(req) {
+  const ip = (req.ip || "").replace(/^::ffff:/, "");
+
+  if (!isValidIP(ip)) {
+    logger.warn(`Invalid IP format detected: ${ip}, using fallback`);
+    return "127.0.0.1";
+  }
+
+  return ip;
+}
+
 /**
  * Helper function to validate IP address format
  * @param {string} ip - IP address to validate
@@ -141,29 +257,125 @@ function isValidIP(ip) {
 }
 
 /**
- * Authenticate an agent
+ * Authenticate an agent with its client certificate, a refresh token or an
+ * enrollment token issued for it
  *
- * POST /api/agent/authenticate
+ * POST /api/agents/authenticate
  * {
- *   "agentId": "agent-name"
+ *   "agentId": "agent-name",
+ *   "refreshToken": "<refresh token>" | "enrollmentToken": "enr_..."
  * }
  */
 exports.authenticateAgent = asyncHandler(async (req, res) => {
-  const { agentId } = req.body;
+  const { agentId, refreshToken, enrollmentToken } = req.body;
 
   if (!agentId) {
     throw new AppError("Agent ID is required", 400);
   }
 
+  if (!coreServices.agentService.getAgent(agentId)) {
+    throw new AppError(`Agent ${agentId} not found`, 404);
+  }
+
+  if (!coreServices.agentService.isAgentActive(agentId)) {
+    throw new AppError(`Agent ${agentId} is not active`, 403);
+  }
+
   logger.info(`Authenticating agent ${agentId}`);
 
-  // Generate a new token for the agent
-  const token = coreServices.agentService.generateAgentToken(agentId);
+  let tokens;
+  if (
+    req.user &&
+    req.user.authMethod === "mtls" &&
+    req.user.agentId === agentId
+  ) {
+    tokens = await coreServices.agentService.issueTokens(agentId);
+  } else if (refreshToken) {
+    tokens = await coreServices.agentService.refreshTokens(refreshToken, {
+      agentId,
+    });
+  } else if (enrollmentToken) {
+    await coreServices.enrollmentService.redeemToken(enrollmentToken, {
+      agentId,
+      address: getRequestIp(req),
+      requireBinding: true,
+    });
+    tokens = await coreServices.agentService.issueTokens(agentId);
+  } else {
+    throw new AppError(
+      "Agent credentials required: a client certificate, a refresh token or an enrollment token issued for the agent",
+      401
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    agentId,
+    token: tokens.accessToken,
+    ...tokens,
+  });
+});
+
+/**
+ * Exchange a refresh token for a new token pair
+ *
+ * POST /api/agents/refresh
+ * {
+ *   "refreshToken": "<refresh token>"
+ * }
+ */
+exports.refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw new AppError("Refresh token is required", 400);
+  }
+
+  const { agentId, ...tokens } = await coreServices.agentService.refreshTokens(
+    refreshToken
+  );
 
   res.status(200).json({
     success: true,
     agentId,
+    token: tokens.accessToken,
+    ...tokens,
+  });
+});
+
+/**
+ * Revoke tokens of an agent
+ *
+ * POST /api/agents/:agentId/tokens/revoke
+ * { "jti": "<token id>" } | { "token": "<jwt>" } | { "all": true }
+ */
+exports.revokeTokens = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+  const { jti, token, all } = req.body;
+
+  const result = await coreServices.agentService.revokeAgentTokens(agentId, {
+    jti,
     token,
+    all: all === true,
+  });
+
+  res.status(200).json({
+    success: true,
+    ...result,
+  });
+});
+
+/**
+ * Rotate the key used to sign agent tokens
+ *
+ * POST /api/admin/signing-keys/rotate
+ */
+exports.rotateSigningKey = asyncHandler(async (req, res) => {
+  const result = await coreServices.agentService.rotateSigningKey();
+
+  res.status(200).json({
+    success: true,
+    ...result,
   });
 });
 
@@ -178,7 +390,7 @@ exports.getAgentStatus = asyncHandler(async (req, res) => {
   logger.info(`Getting status for agent ${agentId}`);
 
   // Get agent status
-  const agent = coreServices.agentService.agents.get(agentId);
+  const agent = coreServices.agentService.getAgent(agentId);
 
   if (!agent) {
     throw new AppError(`Agent ${agentId} not found`, 404);
@@ -187,9 +399,158 @@ exports.getAgentStatus = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     agentId,
-    status: "active",
+    status: agent.state,
     lastSeen: agent.lastSeen || agent.registeredAt,
     registeredAt: agent.registeredAt,
+    agent,
+  });
+});
+
+/**
+ * List agents
+ *
+ * GET /api/agents?state=active&health=offline&owner=team-a&capability=mongodb&label=region=eu
+ *
+ * `label` may be repeated; `label=key` matches any value of the label.
+ */
+exports.listAgents = asyncHandler(async (req, res) => {
+  const { state, health, owner, capability } = req.query;
+
+  const labels = {};
+  for (const selector of [].concat(req.query.label || [])) {
+    const [key, ...value] = String(selector).split("=");
+    labels[key] = value.length > 0 ? value.join("=") : null;
+  }
+
+  const agents = coreServices.agentService.listAgents({
+    state,
+    health,
+    owner,
+    capability,
+    labels,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: agents.length,
+    agents,
+  });
+});
+
+/**
+ * Update agent metadata
+ *
+ * PATCH /api/agents/:agentId
+ * { "hostname", "version", "labels", "capabilities", "owner" }
+ *
+ * Only admins may change the owner.
+ */
+exports.updateAgent = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+  const { hostname, version, labels, capabilities, owner } = req.body;
+
+  if (owner !== undefined && req.user.role !== "admin") {
+    throw new AppError("Only admins may change the agent owner", 403);
+  }
+
+  const agent = await coreServices.agentService.updateAgent(agentId, {
+    hostname,
+    version,
+    labels,
+    capabilities,
+    owner,
+  });
+
+  res.status(200).json({
+    success: true,
+    agent,
+  });
+});
+
+/**
+ * Receive an agent heartbeat
+ *
+ * POST /api/agents/:agentId/heartbeat
+ * {
+ *   "version": "1.4.0",
+ *   "load": [0.4, 0.3, 0.2],
+ *   "disk": { "usedPercent": 42.5, "totalBytes": 80000000000, "freeBytes": 46000000000 },
+ *   "containers": [{ "name": "app", "image": "app:1.2", "status": "running" }]
+ * }
+ */
+exports.heartbeat = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+  const { version, load, disk, containers } = req.body;
+
+  const agent = await coreServices.agentService.recordHeartbeat(agentId, {
+    version,
+    load,
+    disk,
+    containers,
+  });
+
+  res.status(200).json({
+    success: true,
+    agentId,
+    health: agent.health.status,
+    reasons: agent.health.reasons,
+    nextHeartbeatSeconds: Math.floor(
+      coreServices.agentService.degradedAfterSeconds / 3
+    ),
+  });
+});
+
+/**
+ * Suspend an agent, taking its routes offline
+ *
+ * POST /api/agents/:agentId/suspend
+ */
+exports.suspendAgent = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  logger.info(`Suspending agent ${agentId}`);
+  const agent = await coreServices.agentService.suspendAgent(agentId);
+
+  res.status(200).json({
+    success: true,
+    message: `Agent ${agentId} suspended`,
+    agent,
+  });
+});
+
+/**
+ * Resume a suspended agent, restoring its routes
+ *
+ * POST /api/agents/:agentId/resume
+ */
+exports.resumeAgent = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  logger.info(`Resuming agent ${agentId}`);
+  const agent = await coreServices.agentService.resumeAgent(agentId);
+
+  res.status(200).json({
+    success: true,
+    message: `Agent ${agentId} resumed`,
+    agent,
+  });
+});
+
+/**
+ * Decommission an agent, removing its routes but keeping its record
+ *
+ * POST /api/agents/:agentId/decommission
+ */
+exports.decommissionAgent = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  logger.info(`Decommissioning agent ${agentId}`);
+  const agent = await coreServices.agentService.decommissionAgent(agentId);
+
+  res.status(200).json({
+    success: true,
+    message: `Agent ${agentId} decommissioned`,
+    agent,
   });
 });
 
@@ -220,6 +581,7 @@ exports.deregisterAgent = asyncHandler(async (req, res) => {
       // Remove MongoDB routing if it exists
       if (coreServices.mongodbService) {
         await coreServices.mongodbService.deregisterAgent(agentId);
+        await coreServices.mongodbService.deregisterInstances(agentId);
         logger.info(`Removed MongoDB routing for agent ${agentId}`);
       }
     } catch (cleanupErr) {
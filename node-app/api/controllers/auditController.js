@@ -0,0 +1,35 @@
+/**
+ * Audit Controller
+ *
+ * Read access to the audit trail of mutating API calls.
+ */
+
+const coreServices = require("../../services/core");
+const { asyncHandler } = require("../../utils/errorHandler");
+
+/**
+ * List audit entries, newest first
+ *
+ * GET /api/audit?actor=&agentId=&action=&result=&since=&until=&limit=&offset=
+ * `action` matches exactly or by prefix when it ends in "*", e.g. "agent.*"
+ */
+exports.listEntries = asyncHandler(async (req, res) => {
+  const { actor, agentId, action, result, since, until, limit, offset } =
+    req.query;
+
+  const page = await coreServices.auditService.query({
+    actor,
+    agentId,
+    action,
+    result,
+    since,
+    until,
+    limit,
+    offset,
+  });
+
+  res.status(200).json({
+    success: true,
+    ...page,
+  });
+});
@@ -8,6 +8,7 @@ const logger = require("../../utils/logger").getLogger("certificateController");
 const coreServices = require("../../services/core");
 const { asyncHandler, AppError } = require("../../utils/errorHandler");
 const pathManager = require("../../utils/pathManager");
+const { hasScope } = require("../../utils/permissions");
 const { execSync } = require("child_process");
 const CertificateService = require("../../services/core/certificateService");
 const CertificateMetricsService = require("../../services/core/certificateMetricsService");
@@ -79,86 +80,49 @@ exports.getMongoCA = async (req, res) => {
 };
 
 /**
- * Get agent certificates
+ * Get the issued certificate of an agent, without a private key
  *
  * GET /api/certificates/agent/:agentId
  */
 exports.getAgentCertificates = asyncHandler(async (req, res) => {
   const { agentId } = req.params;
-  const { targetIp } = req.query;
 
-  logger.info(
-    `Generating certificates for agent ${agentId}${
-      targetIp ? ` with IP ${targetIp}` : ""
-    }`
-  );
-
-  // Check if user is authorized to access these certificates
-  if (
-    req.user &&
-    (req.user.role === "admin" ||
-      (req.user.role === "agent" && req.user.agentId === agentId))
-  ) {
-    // Initialize certificate service if needed
-    if (!coreServices.certificateService) {
-      throw new AppError("Certificate service not available", 500);
-    }
-
-    if (!coreServices.certificateService.initialized) {
-      logger.info("Initializing certificate service");
-      await coreServices.certificateService.initialize();
-    }
-
-    logger.info(`Generating certificate for agent ${agentId}`);
-
-    try {
-      // Get the certificates from the service
-      await coreServices.certificateService.generateAgentCertificate(
-        agentId,
-        targetIp
-      );
-
-      // After generation, retrieve the actual certificate files
-      const certFiles =
-        await coreServices.certificateService.getAgentCertificates(agentId);
+  if (!coreServices.certificateService) {
+    throw new AppError("Certificate service not available", 500);
+  }
 
-      logger.info(
-        "Certificate generation result: " +
-          JSON.stringify({ success: true, error: null })
-      );
+  const certFiles = await coreServices.certificateService.getAgentCertificates(
+    agentId
+  );
 
-      // Return the certificate data
-      return res.status(200).json({
-        success: true,
-        agentId,
-        certificates: {
-          serverKey: certFiles.serverKey,
-          serverCert: certFiles.serverCert,
-          caCert: certFiles.caCert,
-        },
-      });
-    } catch (error) {
-      logger.error(`Certificate generation error: ${error.message}`);
-      throw new AppError(
-        `Failed to generate agent certificates: ${error.message}`,
-        500
-      );
-    }
-  } else {
-    throw new AppError("Unauthorized to access these certificates", 403);
+  if (!certFiles || certFiles.error) {
+    throw new AppError(
+      `No certificate issued for agent ${agentId}. Send a CSR to POST /api/certificates/agent/${agentId}/csr`,
+      404
+    );
   }
+
+  res.status(200).json({
+    success: true,
+    agentId,
+    certificates: {
+      serverCert: certFiles.serverCert,
+      caCert: certFiles.caCert,
+      caChain: certFiles.caChain,
+    },
+  });
 });
 
 /**
  * Issue or renew Let's Encrypt wildcard certificate
  *
  * POST /api/certificates/letsencrypt
- * Requires admin role
+ * Requires the certificates:issue scope
  */
 exports.issueLetsEncryptCert = asyncHandler(async (req, res) => {
-  // Check if user is authorized (admin only)
-  if (!req.user || req.user.role !== "admin") {
-    throw new AppError("Unauthorized - Admin access required", 403);
+  // Check if user is authorized (certificates:issue scope)
+  if (!hasScope(req.user, "certificates:issue")) {
+    throw new AppError("Unauthorized - certificates:issue scope required", 403);
   }
 
   // Check if Let's Encrypt service is available
@@ -197,6 +161,221 @@ exports.issueLetsEncryptCert = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Sign a certificate signing request of an agent. The agent keeps its
+ * private key; only the certificate and the CA certificate are returned.
+ *
+ * POST /api/certificates/agent/:agentId/csr
+ * { "csr": "-----BEGIN CERTIFICATE REQUEST-----..." }
+ */
+exports.signAgentCsr = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+  const { csr } = req.body;
+
+  if (!hasScope(req.user, "certificates:issue", agentId)) {
+    throw new AppError(
+      "Unauthorized to issue certificates for this agent",
+      403
+    );
+  }
+
+  if (!csr) {
+    throw new AppError("csr is required", 400);
+  }
+
+  const result = await coreServices.certificateService.signAgentCsr(
+    agentId,
+    csr
+  );
+
+  res.status(201).json({
+    success: true,
+    agentId,
+    certificates: {
+      serverCert: result.serverCert,
+      caCert: result.caCert,
+      caChain: result.caChain,
+    },
+    serialNumber: result.serialNumber,
+    notBefore: result.notBefore,
+    notAfter: result.notAfter,
+    dnsNames: result.dnsNames,
+    ipAddresses: result.ipAddresses,
+  });
+});
+
+/**
+ * Issue the client certificate an agent authenticates with on the mTLS
+ * listener, for the public key of the agent's CSR. An agent token alone is
+ * not enough: the agent proves its identity with its current client
+ * certificate or a refresh token. Operators need the certificates:issue
+ * scope.
+ *
+ * POST /api/certificates/agent/:agentId/client
+ * {
+ *   "csr": "-----BEGIN CERTIFICATE REQUEST-----...",
+ *   "refreshToken": "<refresh token>" (without a client certificate)
+ * }
+ */
+exports.issueClientCertificate = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+  const { csr, refreshToken } = req.body || {};
+
+  if (!csr) {
+    throw new AppError(
+      "csr is required, client keys are generated by the agent",
+      400
+    );
+  }
+
+  if (req.user && req.user.role !== "agent") {
+    if (!hasScope(req.user, "certificates:issue", agentId)) {
+      throw new AppError(
+        "Unauthorized to issue certificates for this agent",
+        403
+      );
+    }
+  } else if (!(await hasAgentCredentials(req, agentId, refreshToken))) {
+    throw new AppError(
+      "Issuing a client certificate requires the agent's client certificate, one of its refresh tokens or an operator with the certificates:issue scope",
+      401
+    );
+  }
+
+  const result =
+    await coreServices.certificateService.issueAgentClientCertificate(
+      agentId,
+      csr
+    );
+
+  res.status(201).json({
+    success: true,
+    agentId,
+    certificates: {
+      clientCert: result.clientCert,
+      caCert: result.caCert,
+    },
+    serialNumber: result.serialNumber,
+    fingerprint256: result.fingerprint256,
+    notBefore: result.notBefore,
+    notAfter: result.notAfter,
+  });
+});
+
+/**
+ * Whether the request carries the agent's client certificate or one of its
+ * refresh tokens. The refresh token is only checked, not used up, so the
+ * agent keeps its token pair.
+ */
+async function hasAgentCredentials(req, agentId, refreshToken) {
+  const user = req.user;
+
+  if (user && user.authMethod === "mtls" && user.agentId === agentId) {
+    return true;
+  }
+
+  if (!refreshToken) {
+    return false;
+  }
+
+  try {
+    const payload = await coreServices.agentService.verifyAgentToken(
+      refreshToken,
+      {
+        type: "refresh",
+      }
+    );
+    return payload.role === "agent" && payload.agentId === agentId;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Revoke the client certificate of an agent
+ *
+ * DELETE /api/certificates/agent/:agentId/client
+ */
+exports.revokeClientCertificate = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  if (!hasScope(req.user, "certificates:issue", agentId)) {
+    throw new AppError(
+      "Unauthorized to revoke certificates of this agent",
+      403
+    );
+  }
+
+  const revoked =
+    await coreServices.certificateService.revokeAgentClientCertificate(agentId);
+
+  if (!revoked) {
+    throw new AppError(`Agent ${agentId} has no client certificate`, 404);
+  }
+
+  res.status(200).json({ success: true, agentId });
+});
+
+/**
+ * Root, intermediate and CA bundle of the internal CA
+ *
+ * GET /api/admin/ca
+ */
+exports.getCaHierarchy = asyncHandler(async (req, res) => {
+  const ca = await coreServices.certificateService.getCAInfo();
+
+  res.status(200).json({ success: true, ca });
+});
+
+/**
+ * Rotate the root CA and reissue agent certificates in the background
+ *
+ * POST /api/admin/ca/rotation
+ */
+exports.startCaRotation = asyncHandler(async (req, res) => {
+  const rotation = await coreServices.caRotationService.startRotation({
+    requestedBy: req.user.operatorId || req.user.role,
+  });
+
+  res.status(202).json({ success: true, rotation });
+});
+
+/**
+ * Progress of the current or last root rotation
+ *
+ * GET /api/admin/ca/rotation
+ */
+exports.getCaRotation = asyncHandler(async (req, res) => {
+  const rotation = await coreServices.caRotationService.getStatus();
+
+  res.status(200).json({ success: true, rotation });
+});
+
+/**
+ * Reissue the agent certificates that failed during the root rotation
+ *
+ * POST /api/admin/ca/rotation/retry
+ */
+exports.retryCaRotation = asyncHandler(async (req, res) => {
+  const rotation = await coreServices.caRotationService.retryFailed();
+
+  res.status(202).json({ success: true, rotation });
+});
+
+/**
+ * Stop trusting the previous root
+ *
+ * POST /api/admin/ca/rotation/finalize
+ * Body: { force: true } to finalize although agents are left behind
+ */
+exports.finalizeCaRotation = asyncHandler(async (req, res) => {
+  const rotation = await coreServices.caRotationService.finalize({
+    force: req.body.force === true,
+  });
+
+  res.status(200).json({ success: true, rotation });
+});
+
 /**
  * Regenerate agent certificate and update HAProxy configuration
  * This endpoint can be used to fix TLS certificate issues
@@ -214,13 +393,7 @@ exports.regenerateAgentCertificate = asyncHandler(async (req, res) => {
   );
 
   // Check authorization
-  if (
-    !(
-      req.user &&
-      (req.user.role === "admin" ||
-        (req.user.role === "agent" && req.user.agentId === agentId))
-    )
-  ) {
+  if (!hasScope(req.user, "certificates:renew", agentId)) {
     throw new AppError("Unauthorized to regenerate these certificates", 403);
   }
 
@@ -242,11 +415,9 @@ exports.regenerateAgentCertificate = asyncHandler(async (req, res) => {
         targetIp
       );
 
+    // Agents that never sent a CSR have to send one first
     if (!certResult.success) {
-      throw new AppError(
-        `Failed to regenerate certificates: ${certResult.error}`,
-        500
-      );
+      throw new AppError(certResult.error, certResult.csrRequired ? 409 : 500);
     }
 
     // Update HAProxy configuration using the enhanced HAProxy service
@@ -322,7 +493,7 @@ exports.regenerateAgentCertificate = asyncHandler(async (req, res) => {
     logger.error(`Certificate regeneration error: ${error.message}`);
     throw new AppError(
       `Failed to regenerate certificates: ${error.message}`,
-      500
+      error.statusCode || 500
     );
   }
 });
@@ -339,13 +510,7 @@ exports.validateAgentCertificate = asyncHandler(async (req, res) => {
   logger.info(`Validating certificate setup for agent ${agentId}`);
 
   // Check authorization
-  if (
-    !(
-      req.user &&
-      (req.user.role === "admin" ||
-        (req.user.role === "agent" && req.user.agentId === agentId))
-    )
-  ) {
+  if (!hasScope(req.user, "certificates:read", agentId)) {
     throw new AppError("Unauthorized to validate these certificates", 403);
   }
 
@@ -451,12 +616,12 @@ exports.getCertificateDashboard = async (req, res) => {
  * List all certificates in the system
  *
  * GET /api/certificates
- * Requires admin role
+ * Requires the certificates:read scope
  */
 exports.getAllCertificates = asyncHandler(async (req, res) => {
-  // Check if user is authorized (admin only)
-  if (!req.user || req.user.role !== "admin") {
-    throw new AppError("Unauthorized - Admin access required", 403);
+  // Check if user is authorized (certificates:read scope)
+  if (!hasScope(req.user, "certificates:read")) {
+    throw new AppError("Unauthorized - certificates:read scope required", 403);
   }
 
   // Initialize certificate service if needed
@@ -488,12 +653,12 @@ exports.getAllCertificates = asyncHandler(async (req, res) => {
  * Trigger a certificate renewal check
  *
  * POST /api/certificates/renew-check
- * Requires admin role
+ * Requires the certificates:renew scope
  */
 exports.runRenewalCheck = asyncHandler(async (req, res) => {
-  // Check if user is authorized (admin only)
-  if (!req.user || req.user.role !== "admin") {
-    throw new AppError("Unauthorized - Admin access required", 403);
+  // Check if user is authorized (certificates:renew scope)
+  if (!hasScope(req.user, "certificates:renew")) {
+    throw new AppError("Unauthorized - certificates:renew scope required", 403);
   }
 
   const { force, renewBeforeDays } = req.query;
@@ -553,12 +718,12 @@ exports.runRenewalCheck = asyncHandler(async (req, res) => {
  * Returns metrics history for a specific time range
  *
  * GET /api/certificates/metrics/history
- * Requires admin role
+ * Requires the certificates:read scope
  */
 exports.getMetricsHistory = asyncHandler(async (req, res) => {
-  // Check if user is authorized (admin only)
-  if (!req.user || req.user.role !== "admin") {
-    throw new AppError("Unauthorized - Admin access required", 403);
+  // Check if user is authorized (certificates:read scope)
+  if (!hasScope(req.user, "certificates:read")) {
+    throw new AppError("Unauthorized - certificates:read scope required", 403);
   }
 
   const { start, end } = req.query;
@@ -685,12 +850,12 @@ exports.validateCertificateProviderConfig = asyncHandler(async (req, res) => {
  * Display status of all certificates in the system
  *
  * GET /api/certificates/dashboard
- * Requires admin role
+ * Requires the certificates:read scope
  */
 exports.getDashboardData = asyncHandler(async (req, res) => {
-  // Check if user is authorized (admin only)
-  if (!req.user || req.user.role !== "admin") {
-    throw new AppError("Unauthorized - Admin access required", 403);
+  // Check if user is authorized (certificates:read scope)
+  if (!hasScope(req.user, "certificates:read")) {
+    throw new AppError("Unauthorized - certificates:read scope required", 403);
   }
 
   // Initialize certificate service if needed
@@ -726,12 +891,12 @@ exports.getDashboardData = asyncHandler(async (req, res) => {
  * Returns current metrics and trends for certificate management
  *
  * GET /api/certificates/metrics
- * Requires admin role
+ * Requires the certificates:read scope
  */
 exports.getCertificateMetrics = asyncHandler(async (req, res) => {
-  // Check if user is authorized (admin only)
-  if (!req.user || req.user.role !== "admin") {
-    throw new AppError("Unauthorized - Admin access required", 403);
+  // Check if user is authorized (certificates:read scope)
+  if (!hasScope(req.user, "certificates:read")) {
+    throw new AppError("Unauthorized - certificates:read scope required", 403);
   }
 
   // Get metrics service
@@ -802,500 +967,3 @@ exports.getPublicCertificateList = asyncHandler(async (req, res) => {
     throw new AppError(`Failed to list certificates: ${error.message}`, 500);
   }
 });
-
-/**
- * Temporary endpoint for renewing all certificates
- */
-exports.tempRenewAll = asyncHandler(async (req, res) => {
-  try {
-    // Ensure certificate service is initialized
-    if (!coreServices.certificateService) {
-      throw new AppError("Certificate service not available", 500);
-    }
-
-    if (!coreServices.certificateService.initialized) {
-      await coreServices.certificateService.initialize();
-    }
-
-    // Get the certificates path from the certificate service
-    const certsPath = coreServices.certificateService.certsDir;
-    const agentsPath = path.join(certsPath, "agents");
-    const configPath = path.dirname(certsPath);
-
-    // Check what directories and files exist
-    const debugInfo = {
-      certsPath,
-      agentsPath,
-      configPath,
-      directories: {},
-      foundCertificates: [],
-      pathManagerInitialized: pathManager.initialized,
-      certificateServiceInitialized:
-        coreServices.certificateService.initialized,
-      serviceConfig: {
-        certsDir: coreServices.certificateService.certsDir,
-        useHaproxy: !!process.env.USE_HAPROXY,
-        caPath: coreServices.certificateService.caCertPath,
-        caKeyPath: coreServices.certificateService.caKeyPath,
-        autoRenew: process.env.AUTO_RENEW_CERTIFICATES !== "false",
-      },
-    };
-
-    // List directories to help diagnose certificate issues
-    try {
-      debugInfo.directories.certs = await fs.readdir(certsPath);
-    } catch (err) {
-      debugInfo.directories.certs = `Error: ${err.message}`;
-    }
-
-    try {
-      debugInfo.directories.agents = await fs.readdir(agentsPath);
-    } catch (err) {
-      debugInfo.directories.agents = `Error: ${err.message}`;
-    }
-
-    try {
-      debugInfo.directories.config = await fs.readdir(configPath);
-    } catch (err) {
-      debugInfo.directories.config = `Error: ${err.message}`;
-    }
-
-    // Check if there's an alternative agents directory in some installations
-    try {
-      const altAgentsPath = path.join(process.cwd(), "config", "agents");
-      debugInfo.directories.altAgents = await fs.readdir(altAgentsPath);
-    } catch (err) {
-      debugInfo.directories.altAgents = [];
-    }
-
-    // Double-check config certs directory
-    try {
-      const configCertsPath = path.join(configPath, "certs");
-      debugInfo.directories.configCerts = await fs.readdir(configCertsPath);
-    } catch (err) {
-      debugInfo.directories.configCerts = `Error: ${err.message}`;
-    }
-
-    // Force a renewal check on all certificates using the consolidated certificate service
-    logger.info("Running certificate renewal check for all agents");
-    const result =
-      await coreServices.certificateService.checkAndRenewCertificates({
-        forceRenewal: req.query.force === "true",
-        renewBeforeDays: req.query.days ? parseInt(req.query.days, 10) : 30,
-      });
-
-    // Return result with the debug information
-    res.status(200).json({
-      success: true,
-      message: "Certificate operation completed",
-      result,
-      debugInfo,
-    });
-  } catch (err) {
-    logger.error(`Error processing certificate temp-renew: ${err.message}`);
-    throw new AppError(`Certificate service error: ${err.message}`, 500);
-  }
-});
-
-/**
- * Temporary endpoint for regenerating agent certificate without authentication
- * This is for debugging purposes only and should be removed in production
- *
- * POST /api/certificates/temp-regenerate/:agentId
- */
-exports.tempRegenerateAgentCertificate = asyncHandler(async (req, res) => {
-  const { agentId } = req.params;
-  const { targetIp } = req.body || {};
-
-  logger.info(
-    `[TEMP] Regenerating certificates for agent ${agentId}${
-      targetIp ? ` with IP ${targetIp}` : ""
-    }`
-  );
-
-  // Initialize certificate service if needed
-  if (!coreServices.certificateService) {
-    throw new AppError("Certificate service not available", 500);
-  }
-
-  if (!coreServices.certificateService.initialized) {
-    logger.info("Initializing certificate service");
-    await coreServices.certificateService.initialize();
-  }
-
-  try {
-    // Create an enhanced OpenSSL config with proper key usage bits for MongoDB Compass
-    // We'll modify the certificate generation within the service temporarily
-    const originalCreateCertificateForAgent =
-      coreServices.certificateService.createCertificateForAgent;
-
-    // Override the method to use enhanced OpenSSL config
-    coreServices.certificateService.createCertificateForAgent = async function (
-      agentId,
-      targetIp
-    ) {
-      // Create a resource-specific lock ID
-      const lockId = `${CERTIFICATE_LOCK_PREFIX}_${agentId}`;
-
-      try {
-        if (!this.initialized) {
-          await this.initialize();
-        }
-
-        logger.info(
-          `Requesting certificate generation lock for agent ${agentId}`
-        );
-
-        // Acquire lock to prevent race conditions with parallel certificate operations
-        return await FileLock.withLock(
-          lockId,
-          async () => {
-            logger.info(
-              `Creating certificate for agent ${agentId} with enhanced key usage bits`
-            );
-
-            // Determine writable agent certificate directory (fall back if bind mount is read-only)
-            let agentCertDir = path.join(this.certsDir, "agents", agentId);
-            await fs.mkdir(agentCertDir, { recursive: true });
-
-            // Test writability
-            let writable = true;
-            try {
-              await fs.access(agentCertDir, fsSync.constants.W_OK);
-            } catch {
-              writable = false;
-            }
-
-            if (!writable) {
-              logger.warn(
-                `Agent cert dir ${agentCertDir} not writable, using local fallback`
-              );
-              agentCertDir = path.join(this.localCertsDir, agentId);
-              await fs.mkdir(agentCertDir, { recursive: true });
-            }
-
-            // Ensure directory permissions where possible
-            try {
-              await fs.chmod(agentCertDir, 0o755);
-            } catch (chmodErr) {
-              logger.warn(
-                `Could not set permissions for agent cert directory: ${chmodErr.message}`
-              );
-            }
-
-            logger.info(`Using agent cert directory: ${agentCertDir}`);
-
-            // Define paths
-            const keyPath = path.join(agentCertDir, "server.key");
-            const csrPath = path.join(agentCertDir, "server.csr");
-            const certPath = path.join(agentCertDir, "server.crt");
-            const pemPath = path.join(agentCertDir, "server.pem");
-            const tempKeyPath = path.join(agentCertDir, ".server.key.tmp");
-            const tempCertPath = path.join(agentCertDir, ".server.crt.tmp");
-            const tempPemPath = path.join(agentCertDir, ".server.pem.tmp");
-            const configPath = path.join(os.tmpdir(), `openssl_${agentId}.cnf`);
-            const mongoSubdomain = `${agentId}.${this.mongoDomain}`;
-
-            // Validate IP address to prevent OpenSSL errors
-            const isValidIP = (ip) => {
-              if (!ip || typeof ip !== "string") return false;
-              // IPv4 validation
-              const ipv4Regex =
-                /^(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-              return ipv4Regex.test(ip);
-            };
-
-            // Create OpenSSL configuration with proper IP handling and key usage bits for MongoDB Compass
-            let opensslConfig = `
-[req]
-distinguished_name = req_distinguished_name
-req_extensions = v3_req
-prompt = no
-
-[req_distinguished_name]
-CN = ${mongoSubdomain}
-
-[v3_req]
-# These key usage settings are critical for MongoDB Compass compatibility
-basicConstraints = CA:FALSE
-keyUsage = digitalSignature, keyEncipherment, nonRepudiation, dataEncipherment, keyAgreement
-extendedKeyUsage = serverAuth, clientAuth
-subjectAltName = @alt_names
-
-[alt_names]
-DNS.1 = ${mongoSubdomain}
-DNS.2 = localhost
-`;
-
-            // Add IP address if valid
-            if (isValidIP(targetIp)) {
-              opensslConfig += `IP.1 = ${targetIp}\n`;
-            }
-            opensslConfig += `IP.2 = 127.0.0.1\n`;
-
-            // Write OpenSSL configuration
-            await fs.writeFile(configPath, opensslConfig);
-
-            // Ensure CA key and certificate are accessible
-            // If originals can't be accessed, attempt to use fallback copies
-            let effectiveCaCertPath = this.caCertPath;
-            let effectiveCaKeyPath = this.caKeyPath;
-
-            // First check if we have existing local copies of CA files
-            let localCopiesExist = false;
-            try {
-              await fs.access(this.localCaCertPath, fsSync.constants.R_OK);
-              await fs.access(this.localCaKeyPath, fsSync.constants.R_OK);
-              localCopiesExist = true;
-            } catch (accessErr) {
-              localCopiesExist = false;
-            }
-
-            // Then check if the original CA files are accessible
-            let originalFilesAccessible = true;
-            try {
-              await fs.access(this.caCertPath, fsSync.constants.R_OK);
-              await fs.access(this.caKeyPath, fsSync.constants.R_OK);
-            } catch (accessErr) {
-              originalFilesAccessible = false;
-            }
-
-            // If we can access originals but don't have local copies, create them
-            if (originalFilesAccessible && !localCopiesExist) {
-              try {
-                // Copy to local fallback location
-                await fs.copyFile(this.caCertPath, this.localCaCertPath);
-                await fs.copyFile(this.caKeyPath, this.localCaKeyPath);
-                await fs.chmod(this.localCaCertPath, 0o644);
-                await fs.chmod(this.localCaKeyPath, 0o600);
-                logger.info(
-                  "Copied CA files to fallback location for future use"
-                );
-              } catch (copyErr) {
-                logger.warn(
-                  `Failed to create fallback copies of CA files: ${copyErr.message}`
-                );
-              }
-            }
-
-            // If original CA files aren't accessible but we have local copies, use those
-            if (!originalFilesAccessible && localCopiesExist) {
-              logger.info(
-                "Using local fallback copies of CA files due to permission issues"
-              );
-              effectiveCaCertPath = this.localCaCertPath;
-              effectiveCaKeyPath = this.localCaKeyPath;
-            }
-
-            // If neither originals nor local copies are accessible, try to create new ones
-            if (!originalFilesAccessible && !localCopiesExist) {
-              try {
-                logger.warn(
-                  "Cannot access CA files, creating temporary CA certificates"
-                );
-                // Generate a temporary CA key and certificate
-                await fs.mkdir(path.dirname(this.localCaKeyPath), {
-                  recursive: true,
-                });
-                // Generate CA private key
-                execSync(`openssl genrsa -out ${this.localCaKeyPath} 2048`);
-                // Generate CA certificate
-                execSync(
-                  `openssl req -x509 -new -nodes -key ${this.localCaKeyPath} -sha256 -days 3650 -out ${this.localCaCertPath} -subj "/CN=CloudLunacy Temp CA/O=CloudLunacy/C=UK"`
-                );
-                // Set proper permissions
-                await fs.chmod(this.localCaKeyPath, 0o600);
-                await fs.chmod(this.localCaCertPath, 0o644);
-                logger.info(
-                  "Temporary CA certificate and key generated successfully"
-                );
-                // Use the temporary CA files for certificate generation
-                effectiveCaCertPath = this.localCaCertPath;
-                effectiveCaKeyPath = this.localCaKeyPath;
-                localCopiesExist = true;
-              } catch (genErr) {
-                logger.error(
-                  `Failed to generate temporary CA: ${genErr.message}`
-                );
-                throw new Error(
-                  "Cannot access CA files and failed to create temporary CA"
-                );
-              }
-            }
-
-            // If we still don't have usable CA files, throw error
-            if (!originalFilesAccessible && !localCopiesExist) {
-              throw new Error(
-                "Cannot access CA files and no fallback copies exist"
-              );
-            }
-
-            try {
-              // Generate private key to temporary file first
-              execSync(`openssl genrsa -out ${tempKeyPath} 2048`);
-
-              // Generate CSR
-              execSync(
-                `openssl req -new -key ${tempKeyPath} -out ${csrPath} -config ${configPath}`
-              );
-
-              // Sign certificate with CA
-              // Determine CA serial option: fallback to local serial file if certsDir is read-only
-              let caSerialOption = "-CAcreateserial";
-              if (agentCertDir.startsWith(this.localCertsDir)) {
-                const localSerial = path.join(this.localCertsDir, "ca.srl");
-                try {
-                  await fs.access(localSerial);
-                } catch {
-                  await fs.writeFile(localSerial, "01");
-                }
-                caSerialOption = `-CAserial ${localSerial}`;
-              }
-
-              execSync(
-                `openssl x509 -req -in ${csrPath} -CA ${effectiveCaCertPath} -CAkey ${effectiveCaKeyPath} ${caSerialOption} -out ${tempCertPath} -days 365 -extensions v3_req -extfile ${configPath}`
-              );
-
-              // Create combined PEM file
-              const certContent = await fs.readFile(tempCertPath, "utf8");
-              const keyContent = await fs.readFile(tempKeyPath, "utf8");
-              const pemContent = certContent + keyContent;
-              await fs.writeFile(tempPemPath, pemContent);
-
-              // Set permissions
-              await fs.chmod(tempKeyPath, 0o600);
-              await fs.chmod(tempCertPath, 0o644);
-              await fs.chmod(tempPemPath, 0o600);
-
-              // Atomically move temporary files to final locations
-              await fs.rename(tempKeyPath, keyPath);
-              await fs.rename(tempCertPath, certPath);
-              await fs.rename(tempPemPath, pemPath);
-
-              // Certificate created successfully
-              logger.info(`Enhanced certificate created for agent ${agentId}`);
-              return {
-                success: true,
-                keyPath,
-                certPath,
-                pemPath,
-                caPath: this.caCertPath,
-                enhancedKeyUsage: true,
-              };
-            } catch (err) {
-              // Clean up temporary files if they exist
-              try {
-                await fs.unlink(tempKeyPath).catch(() => {});
-                await fs.unlink(tempCertPath).catch(() => {});
-                await fs.unlink(tempPemPath).catch(() => {});
-              } catch (cleanupErr) {
-                logger.warn(
-                  `Failed to clean up temporary files: ${cleanupErr.message}`
-                );
-              }
-              throw err;
-            }
-          },
-          60000 // Increased from 15000 to 60000 (60 seconds) to accommodate slower systems
-        );
-      } catch (err) {
-        if (err.message.includes("Could not acquire lock")) {
-          logger.error(
-            `Lock acquisition timeout for agent ${agentId} certificate generation`
-          );
-          return {
-            success: false,
-            error: `Certificate generation already in progress for agent ${agentId}. Try again later.`,
-            transient: true,
-          };
-        }
-
-        logger.error(
-          `Failed to create certificate for agent ${agentId}: ${err.message}`,
-          {
-            error: err.message,
-            stack: err.stack,
-          }
-        );
-
-        return {
-          success: false,
-          error: err.message,
-        };
-      }
-    };
-
-    // Regenerate the certificates with the enhanced key usage
-    logger.info(
-      `[TEMP] Generating certificates with enhanced key usage bits for agent ${agentId}`
-    );
-    const certResult =
-      await coreServices.certificateService.generateAgentCertificate(
-        agentId,
-        targetIp
-      );
-
-    // Restore the original method after certificate generation
-    coreServices.certificateService.createCertificateForAgent =
-      originalCreateCertificateForAgent;
-
-    if (!certResult.success) {
-      throw new AppError(
-        `Failed to regenerate certificates: ${certResult.error}`,
-        500
-      );
-    }
-
-    // Update HAProxy configuration if we can
-    let haproxyUpdated = false;
-    try {
-      if (
-        coreServices.mongodbService &&
-        coreServices.mongodbService.initialized
-      ) {
-        await coreServices.mongodbService.registerAgent(
-          agentId,
-          targetIp || "127.0.0.1",
-          27017,
-          { useTls: true }
-        );
-        logger.info(`MongoDB registration updated for agent ${agentId}`);
-        haproxyUpdated = true;
-      } else if (
-        coreServices.haproxyService &&
-        coreServices.haproxyService.initialized
-      ) {
-        await coreServices.haproxyService.addMongoDBRoute(
-          agentId,
-          targetIp || "127.0.0.1",
-          27017,
-          { useTls: true }
-        );
-        logger.info(`HAProxy configuration updated for agent ${agentId}`);
-        haproxyUpdated = true;
-      }
-    } catch (haproxyErr) {
-      logger.warn(
-        `Failed to update HAProxy configuration: ${haproxyErr.message}`
-      );
-      // We will continue even if HAProxy update fails - the certificate is the important part
-    }
-
-    // Return success response
-    return res.status(200).json({
-      success: true,
-      message: `Certificates for agent ${agentId} regenerated successfully with enhanced key usage bits for MongoDB Compass`,
-      agentId,
-      haproxyUpdated,
-      certificatesGenerated: true,
-      enhancedCertificate: true,
-      note: "This certificate has enhanced key usage bits for MongoDB Compass compatibility",
-    });
-  } catch (error) {
-    logger.error(`Certificate regeneration error: ${error.message}`);
-    throw new AppError(
-      `Failed to regenerate certificates: ${error.message}`,
-      500
-    );
-  }
-});
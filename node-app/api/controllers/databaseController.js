@@ -0,0 +1,267 @@
+// api/controllers/databaseController.js
+/**
+ * Database Controller
+ *
+ * Generic registration and management of agent databases of any type known
+ * to the database factory, so new engines don't need their own controller.
+ */
+
+const coreServices = require("../../services/core");
+const DatabaseService = require("../../services/core/databases/databaseService");
+const logger = require("../../utils/logger").getLogger("databaseController");
+const { AppError, asyncHandler } = require("../../utils/errorHandler");
+
+// Agent IDs end up in SNI rules and domain names
+const AGENT_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+const TARGET_PATTERN = /^[a-zA-Z0-9.:-]+$/;
+
+/**
+ * Resolve the database service of a request's :type parameter
+ */
+async function getDatabaseService(type) {
+  const factory = coreServices.databaseFactory;
+  if (!factory.initialized) {
+    await factory.initialize();
+  }
+
+  const types = factory.getAvailableServices();
+  if (!types.includes(type)) {
+    throw new AppError(`Unknown database type: ${type}`, 404, {
+      available: types,
+    });
+  }
+
+  return factory.getService(type);
+}
+
+/**
+ * List supported database types
+ *
+ * GET /api/databases
+ */
+exports.listTypes = asyncHandler(async (req, res) => {
+  const factory = coreServices.databaseFactory;
+  if (!factory.initialized) {
+    await factory.initialize();
+  }
+
+  const types = factory.getAvailableServices().map((type) => {
+    const service = factory.getService(type);
+    return {
+      type,
+      label: service.label || type,
+      domain: service.domain || service.mongoDomain || null,
+      port: service.publicPort || null,
+    };
+  });
+
+  res.status(200).json({ success: true, count: types.length, types });
+});
+
+/**
+ * Register an agent's database
+ *
+ * POST /api/databases/:type/register
+ */
+exports.registerDatabase = asyncHandler(async (req, res) => {
+  const { type } = req.params;
+  const { agentId, targetIp, targetPort, tlsPassthrough, useTls } = req.body;
+
+  if (!agentId || !targetIp) {
+    throw new AppError(
+      "Missing required parameters: agentId and targetIp are required",
+      400,
+      { received: { agentId, targetIp } }
+    );
+  }
+
+  if (!AGENT_ID_PATTERN.test(agentId)) {
+    throw new AppError(
+      "agentId may only contain letters, digits and hyphens",
+      400
+    );
+  }
+
+  if (!TARGET_PATTERN.test(targetIp)) {
+    throw new AppError("targetIp must be an IP address or hostname", 400);
+  }
+
+  const options = {};
+  if (targetPort !== undefined) {
+    const port = Number(targetPort);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new AppError("targetPort must be a valid port number", 400);
+    }
+    options.targetPort = port;
+  }
+  if (tlsPassthrough !== undefined) {
+    options.tlsPassthrough = tlsPassthrough !== false;
+  }
+  if (useTls !== undefined) {
+    options.useTls = useTls !== false;
+  }
+
+  const service = await getDatabaseService(type);
+
+  logger.info(`Registering ${type} for agent ${agentId} at ${targetIp}`, {
+    ...options,
+    requestIP: req.ip,
+  });
+
+  const result = await service.registerAgent(agentId, targetIp, options);
+
+  if (!result.success) {
+    logger.error(`${type} registration failed: ${result.error}`);
+    throw new AppError(`Failed to register ${type}: ${result.error}`, 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    type,
+    domain: result.domain,
+    connectionString: result.url || result.mongodbUrl,
+    targetIp: result.targetIp,
+    targetPort: result.targetPort,
+    tlsPassthrough: result.tlsPassthrough,
+  });
+});
+
+/**
+ * List registered databases of a type
+ *
+ * GET /api/databases/:type
+ */
+exports.listDatabases = asyncHandler(async (req, res) => {
+  const { type } = req.params;
+  const service = await getDatabaseService(type);
+
+  const databases = (await service.listConnections()).map((info) => ({
+    agentId: info.agentId,
+    domain: info.domain,
+    targetAddress: `${info.targetIp}:${info.targetPort}`,
+    tlsPassthrough: info.tlsPassthrough,
+    lastUpdated: info.lastUpdated || info.created,
+  }));
+
+  res.status(200).json({
+    success: true,
+    type,
+    count: databases.length,
+    databases,
+  });
+});
+
+/**
+ * Get connection information of an agent's database
+ *
+ * GET /api/databases/:type/:agentId/connection-info
+ */
+exports.getConnectionInfo = asyncHandler(async (req, res) => {
+  const { type, agentId } = req.params;
+  const service = await getDatabaseService(type);
+
+  const connectionInfo = await service.getConnectionInfo(agentId);
+
+  if (!connectionInfo || !connectionInfo.success) {
+    throw new AppError(
+      `No ${type} connection information found for agent ${agentId}`,
+      404
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    type,
+    connectionInfo: {
+      domain: connectionInfo.domain,
+      host: connectionInfo.targetIp,
+      port: connectionInfo.targetPort,
+      tlsPassthrough: connectionInfo.tlsPassthrough,
+      url: connectionInfo.url,
+    },
+  });
+});
+
+/**
+ * Probe an agent's database directly and through Traefik
+ *
+ * GET /api/databases/:type/:agentId/test
+ */
+exports.testConnection = asyncHandler(async (req, res) => {
+  const { type, agentId } = req.params;
+  const service = await getDatabaseService(type);
+
+  const result = await service.testConnection(agentId);
+
+  if (result.error && !result.direct) {
+    throw new AppError(result.error, 404);
+  }
+
+  res.status(200).json({ type, agentId, ...result });
+});
+
+/**
+ * Generate credentials for an agent's database
+ *
+ * POST /api/databases/:type/:agentId/credentials
+ * Body: { username, dbName }
+ */
+exports.generateCredentials = asyncHandler(async (req, res) => {
+  const { type, agentId } = req.params;
+  const { username, dbName } = req.body || {};
+  const service = await getDatabaseService(type);
+
+  if (
+    service.generateCredentials ===
+    DatabaseService.prototype.generateCredentials
+  ) {
+    throw new AppError(
+      `Credential generation is not supported for ${type}`,
+      501
+    );
+  }
+
+  const result = await service.generateCredentials(
+    agentId,
+    dbName || null,
+    username || null
+  );
+
+  if (!result.success) {
+    throw new AppError(result.error, 400);
+  }
+
+  res.status(200).json({ type, ...result });
+});
+
+/**
+ * Remove an agent's database route
+ *
+ * DELETE /api/databases/:type/:agentId
+ */
+exports.removeDatabase = asyncHandler(async (req, res) => {
+  const { type, agentId } = req.params;
+  const service = await getDatabaseService(type);
+
+  logger.info(`Removing ${type} route for agent ${agentId}`);
+
+  const result = await service.deregisterAgent(agentId);
+
+  if (!result.success) {
+    logger.error(
+      `Failed to remove ${type} for agent ${agentId}: ${
+        result.error || "Unknown error"
+      }`
+    );
+    throw new AppError(
+      `Failed to remove ${type} route for agent ${agentId}: ${result.error}`,
+      404
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${type} route for agent ${agentId} removed successfully`,
+  });
+});
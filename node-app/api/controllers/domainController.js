@@ -0,0 +1,149 @@
+/**
+ * Custom Domain Controller
+ *
+ * Handles attaching external domains to agent application routes.
+ */
+
+const coreServices = require("../../services/core");
+const { AppError, asyncHandler } = require("../../utils/errorHandler");
+
+/**
+ * Agent a domain request is about, for requireScope: the agent of the
+ * domain in the path, otherwise the agentId of the body or query, and the
+ * caller's own agent by default
+ * @param {Object} req - Express request
+ * @returns {Promise<string|undefined>} Agent ID
+ */
+exports.resolveAgentId = async (req) => {
+  if (req.params.domain) {
+    const record = await loadDomain(req);
+    return record ? record.agentId : undefined;
+  }
+
+  return (
+    (req.body && req.body.agentId) || req.query.agentId || req.user.agentId
+  );
+};
+
+/**
+ * Domain record of the path, loaded once per request
+ */
+async function loadDomain(req) {
+  if (req.customDomain === undefined) {
+    req.customDomain = await coreServices.customDomainService.getDomain(
+      req.params.domain
+    );
+  }
+  return req.customDomain;
+}
+
+/**
+ * Domain record of the path, the scope check covered its agent
+ */
+async function getAccessibleDomain(req) {
+  const record = await loadDomain(req);
+
+  if (!record) {
+    throw new AppError(`Custom domain ${req.params.domain} not found`, 404);
+  }
+
+  return record;
+}
+
+/**
+ * Request a custom domain for an application route
+ *
+ * POST /api/proxy/domains
+ */
+exports.requestDomain = asyncHandler(async (req, res) => {
+  const { domain, subdomain, method } = req.body;
+  const agentId = req.body.agentId || req.user.agentId;
+
+  if (!agentId) {
+    throw new AppError("Agent ID is required", 400);
+  }
+
+  if (!domain) {
+    throw new AppError("Domain is required", 400);
+  }
+
+  const record = await coreServices.customDomainService.requestDomain(
+    agentId,
+    domain,
+    { subdomain, method }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Custom domain ${record.domain} pending verification`,
+    domain: record,
+  });
+});
+
+/**
+ * Verify ownership of a custom domain
+ *
+ * POST /api/proxy/domains/:domain/verify
+ */
+exports.verifyDomain = asyncHandler(async (req, res) => {
+  const record = await getAccessibleDomain(req);
+
+  const result = await coreServices.customDomainService.verifyDomain(
+    record.domain
+  );
+
+  res.status(result.verified ? 200 : 409).json({
+    success: result.verified,
+    message: result.verified
+      ? `Custom domain ${record.domain} verified`
+      : `Custom domain ${record.domain} could not be verified`,
+    error: result.error,
+    domain: result.record,
+  });
+});
+
+/**
+ * List custom domains
+ *
+ * GET /api/proxy/domains
+ */
+exports.listDomains = asyncHandler(async (req, res) => {
+  const agentId =
+    req.user.role === "agent" ? req.user.agentId : req.query.agentId || null;
+
+  const domains = await coreServices.customDomainService.listDomains(agentId);
+
+  res.status(200).json({
+    success: true,
+    domains,
+  });
+});
+
+/**
+ * Get a custom domain
+ *
+ * GET /api/proxy/domains/:domain
+ */
+exports.getDomain = asyncHandler(async (req, res) => {
+  const record = await getAccessibleDomain(req);
+
+  res.status(200).json({
+    success: true,
+    domain: record,
+  });
+});
+
+/**
+ * Remove a custom domain
+ *
+ * DELETE /api/proxy/domains/:domain
+ */
+exports.removeDomain = asyncHandler(async (req, res) => {
+  const record = await getAccessibleDomain(req);
+
+  const result = await coreServices.customDomainService.removeDomain(
+    record.domain
+  );
+
+  res.status(200).json(result);
+});
@@ -0,0 +1,58 @@
+/**
+ * Enrollment Controller
+ *
+ * Admin endpoints to issue and revoke agent enrollment tokens.
+ */
+
+const coreServices = require("../../services/core");
+const { asyncHandler } = require("../../utils/errorHandler");
+
+/**
+ * Create an enrollment token
+ *
+ * POST /api/admin/enrollment-tokens
+ * Body: { agentId, cidr, ttlSeconds } (all optional)
+ */
+exports.createToken = asyncHandler(async (req, res) => {
+  const { agentId, cidr, ttlSeconds } = req.body;
+
+  const token = await coreServices.enrollmentService.createToken({
+    agentId,
+    cidr,
+    ttlSeconds,
+    createdBy: req.user.operatorId || req.user.agentId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Store the token now, it cannot be retrieved again",
+    ...token,
+  });
+});
+
+/**
+ * List enrollment tokens
+ *
+ * GET /api/admin/enrollment-tokens
+ */
+exports.listTokens = asyncHandler(async (req, res) => {
+  const tokens = await coreServices.enrollmentService.listTokens();
+
+  res.status(200).json({
+    success: true,
+    tokens,
+  });
+});
+
+/**
+ * Revoke an enrollment token
+ *
+ * DELETE /api/admin/enrollment-tokens/:id
+ */
+exports.revokeToken = asyncHandler(async (req, res) => {
+  const result = await coreServices.enrollmentService.revokeToken(
+    req.params.id
+  );
+
+  res.status(200).json(result);
+});
@@ -12,7 +12,7 @@ const execAsync = promisify(exec);
 const coreServices = require("../../services/core");
 const { enhancedCertificateService } = require("../../services/core");
 const logger = require("../../utils/logger").getLogger("healthController");
-const { asyncHandler } = require("../../utils/errorHandler");
+const { AppError, asyncHandler } = require("../../utils/errorHandler");
 const path = require("path");
 const fs = require("fs").promises;
 
@@ -1098,3 +1098,71 @@ exports.getHealthDashboard = asyncHandler(async (req, res) => {
     });
   }
 });
+
+/**
+ * Probe state of every MongoDB route, grouped by agent
+ *
+ * GET /api/health/mongodb
+ */
+exports.getMongoDBProbes = asyncHandler(async (req, res) => {
+  const probes = coreServices.mongodbProbeService;
+
+  res.status(200).json({
+    success: true,
+    enabled: !!probes.probeInterval,
+    intervalSeconds: probes.intervalSeconds,
+    lastRunAt: probes.lastRunAt,
+    thresholds: probes.getThresholds(),
+    agents: probes.getSummary(),
+  });
+});
+
+/**
+ * Probe history of an agent's MongoDB routes
+ *
+ * GET /api/health/mongodb/:agentId?since=<ISO date>&limit=<n>
+ */
+exports.getMongoDBProbeHistory = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+  const { since, limit } = req.query;
+
+  if (since && Number.isNaN(new Date(since).getTime())) {
+    throw new AppError("since must be a date", 400);
+  }
+  if (limit && !(parseInt(limit, 10) > 0)) {
+    throw new AppError("limit must be a positive number", 400);
+  }
+
+  const routes = coreServices.mongodbProbeService.getHistory(agentId, {
+    since,
+    limit: limit ? parseInt(limit, 10) : null,
+  });
+
+  if (routes.length === 0) {
+    throw new AppError(`No probed MongoDB routes for agent ${agentId}`, 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    agentId,
+    routes,
+  });
+});
+
+/**
+ * Probe every MongoDB route now
+ *
+ * POST /api/health/mongodb/probe
+ */
+exports.runMongoDBProbes = asyncHandler(async (req, res) => {
+  const result = await coreServices.mongodbProbeService.probeAll();
+
+  if (!result.success) {
+    throw new AppError(result.error, 409);
+  }
+
+  res.status(200).json({
+    ...result,
+    agents: coreServices.mongodbProbeService.getSummary(),
+  });
+});
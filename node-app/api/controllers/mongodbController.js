@@ -2,20 +2,38 @@
 /**
  * MongoDB Controller
  *
- * Handles MongoDB subdomain registration and management.
+ * Handles MongoDB subdomain registration and management, for an agent's
+ * default instance, its named instances and its replica sets.
  */
 
 const coreServices = require("../../services/core");
 const logger = require("../../utils/logger").getLogger("mongodbController");
 const { AppError, asyncHandler } = require("../../utils/errorHandler");
 
+// Instance names become a DNS label of the instance's domain
+const INSTANCE_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const TARGET_PATTERN = /^[a-zA-Z0-9.:-]+$/;
+
 /**
  * Register MongoDB
  *
  * POST /api/mongodb/register
+ * Body: { agentId, targetIp, targetPort, useTls, instance, tlsPassthrough }
+ *   or, for a replica set: { agentId, replicaSet, members, tlsPassthrough }
  */
 exports.registerMongoDB = asyncHandler(async (req, res) => {
-  const { agentId, targetIp, targetPort = 27017, useTls = true } = req.body;
+  const {
+    agentId,
+    targetIp,
+    targetPort = 27017,
+    useTls = true,
+    instance,
+    replicaSet,
+  } = req.body;
+
+  if (agentId && replicaSet !== undefined) {
+    return registerReplicaSet(req, res);
+  }
 
   if (!agentId || !targetIp) {
     throw new AppError(
@@ -25,6 +43,10 @@ exports.registerMongoDB = asyncHandler(async (req, res) => {
     );
   }
 
+  if (instance !== undefined) {
+    return registerInstance(req, res);
+  }
+
   logger.info(
     `Registering MongoDB for agent ${agentId} at ${targetIp}:${targetPort}`,
     {
@@ -73,6 +95,129 @@ exports.registerMongoDB = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Register a named MongoDB instance, reached at
+ * <instance>.<agentId>.<MONGO_DOMAIN>
+ */
+async function registerInstance(req, res) {
+  const { agentId, targetIp, instance, useTls, tlsPassthrough } = req.body;
+
+  if (typeof instance !== "string" || !INSTANCE_PATTERN.test(instance)) {
+    throw new AppError(
+      "instance must be a DNS label: lowercase letters, digits and hyphens",
+      400
+    );
+  }
+
+  const targetPort = Number(req.body.targetPort || 27017);
+  if (!Number.isInteger(targetPort) || targetPort < 1 || targetPort > 65535) {
+    throw new AppError("targetPort must be a valid port number", 400);
+  }
+
+  const passthrough = (tlsPassthrough ?? useTls) !== false;
+
+  logger.info(
+    `Registering MongoDB instance ${instance} for agent ${agentId} at ${targetIp}:${targetPort}`,
+    {
+      tlsPassthrough: passthrough,
+      requestIP: req.ip,
+    }
+  );
+
+  const result = await coreServices.mongodbService.registerInstance(
+    agentId,
+    instance,
+    targetIp,
+    { targetPort, tlsPassthrough: passthrough }
+  );
+
+  if (!result.success) {
+    logger.error(`MongoDB instance registration failed: ${result.error}`);
+    throw new AppError(
+      `Failed to register MongoDB instance: ${result.error}`,
+      result.conflict ? 409 : 500
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    instance,
+    domain: result.domain,
+    connectionString: `mongodb://username:password@${result.domain}:27017/admin?tls=true`,
+    targetIp: result.targetIp,
+    targetPort: result.targetPort,
+    tlsPassthrough: result.tlsPassthrough,
+  });
+}
+
+/**
+ * Register a replica set, each member reached at
+ * <replicaSet>-<n>.<agentId>.<MONGO_DOMAIN>
+ */
+async function registerReplicaSet(req, res) {
+  const { agentId, replicaSet, members, tlsPassthrough } = req.body;
+
+  if (typeof replicaSet !== "string" || !INSTANCE_PATTERN.test(replicaSet)) {
+    throw new AppError(
+      "replicaSet must be a DNS label: lowercase letters, digits and hyphens",
+      400
+    );
+  }
+
+  if (!Array.isArray(members) || members.length === 0) {
+    throw new AppError("members must be a non-empty array", 400);
+  }
+
+  const normalized = members.map((member, index) => {
+    const port = Number((member && member.targetPort) || 27017);
+    if (
+      !member ||
+      typeof member.targetIp !== "string" ||
+      !TARGET_PATTERN.test(member.targetIp) ||
+      !Number.isInteger(port) ||
+      port < 1 ||
+      port > 65535
+    ) {
+      throw new AppError(
+        `members[${index}] needs a valid targetIp and targetPort`,
+        400
+      );
+    }
+    return { targetIp: member.targetIp, targetPort: port };
+  });
+
+  logger.info(
+    `Registering MongoDB replica set ${replicaSet} for agent ${agentId} with ${normalized.length} members`,
+    { requestIP: req.ip }
+  );
+
+  const result = await coreServices.mongodbService.registerReplicaSet(
+    agentId,
+    replicaSet,
+    normalized,
+    { tlsPassthrough: tlsPassthrough !== false }
+  );
+
+  if (!result.success) {
+    logger.error(`MongoDB replica set registration failed: ${result.error}`);
+    throw new AppError(
+      `Failed to register MongoDB replica set: ${result.error}`,
+      result.conflict ? 409 : 500
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    replicaSet,
+    members: result.members,
+    connectionString: result.url,
+    tlsPassthrough: result.tlsPassthrough,
+    certificate: result.certificate,
+  });
+}
+
 /**
  * List all MongoDB subdomains
  *
@@ -98,6 +243,19 @@ exports.listSubdomains = asyncHandler(async (req, res) => {
       });
     });
 
+    const instances = await coreServices.mongodbService.listInstances();
+    instances.forEach((info) => {
+      mongodbConnections.push({
+        name: `mongodb-agent-${info.agentId}-${info.instance}`,
+        agentId: info.agentId,
+        instance: info.instance,
+        domain: info.domain,
+        targetAddress: `${info.targetIp}:${info.targetPort}`,
+        tlsPassthrough: info.tlsPassthrough,
+        lastUpdated: info.lastUpdated || info.created,
+      });
+    });
+
     res.status(200).json({
       success: true,
       count: mongodbConnections.length,
@@ -189,3 +347,370 @@ exports.getConnectionInfo = asyncHandler(async (req, res) => {
     },
   });
 });
+
+/**
+ * List the named MongoDB instances of an agent
+ *
+ * GET /api/mongodb/:agentId/instances
+ */
+exports.listInstances = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  const instances = (
+    await coreServices.mongodbService.listInstances(agentId)
+  ).map((info) => ({
+    instance: info.instance,
+    domain: info.domain,
+    targetAddress: `${info.targetIp}:${info.targetPort}`,
+    tlsPassthrough: info.tlsPassthrough,
+    lastUpdated: info.lastUpdated || info.created,
+  }));
+
+  res.status(200).json({
+    success: true,
+    agentId,
+    count: instances.length,
+    instances,
+  });
+});
+
+/**
+ * Get connection information of a named MongoDB instance
+ *
+ * GET /api/mongodb/:agentId/instances/:instance/connection-info
+ */
+exports.getInstanceConnectionInfo = asyncHandler(async (req, res) => {
+  const { agentId, instance } = req.params;
+
+  const info = await coreServices.mongodbService.getInstanceInfo(
+    agentId,
+    instance
+  );
+
+  if (!info.success) {
+    throw new AppError(info.error, 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    connectionInfo: {
+      instance: info.instance,
+      domain: info.domain,
+      host: info.targetIp,
+      port: info.targetPort,
+      tlsPassthrough: info.tlsPassthrough,
+      url: info.url,
+    },
+  });
+});
+
+/**
+ * Remove a named MongoDB instance
+ *
+ * DELETE /api/mongodb/:agentId/instances/:instance
+ */
+exports.removeInstance = asyncHandler(async (req, res) => {
+  const { agentId, instance } = req.params;
+
+  logger.info(`Removing MongoDB instance ${instance} of agent ${agentId}`);
+
+  const result = await coreServices.mongodbService.deregisterInstance(
+    agentId,
+    instance
+  );
+
+  if (!result.success) {
+    throw new AppError(result.error, 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+  });
+});
+
+/**
+ * List the replica sets of an agent
+ *
+ * GET /api/mongodb/:agentId/replica-sets
+ */
+exports.listReplicaSets = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  const replicaSets = (
+    await coreServices.mongodbService.listReplicaSets(agentId)
+  ).map((set) => ({
+    replicaSet: set.replicaSet,
+    members: set.members,
+    connectionString: set.url,
+    tlsPassthrough: set.tlsPassthrough,
+    lastUpdated: set.lastUpdated || set.created,
+  }));
+
+  res.status(200).json({
+    success: true,
+    agentId,
+    count: replicaSets.length,
+    replicaSets,
+  });
+});
+
+/**
+ * Get the connection information of a replica set
+ *
+ * GET /api/mongodb/:agentId/replica-sets/:replicaSet/connection-info
+ */
+exports.getReplicaSetConnectionInfo = asyncHandler(async (req, res) => {
+  const { agentId, replicaSet } = req.params;
+
+  const info = await coreServices.mongodbService.getConnectionInfo(
+    agentId,
+    replicaSet
+  );
+
+  if (!info.success) {
+    throw new AppError(info.error, 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    connectionInfo: {
+      replicaSet: info.replicaSet,
+      members: info.members.map((member) => member.host),
+      tlsPassthrough: info.tlsPassthrough,
+      url: info.url,
+    },
+  });
+});
+
+/**
+ * Check the health of every member of a replica set
+ *
+ * GET /api/mongodb/:agentId/replica-sets/:replicaSet/test
+ */
+exports.testReplicaSet = asyncHandler(async (req, res) => {
+  const { agentId, replicaSet } = req.params;
+
+  const result = await coreServices.mongodbService.testConnection(
+    agentId,
+    null,
+    { replicaSet }
+  );
+
+  if (result.error && !result.members) {
+    throw new AppError(result.error, 404);
+  }
+
+  res.status(200).json({ agentId, ...result });
+});
+
+/**
+ * Remove a replica set and the routes of all its members
+ *
+ * DELETE /api/mongodb/:agentId/replica-sets/:replicaSet
+ */
+exports.removeReplicaSet = asyncHandler(async (req, res) => {
+  const { agentId, replicaSet } = req.params;
+
+  logger.info(`Removing MongoDB replica set ${replicaSet} of agent ${agentId}`);
+
+  const result = await coreServices.mongodbService.deregisterReplicaSet(
+    agentId,
+    replicaSet
+  );
+
+  if (!result.success) {
+    throw new AppError(result.error, 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+  });
+});
+
+/**
+ * Get the TCP middlewares of a MongoDB route
+ *
+ * GET /api/mongodb/:agentId/middlewares
+ * GET /api/mongodb/:agentId/instances/:instance/middlewares
+ * GET /api/mongodb/:agentId/replica-sets/:replicaSet/middlewares
+ */
+exports.getMiddlewares = asyncHandler(async (req, res) => {
+  const { agentId, instance, replicaSet } = req.params;
+
+  const middlewares = await coreServices.mongodbService.getMiddlewares(
+    agentId,
+    { instance, replicaSet }
+  );
+
+  res.status(200).json({ success: true, agentId, middlewares });
+});
+
+/**
+ * Replace the TCP middlewares of a MongoDB route
+ *
+ * PUT /api/mongodb/:agentId/middlewares
+ * PUT /api/mongodb/:agentId/instances/:instance/middlewares
+ * PUT /api/mongodb/:agentId/replica-sets/:replicaSet/middlewares
+ * Body: { middlewares: [{ type: "ipAllowList", sourceRange: [...] }, ...] }
+ */
+exports.setMiddlewares = asyncHandler(async (req, res) => {
+  const { agentId, instance, replicaSet } = req.params;
+  const { middlewares } = req.body || {};
+
+  logger.info(`Updating TCP middlewares of MongoDB route of agent ${agentId}`, {
+    instance,
+    replicaSet,
+    count: Array.isArray(middlewares) ? middlewares.length : undefined,
+  });
+
+  const routers = await coreServices.mongodbService.setMiddlewares(
+    agentId,
+    middlewares,
+    { instance, replicaSet }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "MongoDB route middlewares updated",
+    routers,
+  });
+});
+
+/**
+ * Store the account used to manage the agent's database users
+ *
+ * PUT /api/mongodb/:agentId/management-account
+ * Body: { username, password, authSource }
+ */
+exports.setManagementAccount = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+  const { username, password, authSource } = req.body || {};
+
+  logger.info(`Storing MongoDB management account of agent ${agentId}`);
+
+  const account =
+    await coreServices.mongoCredentialService.setManagementAccount(agentId, {
+      username,
+      password,
+      authSource,
+    });
+
+  res.status(200).json({
+    success: true,
+    message: "MongoDB management account stored",
+    account,
+  });
+});
+
+/**
+ * List the database credentials of an agent
+ *
+ * GET /api/mongodb/:agentId/credentials
+ */
+exports.listCredentials = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  const credentials = await coreServices.mongoCredentialService.listCredentials(
+    agentId
+  );
+
+  res.status(200).json({
+    success: true,
+    agentId,
+    count: credentials.length,
+    credentials,
+  });
+});
+
+/**
+ * Create a database user scoped to one database
+ *
+ * POST /api/mongodb/:agentId/credentials
+ * Body: { username, database, role, rotationDays }
+ */
+exports.issueCredential = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+  const { username, database, role, rotationDays } = req.body || {};
+
+  logger.info(`Issuing MongoDB credential ${username} for agent ${agentId}`, {
+    database,
+    role,
+  });
+
+  const issued = await coreServices.mongoCredentialService.issueCredential(
+    agentId,
+    { username, database, role, rotationDays }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "MongoDB credential issued, the password is not shown again",
+    ...issued,
+  });
+});
+
+/**
+ * Set a new password for a credential
+ *
+ * POST /api/mongodb/:agentId/credentials/:username/rotate
+ */
+exports.rotateCredential = asyncHandler(async (req, res) => {
+  const { agentId, username } = req.params;
+
+  logger.info(`Rotating MongoDB credential ${username} of agent ${agentId}`);
+
+  const rotated = await coreServices.mongoCredentialService.rotateCredential(
+    agentId,
+    username
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "MongoDB credential rotated, the password is not shown again",
+    ...rotated,
+  });
+});
+
+/**
+ * Collect the password set by a scheduled rotation
+ *
+ * POST /api/mongodb/:agentId/credentials/:username/collect
+ */
+exports.collectPassword = asyncHandler(async (req, res) => {
+  const { agentId, username } = req.params;
+
+  const collected = await coreServices.mongoCredentialService.collectPassword(
+    agentId,
+    username
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Rotated password collected, it is not shown again",
+    ...collected,
+  });
+});
+
+/**
+ * Drop a credential's database user
+ *
+ * DELETE /api/mongodb/:agentId/credentials/:username
+ */
+exports.revokeCredential = asyncHandler(async (req, res) => {
+  const { agentId, username } = req.params;
+
+  logger.info(`Revoking MongoDB credential ${username} of agent ${agentId}`);
+
+  const credential = await coreServices.mongoCredentialService.revokeCredential(
+    agentId,
+    username
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `MongoDB credential ${username} revoked`,
+    credential,
+  });
+});
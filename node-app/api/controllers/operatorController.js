@@ -0,0 +1,171 @@
+/**
+ * Operator Controller
+ *
+ * Admin endpoints to manage operators and their API keys.
+ */
+
+const coreServices = require("../../services/core");
+const { AppError, asyncHandler } = require("../../utils/errorHandler");
+const { ROLE_SCOPES, hasScope } = require("../../utils/permissions");
+
+/**
+ * Callers may only grant scopes they hold themselves
+ */
+function assertCanGrant(req, { role, scopes }) {
+  const granted = [...(ROLE_SCOPES[role] || []), ...(scopes || [])];
+  const missing = granted.filter((scope) => !hasScope(req.user, scope));
+
+  if (missing.length > 0) {
+    throw new AppError(
+      `Cannot grant scopes you do not hold: ${missing.join(", ")}`,
+      403
+    );
+  }
+}
+
+/**
+ * Name of the caller, recorded as creator
+ */
+function callerName(req) {
+  return req.user.operatorId || req.user.agentId || null;
+}
+
+/**
+ * Create an operator
+ *
+ * POST /api/admin/operators
+ * Body: { name, role, scopes }
+ */
+exports.createOperator = asyncHandler(async (req, res) => {
+  const { name, role, scopes } = req.body;
+
+  assertCanGrant(req, { role: role || "viewer", scopes });
+
+  const operator = await coreServices.operatorService.createOperator({
+    name,
+    role,
+    scopes,
+    createdBy: callerName(req),
+  });
+
+  res.status(201).json({
+    success: true,
+    operator,
+  });
+});
+
+/**
+ * List operators
+ *
+ * GET /api/admin/operators
+ */
+exports.listOperators = asyncHandler(async (req, res) => {
+  const operators = await coreServices.operatorService.listOperators();
+
+  res.status(200).json({
+    success: true,
+    operators,
+  });
+});
+
+/**
+ * Get an operator
+ *
+ * GET /api/admin/operators/:operatorId
+ */
+exports.getOperator = asyncHandler(async (req, res) => {
+  const operator = await coreServices.operatorService.getOperator(
+    req.params.operatorId
+  );
+
+  res.status(200).json({
+    success: true,
+    operator,
+  });
+});
+
+/**
+ * Change role, extra scopes or disabled flag of an operator
+ *
+ * PATCH /api/admin/operators/:operatorId
+ * Body: { role, scopes, disabled }
+ */
+exports.updateOperator = asyncHandler(async (req, res) => {
+  const { role, scopes, disabled } = req.body;
+
+  assertCanGrant(req, { role, scopes });
+
+  const operator = await coreServices.operatorService.updateOperator(
+    req.params.operatorId,
+    { role, scopes, disabled }
+  );
+
+  res.status(200).json({
+    success: true,
+    operator,
+  });
+});
+
+/**
+ * Delete an operator and its API keys
+ *
+ * DELETE /api/admin/operators/:operatorId
+ */
+exports.deleteOperator = asyncHandler(async (req, res) => {
+  const result = await coreServices.operatorService.deleteOperator(
+    req.params.operatorId
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Create an API key for an operator
+ *
+ * POST /api/admin/operators/:operatorId/keys
+ * Body: { name, scopes, ttlSeconds }
+ */
+exports.createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, ttlSeconds } = req.body;
+
+  const apiKey = await coreServices.operatorService.createApiKey(
+    req.params.operatorId,
+    { name, scopes, ttlSeconds, createdBy: callerName(req) }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Store the key now, it cannot be retrieved again",
+    ...apiKey,
+  });
+});
+
+/**
+ * List the API keys of an operator
+ *
+ * GET /api/admin/operators/:operatorId/keys
+ */
+exports.listApiKeys = asyncHandler(async (req, res) => {
+  const keys = await coreServices.operatorService.listApiKeys(
+    req.params.operatorId
+  );
+
+  res.status(200).json({
+    success: true,
+    keys,
+  });
+});
+
+/**
+ * Revoke an API key
+ *
+ * DELETE /api/admin/operators/:operatorId/keys/:keyId
+ */
+exports.revokeApiKey = asyncHandler(async (req, res) => {
+  const result = await coreServices.operatorService.revokeApiKey(
+    req.params.operatorId,
+    req.params.keyId
+  );
+
+  res.status(200).json(result);
+});
@@ -0,0 +1,57 @@
+/**
+ * Reconcile Controller
+ *
+ * Admin endpoints to inspect and repair drift between the agent registry
+ * and the Traefik configuration in Consul.
+ */
+
+const coreServices = require("../../services/core");
+const logger = require("../../utils/logger").getLogger("reconcileController");
+const { AppError, asyncHandler } = require("../../utils/errorHandler");
+
+/**
+ * Report drift without changing anything
+ *
+ * GET /api/admin/reconcile
+ * Query: cached=true returns the report of the last run instead
+ */
+exports.getDrift = asyncHandler(async (req, res) => {
+  const { reconcilerService } = coreServices;
+
+  if (req.query.cached === "true") {
+    const report = reconcilerService.getLastReport();
+    if (!report) {
+      throw new AppError("No reconcile run has completed yet", 404);
+    }
+    return res.status(200).json(report);
+  }
+
+  const report = await reconcilerService.reconcile({ dryRun: true });
+  if (report.error) {
+    throw new AppError(report.error, 503);
+  }
+
+  res.status(200).json(report);
+});
+
+/**
+ * Reconcile, fixing drift unless dryRun is set
+ *
+ * POST /api/admin/reconcile
+ * Body: { dryRun: boolean } (defaults to false)
+ */
+exports.reconcile = asyncHandler(async (req, res) => {
+  const dryRun = req.body && req.body.dryRun === true;
+
+  logger.info(`Reconcile requested${dryRun ? " (dry run)" : ""}`, {
+    requestedBy:
+      req.user && (req.user.operatorId || req.user.agentId || req.user.role),
+  });
+
+  const report = await coreServices.reconcilerService.reconcile({ dryRun });
+  if (report.error) {
+    throw new AppError(report.error, 503);
+  }
+
+  res.status(report.success ? 200 : 207).json(report);
+});
@@ -0,0 +1,154 @@
+// api/controllers/redisController.js
+/**
+ * Redis Controller
+ *
+ * Handles Redis subdomain registration and management.
+ */
+
+const coreServices = require("../../services/core");
+const logger = require("../../utils/logger").getLogger("redisController");
+const { AppError, asyncHandler } = require("../../utils/errorHandler");
+
+/**
+ * Register Redis
+ *
+ * POST /api/redis/register
+ */
+exports.registerRedis = asyncHandler(async (req, res) => {
+  const {
+    agentId,
+    targetIp,
+    targetPort = 6379,
+    tlsPassthrough = true,
+  } = req.body;
+
+  if (!agentId || !targetIp) {
+    throw new AppError(
+      "Missing required parameters: agentId and targetIp are required",
+      400,
+      { received: { agentId, targetIp } }
+    );
+  }
+
+  const port = Number(targetPort);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new AppError("targetPort must be a valid port number", 400);
+  }
+
+  logger.info(`Registering Redis for agent ${agentId} at ${targetIp}:${port}`, {
+    tlsPassthrough,
+    requestIP: req.ip,
+  });
+
+  const result = await coreServices.redisService.registerAgent(
+    agentId,
+    targetIp,
+    {
+      targetPort: port,
+      tlsPassthrough: tlsPassthrough !== false,
+    }
+  );
+
+  if (!result.success) {
+    logger.error(`Redis registration failed: ${result.error}`);
+    throw new AppError(`Failed to register Redis: ${result.error}`, 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Redis registered successfully",
+    domain: result.domain,
+    connectionString: result.url,
+    targetIp: result.targetIp,
+    targetPort: result.targetPort,
+    tlsPassthrough: result.tlsPassthrough,
+  });
+});
+
+/**
+ * List all Redis subdomains
+ *
+ * GET /api/redis
+ */
+exports.listSubdomains = asyncHandler(async (req, res) => {
+  logger.info("Listing all Redis subdomains");
+
+  const connections = await coreServices.redisService.listConnections();
+  const subdomains = connections.map((info) => ({
+    name: `redis-agent-${info.agentId}`,
+    agentId: info.agentId,
+    domain: info.domain,
+    targetAddress: `${info.targetIp}:${info.targetPort}`,
+    tlsPassthrough: info.tlsPassthrough,
+    lastUpdated: info.lastUpdated || info.created,
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: subdomains.length,
+    subdomains,
+  });
+});
+
+/**
+ * Remove a Redis subdomain
+ *
+ * DELETE /api/redis/:agentId
+ */
+exports.removeSubdomain = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  logger.info(`Removing Redis subdomain for agent ${agentId}`);
+
+  const result = await coreServices.redisService.deregisterAgent(agentId);
+
+  if (!result.success) {
+    logger.error(
+      `Failed to remove Redis for agent ${agentId}: ${
+        result.error || "Unknown error"
+      }`
+    );
+    throw new AppError(
+      `Failed to remove Redis subdomain for agent ${agentId}: ${result.error}`,
+      404
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Redis subdomain for agent ${agentId} removed successfully`,
+  });
+});
+
+/**
+ * Get Redis connection information for an agent
+ *
+ * GET /api/redis/:agentId/connection-info
+ */
+exports.getConnectionInfo = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  logger.info(`Getting Redis connection info for agent ${agentId}`);
+
+  const connectionInfo = await coreServices.redisService.getConnectionInfo(
+    agentId
+  );
+
+  if (!connectionInfo.success) {
+    throw new AppError(
+      `No Redis connection information found for agent ${agentId}`,
+      404
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    connectionInfo: {
+      domain: connectionInfo.domain,
+      host: connectionInfo.targetIp,
+      port: connectionInfo.targetPort,
+      tlsPassthrough: connectionInfo.tlsPassthrough,
+      url: connectionInfo.url,
+    },
+  });
+});
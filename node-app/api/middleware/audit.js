@@ -0,0 +1,191 @@
+/**
+ * Audit Middleware
+ *
+ * Records every mutating API request in the audit trail. `recordRequests`
+ * is mounted once in front of all API routes so nothing is missed; routes
+ * add `audit(action, { load })` to name the action and to capture the
+ * affected state before and after the request.
+ */
+
+const coreServices = require("../../services/core");
+const logger = require("../../utils/logger").getLogger("audit");
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Copy a state snapshot so later changes to live objects don't leak into it
+ */
+function snapshot(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Who made the request
+ */
+function describeActor(user) {
+  if (!user) {
+    return { type: "anonymous", id: null };
+  }
+
+  if (user.type === "operator") {
+    return {
+      type: "operator",
+      id: user.operatorId,
+      role: user.role,
+      keyId: user.keyId,
+    };
+  }
+
+  return { type: user.role, id: user.agentId, role: user.role };
+}
+
+/**
+ * Load the state an action affects, without failing the request
+ */
+async function loadState(load, req) {
+  try {
+    return snapshot(await load(req));
+  } catch (err) {
+    if (err.statusCode !== 404) {
+      logger.warn(`Failed to load audit state: ${err.message}`, {
+        path: req.originalUrl,
+      });
+    }
+    return null;
+  }
+}
+
+/**
+ * Record every mutating request once its response is sent
+ */
+exports.recordRequests = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const startedAt = Date.now();
+  const context = {
+    action: null,
+    agentId: null,
+    params: null,
+    load: null,
+    before: undefined,
+    skip: false,
+    error: null,
+  };
+  req.audit = context;
+
+  // Keep the error message of failed requests, never the response body
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body) {
+      context.error = body.error || body.message || null;
+    }
+    return json(body);
+  };
+
+  res.on("finish", async () => {
+    if (context.skip) {
+      return;
+    }
+
+    const entry = {
+      action:
+        context.action || `${req.method} ${req.originalUrl.split("?")[0]}`,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      actor: describeActor(req.user),
+      agentId: context.agentId,
+      ip: req.ip,
+      forwardedFor: req.headers["x-forwarded-for"] || null,
+      result: {
+        status: res.statusCode,
+        success: res.statusCode < 400,
+        ...(context.error && { error: context.error }),
+      },
+      durationMs: Date.now() - startedAt,
+    };
+
+    if (context.load) {
+      // Route parameters may have been reset by the time the response is sent
+      req.params = context.params || req.params;
+      entry.before = context.before;
+      entry.after = await loadState(context.load, req);
+    }
+
+    entry.agentId =
+      entry.agentId ||
+      (entry.after && entry.after.agentId) ||
+      (entry.before && entry.before.agentId) ||
+      (req.body && req.body.agentId) ||
+      (req.user && req.user.role === "agent" ? req.user.agentId : null);
+
+    coreServices.auditService.record(entry);
+  });
+
+  next();
+};
+
+/**
+ * Name the action of a route and optionally capture the state it changes
+ * @param {string} action - Action name, e.g. "agent.suspend"
+ * @param {Object} [options] - Options
+ * @param {Function} [options.load] - async (req) => state, called before and
+ *   after the request
+ */
+exports.audit = (action, { load } = {}) => {
+  return async (req, res, next) => {
+    const context = req.audit;
+    if (!context) {
+      return next();
+    }
+
+    context.action = action;
+    context.params = { ...req.params };
+    context.agentId =
+      req.params.agentId || (req.body && req.body.agentId) || null;
+
+    if (load) {
+      context.load = load;
+      context.before = await loadState(load, req);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Leave a mutating route out of the audit trail
+ */
+exports.skip = () => {
+  return (req, res, next) => {
+    if (req.audit) {
+      req.audit.skip = true;
+    }
+    next();
+  };
+};
+
+/**
+ * Loaders for the state most routes change
+ */
+exports.loaders = {
+  agent: (req) =>
+    coreServices.agentService.getAgent(
+      req.params.agentId || req.body.agentId
+    ) || null,
+  agentRoutes: (req) =>
+    coreServices.proxyService.getAgentRoutes(
+      req.params.agentId || req.body.agentId
+    ),
+  operator: (req) =>
+    coreServices.operatorService.getOperator(
+      req.params.operatorId || req.body.name
+    ),
+  mongoCredentials: (req) =>
+    coreServices.mongoCredentialService.listCredentials(req.params.agentId),
+  domain: (req) =>
+    coreServices.customDomainService.getDomain(req.params.domain),
+  alertThresholds: () =>
+    require("../../utils/traefikMetricsManager").getThresholds(),
+};
@@ -2,20 +2,71 @@
 /**
  * Authentication Middleware
  *
- * Handles JWT authentication and authorization for API routes.
+ * Handles JWT, API key and client certificate authentication and
+ * authorization for API routes.
  */
 
 const coreServices = require("../../services/core");
 const logger = require("../../utils/logger").getLogger("auth");
 const { AppError } = require("../../utils/errorHandler");
+const { hasScope } = require("../../utils/permissions");
+const mtls = require("../../utils/mtls");
+
+/**
+ * Agent identified by the verified client certificate of a request, if the
+ * route group accepts client certificates
+ */
+function getClientCertificateUser(req, mode) {
+  if (mode === "off" || !coreServices.agentService) {
+    return null;
+  }
+
+  const peer = mtls.getVerifiedPeerCertificate(req);
+  if (!peer) {
+    return null;
+  }
+
+  const user = coreServices.agentService.authenticateClientCertificate(peer);
+  if (!user) {
+    logger.debug("Client certificate is not pinned on any agent", {
+      path: req.path,
+      subject: peer.subject && peer.subject.CN,
+      ip: req.ip,
+    });
+  }
+  return user;
+}
 
 /**
  * Require authentication for protected routes
  */
-exports.requireAuth = (req, res, next) => {
+exports.requireAuth = async (req, res, next) => {
   try {
+    const mode = mtls.getRouteGroupMode(req);
+    const certificateUser = getClientCertificateUser(req, mode);
+
     // Get authorization header
     const authHeader = req.headers.authorization;
+    if (!authHeader && certificateUser) {
+      if (!coreServices.agentService.isAgentActive(certificateUser.agentId)) {
+        logger.warn("Request from inactive agent rejected", {
+          agentId: certificateUser.agentId,
+          path: req.path,
+          ip: req.ip,
+          method: req.method,
+        });
+        return res.status(403).json({
+          success: false,
+          error: `Agent ${certificateUser.agentId} is not active`,
+          code: "AGENT_INACTIVE",
+        });
+      }
+
+      coreServices.agentService.touchAgent(certificateUser.agentId);
+      req.user = certificateUser;
+      return next();
+    }
+
     if (!authHeader) {
       logger.warn("Missing Authorization header", {
         path: req.path,
@@ -62,6 +113,32 @@ exports.requireAuth = (req, res, next) => {
       });
     }
 
+    // Operators authenticate with API keys instead of JWTs
+    if (
+      coreServices.operatorService &&
+      coreServices.operatorService.isApiKey(token)
+    ) {
+      const operator = await coreServices.operatorService.authenticateApiKey(
+        token
+      );
+
+      if (!operator) {
+        logger.warn("Invalid API key", {
+          path: req.path,
+          ip: req.ip,
+          method: req.method,
+        });
+        return res.status(401).json({
+          success: false,
+          error: "Invalid, expired or disabled API key",
+          code: "INVALID_API_KEY",
+        });
+      }
+
+      req.user = operator;
+      return next();
+    }
+
     // Verify token
     try {
       // Ensure core services are initialized
@@ -74,7 +151,7 @@ exports.requireAuth = (req, res, next) => {
         throw new AppError("Authentication service not available", 503);
       }
 
-      const decoded = coreServices.agentService.verifyAgentToken(token);
+      const decoded = await coreServices.agentService.verifyAgentToken(token);
 
       if (!decoded || !decoded.agentId) {
         logger.warn("Token payload missing required fields", {
@@ -85,17 +162,62 @@ exports.requireAuth = (req, res, next) => {
         throw new Error("Invalid token payload");
       }
 
-      // Update last seen timestamp if agent exists
+      // An agent token must belong to the agent of the client certificate,
+      // and comes with one on route groups requiring it
+      if (decoded.role === "agent") {
+        if (certificateUser && certificateUser.agentId !== decoded.agentId) {
+          logger.warn("Token and client certificate of different agents", {
+            agentId: decoded.agentId,
+            certificateAgentId: certificateUser.agentId,
+            path: req.path,
+            ip: req.ip,
+            method: req.method,
+          });
+          return res.status(403).json({
+            success: false,
+            error: "Token and client certificate belong to different agents",
+            code: "CLIENT_CERT_MISMATCH",
+          });
+        }
+
+        if (mode === "required" && !certificateUser) {
+          logger.warn("Agent request without client certificate rejected", {
+            agentId: decoded.agentId,
+            path: req.path,
+            ip: req.ip,
+            method: req.method,
+          });
+          return res.status(401).json({
+            success: false,
+            error:
+              "A client certificate is required. Connect to the mTLS listener with the agent's client certificate.",
+            code: "CLIENT_CERT_REQUIRED",
+          });
+        }
+      }
+
+      // Suspended and decommissioned agents keep valid tokens but may not
+      // use the API until an admin resumes them
       if (
-        decoded.agentId &&
-        coreServices.agentService.agents.has(decoded.agentId)
+        decoded.role !== "admin" &&
+        !coreServices.agentService.isAgentActive(decoded.agentId)
       ) {
-        const agent = coreServices.agentService.agents.get(decoded.agentId);
-        if (agent) {
-          agent.lastSeen = new Date().toISOString();
-        }
+        logger.warn("Request from inactive agent rejected", {
+          agentId: decoded.agentId,
+          path: req.path,
+          ip: req.ip,
+          method: req.method,
+        });
+        return res.status(403).json({
+          success: false,
+          error: `Agent ${decoded.agentId} is not active`,
+          code: "AGENT_INACTIVE",
+        });
       }
 
+      // Update last seen timestamp if agent exists
+      coreServices.agentService.touchAgent(decoded.agentId);
+
       req.user = decoded;
       next();
     } catch (err) {
@@ -111,6 +233,9 @@ exports.requireAuth = (req, res, next) => {
         errorMessage =
           "Invalid token. Token is malformed or signature is invalid.";
         errorCode = "TOKEN_INVALID";
+      } else if (err.name === "TokenRevokedError") {
+        errorMessage = "Token has been revoked. Please authenticate again.";
+        errorCode = "TOKEN_REVOKED";
       }
 
       logger.warn(`Token verification failed: ${err.message}`, {
@@ -156,11 +281,22 @@ exports.requireAuth = (req, res, next) => {
  * Optional authentication middleware
  * Attempts to authenticate but continues even if authentication fails
  */
-exports.optional = (req, res, next) => {
+exports.optional = async (req, res, next) => {
   try {
     // Get authorization header
     const authHeader = req.headers.authorization;
     if (!authHeader) {
+      const certificateUser = getClientCertificateUser(
+        req,
+        mtls.getRouteGroupMode(req)
+      );
+      if (
+        certificateUser &&
+        coreServices.agentService.isAgentActive(certificateUser.agentId)
+      ) {
+        req.user = certificateUser;
+      }
+
       // Continue without authentication
       return next();
     }
@@ -184,6 +320,19 @@ exports.optional = (req, res, next) => {
       return next();
     }
 
+    if (
+      coreServices.operatorService &&
+      coreServices.operatorService.isApiKey(token)
+    ) {
+      const operator = await coreServices.operatorService.authenticateApiKey(
+        token
+      );
+      if (operator) {
+        req.user = operator;
+      }
+      return next();
+    }
+
     // Verify token
     try {
       // Ensure core services are initialized
@@ -194,7 +343,7 @@ exports.optional = (req, res, next) => {
         return next();
       }
 
-      const decoded = coreServices.agentService.verifyAgentToken(token);
+      const decoded = await coreServices.agentService.verifyAgentToken(token);
 
       if (!decoded || !decoded.agentId) {
         logger.debug("Invalid token payload in optional auth", {
@@ -220,17 +369,19 @@ exports.optional = (req, res, next) => {
 };
 
 /**
- * Require a specific role
+ * Require a specific role, or one of several roles
  */
 exports.requireRole = (role) => {
+  const roles = Array.isArray(role) ? role : [role];
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: "Authentication required" });
     }
 
-    if (req.user.role !== role) {
+    if (!roles.includes(req.user.role)) {
       logger.warn("Insufficient permissions", {
-        requiredRole: role,
+        requiredRole: roles.join(","),
         userRole: req.user.role,
         path: req.path,
       });
@@ -242,6 +393,54 @@ exports.requireRole = (role) => {
   };
 };
 
+/**
+ * Require all of the given scopes. Agent tokens only hold their scopes for
+ * requests about their own agent: the agentId route parameter or body
+ * field, or the agent an { agentId: async (req) => ... } resolver passed
+ * last returns.
+ */
+exports.requireScope = (...scopes) => {
+  const options =
+    typeof scopes[scopes.length - 1] === "object" ? scopes.pop() : {};
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    let agentId;
+    try {
+      agentId = options.agentId
+        ? await options.agentId(req)
+        : req.params.agentId || (req.body && req.body.agentId);
+    } catch (err) {
+      return next(err);
+    }
+
+    const missing = scopes.filter(
+      (scope) => !hasScope(req.user, scope, agentId)
+    );
+
+    if (missing.length > 0) {
+      logger.warn("Missing required scopes", {
+        requiredScopes: missing,
+        userRole: req.user.role,
+        agentId: req.user.agentId,
+        operatorId: req.user.operatorId,
+        path: req.path,
+      });
+
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_SCOPE",
+        requiredScopes: missing,
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Check if user is associated with a specific agent
  */
@@ -10,25 +10,29 @@ const router = express.Router();
 const { AppError } = require("../utils/errorHandler");
 const { errorMiddleware } = require("../utils/errorHandler");
 const authMiddleware = require("./middleware/auth");
+const auditMiddleware = require("./middleware/audit");
 
 // Import route modules
 const certificateRoutes = require("./routes/certificate.routes");
 const mongodbRoutes = require("./routes/mongodb.routes");
+const redisRoutes = require("./routes/redis.routes");
+const databaseRoutes = require("./routes/database.routes");
 const healthRoutes = require("./routes/health.routes");
 const metricsRoutes = require("./routes/metrics.routes");
+const domainRoutes = require("./routes/domain.routes");
+const adminRoutes = require("./routes/admin.routes");
 
 // Import controllers
 const agentController = require("./controllers/agentController");
 const certificateController = require("./controllers/certificateController");
+const auditController = require("./controllers/auditController");
 
 // Import core services
 const ProxyService = require("../services/core/proxyService");
-const AgentService = require("../services/core/agentService");
 const ConfigService = require("../services/core/configService");
 
 // Initialize services
 const proxyService = new ProxyService();
-const agentService = new AgentService();
 const configService = new ConfigService();
 
 /**
@@ -37,50 +41,156 @@ const configService = new ConfigService();
 (async () => {
   try {
     await proxyService.initialize();
-    await agentService.initialize();
     await configService.initialize();
   } catch (err) {
     console.error("Failed to initialize services:", err);
   }
 })();
 
+// Record every mutating request in the audit trail
+router.use(auditMiddleware.recordRequests);
+
 // Mount routes
 router.use("/health", healthRoutes);
 router.use("/metrics", metricsRoutes);
 router.use("/certificates", certificateRoutes);
 router.use("/mongodb", mongodbRoutes);
+router.use("/redis", redisRoutes);
+router.use("/databases", databaseRoutes);
+router.use("/proxy/domains", domainRoutes);
+router.use("/admin", adminRoutes);
 
 /**
  * Agent Routes
  */
-// Use the controller implementation for agent registration
-router.post("/agent/register", agentController.registerAgent);
+// Use the controller implementation for agent registration. Registered
+// agents may re-register with their client certificate.
+router.post(
+  "/agent/register",
+  authMiddleware.optional,
+  auditMiddleware.audit("agent.register", {
+    load: auditMiddleware.loaders.agent,
+  }),
+  agentController.registerAgent
+);
 
 // Redirect old endpoint to new one for backward compatibility
-router.post("/agents/register", (req, res) => {
-  // Add a deprecation warning header
-  res.setHeader(
-    "X-Deprecated-API",
-    "This endpoint is deprecated. Please use /api/agent/register instead."
-  );
+router.post(
+  "/agents/register",
+  authMiddleware.optional,
+  auditMiddleware.audit("agent.register", {
+    load: auditMiddleware.loaders.agent,
+  }),
+  (req, res, next) => {
+    // Add a deprecation warning header
+    res.setHeader(
+      "X-Deprecated-API",
+      "This endpoint is deprecated. Please use /api/agent/register instead."
+    );
+
+    // Forward to the controller method
+    agentController.registerAgent(req, res, next);
+  }
+);
 
-  // Forward to the controller method
-  agentController.registerAgent(req, res);
-});
+// The client certificate of the agent is one of the accepted credentials
+router.post(
+  "/agents/authenticate",
+  authMiddleware.optional,
+  auditMiddleware.audit("agent.authenticate"),
+  agentController.authenticateAgent
+);
 
-router.post("/agents/authenticate", agentController.authenticateAgent);
+router.post(
+  "/agents/refresh",
+  auditMiddleware.audit("agent.token.refresh"),
+  agentController.refreshToken
+);
+
+router.get(
+  "/agents",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("agents:read"),
+  agentController.listAgents
+);
 
 router.get(
   "/agents/:agentId",
   authMiddleware.requireAuth,
   authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("agents:read"),
   agentController.getAgentStatus
 );
 
+router.patch(
+  "/agents/:agentId",
+  authMiddleware.requireAuth,
+  authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("agents:write"),
+  auditMiddleware.audit("agent.update", {
+    load: auditMiddleware.loaders.agent,
+  }),
+  agentController.updateAgent
+);
+
+router.post(
+  "/agents/:agentId/heartbeat",
+  authMiddleware.requireAuth,
+  authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("agents:write"),
+  // Heartbeats arrive continuously from every agent and would drown out
+  // everything else
+  auditMiddleware.skip(),
+  agentController.heartbeat
+);
+
+router.post(
+  "/agents/:agentId/tokens/revoke",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("agents:tokens"),
+  auditMiddleware.audit("agent.tokens.revoke"),
+  agentController.revokeTokens
+);
+
+// Lifecycle transitions
+router.post(
+  "/agents/:agentId/suspend",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("agents:suspend"),
+  auditMiddleware.audit("agent.suspend", {
+    load: auditMiddleware.loaders.agent,
+  }),
+  agentController.suspendAgent
+);
+
+router.post(
+  "/agents/:agentId/resume",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("agents:suspend"),
+  auditMiddleware.audit("agent.resume", {
+    load: auditMiddleware.loaders.agent,
+  }),
+  agentController.resumeAgent
+);
+
+router.post(
+  "/agents/:agentId/decommission",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("agents:delete"),
+  auditMiddleware.audit("agent.decommission", {
+    load: auditMiddleware.loaders.agent,
+  }),
+  agentController.decommissionAgent
+);
+
 router.delete(
   "/agents/:agentId",
   authMiddleware.requireAuth,
   authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("agents:delete"),
+  auditMiddleware.audit("agent.deregister", {
+    load: auditMiddleware.loaders.agent,
+  }),
   agentController.deregisterAgent
 );
 
@@ -89,6 +199,10 @@ router.delete(
   "/agent/:agentId",
   authMiddleware.requireAuth,
   authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("agents:delete"),
+  auditMiddleware.audit("agent.deregister", {
+    load: auditMiddleware.loaders.agent,
+  }),
   agentController.deregisterAgent
 );
 
@@ -98,9 +212,23 @@ router.delete(
 router.post(
   "/proxy/http",
   authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  auditMiddleware.audit("proxy.route.add", {
+    load: auditMiddleware.loaders.agentRoutes,
+  }),
   async (req, res, next) => {
     try {
-      const { agentId, subdomain, targetUrl, options } = req.body;
+      const {
+        agentId,
+        subdomain,
+        targetUrl,
+        hosts,
+        rules,
+        servers,
+        loadBalancer,
+        middlewares,
+        options,
+      } = req.body;
 
       if (!agentId) {
         throw new AppError("Agent ID is required", 400);
@@ -110,15 +238,22 @@ router.post(
         throw new AppError("Subdomain is required", 400);
       }
 
-      if (!targetUrl) {
-        throw new AppError("Target URL is required", 400);
+      if (!targetUrl && !servers) {
+        throw new AppError("Target URL or servers are required", 400);
       }
 
       const result = await proxyService.addHttpRoute(
         agentId,
         subdomain,
         targetUrl,
-        options || {}
+        {
+          ...(options || {}),
+          ...(hosts && { hosts }),
+          ...(rules && { rules }),
+          ...(servers && { servers }),
+          ...(loadBalancer && { loadBalancer }),
+          ...(middlewares && { middlewares }),
+        }
       );
 
       res.json(result);
@@ -128,30 +263,99 @@ router.post(
   }
 );
 
-router.delete("/proxy", authMiddleware.requireAuth, async (req, res, next) => {
-  try {
-    const { agentId, subdomain } = req.body;
+router.delete(
+  "/proxy",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  auditMiddleware.audit("proxy.route.remove", {
+    load: auditMiddleware.loaders.agentRoutes,
+  }),
+  async (req, res, next) => {
+    try {
+      const { agentId, subdomain, rule } = req.body;
+
+      if (!agentId) {
+        throw new AppError("Agent ID is required", 400);
+      }
+
+      if (!subdomain) {
+        throw new AppError("Subdomain is required for HTTP routes", 400);
+      }
+
+      // Optionally remove a single rule instead of the whole route
+      const result = await proxyService.removeRoute(agentId, subdomain, rule);
 
-    if (!agentId) {
-      throw new AppError("Agent ID is required", 400);
+      res.json(result);
+    } catch (err) {
+      next(err);
     }
+  }
+);
+
+// Add (or reweight) a single upstream server of an HTTP route
+router.post(
+  "/proxy/http/:agentId/:subdomain/servers",
+  authMiddleware.requireAuth,
+  authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("proxy:write"),
+  auditMiddleware.audit("proxy.server.add", {
+    load: auditMiddleware.loaders.agentRoutes,
+  }),
+  async (req, res, next) => {
+    try {
+      const { agentId, subdomain } = req.params;
+      const { url, weight, rule } = req.body;
+
+      if (!url) {
+        throw new AppError("Server URL is required", 400);
+      }
+
+      const result = await proxyService.addServer(agentId, subdomain, url, {
+        weight,
+        rule,
+      });
 
-    if (!subdomain) {
-      throw new AppError("Subdomain is required for HTTP routes", 400);
+      res.json(result);
+    } catch (err) {
+      next(err);
     }
+  }
+);
+
+// Drain a single upstream server without rewriting the route
+router.delete(
+  "/proxy/http/:agentId/:subdomain/servers",
+  authMiddleware.requireAuth,
+  authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("proxy:write"),
+  auditMiddleware.audit("proxy.server.drain", {
+    load: auditMiddleware.loaders.agentRoutes,
+  }),
+  async (req, res, next) => {
+    try {
+      const { agentId, subdomain } = req.params;
+      const { url, rule } = req.body;
 
-    const result = await proxyService.removeRoute(agentId, subdomain);
+      if (!url) {
+        throw new AppError("Server URL is required", 400);
+      }
 
-    res.json(result);
-  } catch (err) {
-    next(err);
+      const result = await proxyService.drainServer(agentId, subdomain, url, {
+        rule,
+      });
+
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 router.get(
   "/proxy/agents/:agentId",
   authMiddleware.requireAuth,
   authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("proxy:read"),
   async (req, res, next) => {
     try {
       const { agentId } = req.params;
@@ -166,7 +370,7 @@ router.get(
 router.get(
   "/proxy",
   authMiddleware.requireAuth,
-  authMiddleware.requireAdmin(),
+  authMiddleware.requireScope("proxy:read"),
   async (req, res, next) => {
     try {
       const result = await proxyService.getAllRoutes();
@@ -180,19 +384,25 @@ router.get(
 /**
  * Configuration Routes
  */
-router.get("/config", authMiddleware.requireAuth, async (req, res, next) => {
-  try {
-    const result = await configService.getConfig();
-    res.json(result);
-  } catch (err) {
-    next(err);
+router.get(
+  "/config",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("config:read"),
+  async (req, res, next) => {
+    try {
+      const result = await configService.getConfig();
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 router.get(
   "/config/:agentId",
   authMiddleware.requireAuth,
   authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("config:read"),
   async (req, res, next) => {
     try {
       const { agentId } = req.params;
@@ -204,28 +414,26 @@ router.get(
   }
 );
 
-// Certificate routes
-router.get(
-  "/certificates/agent/:agentId",
-  //authMiddleware.requireAuth,
-  //authMiddleware.requireAgentAccess(),
-  certificateController.getAgentCertificates
-);
-
-// Temporary endpoint to regenerate certificates for an agent (without auth)
-router.post(
-  "/certificates/temp-regenerate/:agentId",
-  certificateController.tempRegenerateAgentCertificate
-);
-
 // Certificate regeneration
 router.post(
   "/certificates/agent/:agentId/regenerate",
   authMiddleware.requireAuth,
   authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("certificates:renew"),
+  auditMiddleware.audit("certificate.regenerate"),
   certificateController.regenerateAgentCertificate
 );
 
+/**
+ * Audit Routes
+ */
+router.get(
+  "/audit",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("audit:read"),
+  auditController.listEntries
+);
+
 // Apply error handling middleware
 router.use(errorMiddleware);
 
@@ -0,0 +1,251 @@
+/**
+ * Admin Routes
+ *
+ * Operational endpoints, each guarded by a scope:
+ * - Drift detection and repair between agent registry and Consul
+ * - Rotation of the agent token signing key
+ * - Enrollment tokens for agent registration
+ * - Operators and their API keys
+ * - Internal CA hierarchy and root rotation
+ */
+
+const express = require("express");
+const router = express.Router();
+const reconcileController = require("../controllers/reconcileController");
+const agentController = require("../controllers/agentController");
+const enrollmentController = require("../controllers/enrollmentController");
+const operatorController = require("../controllers/operatorController");
+const certificateController = require("../controllers/certificateController");
+const { requireAuth, requireScope } = require("../middleware/auth");
+const { audit, loaders } = require("../middleware/audit");
+
+router.use(requireAuth);
+
+/**
+ * Report drift between desired state and Consul (dry run)
+ *
+ * GET /api/admin/reconcile
+ */
+router.get(
+  "/reconcile",
+  requireScope("reconcile:read"),
+  reconcileController.getDrift
+);
+
+/**
+ * Reconcile now
+ *
+ * POST /api/admin/reconcile
+ * Body: { dryRun: true } to only report
+ */
+router.post(
+  "/reconcile",
+  requireScope("reconcile:write"),
+  audit("reconcile.run"),
+  reconcileController.reconcile
+);
+
+/**
+ * Start signing agent tokens with a new key
+ *
+ * POST /api/admin/signing-keys/rotate
+ */
+router.post(
+  "/signing-keys/rotate",
+  requireScope("agents:tokens"),
+  audit("signing-key.rotate"),
+  agentController.rotateSigningKey
+);
+
+/**
+ * Issue a single-use enrollment token
+ *
+ * POST /api/admin/enrollment-tokens
+ * Body: { agentId, cidr, ttlSeconds }
+ */
+router.post(
+  "/enrollment-tokens",
+  requireScope("enrollment:write"),
+  audit("enrollment-token.create"),
+  enrollmentController.createToken
+);
+
+/**
+ * List enrollment tokens
+ *
+ * GET /api/admin/enrollment-tokens
+ */
+router.get(
+  "/enrollment-tokens",
+  requireScope("enrollment:read"),
+  enrollmentController.listTokens
+);
+
+/**
+ * Revoke an enrollment token
+ *
+ * DELETE /api/admin/enrollment-tokens/:id
+ */
+router.delete(
+  "/enrollment-tokens/:id",
+  requireScope("enrollment:write"),
+  audit("enrollment-token.revoke"),
+  enrollmentController.revokeToken
+);
+
+/**
+ * Create an operator
+ *
+ * POST /api/admin/operators
+ * Body: { name, role, scopes }
+ */
+router.post(
+  "/operators",
+  requireScope("operators:write"),
+  audit("operator.create", { load: loaders.operator }),
+  operatorController.createOperator
+);
+
+/**
+ * List operators
+ *
+ * GET /api/admin/operators
+ */
+router.get(
+  "/operators",
+  requireScope("operators:read"),
+  operatorController.listOperators
+);
+
+/**
+ * Get an operator
+ *
+ * GET /api/admin/operators/:operatorId
+ */
+router.get(
+  "/operators/:operatorId",
+  requireScope("operators:read"),
+  operatorController.getOperator
+);
+
+/**
+ * Change role, scopes or disabled flag of an operator
+ *
+ * PATCH /api/admin/operators/:operatorId
+ * Body: { role, scopes, disabled }
+ */
+router.patch(
+  "/operators/:operatorId",
+  requireScope("operators:write"),
+  audit("operator.update", { load: loaders.operator }),
+  operatorController.updateOperator
+);
+
+/**
+ * Delete an operator and its API keys
+ *
+ * DELETE /api/admin/operators/:operatorId
+ */
+router.delete(
+  "/operators/:operatorId",
+  requireScope("operators:write"),
+  audit("operator.delete", { load: loaders.operator }),
+  operatorController.deleteOperator
+);
+
+/**
+ * Create an API key for an operator
+ *
+ * POST /api/admin/operators/:operatorId/keys
+ * Body: { name, scopes, ttlSeconds }
+ */
+router.post(
+  "/operators/:operatorId/keys",
+  requireScope("operators:write"),
+  audit("operator.api-key.create"),
+  operatorController.createApiKey
+);
+
+/**
+ * List the API keys of an operator
+ *
+ * GET /api/admin/operators/:operatorId/keys
+ */
+router.get(
+  "/operators/:operatorId/keys",
+  requireScope("operators:read"),
+  operatorController.listApiKeys
+);
+
+/**
+ * Revoke an API key
+ *
+ * DELETE /api/admin/operators/:operatorId/keys/:keyId
+ */
+router.delete(
+  "/operators/:operatorId/keys/:keyId",
+  requireScope("operators:write"),
+  audit("operator.api-key.revoke"),
+  operatorController.revokeApiKey
+);
+
+/**
+ * Root, intermediate and CA bundle of the internal CA
+ *
+ * GET /api/admin/ca
+ */
+router.get(
+  "/ca",
+  requireScope("ca:read"),
+  certificateController.getCaHierarchy
+);
+
+/**
+ * Rotate the root CA, agents are reissued in the background
+ *
+ * POST /api/admin/ca/rotation
+ */
+router.post(
+  "/ca/rotation",
+  requireScope("ca:rotate"),
+  audit("ca.rotation.start"),
+  certificateController.startCaRotation
+);
+
+/**
+ * Progress of the current or last root rotation
+ *
+ * GET /api/admin/ca/rotation
+ */
+router.get(
+  "/ca/rotation",
+  requireScope("ca:read"),
+  certificateController.getCaRotation
+);
+
+/**
+ * Retry the agents whose certificates failed to reissue
+ *
+ * POST /api/admin/ca/rotation/retry
+ */
+router.post(
+  "/ca/rotation/retry",
+  requireScope("ca:rotate"),
+  audit("ca.rotation.retry"),
+  certificateController.retryCaRotation
+);
+
+/**
+ * End the dual-trust period of the root rotation
+ *
+ * POST /api/admin/ca/rotation/finalize
+ * Body: { force: true } to finalize although agents are left behind
+ */
+router.post(
+  "/ca/rotation/finalize",
+  requireScope("ca:rotate"),
+  audit("ca.rotation.finalize"),
+  certificateController.finalizeCaRotation
+);
+
+module.exports = router;
@@ -12,7 +12,8 @@ const express = require("express");
 const router = express.Router();
 const { asyncHandler } = require("../../utils/errorHandler");
 const certificateController = require("../controllers/certificateController");
-const { requireRole } = require("../middleware/auth");
+const { requireAuth, requireScope, optional } = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
 
 /**
  * Get MongoDB CA certificate
@@ -35,256 +36,63 @@ router.get(
 );
 
 /**
- * TEMPORARY: Force renewal of all certificates without auth
- * Remove this endpoint after testing is complete!
+ * Get certificate status
  *
- * GET /api/certificates/temp-renew-all
- * No authentication required - FOR DEVELOPMENT USE ONLY
+ * GET /api/certificates/status
+ * Requires the certificates:read scope
  */
 router.get(
-  "/temp-renew-all",
-  asyncHandler(async (req, res) => {
-    try {
-      const coreServices = require("../../services/core");
-      const pathManager = require("../../utils/pathManager");
-      const fs = require("fs").promises;
-      const path = require("path");
-
-      // Add debugging information to response
-      const debugInfo = {
-        certsPath: null,
-        agentsPath: null,
-        configPath: null,
-        directories: {
-          certs: null,
-          agents: null,
-          config: null,
-        },
-        foundCertificates: [],
-        pathManagerInitialized: false,
-        certificateServiceInitialized: false,
-      };
-
-      // Check path manager status
-      if (pathManager.initialized) {
-        debugInfo.pathManagerInitialized = true;
-        debugInfo.certsPath = pathManager.getPath("certs");
-        debugInfo.agentsPath = `${debugInfo.certsPath}/agents`;
-        debugInfo.configPath = pathManager.getPath("config");
-      }
-
-      if (!coreServices.certificateService) {
-        return res.status(500).json({
-          success: false,
-          message: "Certificate service not available",
-          debugInfo,
-        });
-      }
-
-      // Initialize if needed
-      if (!coreServices.certificateService.initialized) {
-        await coreServices.certificateService.initialize();
-      }
-
-      debugInfo.certificateServiceInitialized =
-        coreServices.certificateService.initialized;
-
-      // Check if directories exist and what they contain
-      try {
-        const certsDir = coreServices.certificateService.certsDir;
-        debugInfo.certsPath = certsDir;
-
-        const agentsDir = `${certsDir}/agents`;
-        debugInfo.agentsPath = agentsDir;
-
-        // List directories
-        try {
-          const certsDirContents = await fs.readdir(certsDir);
-          debugInfo.directories.certs = certsDirContents;
-        } catch (e) {
-          debugInfo.directories.certs = `Error: ${e.message}`;
-        }
-
-        try {
-          const agentsDirContents = await fs.readdir(agentsDir);
-          debugInfo.directories.agents = agentsDirContents;
-        } catch (e) {
-          debugInfo.directories.agents = `Error: ${e.message}`;
-        }
-
-        // Look for certificates in other potential locations
-        try {
-          const configDir = process.env.CONFIG_DIR || "/app/config";
-          debugInfo.configPath = configDir;
-
-          const configDirContents = await fs.readdir(configDir);
-          debugInfo.directories.config = configDirContents;
-
-          // Check if there's an alternative agents directory
-          if (configDirContents.includes("agents")) {
-            const altAgentsPath = path.join(configDir, "agents");
-            const altAgentsDirContents = await fs.readdir(altAgentsPath);
-            debugInfo.directories.altAgents = altAgentsDirContents;
-
-            // Look for certificate files in agent directories
-            for (const agentDir of altAgentsDirContents) {
-              try {
-                const agentPath = path.join(altAgentsPath, agentDir);
-                const stat = await fs.stat(agentPath);
-
-                if (stat.isDirectory()) {
-                  const agentFiles = await fs.readdir(agentPath);
-                  const hasCertFiles = agentFiles.some(
-                    (file) =>
-                      file.endsWith(".crt") ||
-                      file.endsWith(".key") ||
-                      file.endsWith(".pem")
-                  );
-
-                  if (hasCertFiles) {
-                    debugInfo.foundCertificates.push({
-                      agentId: agentDir,
-                      path: agentPath,
-                      files: agentFiles,
-                    });
-                  }
-                }
-              } catch (err) {
-                // Skip errors for individual agent directories
-              }
-            }
-          }
-
-          // Also check if certificates are stored in a flattened structure
-          const configCertsPath = path.join(configDir, "certs");
-          if (configDirContents.includes("certs")) {
-            try {
-              const configCertsDirContents = await fs.readdir(configCertsPath);
-              debugInfo.directories.configCerts = configCertsDirContents;
-
-              // Check for certificate files in a flat structure
-              const certFiles = configCertsDirContents.filter(
-                (file) =>
-                  file.endsWith(".crt") ||
-                  file.endsWith(".key") ||
-                  file.endsWith(".pem")
-              );
-
-              // Group by prefix to identify agent certificates
-              const agentPrefixMap = {};
-              for (const file of certFiles) {
-                if (file === "ca.crt" || file === "ca.key") continue;
-
-                const match = file.match(/^([^\.]+)\.(?:crt|key|pem)$/);
-                if (match) {
-                  const prefix = match[1];
-                  if (!agentPrefixMap[prefix]) {
-                    agentPrefixMap[prefix] = [];
-                  }
-                  agentPrefixMap[prefix].push(file);
-                }
-              }
-
-              // Add any identified agent certificates
-              Object.keys(agentPrefixMap).forEach((prefix) => {
-                if (agentPrefixMap[prefix].length >= 2) {
-                  // Likely a cert+key pair
-                  debugInfo.foundCertificates.push({
-                    agentId: prefix,
-                    path: configCertsPath,
-                    files: agentPrefixMap[prefix],
-                  });
-                }
-              });
-            } catch (e) {
-              debugInfo.directories.configCerts = `Error: ${e.message}`;
-            }
-          }
-        } catch (e) {
-          debugInfo.directories.config = `Error: ${e.message}`;
-        }
-      } catch (dirError) {
-        debugInfo.directoryError = dirError.message;
-      }
-
-      // Try to find the expected directory structure
-      debugInfo.serviceConfig = {
-        certsDir: coreServices.certificateService.certsDir,
-        useHaproxy: coreServices.certificateService.useHaproxy || false,
-        caPath: coreServices.certificateService.caPath || null,
-        caKeyPath: coreServices.certificateService.caKeyPath || null,
-        autoRenew: coreServices.certificateService.autoRenew || false,
-      };
-
-      const result =
-        await coreServices.certificateService.checkAndRenewCertificates({
-          forceRenewal: true,
-          renewBeforeDays: 30,
-        });
-
-      return res.status(200).json({
-        success: true,
-        message: "Certificate operation completed",
-        result,
-        debugInfo,
-      });
-    } catch (error) {
-      return res.status(500).json({
+  "/status",
+  requireAuth,
+  requireScope("certificates:read"),
+  function (req, res) {
+    // Explicitly define a handler function
+    if (typeof certificateController.getCertificateStatus === "function") {
+      return certificateController.getCertificateStatus(req, res);
+    } else {
+      return res.status(501).json({
         success: false,
-        message: "Certificate operation failed",
-        error: error.message,
+        message: "Certificate status functionality not implemented yet",
       });
     }
-  })
-);
-
-/**
- * Get certificate status
- *
- * GET /api/certificates/status
- * Requires admin role
- */
-router.get("/status", requireRole("admin"), function (req, res) {
-  // Explicitly define a handler function
-  if (typeof certificateController.getCertificateStatus === "function") {
-    return certificateController.getCertificateStatus(req, res);
-  } else {
-    return res.status(501).json({
-      success: false,
-      message: "Certificate status functionality not implemented yet",
-    });
   }
-});
+);
 
 /**
  * Get certificate metrics
  * Shows current metrics and trends
  *
  * GET /api/certificates/metrics
- * Requires admin role
+ * Requires the certificates:read scope
  */
-router.get("/metrics", requireRole("admin"), function (req, res) {
-  // Explicitly define a handler function
-  if (typeof certificateController.getCertificateMetrics === "function") {
-    return certificateController.getCertificateMetrics(req, res);
-  } else {
-    return res.status(501).json({
-      success: false,
-      message: "Certificate metrics functionality not implemented yet",
-    });
+router.get(
+  "/metrics",
+  requireAuth,
+  requireScope("certificates:read"),
+  function (req, res) {
+    // Explicitly define a handler function
+    if (typeof certificateController.getCertificateMetrics === "function") {
+      return certificateController.getCertificateMetrics(req, res);
+    } else {
+      return res.status(501).json({
+        success: false,
+        message: "Certificate metrics functionality not implemented yet",
+      });
+    }
   }
-});
+);
 
 /**
  * Get historical certificate metrics
  * Shows metrics history for a specific time range
  *
  * GET /api/certificates/metrics/history
- * Requires admin role
+ * Requires the certificates:read scope
  */
 router.get(
   "/metrics/history",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:read"),
   asyncHandler(certificateController.getMetricsHistory)
 );
 
@@ -292,11 +100,12 @@ router.get(
  * List all certificates in the system
  *
  * GET /api/certificates
- * Requires admin role
+ * Requires the certificates:read scope
  */
 router.get(
   "/",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:read"),
   asyncHandler(certificateController.getAllCertificates)
 );
 
@@ -304,119 +113,96 @@ router.get(
  * Trigger certificate renewal check
  *
  * POST /api/certificates/renew-check
- * Requires admin role
+ * Requires the certificates:renew scope
  */
 router.post(
   "/renew-check",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:renew"),
+  audit("certificate.renew-check"),
   asyncHandler(certificateController.runRenewalCheck)
 );
 
 /**
- * Get agent certificates
+ * Get the issued certificate of an agent, never its private key
  *
  * GET /api/certificates/agent/:agentId
- * Requires authentication and agent access
+ * Requires the certificates:read scope (agents: their own agent only)
  */
 router.get(
   "/agent/:agentId",
-  asyncHandler(async (req, res) => {
-    const { agentId } = req.params;
-    const { targetIp } = req.query;
-
-    const logger = require("../../utils/logger").getLogger(
-      "certificateController"
-    );
-    logger.info(
-      `Certificate request for agent ${agentId}${
-        targetIp ? ` with IP ${targetIp}` : ""
-      }`
-    );
-
-    // Initialize certificate service if needed
-    const coreServices = require("../../services/core");
-    if (!coreServices.certificateService) {
-      throw new Error("Certificate service not available");
-    }
-
-    if (!coreServices.certificateService.initialized) {
-      logger.info("Initializing certificate service");
-      await coreServices.certificateService.initialize();
-    }
-
-    try {
-      // Get the certificates from the service
-      // First try to generate - this will either create new certs or use existing ones
-      await coreServices.certificateService.generateAgentCertificate(
-        agentId,
-        targetIp
-      );
-
-      // After generation, retrieve the actual certificate files
-      const certFiles =
-        await coreServices.certificateService.getAgentCertificates(agentId);
-
-      // Add debugging information to help diagnose issues
-      const debugInfo = {
-        certsDir: coreServices.certificateService.certsDir,
-        agentCertsDir: `${coreServices.certificateService.certsDir}/agents/${agentId}`,
-        certificatesGenerated: true,
-        certificatesRetrieved: !!certFiles,
-      };
-
-      logger.info(
-        `Certificate generation result for ${agentId}: success=${!!certFiles}`
-      );
-
-      // Return the certificate data
-      return res.status(200).json({
-        success: !!certFiles,
-        agentId,
-        certificates: certFiles
-          ? {
-              serverKey: certFiles.serverKey,
-              serverCert: certFiles.serverCert,
-              caCert: certFiles.caCert,
-            }
-          : null,
-        debugInfo,
-      });
-    } catch (error) {
-      logger.error(`Certificate generation error: ${error.message}`);
-
-      // Return error with debugging info
-      return res.status(500).json({
-        success: false,
-        message: `Failed to generate/retrieve agent certificates: ${error.message}`,
-        agentId,
-        error: error.message,
-        stack: error.stack,
-      });
-    }
-  })
+  requireAuth,
+  requireScope("certificates:read"),
+  asyncHandler(certificateController.getAgentCertificates)
 );
 
 /**
  * Regenerate agent certificate
  *
  * POST /api/certificates/agent/:agentId/regenerate
- * Requires authentication and agent access
+ * Requires the certificates:renew scope (agents: their own agent only)
  */
 router.post(
   "/agent/:agentId/regenerate",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:renew"),
+  audit("certificate.regenerate"),
   asyncHandler(certificateController.regenerateAgentCertificate)
 );
 
+/**
+ * Sign a CSR of an agent, the private key stays on the agent
+ *
+ * POST /api/certificates/agent/:agentId/csr
+ * Requires the certificates:issue scope (agents: their own agent only)
+ */
+router.post(
+  "/agent/:agentId/csr",
+  requireAuth,
+  requireScope("certificates:issue"),
+  audit("certificate.csr.sign"),
+  asyncHandler(certificateController.signAgentCsr)
+);
+
+/**
+ * Issue the client certificate of an agent for the mTLS listener
+ *
+ * POST /api/certificates/agent/:agentId/client
+ * Agents: their client certificate or a refresh token, so the first
+ * certificate can be obtained while the route group requires one.
+ * Operators: the certificates:issue scope.
+ */
+router.post(
+  "/agent/:agentId/client",
+  optional,
+  audit("certificate.client.issue"),
+  asyncHandler(certificateController.issueClientCertificate)
+);
+
+/**
+ * Revoke the client certificate of an agent
+ *
+ * DELETE /api/certificates/agent/:agentId/client
+ * Requires the certificates:issue scope (agents: their own agent only)
+ */
+router.delete(
+  "/agent/:agentId/client",
+  requireAuth,
+  requireScope("certificates:issue"),
+  audit("certificate.client.revoke"),
+  asyncHandler(certificateController.revokeClientCertificate)
+);
+
 /**
  * Validate agent certificate setup
  *
  * GET /api/certificates/agent/:agentId/validate
- * Requires authentication and agent access
+ * Requires the certificates:read scope (agents: their own agent only)
  */
 router.get(
   "/agent/:agentId/validate",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:read"),
   asyncHandler(certificateController.validateAgentCertificate)
 );
 
@@ -424,11 +210,13 @@ router.get(
  * Issue or renew Let's Encrypt wildcard certificate
  *
  * POST /api/certificates/letsencrypt
- * Requires admin role
+ * Requires the certificates:issue scope
  */
 router.post(
   "/letsencrypt",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:issue"),
+  audit("certificate.letsencrypt.issue"),
   asyncHandler(certificateController.issueLetsEncryptCert)
 );
 
@@ -436,11 +224,12 @@ router.post(
  * Get certificate provider types
  *
  * GET /api/certificates/providers
- * Requires admin role
+ * Requires the certificates:read scope
  */
 router.get(
   "/providers",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:read"),
   asyncHandler(certificateController.getCertificateProviderTypes)
 );
 
@@ -448,11 +237,12 @@ router.get(
  * Get certificate provider configuration
  *
  * GET /api/certificates/providers/:providerType/config
- * Requires admin role
+ * Requires the certificates:read scope
  */
 router.get(
   "/providers/:providerType/config",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:read"),
   asyncHandler(certificateController.getCertificateProviderConfig)
 );
 
@@ -460,11 +250,12 @@ router.get(
  * Get certificate provider capabilities
  *
  * GET /api/certificates/provider/capabilities
- * Requires admin role
+ * Requires the certificates:read scope
  */
 router.get(
   "/provider/capabilities",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:read"),
   asyncHandler(certificateController.getCertificateProviderCapabilities)
 );
 
@@ -472,11 +263,12 @@ router.get(
  * Validate certificate provider configuration
  *
  * GET /api/certificates/provider/validate
- * Requires admin role
+ * Requires the certificates:read scope
  */
 router.get(
   "/provider/validate",
-  requireRole("admin"),
+  requireAuth,
+  requireScope("certificates:read"),
   asyncHandler(certificateController.validateCertificateProviderConfig)
 );
 
@@ -0,0 +1,181 @@
+/**
+ * Database Routes
+ *
+ * Generic endpoints for every database type of the database factory
+ * (mongodb, redis, postgres, mysql). :type selects the engine.
+ */
+
+const express = require("express");
+const router = express.Router();
+const databaseController = require("../controllers/databaseController");
+const { requireAuth, requireScope } = require("../middleware/auth");
+const { audit, loaders } = require("../middleware/audit");
+
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/databases:
+ *   get:
+ *     summary: List supported database types
+ *     tags: [Databases]
+ *     responses:
+ *       200:
+ *         description: Database types with their domain and entrypoint port
+ */
+router.get("/", requireScope("proxy:read"), databaseController.listTypes);
+
+/**
+ * @swagger
+ * /api/databases/{type}/register:
+ *   post:
+ *     summary: Register an agent's database server
+ *     description: Routes <agentId>.<type domain> to the server by TLS SNI
+ *     tags: [Databases]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agentId
+ *               - targetIp
+ *             properties:
+ *               agentId:
+ *                 type: string
+ *               targetIp:
+ *                 type: string
+ *               targetPort:
+ *                 type: number
+ *                 description: Defaults to the engine's standard port
+ *               tlsPassthrough:
+ *                 type: boolean
+ *                 description: Pass TLS through to the server instead of terminating it in Traefik
+ *     responses:
+ *       200:
+ *         description: Database registered
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Unknown database type
+ */
+router.post(
+  "/:type/register",
+  requireScope("proxy:write"),
+  audit("database.register", { load: loaders.agentRoutes }),
+  databaseController.registerDatabase
+);
+
+/**
+ * @swagger
+ * /api/databases/{type}:
+ *   get:
+ *     summary: List registered databases of a type
+ *     tags: [Databases]
+ *     responses:
+ *       200:
+ *         description: Registered databases
+ *       404:
+ *         description: Unknown database type
+ */
+router.get(
+  "/:type",
+  requireScope("proxy:read"),
+  databaseController.listDatabases
+);
+
+/**
+ * @swagger
+ * /api/databases/{type}/{agentId}/connection-info:
+ *   get:
+ *     summary: Get connection information of an agent's database
+ *     tags: [Databases]
+ *     responses:
+ *       200:
+ *         description: Domain, target and connection string
+ *       404:
+ *         description: Unknown type or no registration for the agent
+ */
+router.get(
+  "/:type/:agentId/connection-info",
+  requireScope("proxy:read"),
+  databaseController.getConnectionInfo
+);
+
+/**
+ * @swagger
+ * /api/databases/{type}/{agentId}/test:
+ *   get:
+ *     summary: Probe an agent's database directly and through Traefik
+ *     tags: [Databases]
+ *     responses:
+ *       200:
+ *         description: Probe results
+ *       404:
+ *         description: Unknown type or no registration for the agent
+ */
+router.get(
+  "/:type/:agentId/test",
+  requireScope("proxy:read"),
+  databaseController.testConnection
+);
+
+/**
+ * @swagger
+ * /api/databases/{type}/{agentId}/credentials:
+ *   post:
+ *     summary: Generate credentials for an agent's database
+ *     description: Returns a password, connection string and the statements that create the account on the server
+ *     tags: [Databases]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               dbName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Generated credentials
+ *       400:
+ *         description: Invalid username or database name
+ *       501:
+ *         description: Not supported for this database type
+ */
+router.post(
+  "/:type/:agentId/credentials",
+  requireScope("credentials:write"),
+  audit("database.credentials"),
+  databaseController.generateCredentials
+);
+
+/**
+ * @swagger
+ * /api/databases/{type}/{agentId}:
+ *   delete:
+ *     summary: Remove an agent's database route
+ *     tags: [Databases]
+ *     responses:
+ *       200:
+ *         description: Route removed
+ *       404:
+ *         description: Unknown type or no registration for the agent
+ */
+router.delete(
+  "/:type/:agentId",
+  requireScope("proxy:write"),
+  audit("database.remove", { load: loaders.agentRoutes }),
+  databaseController.removeDatabase
+);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * Custom Domain Routes
+ *
+ * Endpoints for attaching external domains to agent applications:
+ * - Requesting a domain and its DNS challenge
+ * - Verifying domain ownership
+ * - Listing and removing custom domains
+ */
+
+const express = require("express");
+const router = express.Router();
+const domainController = require("../controllers/domainController");
+const { requireAuth, requireScope } = require("../middleware/auth");
+const { audit, loaders } = require("../middleware/audit");
+
+// Agents only hold their scopes for their own domains
+const domainAgent = { agentId: domainController.resolveAgentId };
+
+router.use(requireAuth);
+
+/**
+ * Request a custom domain
+ *
+ * POST /api/proxy/domains
+ * Body: { agentId, domain, subdomain, method: "txt" | "cname" }
+ */
+router.post(
+  "/",
+  requireScope("proxy:write", domainAgent),
+  audit("domain.request"),
+  domainController.requestDomain
+);
+
+/**
+ * List custom domains (operators may filter with ?agentId=)
+ *
+ * GET /api/proxy/domains
+ */
+router.get(
+  "/",
+  requireScope("proxy:read", domainAgent),
+  domainController.listDomains
+);
+
+/**
+ * Get a custom domain with its verification and certificate status
+ *
+ * GET /api/proxy/domains/:domain
+ */
+router.get(
+  "/:domain",
+  requireScope("proxy:read", domainAgent),
+  domainController.getDomain
+);
+
+/**
+ * Check the DNS challenge and activate the domain
+ *
+ * POST /api/proxy/domains/:domain/verify
+ */
+router.post(
+  "/:domain/verify",
+  requireScope("proxy:write", domainAgent),
+  audit("domain.verify", { load: loaders.domain }),
+  domainController.verifyDomain
+);
+
+/**
+ * Remove a custom domain
+ *
+ * DELETE /api/proxy/domains/:domain
+ */
+router.delete(
+  "/:domain",
+  requireScope("proxy:write", domainAgent),
+  audit("domain.remove", { load: loaders.domain }),
+  domainController.removeDomain
+);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const express = require("express");
 const router = express.Router();
 const healthController = require("../controllers/healthController");
 const authMiddleware = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
 
 /**
  * Basic Health Check
@@ -22,6 +23,7 @@ router.get("/", healthController.getBasicHealth);
 router.get(
   "/dashboard",
   authMiddleware.requireAuth,
+  authMiddleware.requireScope("health:read"),
   healthController.getHealthDashboard
 );
 
@@ -44,7 +46,8 @@ router.get("/consul", healthController.checkConsul);
 router.post(
   "/consul/recover",
   authMiddleware.requireAuth,
-  authMiddleware.requireAdmin,
+  authMiddleware.requireScope("health:write"),
+  audit("consul.recover"),
   healthController.recoverConsulService
 );
 
@@ -55,6 +58,7 @@ router.post(
 router.get(
   "/certificates",
   authMiddleware.requireAuth,
+  authMiddleware.requireScope("certificates:read"),
   healthController.getCertificateReport
 );
 
@@ -71,6 +75,8 @@ router.get("/certificates/metrics", healthController.getCertificateMetrics);
 router.post(
   "/certificates/validate",
   authMiddleware.requireAuth,
+  authMiddleware.requireScope("certificates:read"),
+  audit("certificate.validate"),
   healthController.validateCertificate
 );
 
@@ -81,7 +87,8 @@ router.post(
 router.post(
   "/certificates/renew",
   authMiddleware.requireAuth,
-  authMiddleware.requireAdmin,
+  authMiddleware.requireScope("certificates:renew"),
+  audit("certificate.renew"),
   healthController.renewCertificate
 );
 
@@ -92,7 +99,8 @@ router.post(
 router.post(
   "/certificates/generate/letsencrypt",
   authMiddleware.requireAuth,
-  authMiddleware.requireAdmin,
+  authMiddleware.requireScope("certificates:issue"),
+  audit("certificate.letsencrypt.issue"),
   healthController.generateLetsEncryptCertificate
 );
 
@@ -103,6 +111,7 @@ router.post(
 router.get(
   "/mongodb-listener",
   authMiddleware.requireAuth,
+  authMiddleware.requireScope("health:read"),
   healthController.checkMongoDBListener
 );
 
@@ -113,7 +122,42 @@ router.get(
 router.get(
   "/mongodb-connections",
   authMiddleware.requireAuth,
+  authMiddleware.requireScope("health:read"),
   healthController.checkMongoDBConnections
 );
 
+/**
+ * MongoDB Route Probes
+ * GET /api/health/mongodb - Probe state of every MongoDB route by agent
+ */
+router.get(
+  "/mongodb",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("health:read"),
+  healthController.getMongoDBProbes
+);
+
+/**
+ * MongoDB Probe Run
+ * POST /api/health/mongodb/probe - Probe every MongoDB route now
+ */
+router.post(
+  "/mongodb/probe",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("health:write"),
+  audit("mongodb.probe"),
+  healthController.runMongoDBProbes
+);
+
+/**
+ * MongoDB Probe History
+ * GET /api/health/mongodb/:agentId - Latency/success time series of an agent's MongoDB routes
+ */
+router.get(
+  "/mongodb/:agentId",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("health:read"),
+  healthController.getMongoDBProbeHistory
+);
+
 module.exports = router;
@@ -9,9 +9,13 @@ const express = require("express");
 const router = express.Router();
 const metricsController = require("../controllers/metricsController");
 const authMiddleware = require("../middleware/auth");
+const { audit, loaders } = require("../middleware/audit");
 
 // Apply auth middleware to all metrics routes
-router.use(authMiddleware.requireAuth);
+router.use(
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("metrics:read")
+);
 
 // Dashboard data - comprehensive metrics for the front-end dashboard
 router.get("/dashboard", metricsController.getDashboardData);
@@ -37,7 +41,8 @@ router.get("/export", metricsController.exportMetrics);
 // Update alert thresholds - configure when alerts are triggered
 router.post(
   "/alerts/thresholds",
-  authMiddleware.requireAdmin(),
+  authMiddleware.requireScope("metrics:write"),
+  audit("metrics.alert-thresholds.update", { load: loaders.alertThresholds }),
   metricsController.updateAlertThresholds
 );
 
@@ -2,13 +2,19 @@ const express = require("express");
 const router = express.Router();
 const mongodbController = require("../controllers/mongodbController");
 const authMiddleware = require("../middleware/auth");
+const { audit, loaders } = require("../middleware/audit");
 
 /**
  * @swagger
  * /api/mongodb/register:
  *   post:
  *     summary: Register an agent's MongoDB instance
- *     description: Registers a MongoDB instance for Traefik routing
+ *     description: >
+ *       Registers a MongoDB instance for Traefik routing. Without `instance`
+ *       this is the agent's default instance at <agentId>.<MONGO_DOMAIN>;
+ *       with it, a named instance at <instance>.<agentId>.<MONGO_DOMAIN>
+ *       with its own TCP route. With `replicaSet` and `members` every member
+ *       n gets its own route at <replicaSet>-<n>.<agentId>.<MONGO_DOMAIN>.
  *     tags: [MongoDB]
  *     security:
  *       - agentAuth: []
@@ -36,6 +42,27 @@ const authMiddleware = require("../middleware/auth");
  *                 type: boolean
  *                 description: Whether to use TLS for MongoDB connections
  *                 default: true
+ *               instance:
+ *                 type: string
+ *                 description: Name of the instance, a lowercase DNS label
+ *               tlsPassthrough:
+ *                 type: boolean
+ *                 description: Named instances and replica sets only - pass TLS through to MongoDB instead of terminating it in Traefik
+ *                 default: true
+ *               replicaSet:
+ *                 type: string
+ *                 description: Name of the replica set, a lowercase DNS label
+ *               members:
+ *                 type: array
+ *                 description: Replica set members in order, replaces targetIp and targetPort
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     targetIp:
+ *                       type: string
+ *                     targetPort:
+ *                       type: number
+ *                       default: 27017
  *     responses:
  *       200:
  *         description: MongoDB successfully registered
@@ -67,6 +94,8 @@ const authMiddleware = require("../middleware/auth");
  *                   description: Whether TLS is enabled for this connection
  *       400:
  *         description: Missing required parameters
+ *       403:
+ *         description: Missing proxy:write, or an agent registering another agent's MongoDB
  *       404:
  *         description: Agent not found
  *       500:
@@ -75,52 +104,11 @@ const authMiddleware = require("../middleware/auth");
 router.post(
   "/register",
   authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  audit("mongodb.register", { load: loaders.agentRoutes }),
   mongodbController.registerMongoDB
 );
 
-/**
- * @swagger
- * /api/mongodb/test-register:
- *   post:
- *     summary: TEST ONLY - Register a MongoDB instance without authentication
- *     description: For testing purposes only - Registers a MongoDB instance without requiring authentication
- *     tags: [MongoDB, Testing]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - agentId
- *               - targetIp
- *             properties:
- *               agentId:
- *                 type: string
- *                 description: ID of the agent registering its MongoDB
- *                 example: "test-mongo-agent"
- *               targetIp:
- *                 type: string
- *                 description: IP address of the MongoDB server
- *                 example: "127.0.0.1"
- *               targetPort:
- *                 type: number
- *                 description: Port number of the MongoDB server
- *                 default: 27017
- *               useTls:
- *                 type: boolean
- *                 description: Whether to use TLS for MongoDB connections
- *                 default: false
- *     responses:
- *       200:
- *         description: MongoDB successfully registered
- *       400:
- *         description: Missing required parameters
- *       500:
- *         description: Internal server error
- */
-router.post("/test-register", mongodbController.registerMongoDB);
-
 /**
  * @swagger
  * /api/mongodb:
@@ -159,7 +147,12 @@ router.post("/test-register", mongodbController.registerMongoDB);
  *       500:
  *         description: Internal server error
  */
-router.get("/", authMiddleware.requireAuth, mongodbController.listSubdomains);
+router.get(
+  "/",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  mongodbController.listSubdomains
+);
 
 /**
  * @swagger
@@ -197,7 +190,8 @@ router.get("/", authMiddleware.requireAuth, mongodbController.listSubdomains);
 router.delete(
   "/:agentId",
   authMiddleware.requireAuth,
-  authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("proxy:write"),
+  audit("mongodb.remove", { load: loaders.agentRoutes }),
   mongodbController.removeSubdomain
 );
 
@@ -246,8 +240,513 @@ router.delete(
 router.get(
   "/:agentId/connection-info",
   authMiddleware.requireAuth,
-  authMiddleware.requireAgentAccess(),
+  authMiddleware.requireScope("proxy:read"),
   mongodbController.getConnectionInfo
 );
 
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/instances:
+ *   get:
+ *     summary: List an agent's named MongoDB instances
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Named instances with their domain, target and TLS mode
+ */
+router.get(
+  "/:agentId/instances",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  mongodbController.listInstances
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/instances/{instance}/connection-info:
+ *   get:
+ *     summary: Get connection information of a named MongoDB instance
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instance
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Connection information retrieved successfully
+ *       404:
+ *         description: Instance not found
+ */
+router.get(
+  "/:agentId/instances/:instance/connection-info",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  mongodbController.getInstanceConnectionInfo
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/instances/{instance}:
+ *   delete:
+ *     summary: Remove a named MongoDB instance
+ *     description: Removes the instance's TCP route; the agent's other instances are untouched
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: instance
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Instance removed
+ *       404:
+ *         description: Instance not found
+ */
+router.delete(
+  "/:agentId/instances/:instance",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  audit("mongodb.remove", { load: loaders.agentRoutes }),
+  mongodbController.removeInstance
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/replica-sets:
+ *   get:
+ *     summary: List an agent's MongoDB replica sets
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Replica sets with their member hosts and connection string
+ */
+router.get(
+  "/:agentId/replica-sets",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  mongodbController.listReplicaSets
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/replica-sets/{replicaSet}/connection-info:
+ *   get:
+ *     summary: Get the replicaSet connection string of a replica set
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: replicaSet
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member hosts and connection string
+ *       404:
+ *         description: Replica set not found
+ */
+router.get(
+  "/:agentId/replica-sets/:replicaSet/connection-info",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  mongodbController.getReplicaSetConnectionInfo
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/replica-sets/{replicaSet}/test:
+ *   get:
+ *     summary: Check the health of a replica set's members
+ *     description: Runs `hello` on every member and `replSetGetStatus` on the first reachable one
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: replicaSet
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member states, warnings and the set's own status
+ *       404:
+ *         description: Replica set not found
+ */
+router.get(
+  "/:agentId/replica-sets/:replicaSet/test",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  mongodbController.testReplicaSet
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/replica-sets/{replicaSet}:
+ *   delete:
+ *     summary: Remove a replica set and the routes of all its members
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: replicaSet
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Replica set removed
+ *       404:
+ *         description: Replica set not found
+ */
+router.delete(
+  "/:agentId/replica-sets/:replicaSet",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  audit("mongodb.remove", { load: loaders.agentRoutes }),
+  mongodbController.removeReplicaSet
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/middlewares:
+ *   get:
+ *     summary: Get the TCP middlewares of an agent's default MongoDB route
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     responses:
+ *       200:
+ *         description: Middleware declarations in chain order
+ *       404:
+ *         description: Route not found
+ *   put:
+ *     summary: Replace the TCP middlewares of an agent's default MongoDB route
+ *     description: >
+ *       Middlewares are written as Traefik tcp/middlewares and attached to
+ *       the route's router. An empty list removes them all. The same
+ *       endpoints exist under /instances/{instance} and
+ *       /replica-sets/{replicaSet}, the latter applying the chain to every
+ *       member.
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - middlewares
+ *             properties:
+ *               middlewares:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - type
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [ipAllowList, inFlightConn]
+ *                     name:
+ *                       type: string
+ *                       description: Unique within the route, defaults to the type in kebab case
+ *                     sourceRange:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: ipAllowList - IPs or CIDR ranges allowed to connect
+ *                     amount:
+ *                       type: number
+ *                       description: inFlightConn - simultaneous connections per client IP
+ *     responses:
+ *       200:
+ *         description: Middlewares updated
+ *       400:
+ *         description: Invalid middleware declaration
+ *       404:
+ *         description: Route not found
+ */
+router.get(
+  "/:agentId/middlewares",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  mongodbController.getMiddlewares
+);
+router.put(
+  "/:agentId/middlewares",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  audit("mongodb.middlewares", { load: loaders.agentRoutes }),
+  mongodbController.setMiddlewares
+);
+
+router.get(
+  "/:agentId/instances/:instance/middlewares",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  mongodbController.getMiddlewares
+);
+router.put(
+  "/:agentId/instances/:instance/middlewares",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  audit("mongodb.middlewares", { load: loaders.agentRoutes }),
+  mongodbController.setMiddlewares
+);
+
+router.get(
+  "/:agentId/replica-sets/:replicaSet/middlewares",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  mongodbController.getMiddlewares
+);
+router.put(
+  "/:agentId/replica-sets/:replicaSet/middlewares",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  audit("mongodb.middlewares", { load: loaders.agentRoutes }),
+  mongodbController.setMiddlewares
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/management-account:
+ *   put:
+ *     summary: Store the account used to manage an agent's database users
+ *     description: >
+ *       The account is verified through the agent's MongoDB route before it
+ *       is stored, with its password encrypted using
+ *       CREDENTIALS_ENCRYPTION_KEY. It needs the userAdmin role on every
+ *       database credentials are issued for.
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               authSource:
+ *                 type: string
+ *                 default: admin
+ *     responses:
+ *       200:
+ *         description: Account stored, returned without its password
+ *       400:
+ *         description: Missing username or password
+ *       502:
+ *         description: The account could not authenticate
+ *       503:
+ *         description: CREDENTIALS_ENCRYPTION_KEY is not configured
+ */
+router.put(
+  "/:agentId/management-account",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("credentials:write"),
+  audit("mongodb.management-account"),
+  mongodbController.setManagementAccount
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/credentials:
+ *   get:
+ *     summary: List an agent's database credentials
+ *     description: Metadata only, passwords are never returned here.
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     responses:
+ *       200:
+ *         description: Credential metadata
+ *   post:
+ *     summary: Create a database user scoped to one database
+ *     description: >
+ *       The user is created with the agent's management account. The
+ *       password is only part of this response.
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - database
+ *             properties:
+ *               username:
+ *                 type: string
+ *               database:
+ *                 type: string
+ *                 description: Any database except admin, local and config
+ *               role:
+ *                 type: string
+ *                 enum: [read, readWrite, dbAdmin, dbOwner]
+ *                 default: readWrite
+ *               rotationDays:
+ *                 type: integer
+ *                 default: 90
+ *                 description: Days between scheduled rotations, 0 disables them
+ *     responses:
+ *       201:
+ *         description: Credential with its password and connection string
+ *       400:
+ *         description: Invalid username, database, role or rotationDays
+ *       409:
+ *         description: The user exists or no management account is stored
+ *       502:
+ *         description: The agent's MongoDB rejected the request
+ */
+router.get(
+  "/:agentId/credentials",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("credentials:read"),
+  mongodbController.listCredentials
+);
+router.post(
+  "/:agentId/credentials",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("credentials:write"),
+  audit("mongodb.credential.issue", { load: loaders.mongoCredentials }),
+  mongodbController.issueCredential
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/credentials/{username}/rotate:
+ *   post:
+ *     summary: Set a new password for a credential
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     responses:
+ *       200:
+ *         description: Credential with its new password and connection string
+ *       404:
+ *         description: Credential not found
+ *       409:
+ *         description: Credential is revoked
+ */
+router.post(
+  "/:agentId/credentials/:username/rotate",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("credentials:write"),
+  audit("mongodb.credential.rotate", { load: loaders.mongoCredentials }),
+  mongodbController.rotateCredential
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/credentials/{username}/collect:
+ *   post:
+ *     summary: Collect the password set by a scheduled rotation
+ *     description: >
+ *       Scheduled rotations keep the new password encrypted until it is
+ *       collected once, listed credentials show `pendingCollection`.
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     responses:
+ *       200:
+ *         description: Credential with its rotated password
+ *       404:
+ *         description: Credential not found or no password waiting
+ */
+router.post(
+  "/:agentId/credentials/:username/collect",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("credentials:write"),
+  audit("mongodb.credential.collect", { load: loaders.mongoCredentials }),
+  mongodbController.collectPassword
+);
+
+/**
+ * @swagger
+ * /api/mongodb/{agentId}/credentials/{username}:
+ *   delete:
+ *     summary: Revoke a credential by dropping its database user
+ *     description: The credential's metadata is kept with status revoked.
+ *     tags: [MongoDB]
+ *     security:
+ *       - agentAuth: []
+ *     responses:
+ *       200:
+ *         description: Credential revoked
+ *       404:
+ *         description: Credential not found
+ */
+router.delete(
+  "/:agentId/credentials/:username",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("credentials:write"),
+  audit("mongodb.credential.revoke", { load: loaders.mongoCredentials }),
+  mongodbController.revokeCredential
+);
+
 module.exports = router;
@@ -0,0 +1,208 @@
+const express = require("express");
+const router = express.Router();
+const redisController = require("../controllers/redisController");
+const authMiddleware = require("../middleware/auth");
+const { audit, loaders } = require("../middleware/audit");
+
+/**
+ * @swagger
+ * /api/redis/register:
+ *   post:
+ *     summary: Register an agent's Redis instance
+ *     description: Registers a Redis instance for Traefik TCP routing by TLS SNI
+ *     tags: [Redis]
+ *     security:
+ *       - agentAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agentId
+ *               - targetIp
+ *             properties:
+ *               agentId:
+ *                 type: string
+ *                 description: ID of the agent registering its Redis
+ *               targetIp:
+ *                 type: string
+ *                 description: IP address of the Redis server
+ *               targetPort:
+ *                 type: number
+ *                 description: Port number of the Redis server
+ *                 default: 6379
+ *               tlsPassthrough:
+ *                 type: boolean
+ *                 description: Pass TLS through to Redis; when false Traefik terminates TLS
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Redis successfully registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 domain:
+ *                   type: string
+ *                   description: Domain name for accessing the Redis instance
+ *                 connectionString:
+ *                   type: string
+ *                   description: rediss:// URL through Traefik
+ *                 targetIp:
+ *                   type: string
+ *                 targetPort:
+ *                   type: number
+ *                 tlsPassthrough:
+ *                   type: boolean
+ *       400:
+ *         description: Missing required parameters
+ *       403:
+ *         description: Insufficient scope
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  "/register",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  audit("redis.register", { load: loaders.agentRoutes }),
+  redisController.registerRedis
+);
+
+/**
+ * @swagger
+ * /api/redis:
+ *   get:
+ *     summary: List all Redis subdomains
+ *     description: Get a list of all registered Redis subdomains
+ *     tags: [Redis]
+ *     security:
+ *       - agentAuth: []
+ *     responses:
+ *       200:
+ *         description: List of Redis subdomains
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 subdomains:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       agentId:
+ *                         type: string
+ *                       domain:
+ *                         type: string
+ *                       targetAddress:
+ *                         type: string
+ *                       tlsPassthrough:
+ *                         type: boolean
+ *                       lastUpdated:
+ *                         type: string
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  redisController.listSubdomains
+);
+
+/**
+ * @swagger
+ * /api/redis/{agentId}:
+ *   delete:
+ *     summary: Remove a Redis subdomain
+ *     description: Removes the Redis routing for a specific agent
+ *     tags: [Redis]
+ *     security:
+ *       - agentAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Redis subdomain removed successfully
+ *       404:
+ *         description: No Redis route registered for the agent
+ *       500:
+ *         description: Internal server error
+ */
+router.delete(
+  "/:agentId",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:write"),
+  audit("redis.remove", { load: loaders.agentRoutes }),
+  redisController.removeSubdomain
+);
+
+/**
+ * @swagger
+ * /api/redis/{agentId}/connection-info:
+ *   get:
+ *     summary: Get Redis connection information
+ *     description: Retrieves connection information for a registered Redis instance
+ *     tags: [Redis]
+ *     security:
+ *       - agentAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Connection information retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 connectionInfo:
+ *                   type: object
+ *                   properties:
+ *                     domain:
+ *                       type: string
+ *                     host:
+ *                       type: string
+ *                     port:
+ *                       type: number
+ *                     tlsPassthrough:
+ *                       type: boolean
+ *                     url:
+ *                       type: string
+ *       404:
+ *         description: No connection info available
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/:agentId/connection-info",
+  authMiddleware.requireAuth,
+  authMiddleware.requireScope("proxy:read"),
+  redisController.getConnectionInfo
+);
+
+module.exports = router;
@@ -7,11 +7,13 @@
 
 require("dotenv").config();
 const express = require("express");
+const https = require("https");
 const morgan = require("morgan");
 
 // Import utilities
 const logger = require("./utils/logger");
 const pathManager = require("./utils/pathManager");
+const mtls = require("./utils/mtls");
 const { errorMiddleware } = require("./utils/errorHandler");
 const appLogger = logger.getLogger("server");
 
@@ -20,11 +22,16 @@ const coreServices = require("./services/core");
 
 // Import API routes
 const apiRoutes = require("./api/routes");
+const acmeChallengeController = require("./api/controllers/acmeChallengeController");
 
 // Setup express app
 const app = express();
 const PORT = process.env.NODE_PORT || 3005;
 
+// Client addresses come from X-Forwarded-For only if Traefik set it, the
+// header of any other sender is ignored
+app.set("trust proxy", process.env.TRUSTED_PROXIES || "loopback");
+
 // Setup middleware
 app.use(express.json());
 app.use(morgan("combined", { stream: logger.stream }));
@@ -38,12 +45,50 @@ app.get("/health", (req, res) => {
   });
 });
 
+// ACME HTTP-01 challenges, routed here by Traefik for every host
+app.get(
+  "/.well-known/acme-challenge/:token",
+  acmeChallengeController.getChallenge
+);
+
 // API routes
 app.use("/api", apiRoutes);
 
 // Error handler middleware
 app.use(errorMiddleware);
 
+/**
+ * Start the HTTPS listener requesting client certificates. Connections
+ * without a valid certificate are accepted so operators can still use API
+ * keys; the auth middleware enforces certificates per route group.
+ */
+async function startMtlsServer(port) {
+  const credentials =
+    await coreServices.certificateService.getMtlsServerCredentials();
+
+  const server = https.createServer(
+    {
+      key: credentials.key,
+      cert: credentials.cert,
+      ca: credentials.ca,
+      requestCert: true,
+      rejectUnauthorized: false,
+    },
+    app
+  );
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, () => {
+      server.removeListener("error", reject);
+      resolve();
+    });
+  });
+
+  appLogger.info(`mTLS API listener on port ${port}`);
+  return server;
+}
+
 // Set up graceful shutdown handlers
 function setupGracefulShutdown(server) {
   // Handle SIGTERM signal (e.g., from Docker or Kubernetes)
@@ -130,6 +175,9 @@ async function startServer() {
     // Initialize path manager first
     await pathManager.initialize();
 
+    // Fail early on an invalid mTLS configuration
+    const mtlsConfig = mtls.getMtlsConfig();
+
     // Initialize core services
     const initialized = await coreServices.initialize();
 
@@ -145,6 +193,30 @@ async function startServer() {
       appLogger.info(`CloudLunacy Front Server listening on port ${PORT}`);
     });
 
+    if (mtlsConfig.enabled) {
+      const mtlsServer = await startMtlsServer(mtlsConfig.port);
+      server.on("close", () => mtlsServer.close());
+
+      // Trust the CA bundle and serve a certificate of the current CA
+      // after a root rotation without restarting the listener
+      coreServices.caRotationService.on("ca-changed", async () => {
+        try {
+          const credentials =
+            await coreServices.certificateService.getMtlsServerCredentials();
+          mtlsServer.setSecureContext({
+            key: credentials.key,
+            cert: credentials.cert,
+            ca: credentials.ca,
+          });
+          appLogger.info("Reloaded mTLS listener certificates");
+        } catch (err) {
+          appLogger.error(
+            `Failed to reload mTLS listener certificates: ${err.message}`
+          );
+        }
+      });
+    }
+
     // Setup graceful shutdown handlers
     setupGracefulShutdown(server);
 
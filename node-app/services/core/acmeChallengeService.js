@@ -0,0 +1,206 @@
+/**
+ * ACME Challenge Service
+ *
+ * Answers ACME HTTP-01 challenges from the front server itself. Key
+ * authorizations are stored in Consul, so whichever front instance Traefik
+ * forwards /.well-known/acme-challenge/<token> to can answer it. A Traefik
+ * router on the web entrypoint sends that path of every host to the node
+ * app, ahead of the HTTP to HTTPS redirect.
+ */
+
+const logger = require("../../utils/logger").getLogger("acmeChallengeService");
+const { AppError } = require("../../utils/errorHandler");
+
+const CHALLENGES_KEY = "acme-challenges";
+const ROUTER_NAME = "acme-http-challenge";
+// RFC 8555 tokens are base64url
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+// Orders are abandoned long before this, the key is only a safety net for
+// challenges whose cleanup failed
+const CHALLENGE_TTL_MS = 60 * 60 * 1000;
+// The entrypoint redirect to websecure is generated with MaxInt32 - 1
+const ROUTER_PRIORITY = 2147483647;
+
+class AcmeChallengeService {
+  constructor() {
+    this.initialized = false;
+    this.routerEnabled =
+      process.env.ACME_HTTP_CHALLENGE_ROUTER_ENABLED !== "false";
+    this.serviceUrl =
+      process.env.ACME_HTTP_CHALLENGE_SERVICE_URL ||
+      `http://node-app:${process.env.NODE_PORT || 3005}`;
+
+    // Will be loaded from core services during initialize
+    this.consulService = null;
+  }
+
+  /**
+   * Initialize the challenge service and write the Traefik router
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      const coreServices = require("../core");
+      this.consulService = coreServices.consulService;
+      this.initialized = true;
+
+      if (!this.consulService.isInitialized) {
+        logger.warn(
+          "Consul service not available, HTTP-01 challenges cannot be answered"
+        );
+        return false;
+      }
+
+      await this._pruneExpired();
+
+      if (this.routerEnabled && !(await this.registerRouter())) {
+        return false;
+      }
+
+      logger.info("ACME challenge service initialized");
+      return true;
+    } catch (err) {
+      logger.error(
+        `Failed to initialize ACME challenge service: ${err.message}`,
+        {
+          error: err.message,
+          stack: err.stack,
+        }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Write the router sending /.well-known/acme-challenge/ on the web
+   * entrypoint to the node app
+   * @returns {Promise<boolean>} Success status
+   */
+  async registerRouter() {
+    const registered = await this.consulService.registerHttpRoute({
+      routers: {
+        [ROUTER_NAME]: {
+          entryPoints: ["web"],
+          rule: "PathPrefix(`/.well-known/acme-challenge/`)",
+          priority: ROUTER_PRIORITY,
+          service: ROUTER_NAME,
+        },
+      },
+      services: {
+        [ROUTER_NAME]: {
+          loadBalancer: { servers: [{ url: this.serviceUrl }] },
+        },
+      },
+    });
+
+    if (!registered) {
+      logger.error("Failed to register the HTTP-01 challenge router");
+      return false;
+    }
+
+    logger.info(`HTTP-01 challenges are routed to ${this.serviceUrl}`);
+    return true;
+  }
+
+  /**
+   * Publish the key authorization of a challenge
+   * @param {string} token - Challenge token
+   * @param {string} keyAuthorization - Expected response body
+   */
+  async present(token, keyAuthorization) {
+    await this._ensureReady();
+    this._validateToken(token);
+
+    const now = Date.now();
+    const stored = await this.consulService.setData(
+      `${CHALLENGES_KEY}/${token}`,
+      {
+        keyAuthorization,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + CHALLENGE_TTL_MS).toISOString(),
+      }
+    );
+
+    if (!stored) {
+      throw new AppError("Failed to store HTTP-01 challenge", 500);
+    }
+
+    logger.debug(`Published HTTP-01 challenge ${token}`);
+  }
+
+  /**
+   * Remove a published challenge
+   * @param {string} token - Challenge token
+   */
+  async cleanup(token) {
+    await this._ensureReady();
+    this._validateToken(token);
+
+    await this.consulService.deleteData(`${CHALLENGES_KEY}/${token}`);
+    logger.debug(`Removed HTTP-01 challenge ${token}`);
+  }
+
+  /**
+   * Key authorization to answer a challenge request with
+   * @param {string} token - Challenge token from the request path
+   * @returns {Promise<string|null>} Key authorization, null if unknown
+   */
+  async getKeyAuthorization(token) {
+    if (!TOKEN_PATTERN.test(token || "")) {
+      return null;
+    }
+
+    await this._ensureReady();
+
+    const record = await this.consulService.getData(
+      `${CHALLENGES_KEY}/${token}`
+    );
+    if (!record || Date.parse(record.expiresAt) < Date.now()) {
+      return null;
+    }
+
+    return record.keyAuthorization;
+  }
+
+  /**
+   * @private
+   */
+  _validateToken(token) {
+    if (!TOKEN_PATTERN.test(token || "")) {
+      throw new AppError("Invalid ACME challenge token", 400);
+    }
+  }
+
+  /**
+   * Remove challenges left behind by failed cleanups
+   * @private
+   */
+  async _pruneExpired() {
+    const entries = await this.consulService.listData(CHALLENGES_KEY);
+
+    for (const { key, value } of entries) {
+      if (!value || Date.parse(value.expiresAt) < Date.now()) {
+        await this.consulService.deleteData(`${CHALLENGES_KEY}/${key}`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _ensureReady() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.consulService || !this.consulService.isInitialized) {
+      throw new AppError("Consul service not available", 500);
+    }
+  }
+}
+
+module.exports = AcmeChallengeService;
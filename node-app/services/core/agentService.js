@@ -2,24 +2,100 @@
  * Agent Service
  *
  * Handles all agent-related functionality including registration,
- * authentication, and management.
+ * authentication, and management. Agent records (metadata, labels and
+ * lifecycle state) are persisted under the Consul data prefix.
  */
 
+const EventEmitter = require("events");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const logger = require("../../utils/logger").getLogger("agentService");
+const { AppError } = require("../../utils/errorHandler");
 
-class AgentService {
+// Lifecycle states and the states each of them may move to
+const AGENT_STATES = {
+  pending: ["active", "suspended", "decommissioned"],
+  active: ["suspended", "decommissioned"],
+  suspended: ["active", "decommissioned"],
+  decommissioned: [],
+};
+// Agents in these states may not authenticate or re-register
+const INACTIVE_STATES = ["suspended", "decommissioned"];
+const HOSTNAME_PATTERN = /^[a-zA-Z0-9]([a-zA-Z0-9.-]{0,251}[a-zA-Z0-9])?$/;
+const LABEL_KEY_PATTERN = /^[a-zA-Z0-9]([a-zA-Z0-9._/-]{0,61}[a-zA-Z0-9])?$/;
+const LABEL_VALUE_MAX_LENGTH = 63;
+const CAPABILITY_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._:-]{0,62}$/;
+// lastSeen is updated on every request, Consul only gets it this often
+const LAST_SEEN_PERSIST_INTERVAL_MS = 60 * 1000;
+// Health derived from heartbeats
+const HEALTH_STATUSES = ["healthy", "degraded", "offline"];
+const DEFAULT_HEARTBEAT_DEGRADED_SECONDS = 90;
+const DEFAULT_HEARTBEAT_OFFLINE_SECONDS = 300;
+const DEFAULT_HEALTH_CHECK_INTERVAL_SECONDS = 30;
+const DEFAULT_DISK_DEGRADED_PERCENT = 90;
+const MAX_REPORTED_CONTAINERS = 200;
+// Service that offline agents' HTTP routers are pointed at
+const MAINTENANCE_SERVICE = "maintenance-page";
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Key IDs in use, the key material is derived from JWT_SECRET
+const SIGNING_KEYS_KEY = "auth/signing-keys";
+// Token state other instances changed in Consul is picked up this often
+const DEFAULT_TOKEN_STATE_TTL_SECONDS = 10;
+// Agent IDs whose secret may be looked up for a token
+const AGENT_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+// Host(...) and HostSNI(...) matchers of a router rule
+const HOST_MATCHER_PATTERN = /Host(?:SNI)?\(([^)]*)\)/g;
+
+class AgentService extends EventEmitter {
   constructor(configManager, mongodbService) {
+    super();
+
     // Store dependencies for other functionality
     this.configManager = configManager;
     this.mongodbService = mongodbService;
 
     this.initialized = false;
     this.agents = new Map();
+    this.lastSeenPersistedAt = new Map();
     this.jwtSecret =
       process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
-    this.tokenExpiration = process.env.TOKEN_EXPIRATION || "30d";
+    this.accessTokenTtl = process.env.AGENT_ACCESS_TOKEN_TTL_SECONDS
+      ? parseInt(process.env.AGENT_ACCESS_TOKEN_TTL_SECONDS, 10)
+      : DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+    this.refreshTokenTtl = process.env.AGENT_REFRESH_TOKEN_TTL_SECONDS
+      ? parseInt(process.env.AGENT_REFRESH_TOKEN_TTL_SECONDS, 10)
+      : DEFAULT_REFRESH_TOKEN_TTL_SECONDS;
+
+    // Token state mirrored from Consul, reloaded when older than the TTL
+    this.signingKeys = { currentKid: null, keys: {} };
+    this.agentSecrets = new Map();
+    this.revokedTokens = new Map();
+    this.tokenStateTtl = process.env.AGENT_TOKEN_STATE_TTL_SECONDS
+      ? parseInt(process.env.AGENT_TOKEN_STATE_TTL_SECONDS, 10)
+      : DEFAULT_TOKEN_STATE_TTL_SECONDS;
+    this.tokenStateLoadedAt = 0;
+    this.tokenStateLoading = null;
+    // Tokens without kid are signed with JWT_SECRET itself
+    this.allowLegacyTokens = process.env.AGENT_ALLOW_LEGACY_TOKENS === "true";
+
+    // Heartbeat based health monitoring
+    this.healthCheckInterval = null;
+    this.degradedAfterSeconds = process.env.AGENT_HEARTBEAT_DEGRADED_SECONDS
+      ? parseInt(process.env.AGENT_HEARTBEAT_DEGRADED_SECONDS, 10)
+      : DEFAULT_HEARTBEAT_DEGRADED_SECONDS;
+    this.offlineAfterSeconds = process.env.AGENT_HEARTBEAT_OFFLINE_SECONDS
+      ? parseInt(process.env.AGENT_HEARTBEAT_OFFLINE_SECONDS, 10)
+      : DEFAULT_HEARTBEAT_OFFLINE_SECONDS;
+    this.healthCheckIntervalSeconds = process.env
+      .AGENT_HEALTH_CHECK_INTERVAL_SECONDS
+      ? parseInt(process.env.AGENT_HEALTH_CHECK_INTERVAL_SECONDS, 10)
+      : DEFAULT_HEALTH_CHECK_INTERVAL_SECONDS;
+    this.diskDegradedPercent = process.env.AGENT_DISK_DEGRADED_PERCENT
+      ? parseFloat(process.env.AGENT_DISK_DEGRADED_PERCENT)
+      : DEFAULT_DISK_DEGRADED_PERCENT;
+    // Routes of offline agents are only switched when a page is configured
+    this.maintenanceUrl = process.env.AGENT_MAINTENANCE_URL || null;
 
     // Will be loaded from core services during initialize
     this.consulService = null;
@@ -45,6 +121,8 @@ class AgentService {
         );
       }
 
+      await this._loadTokenState();
+
       this.initialized = true;
       logger.info("Agent service initialized successfully");
       return true;
@@ -76,51 +154,30 @@ class AgentService {
         return;
       }
 
-      // Get all HTTP routers which represent our agents
-      const routersKey = "http/routers";
-      const routers = await this.consulService.get(routersKey);
-
-      if (!routers) {
-        logger.info("No agents found in Consul");
-        return;
+      const records = await this.consulService.listData("agents");
+      for (const { key, value } of records) {
+        if (key.includes("/") || !value || typeof value !== "object") {
+          continue;
+        }
+        this.agents.set(key, { ...value, agentId: key });
       }
 
-      // Process each router to extract agent info
-      for (const [name, routerConfig] of Object.entries(routers)) {
-        // Skip special/system routers
-        if (name === "dashboard" || name === "traefik-healthcheck") {
+      // Agents registered before records were persisted only exist as
+      // Traefik configuration, store a record for them once
+      const legacyAgents = await this._discoverLegacyAgents();
+      for (const [agentId, record] of legacyAgents) {
+        if (this.agents.has(agentId)) {
           continue;
         }
 
-        const serviceName = `${name}-http`;
-        const service = await this.consulService.get(
-          `http/services/${serviceName}`
-        );
-
-        if (
-          service &&
-          service.loadBalancer &&
-          service.loadBalancer.servers &&
-          service.loadBalancer.servers.length > 0
-        ) {
-          const serverUrl = service.loadBalancer.servers[0].url;
-
-          // Extract hostname from URL
-          // Format is typically http://hostname:port
-          const matches = serverUrl.match(/^http:\/\/([^:]+):(\d+)$/);
-
-          if (matches) {
-            const targetIp = matches[1];
-
-            // Add to registry
-            this.agents.set(name, {
-              targetIp,
-              registeredAt: new Date().toISOString(),
-              lastSeen: new Date().toISOString(),
-            });
-
-            logger.debug(`Loaded agent from Consul: ${name}`);
-          }
+        try {
+          await this._saveAgent(record);
+          logger.info(`Migrated legacy agent ${agentId} to the registry`);
+        } catch (err) {
+          this.agents.set(agentId, record);
+          logger.warn(
+            `Failed to persist legacy agent ${agentId}: ${err.message}`
+          );
         }
       }
 
@@ -137,12 +194,85 @@ class AgentService {
     }
   }
 
+  /**
+   * Rebuild agent records from the Traefik keys written at registration
+   *
+   * @returns {Promise<Map<string, Object>>} Records keyed by agent ID
+   * @private
+   */
+  async _discoverLegacyAgents() {
+    const agents = new Map();
+
+    // Get all HTTP routers which represent our agents
+    const routers = await this.consulService.getTree("http/routers");
+    const httpServices =
+      (await this.consulService.getTree("http/services")) || {};
+    const tcpServices =
+      (await this.consulService.getTree("tcp/services")) || {};
+    const tcpRouters = (await this.consulService.getTree("tcp/routers")) || {};
+
+    if (!routers) {
+      return agents;
+    }
+
+    // Process each router to extract agent info
+    for (const [name, routerConfig] of Object.entries(routers)) {
+      // Skip special/system routers
+      if (name === "dashboard" || name === "traefik-healthcheck") {
+        continue;
+      }
+
+      // Agents always have a TCP side, which tells them apart from
+      // application routes that follow the same <name>-http convention
+      if (!tcpRouters[name] && !tcpServices[`${name}-mongo`]) {
+        continue;
+      }
+
+      const service = httpServices[`${name}-http`];
+
+      if (
+        service &&
+        service.loadBalancer &&
+        service.loadBalancer.servers &&
+        service.loadBalancer.servers.length > 0
+      ) {
+        const serverUrl = service.loadBalancer.servers[0].url;
+
+        // Extract hostname from URL
+        // Format is typically http://hostname:port
+        const matches = serverUrl.match(/^http:\/\/([^:]+):(\d+)$/);
+
+        if (matches) {
+          const now = new Date().toISOString();
+          const mongoAddress =
+            tcpServices[`${name}-mongo`]?.loadBalancer?.servers?.[0]?.address ||
+            "";
+
+          agents.set(name, {
+            ...this._newRecord(name, now),
+            state: "active",
+            targetIp: matches[1],
+            httpPort: parseInt(matches[2], 10),
+            mongoPort: parseInt(mongoAddress.split(":")[1], 10) || 27017,
+            secure: !!routerConfig.tls,
+          });
+
+          logger.debug(`Found legacy agent in Consul: ${name}`);
+        }
+      }
+    }
+
+    return agents;
+  }
+
   /**
    * Register a new agent
    *
    * @param {string} agentId - The agent ID
    * @param {string} targetIp - The target IP address
    * @param {Object} options - Additional options
+   * @param {string} [options.csr] - PEM CSR of the agent's key to sign,
+   *   without one only a stored CSR is signed again
    * @returns {Promise<Object>} Registration result
    */
   async registerAgent(agentId, targetIp, options = {}) {
@@ -153,8 +283,15 @@ class AgentService {
         await this.initialize();
       }
 
-      // Generate a token for this agent
-      const token = this.generateAgentToken(agentId);
+      const existing = this.agents.get(agentId);
+      if (existing && INACTIVE_STATES.includes(existing.state)) {
+        throw new AppError(
+          `Agent ${agentId} is ${existing.state} and cannot re-register`,
+          409
+        );
+      }
+
+      const metadata = this._normalizeMetadata(options.metadata || {});
 
       // Check if Consul is available
       if (!this.consulService || !this.consulService.isInitialized) {
@@ -178,6 +315,25 @@ class AgentService {
         secure: options.useTls !== false,
       };
 
+      // New agents stay pending until their routes are in Consul
+      const now = new Date().toISOString();
+      const record = {
+        ...this._newRecord(agentId, now),
+        ...existing,
+        ...metadata,
+        labels: this._mergeLabels(existing?.labels, metadata.labels),
+        targetIp,
+        httpPort: agentConfig.httpPort,
+        mongoPort: agentConfig.mongoPort,
+        secure: agentConfig.secure,
+        updatedAt: now,
+        lastSeen: now,
+      };
+      await this._saveAgent(record);
+
+      // Issue access and refresh tokens for this agent
+      const tokens = await this.issueTokens(agentId);
+
       const consulRegistered = await this.consulService.registerAgent(
         agentConfig
       );
@@ -193,12 +349,11 @@ class AgentService {
         `Successfully registered agent ${agentId} in Consul KV store`
       );
 
-      // Save agent registration info in memory cache
-      this.agents.set(agentId, {
-        targetIp,
-        registeredAt: new Date().toISOString(),
-        lastSeen: new Date().toISOString(),
-      });
+      // The Consul settings are kept in the record so the reconciler can
+      // restore missing keys
+      if (record.state === "pending") {
+        await this._saveAgent({ ...record, state: "active" });
+      }
 
       // MongoDB registration is now handled separately when agent explicitly installs MongoDB
       let certificates = null;
@@ -235,15 +390,25 @@ class AgentService {
                   );
                 }
 
-                certResult = await certificateService.generateAgentCertificate(
-                  agentId,
-                  targetIp
-                );
+                // Certificates are only signed for a CSR of the agent, the
+                // one sent now or the one stored at an earlier registration
+                certResult = options.csr
+                  ? await certificateService
+                      .signAgentCsr(agentId, options.csr)
+                      .catch((err) => ({
+                        success: false,
+                        error: err.message,
+                        transient: err.statusCode === 409,
+                      }))
+                  : await certificateService.generateAgentCertificate(
+                      agentId,
+                      targetIp
+                    );
 
                 if (certResult.success) {
                   certificates = {
                     caCert: certResult.caCert,
-                    serverKey: certResult.serverKey,
+                    caChain: certResult.caChain,
                     serverCert: certResult.serverCert,
                   };
                   logger.info(`Certificates generated for agent ${agentId}`);
@@ -297,7 +462,9 @@ class AgentService {
       const response = {
         success: true,
         agentId,
-        token,
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
         targetIp,
         tlsEnabled: options.useTls !== false,
         consulRegistered: true,
@@ -340,6 +507,7 @@ class AgentService {
 
       // Remove from memory registry
       this.agents.delete(agentId);
+      this.lastSeenPersistedAt.delete(agentId);
 
       // Check if Consul is available
       if (!this.consulService || !this.consulService.isInitialized) {
@@ -357,6 +525,14 @@ class AgentService {
         return false;
       }
 
+      await this.consulService.deleteData(`agents/${agentId}`);
+      await this.consulService.deleteData(`suspended-routers/${agentId}`);
+      await this.consulService.deleteData(`maintenance-routers/${agentId}`);
+
+      // Dropping the secret invalidates every token issued to the agent
+      await this.consulService.deleteData(`agent-secrets/${agentId}`);
+      this.agentSecrets.delete(agentId);
+
       logger.info(
         `Successfully unregistered agent ${agentId} from Consul KV store`
       );
@@ -372,43 +548,1531 @@ class AgentService {
   }
 
   /**
-   * Verify an agent token
+   * Consul registration settings of a known agent, as passed to
+   * consulService.registerAgent
+   *
+   * @param {string} agentId - The agent ID
+   * @returns {Object|null} Agent config or null if unknown
    */
-  verifyAgentToken(token) {
-    try {
-      if (!this.jwtSecret) {
-        throw new Error("JWT_SECRET is not set");
+  getAgentConsulConfig(agentId) {
+    const agent = this.agents.get(agentId);
+    if (!agent) {
+      return null;
+    }
+
+    return {
+      name: agentId,
+      subdomain: agentId,
+      hostname: agent.targetIp,
+      httpPort: agent.httpPort || 8080,
+      mongoPort: agent.mongoPort || 27017,
+      secure: agent.secure !== false,
+    };
+  }
+
+  /**
+   * Get a copy of an agent record
+   *
+   * @param {string} agentId - The agent ID
+   * @returns {Object|null} Agent record or null if unknown
+   */
+  getAgent(agentId) {
+    const record = this.agents.get(agentId);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * List agent records matching all given filters
+   *
+   * @param {Object} filters - Filters
+   * @param {string} [filters.state] - Lifecycle state
+   * @param {string} [filters.owner] - Owner
+   * @param {string} [filters.capability] - Capability the agent must have
+   * @param {string} [filters.health] - Health status from heartbeats
+   * @param {Object} [filters.labels] - Label values, null matches any value
+   * @returns {Object[]} Agent records sorted by ID
+   */
+  listAgents({ state, owner, capability, health, labels = {} } = {}) {
+    if (state && !AGENT_STATES[state]) {
+      throw new AppError(`Unknown agent state: ${state}`, 400);
+    }
+
+    if (health && !HEALTH_STATUSES.includes(health)) {
+      throw new AppError(`Unknown health status: ${health}`, 400);
+    }
+
+    return [...this.agents.values()]
+      .filter((record) => !state || record.state === state)
+      .filter((record) => !health || record.health?.status === health)
+      .filter((record) => !owner || record.owner === owner)
+      .filter(
+        (record) =>
+          !capability || (record.capabilities || []).includes(capability)
+      )
+      .filter((record) =>
+        Object.entries(labels).every(
+          ([key, value]) =>
+            record.labels &&
+            Object.prototype.hasOwnProperty.call(record.labels, key) &&
+            (value === null || record.labels[key] === value)
+        )
+      )
+      .map((record) => ({ ...record }))
+      .sort((a, b) => a.agentId.localeCompare(b.agentId));
+  }
+
+  /**
+   * Update agent metadata. Labels are merged, a null label value removes
+   * the label.
+   *
+   * @param {string} agentId - The agent ID
+   * @param {Object} updates - hostname, version, labels, capabilities, owner
+   * @returns {Promise<Object>} Updated agent record
+   */
+  async updateAgent(agentId, updates) {
+    const record = this._getRecordOrThrow(agentId);
+
+    if (record.state === "decommissioned") {
+      throw new AppError(`Agent ${agentId} is decommissioned`, 409);
+    }
+
+    const metadata = this._normalizeMetadata(updates || {});
+    const updated = {
+      ...record,
+      ...metadata,
+      labels: this._mergeLabels(record.labels, metadata.labels),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this._saveAgent(updated);
+    logger.info(`Updated metadata of agent ${agentId}`);
+    return { ...updated };
+  }
+
+  /**
+   * Suspend an agent. Its routers are taken out of Traefik and parked in
+   * the data store so they can be restored unchanged on resume.
+   *
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} Updated agent record
+   */
+  async suspendAgent(agentId) {
+    const record = this._getRecordOrThrow(agentId);
+    this._assertTransition(record, "suspended");
+    this._assertConsulAvailable();
+
+    // Park the original routers, not the ones pointing at the maintenance page
+    if (record.health?.maintenance) {
+      await this._leaveMaintenance(agentId);
+    }
+
+    const routers = await this._collectAgentRouters(agentId);
+
+    if (
+      !(await this.consulService.setData(
+        `suspended-routers/${agentId}`,
+        routers
+      ))
+    ) {
+      throw new AppError(`Failed to park routers of agent ${agentId}`, 500);
+    }
+
+    const removed = await this.consulService.unregisterConfigs({
+      "http/routers": Object.keys(routers.http),
+      "tcp/routers": Object.keys(routers.tcp),
+    });
+
+    if (!removed) {
+      throw new AppError(`Failed to take agent ${agentId} offline`, 500);
+    }
+
+    logger.info(
+      `Suspended agent ${agentId}, parked ${
+        Object.keys(routers.http).length + Object.keys(routers.tcp).length
+      } routers`
+    );
+    return this._setState(
+      record,
+      "suspended",
+      record.health?.maintenance
+        ? { health: { ...record.health, maintenance: false } }
+        : {}
+    );
+  }
+
+  /**
+   * Resume a suspended agent and restore its parked routers
+   *
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} Updated agent record
+   */
+  async resumeAgent(agentId) {
+    const record = this._getRecordOrThrow(agentId);
+
+    if (record.state !== "suspended") {
+      throw new AppError(`Agent ${agentId} is not suspended`, 409);
+    }
+
+    this._assertConsulAvailable();
+
+    const routers = (await this.consulService.getData(
+      `suspended-routers/${agentId}`
+    )) || { http: {}, tcp: {} };
+
+    const restored = await this.consulService.registerConfigs({
+      "http/routers": routers.http || {},
+      "tcp/routers": routers.tcp || {},
+    });
+
+    if (!restored) {
+      throw new AppError(`Failed to restore routers of agent ${agentId}`, 500);
+    }
+
+    await this.consulService.deleteData(`suspended-routers/${agentId}`);
+
+    logger.info(`Resumed agent ${agentId}`);
+    return this._setState(record, "active");
+  }
+
+  /**
+   * Decommission an agent. Its custom domains and every Traefik
+   * configuration it owns are removed, the record is kept for reference.
+   *
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} Updated agent record
+   */
+  async decommissionAgent(agentId) {
+    const record = this._getRecordOrThrow(agentId);
+    this._assertTransition(record, "decommissioned");
+    this._assertConsulAvailable();
+
+    const coreServices = require("../core");
+    const { customDomainService } = coreServices;
+    if (customDomainService) {
+      for (const domain of await customDomainService.listDomains(agentId)) {
+        await customDomainService.removeDomain(domain.domain);
       }
+    }
 
-      return jwt.verify(token, this.jwtSecret);
-    } catch (err) {
-      logger.error(`Failed to verify agent token: ${err.message}`);
-      throw err;
+    const sections = {};
+    for (const section of [
+      "http/routers",
+      "http/services",
+      "http/middlewares",
+      "tcp/routers",
+      "tcp/services",
+      "tcp/middlewares",
+    ]) {
+      const configs = (await this.consulService.getTree(section)) || {};
+      sections[section] = Object.keys(configs).filter(
+        (name) => this.getResourceOwner(name) === agentId
+      );
+    }
+
+    if (!(await this.consulService.unregisterConfigs(sections))) {
+      throw new AppError(
+        `Failed to remove Consul configuration of agent ${agentId}`,
+        500
+      );
     }
+
+    await this.consulService.deleteData(`suspended-routers/${agentId}`);
+    await this.consulService.deleteData(`maintenance-routers/${agentId}`);
+    await this.consulService.deleteData(`mongodb-instances/${agentId}`);
+    await this.consulService.deleteData(`mongodb-replica-sets/${agentId}`);
+    await this.consulService.deleteData(`mongodb-credentials/${agentId}`);
+    await this.consulService.deleteData(`mongodb-management/${agentId}`);
+    await this.rotateAgentSecret(agentId);
+
+    logger.info(`Decommissioned agent ${agentId}`);
+    return this._setState(record, "decommissioned");
   }
 
   /**
-   * Generate a JWT token for agent authentication
+   * Record a heartbeat and update the agent's health
+   *
+   * @param {string} agentId - The agent ID
+   * @param {Object} payload - Heartbeat
+   * @param {string} [payload.version] - Agent version
+   * @param {number|number[]} [payload.load] - Load averages (1, 5, 15 min)
+   * @param {number|Object} [payload.disk] - Disk usage percent or { usedPercent, totalBytes, freeBytes }
+   * @param {Array<string|Object>} [payload.containers] - Running containers (names or { name, image, status })
+   * @returns {Promise<Object>} Updated agent record
    */
-  generateAgentToken(agentId, role = "agent") {
-    try {
-      if (!this.jwtSecret) {
-        throw new Error("JWT_SECRET is not set");
+  async recordHeartbeat(agentId, payload = {}) {
+    const record = this._getRecordOrThrow(agentId);
+
+    if (INACTIVE_STATES.includes(record.state)) {
+      throw new AppError(`Agent ${agentId} is ${record.state}`, 409);
+    }
+
+    const heartbeat = this._normalizeHeartbeat(payload);
+    const now = new Date();
+
+    const updated = {
+      ...record,
+      ...(heartbeat.version && { version: heartbeat.version }),
+      lastSeen: now.toISOString(),
+      health: {
+        ...record.health,
+        lastHeartbeat: now.toISOString(),
+        load: heartbeat.load ?? null,
+        disk: heartbeat.disk ?? null,
+        containers: heartbeat.containers ?? [],
+      },
+    };
+
+    const { status, reasons } = this._evaluateHealth(updated, now.getTime());
+    await this._applyHealth(updated, status, reasons);
+    this.lastSeenPersistedAt.set(agentId, now.getTime());
+
+    return this.getAgent(agentId);
+  }
+
+  /**
+   * Re-evaluate the health of all active agents that send heartbeats.
+   * Agents that never sent one are left alone.
+   *
+   * @returns {Promise<Object[]>} Health transitions ({ agentId, previous, status })
+   */
+  async checkAgentHealth() {
+    const now = Date.now();
+    const transitions = [];
+
+    for (const record of [...this.agents.values()]) {
+      if (record.state !== "active" || !record.health?.lastHeartbeat) {
+        continue;
       }
 
-      const payload = {
-        agentId,
-        role,
-        iat: Math.floor(Date.now() / 1000),
-      };
+      const { status, reasons } = this._evaluateHealth(record, now);
+      const wantsMaintenance = status === "offline" && !!this.maintenanceUrl;
+
+      if (
+        status === record.health.status &&
+        wantsMaintenance === !!record.health.maintenance
+      ) {
+        continue;
+      }
+
+      try {
+        await this._applyHealth(record, status, reasons);
+        if (status !== record.health.status) {
+          transitions.push({
+            agentId: record.agentId,
+            previous: record.health.status || null,
+            status,
+          });
+        }
+      } catch (err) {
+        logger.error(
+          `Failed to update health of agent ${record.agentId}: ${err.message}`
+        );
+      }
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Start the periodic health evaluation
+   * @param {number} intervalSeconds - Interval in seconds between checks
+   */
+  startHealthChecks(intervalSeconds = null) {
+    this.stopHealthChecks();
+
+    const interval =
+      (intervalSeconds || this.healthCheckIntervalSeconds) * 1000;
 
-      return jwt.sign(payload, this.jwtSecret, {
-        expiresIn: this.tokenExpiration,
+    logger.info(
+      `Checking agent heartbeats every ${
+        interval / 1000
+      } seconds (degraded after ${this.degradedAfterSeconds}s, offline after ${
+        this.offlineAfterSeconds
+      }s)`
+    );
+
+    this.healthCheckInterval = setInterval(() => {
+      this.checkAgentHealth().catch((err) => {
+        logger.error(`Error during agent health check: ${err.message}`, {
+          error: err.message,
+          stack: err.stack,
+        });
       });
-    } catch (err) {
-      logger.error(`Failed to generate agent token: ${err.message}`);
-      throw err;
+    }, interval);
+
+    return true;
+  }
+
+  /**
+   * Stop the periodic health evaluation
+   */
+  stopHealthChecks() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+      logger.info("Agent health checks stopped");
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether an agent may use the API
+   *
+   * @param {string} agentId - The agent ID
+   * @returns {boolean} False for unknown, suspended and decommissioned agents
+   */
+  isAgentActive(agentId) {
+    const record = this.agents.get(agentId);
+    return !!record && !INACTIVE_STATES.includes(record.state);
+  }
+
+  /**
+   * Record that an agent was seen. Consul is updated at most once per
+   * LAST_SEEN_PERSIST_INTERVAL_MS per agent.
+   *
+   * @param {string} agentId - The agent ID
+   */
+  touchAgent(agentId) {
+    const record = this.agents.get(agentId);
+    if (!record) {
+      return;
+    }
+
+    const now = Date.now();
+    record.lastSeen = new Date(now).toISOString();
+
+    if (
+      !this.consulService ||
+      !this.consulService.isInitialized ||
+      now - (this.lastSeenPersistedAt.get(agentId) || 0) <
+        LAST_SEEN_PERSIST_INTERVAL_MS
+    ) {
+      return;
+    }
+
+    this.lastSeenPersistedAt.set(agentId, now);
+    this.consulService.setData(`agents/${agentId}`, record).then((saved) => {
+      if (!saved) {
+        logger.warn(`Failed to persist lastSeen of agent ${agentId}`);
+      }
+    });
+  }
+
+  /**
+   * Names an agent's certificates may contain: the agent's MongoDB domain,
+   * the hosts its Traefik routers match, its IP and the loopback names
+   *
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<{dnsNames: string[], ipAddresses: string[]}>} Names
+   */
+  async getCertificateNames(agentId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const record = this._getRecordOrThrow(agentId);
+    if (INACTIVE_STATES.includes(record.state)) {
+      throw new AppError(`Agent ${agentId} is ${record.state}`, 409);
+    }
+    this._assertConsulAvailable();
+
+    const mongoDomain = process.env.MONGO_DOMAIN || "mongodb.cloudlunacy.uk";
+    const dnsNames = new Set([`${agentId}.${mongoDomain}`, "localhost"]);
+
+    const routers = await this._collectAgentRouters(agentId);
+    for (const router of [
+      ...Object.values(routers.http),
+      ...Object.values(routers.tcp),
+    ]) {
+      for (const matcher of (router.rule || "").matchAll(
+        HOST_MATCHER_PATTERN
+      )) {
+        for (const [, host] of matcher[1].matchAll(/`([^`]+)`/g)) {
+          if (host !== "*") {
+            dnsNames.add(host.toLowerCase());
+          }
+        }
+      }
+    }
+
+    return {
+      dnsNames: [...dnsNames],
+      ipAddresses: [...new Set([record.targetIp, "127.0.0.1"])].filter(Boolean),
+    };
+  }
+
+  /**
+   * Pin the client certificate an agent authenticates with. Only the
+   * latest certificate is accepted, issuing a new one replaces it.
+   *
+   * @param {string} agentId - The agent ID
+   * @param {Object} certificate - serialNumber, fingerprint256, notBefore, notAfter
+   * @returns {Promise<Object>} Updated agent record
+   */
+  async setClientCertificate(agentId, certificate) {
+    const record = this._getRecordOrThrow(agentId);
+    if (INACTIVE_STATES.includes(record.state)) {
+      throw new AppError(`Agent ${agentId} is ${record.state}`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const updated = {
+      ...record,
+      clientCertificate: {
+        serialNumber: certificate.serialNumber,
+        fingerprint256: certificate.fingerprint256,
+        notBefore: certificate.notBefore,
+        notAfter: certificate.notAfter,
+        issuedAt: now,
+      },
+      updatedAt: now,
+    };
+
+    await this._saveAgent(updated);
+    logger.info(
+      `Pinned client certificate ${certificate.serialNumber} of agent ${agentId}`
+    );
+    return { ...updated };
+  }
+
+  /**
+   * Stop accepting the client certificate of an agent
+   *
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<boolean>} False if the agent had no client certificate
+   */
+  async revokeClientCertificate(agentId) {
+    const record = this._getRecordOrThrow(agentId);
+    if (!record.clientCertificate) {
+      return false;
+    }
+
+    const { clientCertificate, ...rest } = record;
+    await this._saveAgent({ ...rest, updatedAt: new Date().toISOString() });
+    logger.info(
+      `Revoked client certificate ${clientCertificate.serialNumber} of agent ${agentId}`
+    );
+    return true;
+  }
+
+  /**
+   * Identify the agent presenting a verified TLS client certificate. The
+   * certificate must be the one pinned on the agent record, so server
+   * certificates signed by the same CA are not accepted.
+   *
+   * @param {Object} peerCertificate - tls getPeerCertificate() result
+   * @returns {Object|null} Token-like payload, null if not an agent's
+   */
+  authenticateClientCertificate(peerCertificate) {
+    const agentId = peerCertificate?.subject?.CN;
+    const record = agentId && this.agents.get(agentId);
+    const pinned = record && record.clientCertificate;
+
+    if (
+      !pinned ||
+      pinned.fingerprint256 !== peerCertificate.fingerprint256 ||
+      Date.parse(pinned.notAfter) <= Date.now()
+    ) {
+      return null;
+    }
+
+    return {
+      agentId,
+      role: "agent",
+      type: "access",
+      authMethod: "mtls",
+      certificateSerial: pinned.serialNumber,
+    };
+  }
+
+  /**
+   * Find the agent owning a Traefik router, service or middleware by its
+   * name (<agentId>, <agentId>-... or <agentId>_... for HTTP routes). The
+   * longest matching agent ID wins so "app" does not claim the resources of
+   * agent "app-2".
+   *
+   * @param {string} name - Configuration name
+   * @returns {string|null} Agent ID or null
+   */
+  getResourceOwner(name) {
+    if (typeof name !== "string") {
+      return null;
     }
+
+    let owner = null;
+    for (const agentId of this.agents.keys()) {
+      if (
+        (name === agentId ||
+          name.startsWith(`${agentId}-`) ||
+          name.startsWith(`${agentId}_`)) &&
+        (!owner || agentId.length > owner.length)
+      ) {
+        owner = agentId;
+      }
+    }
+    return owner;
+  }
+
+  /**
+   * Verify an agent token
+   *
+   * Tokens carry the ID of the signing key in their kid header and are
+   * signed with a secret derived from that key and the agent's own secret.
+   * Tokens issued before key rotation have no kid and are checked against
+   * JWT_SECRET directly, only when AGENT_ALLOW_LEGACY_TOKENS is set.
+   *
+   * Signing keys, agent secrets and revocations written by other instances
+   * are read from Consul once the local copy is older than the TTL. The
+   * keyring and the agent's secret are read right away when the token does
+   * not match them.
+   *
+   * @param {string} token - The JWT
+   * @param {Object} options - Options
+   * @param {string} [options.type] - Expected token type (access or refresh)
+   * @returns {Promise<Object>} Token payload
+   */
+  async verifyAgentToken(token, { type = "access" } = {}) {
+    try {
+      if (!this.jwtSecret) {
+        throw new Error("JWT_SECRET is not set");
+      }
+
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded || !decoded.payload || typeof decoded.payload !== "object") {
+        throw new jwt.JsonWebTokenError("jwt malformed");
+      }
+
+      const { kid } = decoded.header;
+      let payload;
+
+      await this._refreshTokenState(this.tokenStateTtl * 1000);
+
+      if (kid) {
+        const { agentId } = decoded.payload;
+        let secret = this._getSigningSecret(kid, agentId);
+        if (!secret || !this._hasValidSignature(token, secret)) {
+          // The key or the agent's secret may be newer than the local copy
+          await this._fetchSigningState(agentId);
+          secret = this._getSigningSecret(kid, agentId);
+        }
+        if (!secret) {
+          throw new jwt.JsonWebTokenError("unknown signing key");
+        }
+        payload = jwt.verify(token, secret, { algorithms: ["HS256"] });
+      } else {
+        if (!this.allowLegacyTokens) {
+          throw new jwt.JsonWebTokenError("token has no key ID");
+        }
+        payload = jwt.verify(token, this.jwtSecret, { algorithms: ["HS256"] });
+
+        // Legacy tokens have no ID, revoking all tokens of the agent is
+        // the only way to invalidate them
+        const agentSecret = this.agentSecrets.get(payload.agentId);
+        if (
+          agentSecret?.rotatedAt &&
+          payload.iat * 1000 < Date.parse(agentSecret.rotatedAt)
+        ) {
+          throw this._tokenRevokedError();
+        }
+      }
+
+      if ((payload.type || "access") !== type) {
+        throw new jwt.JsonWebTokenError(`expected ${type} token`);
+      }
+
+      if (payload.jti && this.revokedTokens.has(payload.jti)) {
+        throw this._tokenRevokedError();
+      }
+
+      return payload;
+    } catch (err) {
+      logger.error(`Failed to verify agent token: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Generate a JWT token for agent authentication. The agent secret must
+   * exist, use issueTokens to create it when needed.
+   *
+   * @param {string} agentId - The agent ID
+   * @param {string} role - Role claim
+   * @param {string} type - access or refresh
+   * @returns {string} Signed token
+   */
+  generateAgentToken(agentId, role = "agent", type = "access") {
+    try {
+      if (!this.jwtSecret) {
+        throw new Error("JWT_SECRET is not set");
+      }
+
+      const kid = this.signingKeys.currentKid;
+      const secret = kid && this._getSigningSecret(kid, agentId);
+      if (!secret) {
+        throw new Error(`No signing secret available for agent ${agentId}`);
+      }
+
+      const payload = {
+        agentId,
+        role,
+        type,
+        iat: Math.floor(Date.now() / 1000),
+      };
+
+      return jwt.sign(payload, secret, {
+        expiresIn:
+          type === "refresh" ? this.refreshTokenTtl : this.accessTokenTtl,
+        keyid: kid,
+        jwtid: crypto.randomUUID(),
+      });
+    } catch (err) {
+      logger.error(`Failed to generate agent token: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Issue a short-lived access token and a refresh token. Agent tokens are
+   * only issued for registered agents.
+   *
+   * @param {string} agentId - The agent ID
+   * @param {string} role - Role claim
+   * @returns {Promise<Object>} { accessToken, refreshToken, tokenType, expiresIn, refreshExpiresIn }
+   */
+  async issueTokens(agentId, role = "agent") {
+    if (role !== "admin" && !this.agents.has(agentId)) {
+      throw new AppError(`Agent ${agentId} not found`, 404);
+    }
+
+    await this._ensureAgentSecret(agentId);
+
+    return {
+      accessToken: this.generateAgentToken(agentId, role, "access"),
+      refreshToken: this.generateAgentToken(agentId, role, "refresh"),
+      tokenType: "Bearer",
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresIn: this.refreshTokenTtl,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The refresh token is
+   * revoked so it can only be used once.
+   *
+   * @param {string} refreshToken - The refresh token
+   * @param {Object} options - Options
+   * @param {string} [options.agentId] - Agent the token must belong to
+   * @returns {Promise<Object>} New token pair and the agent ID
+   */
+  async refreshTokens(refreshToken, { agentId } = {}) {
+    let payload;
+    try {
+      payload = await this.verifyAgentToken(refreshToken, {
+        type: "refresh",
+      });
+    } catch (err) {
+      throw new AppError(`Invalid refresh token: ${err.message}`, 401);
+    }
+
+    if (agentId && payload.agentId !== agentId) {
+      throw new AppError(
+        `Refresh token does not belong to agent ${agentId}`,
+        401
+      );
+    }
+
+    if (payload.role !== "admin" && !this.isAgentActive(payload.agentId)) {
+      throw new AppError(`Agent ${payload.agentId} is not active`, 403);
+    }
+
+    await this.revokeToken(payload.jti, {
+      agentId: payload.agentId,
+      expiresAt: payload.exp,
+    });
+
+    return {
+      agentId: payload.agentId,
+      ...(await this.issueTokens(payload.agentId, payload.role)),
+    };
+  }
+
+  /**
+   * Add a token ID to the revocation list
+   *
+   * @param {string} jti - Token ID
+   * @param {Object} options - Options
+   * @param {string} [options.agentId] - Agent the token belongs to
+   * @param {number} [options.expiresAt] - Token expiry (seconds since epoch),
+   *   the entry is dropped afterwards. Defaults to the refresh token TTL.
+   */
+  async revokeToken(jti, { agentId = null, expiresAt = null } = {}) {
+    const now = Date.now();
+    const entry = {
+      agentId,
+      revokedAt: new Date(now).toISOString(),
+      expiresAt: new Date(
+        expiresAt ? expiresAt * 1000 : now + this.refreshTokenTtl * 1000
+      ).toISOString(),
+    };
+
+    if (
+      this.consulService &&
+      this.consulService.isInitialized &&
+      !(await this.consulService.setData(`revoked-tokens/${jti}`, entry))
+    ) {
+      throw new AppError("Failed to store token revocation", 500);
+    }
+
+    // Expired tokens fail verification anyway
+    for (const [id, expires] of this.revokedTokens) {
+      if (Date.parse(expires) <= now) {
+        this.revokedTokens.delete(id);
+      }
+    }
+    this.revokedTokens.set(jti, entry.expiresAt);
+
+    logger.info(`Revoked token ${jti}${agentId ? ` of agent ${agentId}` : ""}`);
+  }
+
+  /**
+   * Revoke one token of an agent (by jti or the token itself) or all of
+   * them by rotating the agent's secret
+   *
+   * @param {string} agentId - The agent ID
+   * @param {Object} options - { jti } | { token } | { all: true }
+   * @returns {Promise<Object>} Result
+   */
+  async revokeAgentTokens(agentId, { jti, token, all = false } = {}) {
+    if (all) {
+      await this.rotateAgentSecret(agentId);
+      return { agentId, revoked: "all" };
+    }
+
+    let expiresAt = null;
+
+    if (token) {
+      const decoded = jwt.decode(token);
+      if (!decoded || !decoded.jti) {
+        throw new AppError(
+          "Token has no ID, revoke all tokens of the agent instead",
+          400
+        );
+      }
+      if (decoded.agentId !== agentId) {
+        throw new AppError(`Token does not belong to agent ${agentId}`, 400);
+      }
+      jti = decoded.jti;
+      expiresAt = decoded.exp;
+    }
+
+    if (!jti) {
+      throw new AppError("jti, token or all is required", 400);
+    }
+
+    await this.revokeToken(jti, { agentId, expiresAt });
+    return { agentId, revoked: [jti] };
+  }
+
+  /**
+   * Replace an agent's secret, invalidating every token issued to it
+   *
+   * @param {string} agentId - The agent ID
+   */
+  async rotateAgentSecret(agentId) {
+    await this._storeAgentSecret(agentId, {
+      secret: crypto.randomBytes(32).toString("hex"),
+      createdAt:
+        this.agentSecrets.get(agentId)?.createdAt || new Date().toISOString(),
+      rotatedAt: new Date().toISOString(),
+    });
+    logger.info(`Rotated secret of agent ${agentId}, all its tokens revoked`);
+  }
+
+  /**
+   * Start signing with a new key. Retired keys stay valid for verification
+   * until every token signed with them has expired.
+   *
+   * @returns {Promise<Object>} { kid, retiredKids }
+   */
+  async rotateSigningKey() {
+    const now = new Date();
+    const kid = `k${now.getTime().toString(36)}${crypto
+      .randomBytes(2)
+      .toString("hex")}`;
+    const keys = {};
+
+    for (const [id, key] of Object.entries(this.signingKeys.keys)) {
+      const retiredAt = key.retiredAt || now.toISOString();
+      if (Date.parse(retiredAt) + this.refreshTokenTtl * 1000 > now.getTime()) {
+        keys[id] = { ...key, retiredAt };
+      }
+    }
+    keys[kid] = { createdAt: now.toISOString(), retiredAt: null };
+
+    const keyring = { currentKid: kid, keys };
+
+    if (
+      this.consulService &&
+      this.consulService.isInitialized &&
+      !(await this.consulService.setData(SIGNING_KEYS_KEY, keyring))
+    ) {
+      throw new AppError("Failed to store signing keys", 500);
+    }
+
+    this.signingKeys = keyring;
+    logger.info(`Signing key rotated to ${kid}`);
+
+    return {
+      kid,
+      retiredKids: Object.keys(keys).filter((id) => id !== kid),
+    };
+  }
+
+  /**
+   * Default record for a new agent
+   *
+   * @private
+   */
+  _newRecord(agentId, now) {
+    return {
+      agentId,
+      targetIp: null,
+      hostname: null,
+      version: null,
+      labels: {},
+      capabilities: [],
+      owner: null,
+      state: "pending",
+      health: null,
+      httpPort: 8080,
+      mongoPort: 27017,
+      secure: true,
+      registeredAt: now,
+      updatedAt: now,
+      lastSeen: now,
+    };
+  }
+
+  /**
+   * Persist an agent record and update the registry
+   *
+   * @private
+   */
+  async _saveAgent(record) {
+    if (!this.consulService || !this.consulService.isInitialized) {
+      throw new AppError("Consul service not available", 503);
+    }
+
+    this.agents.set(record.agentId, record);
+
+    if (
+      !(await this.consulService.setData(`agents/${record.agentId}`, record))
+    ) {
+      throw new AppError(`Failed to persist agent ${record.agentId}`, 500);
+    }
+  }
+
+  /**
+   * Move an agent to a new lifecycle state
+   *
+   * @private
+   */
+  async _setState(record, state, changes = {}) {
+    const updated = {
+      ...this.agents.get(record.agentId),
+      ...changes,
+      state,
+      updatedAt: new Date().toISOString(),
+    };
+    await this._saveAgent(updated);
+    return { ...updated };
+  }
+
+  /**
+   * @private
+   */
+  _getRecordOrThrow(agentId) {
+    const record = this.agents.get(agentId);
+    if (!record) {
+      throw new AppError(`Agent ${agentId} not found`, 404);
+    }
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  _assertTransition(record, state) {
+    if (!AGENT_STATES[record.state]?.includes(state)) {
+      throw new AppError(
+        `Agent ${record.agentId} cannot move from ${record.state} to ${state}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _assertConsulAvailable() {
+    if (!this.consulService || !this.consulService.isInitialized) {
+      throw new AppError("Consul service not available", 503);
+    }
+  }
+
+  /**
+   * Routers owned by an agent: its own routers, its application routers
+   * and routers of other names (custom domains) that target its services
+   *
+   * @returns {Promise<{http: Object, tcp: Object}>} Router configs by name
+   * @private
+   */
+  async _collectAgentRouters(agentId) {
+    const pick = (routers) =>
+      Object.fromEntries(
+        Object.entries(routers || {}).filter(
+          ([name, router]) =>
+            this.getResourceOwner(name) === agentId ||
+            this.getResourceOwner(router && router.service) === agentId
+        )
+      );
+
+    return {
+      http: pick(await this.consulService.getTree("http/routers")),
+      tcp: pick(await this.consulService.getTree("tcp/routers")),
+    };
+  }
+
+  /**
+   * Validate agent metadata, only the given fields are returned
+   *
+   * @private
+   */
+  _normalizeMetadata(metadata) {
+    const result = {};
+
+    if (metadata.hostname !== undefined && metadata.hostname !== null) {
+      if (
+        typeof metadata.hostname !== "string" ||
+        !HOSTNAME_PATTERN.test(metadata.hostname)
+      ) {
+        throw new AppError(`Invalid hostname: ${metadata.hostname}`, 400);
+      }
+    }
+
+    for (const field of ["version", "owner"]) {
+      const value = metadata[field];
+      if (
+        value !== undefined &&
+        value !== null &&
+        (typeof value !== "string" || value.length === 0 || value.length > 128)
+      ) {
+        throw new AppError(
+          `${field} must be a string of 1-128 characters`,
+          400
+        );
+      }
+    }
+
+    for (const field of ["hostname", "version", "owner"]) {
+      if (metadata[field] !== undefined) {
+        result[field] = metadata[field];
+      }
+    }
+
+    if (metadata.capabilities !== undefined) {
+      if (
+        !Array.isArray(metadata.capabilities) ||
+        !metadata.capabilities.every(
+          (capability) =>
+            typeof capability === "string" &&
+            CAPABILITY_PATTERN.test(capability)
+        )
+      ) {
+        throw new AppError(
+          "capabilities must be an array of capability names",
+          400
+        );
+      }
+      result.capabilities = [...new Set(metadata.capabilities)];
+    }
+
+    if (metadata.labels !== undefined) {
+      if (
+        !metadata.labels ||
+        typeof metadata.labels !== "object" ||
+        Array.isArray(metadata.labels)
+      ) {
+        throw new AppError("labels must be an object", 400);
+      }
+
+      for (const [key, value] of Object.entries(metadata.labels)) {
+        if (!LABEL_KEY_PATTERN.test(key)) {
+          throw new AppError(`Invalid label key: ${key}`, 400);
+        }
+        if (
+          value !== null &&
+          (typeof value !== "string" || value.length > LABEL_VALUE_MAX_LENGTH)
+        ) {
+          throw new AppError(
+            `Label ${key} must be a string of at most ${LABEL_VALUE_MAX_LENGTH} characters`,
+            400
+          );
+        }
+      }
+      result.labels = metadata.labels;
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge label changes into the current labels, null removes a label
+   *
+   * @private
+   */
+  _mergeLabels(current = {}, changes = {}) {
+    const labels = { ...current };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete labels[key];
+      } else {
+        labels[key] = value;
+      }
+    }
+    return labels;
+  }
+
+  /**
+   * Derive the health status from the last heartbeat
+   *
+   * @private
+   */
+  _evaluateHealth(record, now) {
+    const age = Math.floor(
+      (now - Date.parse(record.health.lastHeartbeat)) / 1000
+    );
+
+    if (age >= this.offlineAfterSeconds) {
+      return { status: "offline", reasons: [`No heartbeat for ${age}s`] };
+    }
+
+    const reasons = [];
+    if (age >= this.degradedAfterSeconds) {
+      reasons.push(`Last heartbeat ${age}s ago`);
+    }
+
+    const usedPercent = record.health.disk?.usedPercent;
+    if (
+      typeof usedPercent === "number" &&
+      usedPercent >= this.diskDegradedPercent
+    ) {
+      reasons.push(`Disk ${usedPercent}% used`);
+    }
+
+    return { status: reasons.length > 0 ? "degraded" : "healthy", reasons };
+  }
+
+  /**
+   * Store a health status, switch the maintenance page and emit
+   * agent-health-changed plus agent-<status> on transitions
+   *
+   * @private
+   */
+  async _applyHealth(record, status, reasons) {
+    const { agentId } = record;
+    const previous = record.health?.status || null;
+    const now = new Date().toISOString();
+
+    let maintenance = !!record.health?.maintenance;
+    if (
+      !maintenance &&
+      status === "offline" &&
+      this.maintenanceUrl &&
+      record.state === "active"
+    ) {
+      maintenance = await this._enterMaintenance(agentId);
+    } else if (maintenance && (status !== "offline" || !this.maintenanceUrl)) {
+      maintenance = !(await this._leaveMaintenance(agentId));
+    }
+
+    await this._saveAgent({
+      ...record,
+      health: {
+        ...record.health,
+        status,
+        reasons,
+        since: previous === status ? record.health.since : now,
+        maintenance,
+      },
+    });
+
+    if (previous !== status) {
+      const event = { agentId, previous, status, reasons, timestamp: now };
+      logger[status === "healthy" ? "info" : "warn"](
+        `Agent ${agentId} is ${status}${
+          reasons.length > 0 ? `: ${reasons.join("; ")}` : ""
+        }`
+      );
+      this.emit("agent-health-changed", event);
+      this.emit(`agent-${status}`, event);
+    }
+  }
+
+  /**
+   * Point the agent's HTTP routers at the maintenance page. The original
+   * services are kept in the data store.
+   *
+   * @returns {Promise<boolean>} Whether the routers were switched
+   * @private
+   */
+  async _enterMaintenance(agentId) {
+    const routers = (await this._collectAgentRouters(agentId)).http;
+    const originals =
+      (await this.consulService.getData(`maintenance-routers/${agentId}`)) ||
+      {};
+    const switched = {};
+
+    for (const [name, router] of Object.entries(routers)) {
+      if (!router || router.service === MAINTENANCE_SERVICE) {
+        continue;
+      }
+      originals[name] = router.service;
+      switched[name] = { ...router, service: MAINTENANCE_SERVICE };
+    }
+
+    if (
+      !(await this.consulService.setData(
+        `maintenance-routers/${agentId}`,
+        originals
+      ))
+    ) {
+      return false;
+    }
+
+    const registered = await this.consulService.registerConfigs({
+      "http/services": {
+        [MAINTENANCE_SERVICE]: {
+          loadBalancer: { servers: [{ url: this.maintenanceUrl }] },
+        },
+      },
+      "http/routers": switched,
+    });
+
+    if (registered) {
+      logger.warn(
+        `Switched ${
+          Object.keys(switched).length
+        } routers of agent ${agentId} to the maintenance page`
+      );
+    }
+    return registered;
+  }
+
+  /**
+   * Point routers switched to the maintenance page back at their services
+   *
+   * @returns {Promise<boolean>} Whether the routers were restored
+   * @private
+   */
+  async _leaveMaintenance(agentId) {
+    const originals =
+      (await this.consulService.getData(`maintenance-routers/${agentId}`)) ||
+      {};
+    const current = (await this.consulService.getTree("http/routers")) || {};
+    const restored = {};
+
+    for (const [name, service] of Object.entries(originals)) {
+      // Routers changed or removed in the meantime are left alone
+      if (current[name]?.service === MAINTENANCE_SERVICE) {
+        restored[name] = { ...current[name], service };
+      }
+    }
+
+    if (
+      !(await this.consulService.registerConfigs({ "http/routers": restored }))
+    ) {
+      return false;
+    }
+
+    await this.consulService.deleteData(`maintenance-routers/${agentId}`);
+    logger.info(`Restored routers of agent ${agentId} from maintenance page`);
+    return true;
+  }
+
+  /**
+   * Validate a heartbeat payload
+   *
+   * @private
+   */
+  _normalizeHeartbeat(payload) {
+    const heartbeat = {};
+    const isNonNegative = (value) =>
+      typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+    if (payload.version !== undefined) {
+      if (
+        typeof payload.version !== "string" ||
+        payload.version.length === 0 ||
+        payload.version.length > 128
+      ) {
+        throw new AppError("version must be a string of 1-128 characters", 400);
+      }
+      heartbeat.version = payload.version;
+    }
+
+    if (payload.load !== undefined) {
+      const load = [].concat(payload.load);
+      if (load.length === 0 || load.length > 3 || !load.every(isNonNegative)) {
+        throw new AppError(
+          "load must be a number or an array of up to 3 load averages",
+          400
+        );
+      }
+      heartbeat.load = load;
+    }
+
+    if (payload.disk !== undefined) {
+      const disk =
+        typeof payload.disk === "number"
+          ? { usedPercent: payload.disk }
+          : payload.disk;
+      if (
+        !disk ||
+        typeof disk !== "object" ||
+        !isNonNegative(disk.usedPercent) ||
+        disk.usedPercent > 100 ||
+        (disk.totalBytes !== undefined && !isNonNegative(disk.totalBytes)) ||
+        (disk.freeBytes !== undefined && !isNonNegative(disk.freeBytes))
+      ) {
+        throw new AppError(
+          "disk must be a usage percentage or { usedPercent, totalBytes, freeBytes }",
+          400
+        );
+      }
+      heartbeat.disk = {
+        usedPercent: disk.usedPercent,
+        ...(disk.totalBytes !== undefined && { totalBytes: disk.totalBytes }),
+        ...(disk.freeBytes !== undefined && { freeBytes: disk.freeBytes }),
+      };
+    }
+
+    if (payload.containers !== undefined) {
+      if (
+        !Array.isArray(payload.containers) ||
+        payload.containers.length > MAX_REPORTED_CONTAINERS
+      ) {
+        throw new AppError(
+          `containers must be an array of at most ${MAX_REPORTED_CONTAINERS} entries`,
+          400
+        );
+      }
+      heartbeat.containers = payload.containers.map((container) => {
+        const entry =
+          typeof container === "string" ? { name: container } : container;
+        if (!entry || typeof entry.name !== "string" || !entry.name) {
+          throw new AppError("Each container needs a name", 400);
+        }
+        return {
+          name: entry.name,
+          image: typeof entry.image === "string" ? entry.image : null,
+          status: typeof entry.status === "string" ? entry.status : null,
+        };
+      });
+    }
+
+    return heartbeat;
+  }
+
+  /**
+   * Load signing keys, agent secrets and revoked token IDs from Consul and
+   * make sure a signing key exists
+   *
+   * @private
+   */
+  async _loadTokenState() {
+    if (this.consulService && this.consulService.isInitialized) {
+      const keyring = await this.consulService.getData(SIGNING_KEYS_KEY);
+      if (keyring && keyring.currentKid) {
+        this.signingKeys = keyring;
+      }
+
+      // Swapped in whole so verifications never see a partial state
+      const agentSecrets = new Map();
+      for (const { key, value } of await this.consulService.listData(
+        "agent-secrets"
+      )) {
+        agentSecrets.set(key, value);
+      }
+
+      const now = Date.now();
+      const revokedTokens = new Map();
+      for (const { key, value } of await this.consulService.listData(
+        "revoked-tokens"
+      )) {
+        if (Date.parse(value.expiresAt) > now) {
+          revokedTokens.set(key, value.expiresAt);
+        } else {
+          await this.consulService.deleteData(`revoked-tokens/${key}`);
+        }
+      }
+
+      this.agentSecrets = agentSecrets;
+      this.revokedTokens = revokedTokens;
+    }
+
+    if (!this.signingKeys.currentKid) {
+      await this.rotateSigningKey();
+    }
+
+    this.tokenStateLoadedAt = Date.now();
+    logger.debug(
+      `Token state loaded: signing key ${this.signingKeys.currentKid}, ${this.revokedTokens.size} revoked tokens`
+    );
+  }
+
+  /**
+   * Whether the token is signed with the secret, expired or not
+   *
+   * @private
+   */
+  _hasValidSignature(token, secret) {
+    try {
+      jwt.verify(token, secret, {
+        algorithms: ["HS256"],
+        ignoreExpiration: true,
+        ignoreNotBefore: true,
+      });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Read the keyring and one agent's secret from Consul
+   *
+   * @param {string} agentId - Agent ID claimed by a token
+   * @private
+   */
+  async _fetchSigningState(agentId) {
+    if (!this.consulService || !this.consulService.isInitialized) {
+      return;
+    }
+
+    try {
+      const keyring = await this.consulService.getData(SIGNING_KEYS_KEY);
+      if (keyring && keyring.currentKid) {
+        this.signingKeys = keyring;
+      }
+
+      if (typeof agentId === "string" && AGENT_ID_PATTERN.test(agentId)) {
+        const entry = await this.consulService.getData(
+          `agent-secrets/${agentId}`
+        );
+        if (entry) {
+          this.agentSecrets.set(agentId, entry);
+        }
+      }
+    } catch (err) {
+      logger.warn(`Failed to read signing state: ${err.message}`);
+    }
+  }
+
+  /**
+   * Reload the token state from Consul when it is older than maxAgeMs.
+   * Concurrent verifications share one reload, and a failed reload keeps
+   * the current state.
+   *
+   * @param {number} maxAgeMs - Maximum age of the loaded state
+   * @private
+   */
+  async _refreshTokenState(maxAgeMs) {
+    if (
+      !this.consulService ||
+      !this.consulService.isInitialized ||
+      Date.now() - this.tokenStateLoadedAt < maxAgeMs
+    ) {
+      return;
+    }
+
+    if (!this.tokenStateLoading) {
+      this.tokenStateLoading = this._loadTokenState()
+        .catch((err) => {
+          // Try again after the TTL instead of on every request
+          this.tokenStateLoadedAt = Date.now();
+          logger.warn(`Failed to reload token state: ${err.message}`);
+        })
+        .finally(() => {
+          this.tokenStateLoading = null;
+        });
+    }
+    await this.tokenStateLoading;
+  }
+
+  /**
+   * Secret a token of the agent is signed with: HMAC of the agent secret
+   * keyed with the signing key derived from JWT_SECRET and the key ID
+   *
+   * @returns {string|null} Secret or null if the key or agent is unknown
+   * @private
+   */
+  _getSigningSecret(kid, agentId) {
+    const agentSecret = this.agentSecrets.get(agentId);
+    if (!this.signingKeys.keys[kid] || !agentSecret) {
+      return null;
+    }
+
+    const signingKey = crypto
+      .createHmac("sha256", this.jwtSecret)
+      .update(kid)
+      .digest();
+
+    return crypto
+      .createHmac("sha256", signingKey)
+      .update(`${agentId}:${agentSecret.secret}`)
+      .digest("hex");
+  }
+
+  /**
+   * Create the agent's secret if it does not exist yet
+   *
+   * @private
+   */
+  async _ensureAgentSecret(agentId) {
+    if (this.agentSecrets.has(agentId)) {
+      return;
+    }
+
+    await this._storeAgentSecret(agentId, {
+      secret: crypto.randomBytes(32).toString("hex"),
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _storeAgentSecret(agentId, entry) {
+    if (
+      this.consulService &&
+      this.consulService.isInitialized &&
+      !(await this.consulService.setData(`agent-secrets/${agentId}`, entry))
+    ) {
+      throw new AppError(`Failed to store secret of agent ${agentId}`, 500);
+    }
+    this.agentSecrets.set(agentId, entry);
+  }
+
+  /**
+   * @private
+   */
+  _tokenRevokedError() {
+    const error = new Error("Token has been revoked");
+    error.name = "TokenRevokedError";
+    return error;
   }
 }
 
@@ -0,0 +1,333 @@
+/**
+ * Audit Service
+ *
+ * Durable record of who changed what. Entries are appended to rotating
+ * JSONL files through the audit logger in utils/logger and streamed back
+ * from those files, newest first, for queries.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const baseLogger = require("../../utils/logger");
+const logger = baseLogger.getLogger("auditService");
+const { AppError } = require("../../utils/errorHandler");
+
+const AUDIT_FILE_PATTERN = /^audit-\d{4}-\d{2}-\d{2}.*\.jsonl(\.\d+)?$/;
+// Date and size rotation index of an audit file name
+const AUDIT_FILE_ORDER_PATTERN =
+  /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl(?:\.(\d+))?$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+class AuditService {
+  constructor() {
+    this.auditLogger = null;
+    this.warnedUnavailable = false;
+  }
+
+  /**
+   * Append an entry to the audit trail. Never throws, a failing audit write
+   * must not fail the request that is being audited.
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - What was done, e.g. "agent.suspend"
+   * @param {Object} entry.actor - Who did it
+   * @param {string} [entry.agentId] - Agent the action was about
+   * @param {*} [entry.before] - State before the action
+   * @param {*} [entry.after] - State after the action
+   * @param {Object} entry.result - Status code and outcome
+   * @returns {Object|null} Stored entry
+   */
+  record(entry) {
+    try {
+      const auditLogger = this._getAuditLogger();
+      if (!auditLogger) {
+        return null;
+      }
+
+      const stored = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        ...entry,
+      };
+
+      if (entry.before !== undefined || entry.after !== undefined) {
+        stored.diff = this.diff(entry.before, entry.after);
+      }
+
+      auditLogger.info("audit", { entry: stored });
+      return stored;
+    } catch (err) {
+      logger.error(`Failed to write audit entry: ${err.message}`, {
+        error: err.message,
+        action: entry && entry.action,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Query the audit trail, newest entries first
+   * @param {Object} filters - Filters
+   * @param {string} [filters.actor] - Actor ID
+   * @param {string} [filters.agentId] - Agent ID
+   * @param {string} [filters.action] - Action, or prefix ending in "*"
+   * @param {string} [filters.result] - "success" or "failure"
+   * @param {string} [filters.since] - ISO date, inclusive
+   * @param {string} [filters.until] - ISO date, exclusive
+   * @param {number} [filters.limit] - Page size, at most 500
+   * @param {number} [filters.offset] - Entries to skip
+   * @returns {Promise<Object>} Page of entries and whether more match
+   */
+  async query(filters = {}) {
+    const limit =
+      filters.limit === undefined ? DEFAULT_PAGE_SIZE : Number(filters.limit);
+    const offset = filters.offset === undefined ? 0 : Number(filters.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new AppError(
+        `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+        400
+      );
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new AppError("offset must be a non-negative integer", 400);
+    }
+
+    const since = this._parseDate(filters.since, "since");
+    const until = this._parseDate(filters.until, "until");
+
+    if (filters.result && !["success", "failure"].includes(filters.result)) {
+      throw new AppError('result must be "success" or "failure"', 400);
+    }
+
+    const matches = (entry) => {
+      const time = Date.parse(entry.timestamp);
+
+      if (since !== null && time < since) return false;
+      if (until !== null && time >= until) return false;
+      if (filters.agentId && entry.agentId !== filters.agentId) return false;
+      if (filters.actor && (!entry.actor || entry.actor.id !== filters.actor))
+        return false;
+      if (filters.action && !this._actionMatches(entry, filters.action))
+        return false;
+      if (
+        filters.result &&
+        (filters.result === "success") !==
+          !!(entry.result && entry.result.success)
+      )
+        return false;
+
+      return true;
+    };
+
+    // One entry more than the page tells whether another page follows
+    const entries = await this._readEntries(matches, offset + limit + 1);
+
+    return {
+      limit,
+      offset,
+      hasMore: entries.length > offset + limit,
+      entries: entries.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * List the changed fields between two states
+   * @param {*} before - State before
+   * @param {*} after - State after
+   * @param {string} [prefix] - Path of the compared values
+   * @returns {Object[]} Changes as { path, before, after }
+   */
+  diff(before, after, prefix = "") {
+    if (this._isPlainObject(before) && this._isPlainObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      const changes = [];
+
+      for (const key of keys) {
+        changes.push(
+          ...this.diff(
+            before[key],
+            after[key],
+            prefix ? `${prefix}.${key}` : key
+          )
+        );
+      }
+
+      return changes;
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      return [];
+    }
+
+    return [
+      {
+        path: prefix,
+        before: before === undefined ? null : before,
+        after: after === undefined ? null : after,
+      },
+    ];
+  }
+
+  /**
+   * Read the newest matching entries, newest first. Files are streamed from
+   * the newest one on and no older file is opened once enough entries
+   * matched, so memory stays bounded by the count.
+   * @param {Function} matches - Filter applied while streaming
+   * @param {number} count - Number of entries wanted
+   * @returns {Promise<Object[]>} Up to count entries
+   * @private
+   */
+  async _readEntries(matches, count) {
+    const dir = baseLogger.logDir;
+    let files;
+
+    try {
+      files = (await fs.promises.readdir(dir))
+        .filter((file) => AUDIT_FILE_PATTERN.test(file))
+        .sort((a, b) => this._compareFiles(b, a));
+    } catch (err) {
+      logger.error(`Failed to list audit files in ${dir}: ${err.message}`);
+      throw new AppError("Audit log not available", 503);
+    }
+
+    const entries = [];
+
+    for (const file of files) {
+      if (entries.length >= count) {
+        break;
+      }
+
+      const newest = await this._readNewest(
+        path.join(dir, file),
+        matches,
+        count - entries.length
+      );
+      entries.push(...newest);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Stream one audit file and keep its last matching entries. Entries are
+   * appended in time order, so those are the newest.
+   * @param {string} filePath - Audit file
+   * @param {Function} matches - Filter
+   * @param {number} count - Entries to keep at most
+   * @returns {Promise<Object[]>} Entries, newest first
+   * @private
+   */
+  async _readNewest(filePath, matches, count) {
+    const input = fs.createReadStream(filePath, { encoding: "utf8" });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const newest = [];
+
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          logger.warn(
+            `Skipping malformed audit line in ${path.basename(filePath)}`
+          );
+          continue;
+        }
+
+        if (matches(entry)) {
+          newest.push(entry);
+          if (newest.length > count) {
+            newest.shift();
+          }
+        }
+      }
+    } catch (err) {
+      // Rotation may remove a file while it is listed
+      if (err.code !== "ENOENT") {
+        throw err;
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+
+    return newest.sort((a, b) =>
+      String(b.timestamp).localeCompare(String(a.timestamp))
+    );
+  }
+
+  /**
+   * Order audit files by date, then by size rotation index
+   * @private
+   */
+  _compareFiles(a, b) {
+    const order = (file) => {
+      const match = AUDIT_FILE_ORDER_PATTERN.exec(file);
+      return match
+        ? [match[1], Number(match[2] || match[3] || 0)]
+        : [file.slice(6, 16), 0];
+    };
+    const [dateA, indexA] = order(a);
+    const [dateB, indexB] = order(b);
+
+    return dateA === dateB ? indexA - indexB : dateA.localeCompare(dateB);
+  }
+
+  /**
+   * @private
+   */
+  _actionMatches(entry, action) {
+    if (action.endsWith("*")) {
+      return (entry.action || "").startsWith(action.slice(0, -1));
+    }
+    return entry.action === action;
+  }
+
+  /**
+   * @private
+   */
+  _parseDate(value, name) {
+    if (!value) {
+      return null;
+    }
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new AppError(`${name} must be an ISO date`, 400);
+    }
+    return time;
+  }
+
+  /**
+   * @private
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  /**
+   * @private
+   */
+  _getAuditLogger() {
+    if (!this.auditLogger) {
+      this.auditLogger = baseLogger.getAuditLogger();
+    }
+
+    if (!this.auditLogger && !this.warnedUnavailable) {
+      logger.warn("File logging is disabled, audit entries are not stored");
+      this.warnedUnavailable = true;
+    }
+
+    return this.auditLogger;
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,406 @@
+/**
+ * CA Rotation Service
+ *
+ * Planned rotation of the internal root CA. Starting a rotation replaces
+ * the root and intermediate CA while the CA bundle keeps trusting the
+ * previous ones (dual trust), then reissues the certificates of all agents
+ * in the background. Once every agent runs on the new root the rotation is
+ * finalized, which drops the previous CA certificates from the bundle.
+ *
+ * Progress is kept in ca-rotation.json next to the CA, so an interrupted
+ * reissue resumes after a restart.
+ */
+
+const EventEmitter = require("events");
+const fs = require("fs").promises;
+const path = require("path");
+const logger = require("../../utils/logger").getLogger("caRotationService");
+const { AppError } = require("../../utils/errorHandler");
+
+const STATE_FILE = "ca-rotation.json";
+// reissuing -> dual-trust -> completed
+const ROTATION_STATUSES = ["reissuing", "dual-trust", "completed"];
+
+class CaRotationService extends EventEmitter {
+  constructor(certificateService) {
+    super();
+    this.certificateService = certificateService;
+    this.initialized = false;
+    this.state = null;
+    this.reissuing = null;
+  }
+
+  /**
+   * Initialize the CA rotation service and resume an interrupted reissue
+   */
+  async initialize() {
+    try {
+      logger.info("Initializing CA rotation service");
+
+      if (!this.certificateService.initialized) {
+        await this.certificateService.initialize();
+      }
+
+      this.state = await this._loadState();
+      this.initialized = true;
+
+      if (this.state && this.state.status === "reissuing") {
+        logger.info(
+          `Resuming agent certificate reissue of CA rotation ${this.state.id}`
+        );
+        this._startReissue();
+      }
+
+      logger.info("CA rotation service initialized successfully");
+      return true;
+    } catch (err) {
+      logger.error(`Failed to initialize CA rotation service: ${err.message}`, {
+        error: err.message,
+        stack: err.stack,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Rotate the root CA and start reissuing agent certificates
+   * @param {Object} options - Options
+   * @param {string} [options.requestedBy] - Who started the rotation
+   * @returns {Promise<Object>} Rotation status
+   */
+  async startRotation({ requestedBy = null } = {}) {
+    await this._ensureInitialized();
+
+    if (this.state && this.state.status !== "completed") {
+      throw new AppError(
+        `CA rotation ${this.state.id} is ${this.state.status}, finalize it before starting another one`,
+        409
+      );
+    }
+
+    const agentIds = await this._listAgentsWithCertificates();
+    const rotation = await this.certificateService.rotateRootCa();
+    const startedAt = new Date().toISOString();
+
+    this.state = {
+      id: startedAt.replace(/[:.]/g, "-"),
+      status: "reissuing",
+      startedAt,
+      requestedBy,
+      oldRoot: rotation.oldRoot,
+      newRoot: rotation.newRoot,
+      archiveDir: rotation.archiveDir,
+      agents: Object.fromEntries(
+        agentIds.map((agentId) => [agentId, { status: "pending" }])
+      ),
+    };
+    await this._saveState();
+
+    logger.info(
+      `Started CA rotation ${this.state.id}, reissuing ${agentIds.length} agent certificates`
+    );
+    this.emit("ca-changed", { reason: "rotation-started" });
+    this._startReissue();
+
+    return this.getStatus();
+  }
+
+  /**
+   * Progress of the current or last rotation
+   * @returns {Promise<Object>} Rotation status, { status: "none" } without one
+   */
+  async getStatus() {
+    await this._ensureInitialized();
+
+    if (!this.state) {
+      return { status: "none" };
+    }
+
+    const agents = Object.entries(this.state.agents).map(
+      ([agentId, entry]) => ({ agentId, ...entry })
+    );
+    const counts = { pending: 0, reissued: 0, failed: 0, skipped: 0 };
+    for (const agent of agents) {
+      counts[agent.status] = (counts[agent.status] || 0) + 1;
+    }
+
+    return {
+      id: this.state.id,
+      status: this.state.status,
+      startedAt: this.state.startedAt,
+      requestedBy: this.state.requestedBy,
+      dualTrustSince: this.state.dualTrustSince || null,
+      completedAt: this.state.completedAt || null,
+      oldRoot: this.state.oldRoot,
+      newRoot: this.state.newRoot,
+      archiveDir: this.state.archiveDir,
+      total: agents.length,
+      ...counts,
+      agents,
+      staleClientCertificates: this._staleClientCertificates(),
+    };
+  }
+
+  /**
+   * Reissue the certificates that failed during the rotation
+   * @returns {Promise<Object>} Rotation status
+   */
+  async retryFailed() {
+    await this._ensureInitialized();
+
+    if (!this.state || this.state.status === "completed") {
+      throw new AppError("No CA rotation in progress", 409);
+    }
+    if (this.reissuing) {
+      throw new AppError("Agent certificates are still being reissued", 409);
+    }
+
+    const failed = Object.values(this.state.agents).filter(
+      (entry) => entry.status === "failed"
+    );
+    if (failed.length === 0) {
+      throw new AppError("No failed agent certificates to retry", 409);
+    }
+
+    for (const entry of failed) {
+      entry.status = "pending";
+      delete entry.error;
+    }
+    this.state.status = "reissuing";
+    await this._saveState();
+    this._startReissue();
+
+    return this.getStatus();
+  }
+
+  /**
+   * End the dual-trust period, the previous roots are no longer trusted
+   * @param {Object} options - Options
+   * @param {boolean} [options.force] - Finalize although agents failed or
+   *   still authenticate with client certificates of the previous root
+   * @returns {Promise<Object>} Rotation status
+   */
+  async finalize({ force = false } = {}) {
+    await this._ensureInitialized();
+
+    if (!this.state || this.state.status !== "dual-trust") {
+      throw new AppError(
+        this.state && this.state.status === "reissuing"
+          ? "Agent certificates are still being reissued"
+          : "No CA rotation waiting to be finalized",
+        409
+      );
+    }
+
+    if (!force) {
+      const failed = Object.keys(this.state.agents).filter(
+        (agentId) => this.state.agents[agentId].status === "failed"
+      );
+      if (failed.length > 0) {
+        throw new AppError(
+          `Certificates of ${
+            failed.length
+          } agents could not be reissued (${failed.join(
+            ", "
+          )}), retry them or finalize with force`,
+          409
+        );
+      }
+
+      const stale = this._staleClientCertificates();
+      if (stale.length > 0) {
+        throw new AppError(
+          `${
+            stale.length
+          } agents still have client certificates of the previous root (${stale.join(
+            ", "
+          )}), reissue them or finalize with force`,
+          409
+        );
+      }
+    }
+
+    const { removed } = await this.certificateService.finalizeRootRotation();
+    this.state.status = "completed";
+    this.state.completedAt = new Date().toISOString();
+    this.state.removedCaCertificates = removed;
+    await this._saveState();
+
+    logger.info(
+      `Finalized CA rotation ${this.state.id}, previous roots are no longer trusted`
+    );
+    this.emit("ca-changed", { reason: "rotation-finalized" });
+
+    return this.getStatus();
+  }
+
+  /**
+   * Run the background reissue unless it is already running
+   * @private
+   */
+  _startReissue() {
+    if (this.reissuing) {
+      return;
+    }
+
+    this.reissuing = this._reissuePending()
+      .catch((err) => {
+        logger.error(`Agent certificate reissue failed: ${err.message}`, {
+          error: err.message,
+          stack: err.stack,
+        });
+      })
+      .finally(() => {
+        this.reissuing = null;
+      });
+  }
+
+  /**
+   * Reissue pending agent certificates one at a time, saving progress
+   * after each agent
+   * @private
+   */
+  async _reissuePending() {
+    const { agentService } = require("../core");
+
+    for (const [agentId, entry] of Object.entries(this.state.agents)) {
+      if (entry.status !== "pending") {
+        continue;
+      }
+
+      const record = agentService.getAgent(agentId);
+      if (!record || !agentService.isAgentActive(agentId)) {
+        entry.status = "skipped";
+        entry.error = record ? `Agent is ${record.state}` : "Unknown agent";
+      } else {
+        const result = await this.certificateService.renewCertificate(
+          agentId,
+          record.targetIp
+        );
+        if (result && result.success) {
+          entry.status = "reissued";
+          entry.reissuedAt = new Date().toISOString();
+        } else {
+          entry.status = "failed";
+          entry.error = (result && result.error) || "Unknown error";
+          logger.warn(
+            `Failed to reissue certificate of agent ${agentId}: ${entry.error}`
+          );
+        }
+      }
+
+      await this._saveState();
+    }
+
+    const failed = Object.values(this.state.agents).filter(
+      (entry) => entry.status === "failed"
+    ).length;
+    this.state.status = "dual-trust";
+    this.state.dualTrustSince =
+      this.state.dualTrustSince || new Date().toISOString();
+    await this._saveState();
+
+    logger.info(
+      `Agent certificates of CA rotation ${this.state.id} reissued${
+        failed ? `, ${failed} failed` : ""
+      }`
+    );
+  }
+
+  /**
+   * Active agents whose pinned client certificate predates the rotation.
+   * They have to request a new one before the previous root is dropped.
+   * @returns {string[]} Agent IDs
+   * @private
+   */
+  _staleClientCertificates() {
+    const { agentService } = require("../core");
+    const startedAt = new Date(this.state.startedAt);
+
+    return agentService
+      .listAgents()
+      .filter(
+        (agent) =>
+          agent.clientCertificate &&
+          agentService.isAgentActive(agent.agentId) &&
+          new Date(agent.clientCertificate.issuedAt) < startedAt
+      )
+      .map((agent) => agent.agentId);
+  }
+
+  /**
+   * IDs of the agents that have a server certificate
+   * @returns {Promise<string[]>} Agent IDs
+   * @private
+   */
+  async _listAgentsWithCertificates() {
+    const baseDir = this.certificateService.agentCertsBaseDir;
+    let entries;
+    try {
+      entries = await fs.readdir(baseDir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return [];
+      }
+      throw err;
+    }
+
+    const agentIds = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+      try {
+        await fs.access(path.join(baseDir, entry.name, "server.crt"));
+        agentIds.push(entry.name);
+      } catch {
+        // No server certificate, nothing to reissue
+      }
+    }
+    return agentIds.sort();
+  }
+
+  async _ensureInitialized() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+  }
+
+  _statePath() {
+    return path.join(this.certificateService.certsDir, STATE_FILE);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Saved rotation state
+   * @private
+   */
+  async _loadState() {
+    try {
+      const state = JSON.parse(await fs.readFile(this._statePath(), "utf8"));
+      if (!ROTATION_STATUSES.includes(state.status)) {
+        logger.warn(`Ignoring CA rotation state with status ${state.status}`);
+        return null;
+      }
+      return state;
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        logger.warn(`Failed to read CA rotation state: ${err.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _saveState() {
+    const statePath = this._statePath();
+    const tmpPath = `${statePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(this.state, null, 2), {
+      mode: 0o600,
+    });
+    await fs.rename(tmpPath, statePath);
+  }
+}
+
+module.exports = CaRotationService;
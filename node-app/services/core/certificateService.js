@@ -4,16 +4,20 @@
  * Handles certificate generation, storage, and distribution using Traefik
  */
 
+const crypto = require("crypto");
 const fs = require("fs").promises;
 const fsSync = require("fs");
+const net = require("net");
 const path = require("path");
 const os = require("os");
 const { execSync } = require("child_process");
 const logger = require("../../utils/logger").getLogger("certificateService");
 const { promisify } = require("util");
 const execAsync = promisify(execSync);
+const generateKeyPairAsync = promisify(crypto.generateKeyPair);
 const pathManager = require("../../utils/pathManager");
 const axios = require("axios");
+const forge = require("node-forge");
 const { AppError } = require("../../utils/errorHandler");
 const FileLock = require("../../utils/fileLock");
 const retryHandler = require("../../utils/retryHandler");
@@ -25,6 +29,33 @@ const TRAEFIK_RELOAD_LOCK = "traefik_reload";
 const CERTIFICATE_LIST_LOCK = "certificate_list";
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_MS = 1000;
+// CSR submitted by an agent that keeps its own private key
+const AGENT_CSR_FILE = "agent.csr";
+const AGENT_CERT_VALIDITY_DAYS = 365;
+const MIN_CSR_KEY_BITS = 2048;
+// Client certificates agents authenticate with on the mTLS listener
+const AGENT_CLIENT_CERT_FILE = "client.crt";
+const CLIENT_CERT_OU = "agents";
+const CLIENT_CERT_URI = "urn:cloudlunacy:agent:";
+const MTLS_SERVER_CERT_FILE = "mtls-server.crt";
+const MTLS_SERVER_KEY_FILE = "mtls-server.key";
+const MTLS_SERVER_RENEW_BEFORE_MS = 30 * 24 * 60 * 60 * 1000;
+// CA hierarchy: a root CA, whose key can be kept offline, signs the online
+// intermediate CA in ca.crt/ca.key, which signs everything else
+const ROOT_CA_CERT_FILE = "root-ca.crt";
+const ROOT_CA_KEY_FILE = path.join("root", "root-ca.key");
+const CA_CHAIN_FILE = "ca-chain.crt";
+const CA_BUNDLE_FILE = "ca-bundle.crt";
+const CA_ARCHIVE_DIR = "ca-archive";
+const CA_LOCK = "ca_hierarchy";
+const ROOT_CA_KEY_BITS = 4096;
+const ROOT_CA_VALIDITY_DAYS = 3650;
+const INTERMEDIATE_CA_VALIDITY_DAYS = 1825;
+// Agent certificates must not outlive the intermediate signing them
+const INTERMEDIATE_CA_RENEW_BEFORE_DAYS = AGENT_CERT_VALIDITY_DAYS + 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PEM_CERTIFICATE_PATTERN =
+  /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
 
 class CertificateService {
   constructor() {
@@ -32,6 +63,10 @@ class CertificateService {
     this.certsDir = null;
     this.caCertPath = null;
     this.caKeyPath = null;
+    this.rootCaCertPath = null;
+    this.rootCaKeyPath = null;
+    this.caChainPath = null;
+    this.caBundlePath = null;
     this.mongoDomain = process.env.MONGO_DOMAIN || "mongodb.cloudlunacy.uk";
 
     // Single source of truth for agent certificates
@@ -71,31 +106,53 @@ class CertificateService {
    */
   _createProvider(type) {
     try {
-      // Create provider config based on environment variables and defaults
-      const providerConfig = {
-        certsDir: this.certsDir,
-        caCertPath: this.caCertPath,
-        caKeyPath: this.caKeyPath,
-        validityDays: parseInt(process.env.CERT_VALIDITY_DAYS, 10) || 365,
-        // ACME-specific options
-        accountEmail: process.env.ACME_ACCOUNT_EMAIL,
-        acmeServer: process.env.ACME_SERVER,
-        acmeStaging: process.env.ACME_STAGING === "true",
-        challengeType: process.env.ACME_CHALLENGE_TYPE || "http",
-        webRootPath: process.env.ACME_WEBROOT_PATH,
-        dnsProvider: process.env.ACME_DNS_PROVIDER,
-        dnsCredentials: this._parseDnsCredentials(
-          process.env.ACME_DNS_CREDENTIALS
-        ),
-      };
-
-      return CertificateProviderFactory.createProvider(type, providerConfig);
+      return CertificateProviderFactory.createProvider(
+        type,
+        this._getProviderConfig()
+      );
     } catch (err) {
       logger.error(`Failed to create certificate provider: ${err.message}`);
       throw err;
     }
   }
 
+  /**
+   * Build provider configuration from environment variables and current paths
+   * @private
+   */
+  _getProviderConfig() {
+    return {
+      certsDir: this.certsDir,
+      caCertPath: this.caCertPath,
+      caKeyPath: this.caKeyPath,
+      validityDays: parseInt(process.env.CERT_VALIDITY_DAYS, 10) || 365,
+      // ACME-specific options
+      accountEmail: process.env.ACME_ACCOUNT_EMAIL,
+      acmeServer: process.env.ACME_SERVER,
+      acmeStaging: process.env.ACME_STAGING === "true",
+      challengeType: process.env.ACME_CHALLENGE_TYPE || "http",
+      webRootPath: process.env.ACME_WEBROOT_PATH,
+      // Built-in HTTP-01 responder, used when no webroot is configured.
+      // Resolved on use: the first provider is created while the core
+      // services are still being constructed
+      httpChallengeStore: {
+        present: (token, keyAuthorization) =>
+          require("../core").acmeChallengeService.present(
+            token,
+            keyAuthorization
+          ),
+        cleanup: (token) =>
+          require("../core").acmeChallengeService.cleanup(token),
+      },
+      dnsProvider: process.env.ACME_DNS_PROVIDER,
+      dnsCredentials: this._parseDnsCredentials(
+        process.env.ACME_DNS_CREDENTIALS
+      ),
+      skipChallengeVerification:
+        process.env.ACME_SKIP_CHALLENGE_VERIFICATION === "true",
+    };
+  }
+
   /**
    * Parse DNS credentials from environment variable
    * @private
@@ -129,6 +186,12 @@ class CertificateService {
       this.certsDir = pathManager.getPath("certs");
       this.caCertPath = pathManager.getPath("caCert");
       this.caKeyPath = pathManager.getPath("caKey");
+      this.rootCaCertPath = path.join(this.certsDir, ROOT_CA_CERT_FILE);
+      this.rootCaKeyPath =
+        process.env.CA_ROOT_KEY_PATH ||
+        path.join(this.certsDir, ROOT_CA_KEY_FILE);
+      this.caChainPath = path.join(this.certsDir, CA_CHAIN_FILE);
+      this.caBundlePath = path.join(this.certsDir, CA_BUNDLE_FILE);
 
       // Set single source of truth for agent certificates
       this.agentCertsBaseDir = path.join(this.certsDir, "agents");
@@ -204,13 +267,22 @@ class CertificateService {
   }
 
   /**
-   * Ensure CA certificate exists
+   * Ensure the CA hierarchy exists. A CA from before the hierarchy becomes
+   * its root, so the certificates it signed stay valid, and the
+   * intermediate is renewed before agent certificates would outlive it.
    */
   async _ensureCA() {
     const caExists = await this.checkCAExists();
     if (!caExists) {
       await this.generateCA();
+      return true;
     }
+
+    if (!fsSync.existsSync(this.rootCaCertPath)) {
+      await this._migrateToIntermediateCa();
+    }
+
+    await this._renewIntermediateCaIfNeeded();
     return true;
   }
 
@@ -230,25 +302,17 @@ class CertificateService {
   }
 
   /**
-   * Generate CA certificate
+   * Generate the root CA and the intermediate CA signing agent certificates
    */
   async generateCA() {
     try {
-      logger.info("Generating new CA certificate and key");
+      logger.info("Generating new root and intermediate CA");
 
-      // Generate CA private key
-      execSync(`openssl genrsa -out ${this.caKeyPath} 2048`);
+      const root = await this._createRootCa();
+      const intermediate = await this._issueIntermediateCa(root);
+      await this._writeCaBundle([root.certPem, intermediate.certPem]);
 
-      // Generate CA certificate
-      execSync(
-        `openssl req -x509 -new -nodes -key ${this.caKeyPath} -sha256 -days 3650 -out ${this.caCertPath} -subj "/CN=CloudLunacy MongoDB CA/O=CloudLunacy/C=UK"`
-      );
-
-      // Set proper permissions
-      await fs.chmod(this.caKeyPath, 0o600);
-      await fs.chmod(this.caCertPath, 0o644);
-
-      logger.info("CA certificate and key generated successfully");
+      logger.info("CA hierarchy generated successfully");
       return true;
     } catch (err) {
       logger.error(`Failed to generate CA: ${err.message}`);
@@ -257,287 +321,538 @@ class CertificateService {
   }
 
   /**
-   * Create certificate for an agent
-   * @param {string} agentId - Agent ID
-   * @param {string} targetIp - Target IP address
-   * @returns {Promise<Object>} Result with certificate paths
+   * CA certificates agents and clients should trust: the roots and their
+   * intermediates, old and new ones during a root rotation
+   * @returns {Promise<string>} PEM bundle
    */
-  async createCertificateForAgent(agentId, targetIp) {
-    // Create a resource-specific lock ID
-    const lockId = `${CERTIFICATE_LOCK_PREFIX}_${agentId}`;
+  async getCaBundle() {
+    const bundle = await this._readCaBundle();
+    return bundle.length > 0
+      ? bundle.join("")
+      : await fs.readFile(this.caCertPath, "utf8");
+  }
 
+  /**
+   * File holding the CA bundle, for clients taking a CA file path
+   * @returns {string} Path
+   */
+  getCaBundlePath() {
+    return this.caBundlePath && fsSync.existsSync(this.caBundlePath)
+      ? this.caBundlePath
+      : this.caCertPath;
+  }
+
+  /**
+   * Chain of the CA signing certificates: intermediate, then root
+   * @returns {Promise<string>} PEM chain
+   */
+  async getCaChain() {
     try {
-      if (!this.initialized) {
-        await this.initialize();
-      }
+      return await fs.readFile(this.caChainPath, "utf8");
+    } catch {
+      return await fs.readFile(this.caCertPath, "utf8");
+    }
+  }
 
-      logger.info(
-        `Requesting certificate generation lock for agent ${agentId}`
+  /**
+   * CA bundle and chain, as served to MongoDB clients
+   * @returns {Promise<Object>} { success, caCert, caChain }
+   */
+  async getCA() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return {
+      success: true,
+      caCert: await this.getCaBundle(),
+      caChain: await this.getCaChain(),
+    };
+  }
+
+  /**
+   * Replace the root and intermediate CA. The previous ones are archived
+   * and stay in the CA bundle, so the certificates they signed remain
+   * trusted until finalizeRootRotation(). The previous root key is not
+   * needed.
+   * @returns {Promise<Object>} Old root, new root and archive directory
+   */
+  async rotateRootCa() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return FileLock.withLock(
+      CA_LOCK,
+      async () => {
+        let oldRootPem;
+        try {
+          oldRootPem = await fs.readFile(this.rootCaCertPath, "utf8");
+        } catch {
+          throw new AppError("No root CA to rotate", 409);
+        }
+
+        const archiveDir = path.join(
+          this.certsDir,
+          CA_ARCHIVE_DIR,
+          new Date().toISOString().replace(/[:.]/g, "-")
+        );
+        await fs.mkdir(archiveDir, { recursive: true, mode: 0o700 });
+        for (const file of [
+          this.rootCaCertPath,
+          this.rootCaKeyPath,
+          this.caCertPath,
+          this.caKeyPath,
+          this.caChainPath,
+        ]) {
+          await fs
+            .copyFile(file, path.join(archiveDir, path.basename(file)))
+            .catch(() => {});
+        }
+
+        const previousBundle = await this._readCaBundle();
+        const root = await this._createRootCa();
+        const intermediate = await this._issueIntermediateCa(root);
+        await this._writeCaBundle([
+          root.certPem,
+          intermediate.certPem,
+          ...previousBundle,
+        ]);
+
+        logger.info(`Rotated root CA, previous CA archived in ${archiveDir}`);
+        return {
+          archiveDir,
+          oldRoot: this._describeCaCertificate(oldRootPem),
+          newRoot: this._describeCaCertificate(root.certPem),
+        };
+      },
+      60000
+    );
+  }
+
+  /**
+   * End the dual-trust period of a root rotation: remove every CA
+   * certificate not belonging to the current root from the CA bundle
+   * @returns {Promise<Object>} { removed } number of removed certificates
+   */
+  async finalizeRootRotation() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return FileLock.withLock(
+      CA_LOCK,
+      async () => {
+        const root = new crypto.X509Certificate(
+          await fs.readFile(this.rootCaCertPath, "utf8")
+        );
+        const bundle = await this._readCaBundle();
+        const kept = bundle.filter((pem) => {
+          const cert = new crypto.X509Certificate(pem);
+          return (
+            cert.fingerprint256 === root.fingerprint256 ||
+            (cert.checkIssued(root) && cert.verify(root.publicKey))
+          );
+        });
+
+        await this._writeCaBundle(kept);
+        logger.info(
+          `Removed ${
+            bundle.length - kept.length
+          } CA certificates of previous roots from the CA bundle`
+        );
+        return { removed: bundle.length - kept.length };
+      },
+      60000
+    );
+  }
+
+  /**
+   * Subject, fingerprint and validity of a CA certificate
+   * @param {string} certPem - PEM certificate
+   * @returns {Object} Description
+   */
+  _describeCaCertificate(certPem) {
+    const cert = new crypto.X509Certificate(certPem);
+    return {
+      subject: cert.subject.replace(/\n/g, ", "),
+      fingerprint256: cert.fingerprint256,
+      notBefore: new Date(cert.validFrom).toISOString(),
+      notAfter: new Date(cert.validTo).toISOString(),
+    };
+  }
+
+  /**
+   * Move a self-signed CA from before the CA hierarchy to the root and
+   * issue an intermediate under it
+   * @private
+   */
+  async _migrateToIntermediateCa() {
+    const certPem = await fs.readFile(this.caCertPath, "utf8");
+    if (!this._isSelfSigned(new crypto.X509Certificate(certPem))) {
+      logger.warn(
+        `${this.caCertPath} is not a root CA and ${this.rootCaCertPath} is missing, keeping the CA as it is`
       );
+      return false;
+    }
 
-      // Acquire lock to prevent race conditions with parallel certificate operations
-      return await FileLock.withLock(
-        lockId,
-        async () => {
-          logger.info(`Creating certificate for agent ${agentId}`);
+    logger.info(
+      "Moving the existing CA to the root of the CA hierarchy, certificates it signed stay valid"
+    );
+    await fs.mkdir(path.dirname(this.rootCaKeyPath), {
+      recursive: true,
+      mode: 0o700,
+    });
+    await this._writeFileAtomic(
+      this.rootCaKeyPath,
+      await fs.readFile(this.caKeyPath, "utf8"),
+      0o600
+    );
+    await this._writeFileAtomic(this.rootCaCertPath, certPem, 0o644);
+
+    // A crash from here on leaves the root in ca.crt, which
+    // _renewIntermediateCaIfNeeded replaces
+    const intermediate = await this._issueIntermediateCa(
+      await this._loadRootCa()
+    );
+    await this._writeCaBundle([certPem, intermediate.certPem]);
+    return true;
+  }
 
-          // Determine writable agent certificate directory (fall back if bind mount is read-only)
-          let agentCertDir = path.join(this.certsDir, "agents", agentId);
-          await fs.mkdir(agentCertDir, { recursive: true });
-          // Test writability
-          let writable = true;
-          try {
-            await fs.access(agentCertDir, fsSync.constants.W_OK);
-          } catch {
-            writable = false;
-          }
-          if (!writable) {
-            logger.warn(
-              `Agent cert dir ${agentCertDir} not writable, using local fallback`
-            );
-            agentCertDir = path.join(this.localCertsDir, agentId);
-            await fs.mkdir(agentCertDir, { recursive: true });
-          }
-          // Ensure directory permissions where possible
-          try {
-            await fs.chmod(agentCertDir, 0o755);
-          } catch (chmodErr) {
-            logger.warn(
-              `Could not set permissions for agent cert directory: ${chmodErr.message}`
-            );
-          }
-          logger.info(`Using agent cert directory: ${agentCertDir}`);
-
-          // Define paths
-          const keyPath = path.join(agentCertDir, "server.key");
-          const csrPath = path.join(agentCertDir, "server.csr");
-          const certPath = path.join(agentCertDir, "server.crt");
-          const pemPath = path.join(agentCertDir, "server.pem");
-          const tempKeyPath = path.join(agentCertDir, ".server.key.tmp");
-          const tempCertPath = path.join(agentCertDir, ".server.crt.tmp");
-          const tempPemPath = path.join(agentCertDir, ".server.pem.tmp");
-          const configPath = path.join(os.tmpdir(), `openssl_${agentId}.cnf`);
-          const mongoSubdomain = `${agentId}.${this.mongoDomain}`;
-
-          // Validate IP address to prevent OpenSSL errors
-          const isValidIP = (ip) => {
-            if (!ip || typeof ip !== "string") return false;
-
-            // IPv4 validation
-            const ipv4Regex =
-              /^(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-            return ipv4Regex.test(ip);
-          };
+  /**
+   * Issue a new intermediate CA when the current one expires too soon for
+   * agent certificates, or when ca.crt still holds the root
+   * @private
+   */
+  async _renewIntermediateCaIfNeeded() {
+    let current;
+    try {
+      current = new crypto.X509Certificate(
+        await fs.readFile(this.caCertPath, "utf8")
+      );
+    } catch (err) {
+      logger.warn(`Cannot read intermediate CA: ${err.message}`);
+      return false;
+    }
 
-          // Create OpenSSL configuration with comprehensive key usage settings for broad client compatibility
-          let opensslConfig = `
-[req]
-distinguished_name = req_distinguished_name
-req_extensions = v3_req
-prompt = no
-
-[req_distinguished_name]
-CN = ${mongoSubdomain}
-
-[v3_req]
-# Enhanced key usage settings for MongoDB Compass and other strict clients
-basicConstraints = CA:FALSE
-keyUsage = digitalSignature, keyEncipherment, nonRepudiation, dataEncipherment, keyAgreement
-extendedKeyUsage = serverAuth, clientAuth
-subjectAltName = @alt_names
-
-[alt_names]
-DNS.1 = ${mongoSubdomain}
-DNS.2 = localhost
-`;
-
-          // Add IP address if valid
-          if (isValidIP(targetIp)) {
-            opensslConfig += `IP.1 = ${targetIp}\n`;
-          }
-          opensslConfig += `IP.2 = 127.0.0.1\n`;
+    const remainingDays = (Date.parse(current.validTo) - Date.now()) / DAY_MS;
+    const isRoot = this._isSelfSigned(current);
+    if (!isRoot && remainingDays > INTERMEDIATE_CA_RENEW_BEFORE_DAYS) {
+      return false;
+    }
 
-          // Write OpenSSL configuration
-          await fs.writeFile(configPath, opensslConfig);
+    let root;
+    try {
+      root = await this._loadRootCa();
+    } catch (err) {
+      logger.warn(
+        `${
+          isRoot
+            ? "No intermediate CA"
+            : `Intermediate CA expires in ${Math.floor(remainingDays)} days`
+        }, cannot issue one: ${err.message}`
+      );
+      return false;
+    }
 
-          // Ensure CA key and certificate are accessible
-          // If originals can't be accessed, attempt to use fallback copies
-          let effectiveCaCertPath = this.caCertPath;
-          let effectiveCaKeyPath = this.caKeyPath;
+    const intermediate = await this._issueIntermediateCa(root);
+    await this._writeCaBundle([
+      root.certPem,
+      ...(await this._readCaBundle()),
+      intermediate.certPem,
+    ]);
+    return true;
+  }
 
-          // First check if we have existing local copies of CA files
-          let localCopiesExist = false;
-          try {
-            await fs.access(this.localCaCertPath, fsSync.constants.R_OK);
-            await fs.access(this.localCaKeyPath, fsSync.constants.R_OK);
-            localCopiesExist = true;
-          } catch (accessErr) {
-            localCopiesExist = false;
-          }
+  /**
+   * Generate a root CA and store its key separately from the online CA
+   * @private
+   */
+  async _createRootCa() {
+    const keyPair = await generateKeyPairAsync("rsa", {
+      modulusLength: ROOT_CA_KEY_BITS,
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+    const key = forge.pki.privateKeyFromPem(keyPair.privateKey);
+    const cert = this._createCaCertificate(
+      forge.pki.publicKeyFromPem(keyPair.publicKey),
+      `CloudLunacy Root CA ${this._caNameSuffix()}`,
+      null,
+      key,
+      ROOT_CA_VALIDITY_DAYS
+    );
+    const certPem = forge.pki.certificateToPem(cert);
+
+    await fs.mkdir(path.dirname(this.rootCaKeyPath), {
+      recursive: true,
+      mode: 0o700,
+    });
+    await this._writeFileAtomic(this.rootCaKeyPath, keyPair.privateKey, 0o600);
+    await this._writeFileAtomic(this.rootCaCertPath, certPem, 0o644);
 
-          // Then check if the original CA files are accessible
-          let originalFilesAccessible = true;
-          try {
-            await fs.access(this.caCertPath, fsSync.constants.R_OK);
-            await fs.access(this.caKeyPath, fsSync.constants.R_OK);
-          } catch (accessErr) {
-            originalFilesAccessible = false;
-          }
+    logger.info(
+      `Created root CA, its key ${this.rootCaKeyPath} is only needed to issue intermediates`
+    );
+    return { cert, key, certPem };
+  }
 
-          // If we can access originals but don't have local copies, create them
-          if (originalFilesAccessible && !localCopiesExist) {
-            try {
-              // Copy to local fallback location
-              await fs.copyFile(this.caCertPath, this.localCaCertPath);
-              await fs.copyFile(this.caKeyPath, this.localCaKeyPath);
-              await fs.chmod(this.localCaCertPath, 0o644);
-              await fs.chmod(this.localCaKeyPath, 0o600);
-              logger.info(
-                "Copied CA files to fallback location for future use"
-              );
-            } catch (copyErr) {
-              logger.warn(
-                `Failed to create fallback copies of CA files: ${copyErr.message}`
-              );
-            }
-          }
+  /**
+   * Issue the intermediate CA into ca.crt/ca.key and write the CA chain
+   * @private
+   */
+  async _issueIntermediateCa(root) {
+    const keyPair = await generateKeyPairAsync("rsa", {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+    const cert = this._createCaCertificate(
+      forge.pki.publicKeyFromPem(keyPair.publicKey),
+      `CloudLunacy Intermediate CA ${this._caNameSuffix()}`,
+      root,
+      root.key,
+      INTERMEDIATE_CA_VALIDITY_DAYS
+    );
+    const certPem = forge.pki.certificateToPem(cert);
+
+    await this._writeFileAtomic(this.caKeyPath, keyPair.privateKey, 0o600);
+    await this._writeFileAtomic(this.caCertPath, certPem, 0o644);
+    await this._writeFileAtomic(
+      this.caChainPath,
+      certPem + root.certPem,
+      0o644
+    );
+
+    // Stale fallback copies would keep signing with the previous CA
+    if (fsSync.existsSync(this.localCaCertPath)) {
+      await fs.copyFile(this.caCertPath, this.localCaCertPath);
+      await fs.copyFile(this.caKeyPath, this.localCaKeyPath);
+    }
 
-          // If original CA files aren't accessible but we have local copies, use those
-          if (!originalFilesAccessible && localCopiesExist) {
-            logger.info(
-              "Using local fallback copies of CA files due to permission issues"
-            );
-            effectiveCaCertPath = this.localCaCertPath;
-            effectiveCaKeyPath = this.localCaKeyPath;
-          }
+    logger.info("Issued intermediate CA");
+    return { cert, certPem };
+  }
 
-          // If neither originals nor local copies are accessible, try to create new ones
-          if (!originalFilesAccessible && !localCopiesExist) {
-            try {
-              logger.warn(
-                "Cannot access CA files, creating temporary CA certificates"
-              );
+  /**
+   * Load the root CA certificate and key
+   * @private
+   */
+  async _loadRootCa() {
+    const certPem = await fs.readFile(this.rootCaCertPath, "utf8");
 
-              // Generate a temporary CA key and certificate
-              await fs.mkdir(path.dirname(this.localCaKeyPath), {
-                recursive: true,
-              });
+    let keyPem;
+    try {
+      keyPem = await fs.readFile(this.rootCaKeyPath, "utf8");
+    } catch {
+      throw new AppError(
+        `Root CA key not found at ${this.rootCaKeyPath}, set CA_ROOT_KEY_PATH to its offline copy`,
+        409
+      );
+    }
 
-              // Generate CA private key
-              execSync(`openssl genrsa -out ${this.localCaKeyPath} 2048`);
+    return {
+      cert: forge.pki.certificateFromPem(certPem),
+      key: forge.pki.privateKeyFromPem(keyPem),
+      certPem,
+    };
+  }
 
-              // Generate CA certificate
-              execSync(
-                `openssl req -x509 -new -nodes -key ${this.localCaKeyPath} -sha256 -days 3650 -out ${this.localCaCertPath} -subj "/CN=CloudLunacy Temp CA/O=CloudLunacy/C=UK"`
-              );
+  /**
+   * Sign a CA certificate, self-signed without issuer
+   * @private
+   */
+  _createCaCertificate(
+    publicKey,
+    commonName,
+    issuer,
+    signingKey,
+    validityDays
+  ) {
+    const cert = forge.pki.createCertificate();
+    const now = Date.now();
+    const subject = [
+      { name: "commonName", value: commonName },
+      { name: "organizationName", value: "CloudLunacy" },
+      { name: "countryName", value: "UK" },
+    ];
+
+    cert.publicKey = publicKey;
+    cert.serialNumber =
+      "01" + forge.util.bytesToHex(forge.random.getBytesSync(15));
+    cert.validity.notBefore = new Date(now - 5 * 60 * 1000);
+    cert.validity.notAfter = new Date(now + validityDays * DAY_MS);
+    cert.setSubject(subject);
+    cert.setIssuer(issuer ? issuer.cert.subject.attributes : subject);
+    cert.setExtensions([
+      {
+        name: "basicConstraints",
+        critical: true,
+        cA: true,
+        // Intermediates may only sign end-entity certificates
+        ...(issuer ? { pathLenConstraint: 0 } : {}),
+      },
+      { name: "keyUsage", critical: true, keyCertSign: true, cRLSign: true },
+      { name: "subjectKeyIdentifier" },
+      ...(issuer
+        ? [
+            {
+              name: "authorityKeyIdentifier",
+              keyIdentifier: issuer.cert
+                .generateSubjectKeyIdentifier()
+                .getBytes(),
+            },
+          ]
+        : []),
+    ]);
+    cert.sign(signingKey, forge.md.sha256.create());
+
+    return cert;
+  }
 
-              // Set proper permissions
-              await fs.chmod(this.localCaKeyPath, 0o600);
-              await fs.chmod(this.localCaCertPath, 0o644);
+  /**
+   * Certificates of the CA bundle file
+   * @private
+   */
+  async _readCaBundle() {
+    try {
+      return this._splitPem(await fs.readFile(this.caBundlePath, "utf8"));
+    } catch {
+      return [];
+    }
+  }
 
-              logger.info(
-                "Temporary CA certificate and key generated successfully"
-              );
+  /**
+   * Write the CA bundle without duplicates and expired certificates
+   * @private
+   */
+  async _writeCaBundle(certPems) {
+    const seen = new Set();
+    const bundle = certPems.filter((pem) => {
+      const cert = new crypto.X509Certificate(pem);
+      if (
+        seen.has(cert.fingerprint256) ||
+        Date.parse(cert.validTo) < Date.now()
+      ) {
+        return false;
+      }
+      seen.add(cert.fingerprint256);
+      return true;
+    });
 
-              // Use the temporary CA files for certificate generation
-              effectiveCaCertPath = this.localCaCertPath;
-              effectiveCaKeyPath = this.localCaKeyPath;
-              localCopiesExist = true;
-            } catch (genErr) {
-              logger.error(
-                `Failed to generate temporary CA: ${genErr.message}`
-              );
-              throw new Error(
-                "Cannot access CA files and failed to create temporary CA"
-              );
-            }
-          }
+    await this._writeFileAtomic(this.caBundlePath, bundle.join(""), 0o644);
+    return bundle;
+  }
 
-          // If we still don't have usable CA files, throw error
-          if (!originalFilesAccessible && !localCopiesExist) {
-            throw new Error(
-              "Cannot access CA files and no fallback copies exist"
-            );
-          }
+  /**
+   * Intermediate to send after a certificate signed by a CA, nothing if
+   * the CA is a root
+   * @param {string} caCertPem - PEM certificate of the signing CA
+   * @returns {string} PEM chain
+   * @private
+   */
+  _issuerChain(caCertPem) {
+    const [caPem] = this._splitPem(caCertPem);
+    return caPem && !this._isSelfSigned(new crypto.X509Certificate(caPem))
+      ? caPem
+      : "";
+  }
 
-          try {
-            // Generate private key to temporary file first
-            execSync(`openssl genrsa -out ${tempKeyPath} 2048`);
+  /**
+   * @private
+   */
+  _splitPem(pem) {
+    return (pem.match(PEM_CERTIFICATE_PATTERN) || []).map(
+      (block) => `${block}\n`
+    );
+  }
 
-            // Generate CSR
-            execSync(
-              `openssl req -new -key ${tempKeyPath} -out ${csrPath} -config ${configPath}`
-            );
+  /**
+   * @private
+   */
+  _isSelfSigned(cert) {
+    return cert.checkIssued(cert) && cert.verify(cert.publicKey);
+  }
 
-            // Sign certificate with CA
-            // Determine CA serial option: fallback to local serial file if certsDir is read-only
-            let caSerialOption = "-CAcreateserial";
-            if (agentCertDir.startsWith(this.localCertsDir)) {
-              const localSerial = path.join(this.localCertsDir, "ca.srl");
-              try {
-                await fs.access(localSerial);
-              } catch {
-                await fs.writeFile(localSerial, "01");
-              }
-              caSerialOption = `-CAserial ${localSerial}`;
-            }
-            execSync(
-              `openssl x509 -req -in ${csrPath} -CA ${effectiveCaCertPath} -CAkey ${effectiveCaKeyPath} ${caSerialOption} -out ${tempCertPath} -days 365 -extensions v3_req -extfile ${configPath}`
-            );
+  /**
+   * Distinguishes the names of CAs created by rotations
+   * @private
+   */
+  _caNameSuffix() {
+    return new Date()
+      .toISOString()
+      .slice(0, 19)
+      .replace(/[-:]/g, "")
+      .replace("T", "-");
+  }
 
-            // Create combined PEM file
-            const certContent = await fs.readFile(tempCertPath, "utf8");
-            const keyContent = await fs.readFile(tempKeyPath, "utf8");
-            const pemContent = certContent + keyContent;
-            await fs.writeFile(tempPemPath, pemContent);
+  /**
+   * @private
+   */
+  async _writeFileAtomic(filePath, content, mode) {
+    const tempPath = path.join(
+      path.dirname(filePath),
+      `.${path.basename(filePath)}.tmp`
+    );
+    await fs.writeFile(tempPath, content, { mode });
+    await fs.rename(tempPath, filePath);
+    await fs.chmod(filePath, mode);
+  }
 
-            // Set permissions
-            await fs.chmod(tempKeyPath, 0o600);
-            await fs.chmod(tempCertPath, 0o644);
-            await fs.chmod(tempPemPath, 0o600);
+  /**
+   * Create certificate for an agent. Certificates are only issued for the
+   * CSR the agent submitted, its private key never reaches the front
+   * server; without a CSR nothing is issued.
+   * @param {string} agentId - Agent ID
+   * @param {string} targetIp - Target IP address, the CSR names it
+   * @param {Object} options - Additional options
+   * @param {string[]} [options.altNames] - Extra DNS names, e.g. replica set
+   *   member hostnames. They are kept for later renewals; omit to reuse the
+   *   previous ones.
+   * @returns {Promise<Object>} Result with certificate paths, csrRequired if
+   *   the agent has to submit a CSR first
+   */
+  async createCertificateForAgent(agentId, targetIp, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
 
-            // Atomically move temporary files to final locations
-            await fs.rename(tempKeyPath, keyPath);
-            await fs.rename(tempCertPath, certPath);
-            await fs.rename(tempPemPath, pemPath);
+      if (options.altNames) {
+        await fs.writeFile(
+          path.join(await this._resolveAgentCertDir(agentId), "alt_names.json"),
+          JSON.stringify(options.altNames)
+        );
+      }
 
-            // Certificate created successfully
-            logger.info(`Certificate created for agent ${agentId}`);
-            return {
-              success: true,
-              keyPath,
-              certPath,
-              pemPath,
-              caPath: this.caCertPath,
-            };
-          } catch (err) {
-            // Clean up temporary files if they exist
-            try {
-              await fs.unlink(tempKeyPath).catch(() => {});
-              await fs.unlink(tempCertPath).catch(() => {});
-              await fs.unlink(tempPemPath).catch(() => {});
-            } catch (cleanupErr) {
-              logger.warn(
-                `Failed to clean up temporary files: ${cleanupErr.message}`
-              );
-            }
-            throw err;
-          }
-        },
-        60000 // Increased from 15000 to 60000 (60 seconds) to accommodate slower systems
-      );
-    } catch (err) {
-      if (err.message.includes("Could not acquire lock")) {
-        logger.error(
-          `Lock acquisition timeout for agent ${agentId} certificate generation`
+      if (!(await this._hasAgentCsr(agentId))) {
+        logger.warn(
+          `No certificate issued for agent ${agentId}, it has not submitted a CSR`
         );
         return {
           success: false,
-          error: `Certificate generation already in progress for agent ${agentId}. Try again later.`,
-          transient: true,
+          csrRequired: true,
+          error: `Agent ${agentId} has not submitted a CSR. Send one to POST /api/certificates/agent/${agentId}/csr`,
         };
       }
 
+      if (options.altNames) {
+        logger.info(
+          `Agent ${agentId} must include ${options.altNames.join(
+            ", "
+          )} in its next CSR`
+        );
+      }
+
+      const signed = await this.signAgentCsr(agentId);
+      return {
+        success: true,
+        keyPath: null,
+        certPath: signed.certPath,
+        pemPath: null,
+        caPath: this.caCertPath,
+      };
+    } catch (err) {
       logger.error(
         `Failed to create certificate for agent ${agentId}: ${err.message}`,
         {
@@ -549,44 +864,643 @@ DNS.2 = localhost
       return {
         success: false,
         error: err.message,
+        // Another certificate operation of the agent holds the lock
+        transient: err.statusCode === 409,
+      };
+    }
+  }
+
+  /**
+   * Sign a certificate signing request of an agent with the internal CA.
+   * The names in the CSR must belong to the agent (see
+   * agentService.getCertificateNames). The private key never reaches the
+   * front server; the CSR is kept so the certificate can be renewed by
+   * signing it again.
+   * @param {string} agentId - Agent ID
+   * @param {string} [csrPem] - PEM encoded CSR, the stored CSR if omitted
+   * @returns {Promise<Object>} Signed certificate, CA certificate and names
+   */
+  async signAgentCsr(agentId, csrPem = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const lockId = `${CERTIFICATE_LOCK_PREFIX}_${agentId}`;
+
+    try {
+      return await FileLock.withLock(
+        lockId,
+        async () => {
+          const agentCertDir = await this._resolveAgentCertDir(agentId);
+          const csrPath = path.join(agentCertDir, AGENT_CSR_FILE);
+
+          if (!csrPem) {
+            try {
+              csrPem = await fs.readFile(csrPath, "utf8");
+            } catch {
+              throw new AppError(`No CSR stored for agent ${agentId}`, 404);
+            }
+          }
+
+          const csr = this._parseCsr(csrPem);
+          const names = this._getCsrNames(csr);
+          await this._assertAgentNames(agentId, names, agentCertDir);
+
+          const ca = await this._loadSigningCa();
+          const cert = this._signCsr(csr, names, ca);
+          const serverCert = forge.pki.certificateToPem(cert) + ca.chainPem;
+
+          const certPath = path.join(
+            agentCertDir,
+            this.certificatePathStructure.agentCert
+          );
+          const tempCertPath = path.join(agentCertDir, ".server.crt.tmp");
+          await fs.writeFile(tempCertPath, serverCert, { mode: 0o644 });
+          await fs.rename(tempCertPath, certPath);
+          await fs.writeFile(csrPath, csrPem);
+
+          // A key generated here before the agent switched to CSRs must
+          // not be handed out any more
+          for (const file of [
+            this.certificatePathStructure.agentKey,
+            this.certificatePathStructure.agentPem,
+          ]) {
+            await fs.unlink(path.join(agentCertDir, file)).catch(() => {});
+          }
+
+          logger.info(
+            `Signed CSR of agent ${agentId} for ${[
+              ...names.dnsNames,
+              ...names.ipAddresses,
+            ].join(", ")}`
+          );
+
+          return {
+            success: true,
+            agentId,
+            certPath,
+            caPath: ca.certPath,
+            serverCert,
+            caCert: await this.getCaBundle(),
+            caChain: await this.getCaChain(),
+            serialNumber: cert.serialNumber,
+            notBefore: cert.validity.notBefore.toISOString(),
+            notAfter: cert.validity.notAfter.toISOString(),
+            dnsNames: names.dnsNames,
+            ipAddresses: names.ipAddresses,
+          };
+        },
+        60000
+      );
+    } catch (err) {
+      if (err.message.includes("Could not acquire lock")) {
+        throw new AppError(
+          `Certificate generation already in progress for agent ${agentId}. Try again later.`,
+          409
+        );
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Issue a TLS client certificate identifying an agent, for the mTLS API
+   * listener. The subject common name is the agent ID, only the public key
+   * of the CSR is used. The private key never leaves the agent. The
+   * certificate is pinned on the agent record, replacing the previous one.
+   * @param {string} agentId - Agent ID
+   * @param {string} csrPem - PEM encoded CSR of the agent's key
+   * @returns {Promise<Object>} Client certificate and CA certificate
+   */
+  async issueAgentClientCertificate(agentId, csrPem) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!csrPem) {
+      throw new AppError(
+        "A CSR is required, client keys are generated by the agent",
+        400
+      );
+    }
+    const { publicKey } = this._parseCsr(csrPem);
+
+    const lockId = `${CERTIFICATE_LOCK_PREFIX}_${agentId}`;
+
+    try {
+      return await FileLock.withLock(
+        lockId,
+        async () => {
+          const ca = await this._loadSigningCa();
+          const cert = this._issueCertificate(
+            publicKey,
+            [
+              { name: "commonName", value: agentId },
+              { name: "organizationName", value: "CloudLunacy" },
+              { name: "organizationalUnitName", value: CLIENT_CERT_OU },
+            ],
+            [
+              {
+                name: "keyUsage",
+                digitalSignature: true,
+                keyEncipherment: true,
+              },
+              { name: "extKeyUsage", clientAuth: true },
+              {
+                name: "subjectAltName",
+                altNames: [{ type: 6, value: `${CLIENT_CERT_URI}${agentId}` }],
+              },
+            ],
+            ca
+          );
+          const clientCert = forge.pki.certificateToPem(cert) + ca.chainPem;
+          const { fingerprint256 } = new crypto.X509Certificate(clientCert);
+          const notBefore = cert.validity.notBefore.toISOString();
+          const notAfter = cert.validity.notAfter.toISOString();
+
+          // Fails for unknown and inactive agents before anything is stored
+          const coreServices = require("../core");
+          await coreServices.agentService.setClientCertificate(agentId, {
+            serialNumber: cert.serialNumber,
+            fingerprint256,
+            notBefore,
+            notAfter,
+          });
+
+          const agentCertDir = await this._resolveAgentCertDir(agentId);
+          await fs.writeFile(
+            path.join(agentCertDir, AGENT_CLIENT_CERT_FILE),
+            clientCert,
+            { mode: 0o644 }
+          );
+
+          logger.info(
+            `Issued client certificate ${cert.serialNumber} for agent ${agentId}`
+          );
+
+          return {
+            success: true,
+            agentId,
+            clientCert,
+            caCert: await this.getCaBundle(),
+            serialNumber: cert.serialNumber,
+            fingerprint256,
+            notBefore,
+            notAfter,
+          };
+        },
+        60000
+      );
+    } catch (err) {
+      if (err.message.includes("Could not acquire lock")) {
+        throw new AppError(
+          `Certificate generation already in progress for agent ${agentId}. Try again later.`,
+          409
+        );
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Stop accepting the client certificate of an agent
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<boolean>} False if the agent had no client certificate
+   */
+  async revokeAgentClientCertificate(agentId) {
+    const coreServices = require("../core");
+    const revoked = await coreServices.agentService.revokeClientCertificate(
+      agentId
+    );
+
+    if (revoked && this.certsDir) {
+      await fs
+        .unlink(
+          path.join(this.certsDir, "agents", agentId, AGENT_CLIENT_CERT_FILE)
+        )
+        .catch(() => {});
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Server certificate, key and client CA of the mTLS API listener. Uses
+   * MTLS_SERVER_CERT and MTLS_SERVER_KEY when set, otherwise a certificate
+   * for MTLS_SERVER_NAMES signed by the internal CA, issued again when it
+   * is missing or about to expire.
+   * @returns {Promise<Object>} { cert, key, ca } PEM strings
+   */
+  async getMtlsServerCredentials() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const ca = await this._loadSigningCa();
+    // Client certificates of old and new roots during a root rotation
+    const clientCa = await this.getCaBundle();
+
+    if (process.env.MTLS_SERVER_CERT && process.env.MTLS_SERVER_KEY) {
+      return {
+        cert: await fs.readFile(process.env.MTLS_SERVER_CERT, "utf8"),
+        key: await fs.readFile(process.env.MTLS_SERVER_KEY, "utf8"),
+        ca: clientCa,
       };
     }
+
+    const certPath = path.join(this.certsDir, MTLS_SERVER_CERT_FILE);
+    const keyPath = path.join(this.certsDir, MTLS_SERVER_KEY_FILE);
+
+    try {
+      const cert = await fs.readFile(certPath, "utf8");
+      const key = await fs.readFile(keyPath, "utf8");
+      const x509 = new crypto.X509Certificate(cert);
+
+      // Reissued after a root rotation, agents drop the previous root
+      if (
+        Date.parse(x509.validTo) - Date.now() > MTLS_SERVER_RENEW_BEFORE_MS &&
+        x509.checkIssued(new crypto.X509Certificate(ca.certPem))
+      ) {
+        return { cert, key, ca: clientCa };
+      }
+    } catch {
+      // Missing or unreadable, issue a new one
+    }
+
+    const names = (
+      process.env.MTLS_SERVER_NAMES ||
+      [process.env.DOMAIN, "localhost", "127.0.0.1"].filter(Boolean).join(",")
+    )
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    const keyPair = await generateKeyPairAsync("rsa", {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+    const cert =
+      forge.pki.certificateToPem(
+        this._issueCertificate(
+          forge.pki.publicKeyFromPem(keyPair.publicKey),
+          [{ name: "commonName", value: names[0] }],
+          [
+            { name: "keyUsage", digitalSignature: true, keyEncipherment: true },
+            { name: "extKeyUsage", serverAuth: true },
+            {
+              name: "subjectAltName",
+              altNames: names.map((name) =>
+                net.isIP(name)
+                  ? { type: 7, ip: name }
+                  : { type: 2, value: name }
+              ),
+            },
+          ],
+          ca
+        )
+      ) + ca.chainPem;
+
+    await fs.writeFile(keyPath, keyPair.privateKey, { mode: 0o600 });
+    await fs.writeFile(certPath, cert, { mode: 0o644 });
+    logger.info(`Issued mTLS listener certificate for ${names.join(", ")}`);
+
+    return { cert, key: keyPair.privateKey, ca: clientCa };
+  }
+
+  /**
+   * Whether an agent's certificate is issued from a CSR of the agent
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<boolean>} True if a CSR is stored
+   * @private
+   */
+  async _hasAgentCsr(agentId) {
+    const agentCertDir = await this._resolveAgentCertDir(agentId);
+    try {
+      await fs.access(path.join(agentCertDir, AGENT_CSR_FILE));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a PEM CSR and check its signature and key
+   * @private
+   */
+  _parseCsr(csrPem) {
+    if (typeof csrPem !== "string" || !csrPem.includes("CERTIFICATE REQUEST")) {
+      throw new AppError("A PEM encoded certificate request is required", 400);
+    }
+
+    let csr;
+    try {
+      csr = forge.pki.certificationRequestFromPem(csrPem);
+    } catch (err) {
+      throw new AppError(
+        `Invalid certificate request (RSA keys only): ${err.message}`,
+        400
+      );
+    }
+
+    let signatureValid = false;
+    try {
+      signatureValid = csr.verify();
+    } catch (err) {
+      logger.debug(`CSR signature check failed: ${err.message}`);
+    }
+    if (!signatureValid) {
+      throw new AppError("Certificate request signature is invalid", 400);
+    }
+
+    if (csr.publicKey.n.bitLength() < MIN_CSR_KEY_BITS) {
+      throw new AppError(
+        `Certificate request key must have at least ${MIN_CSR_KEY_BITS} bits`,
+        400
+      );
+    }
+
+    return csr;
+  }
+
+  /**
+   * DNS names and IP addresses requested by a CSR, from its common name and
+   * its subjectAltName extension request
+   * @private
+   */
+  _getCsrNames(csr) {
+    const dnsNames = new Set();
+    const ipAddresses = new Set();
+
+    const commonName = csr.subject.getField("CN");
+    if (commonName) {
+      if (net.isIP(commonName.value)) {
+        ipAddresses.add(commonName.value);
+      } else {
+        dnsNames.add(commonName.value.toLowerCase());
+      }
+    }
+
+    const request = csr.getAttribute({ name: "extensionRequest" });
+    for (const extension of (request && request.extensions) || []) {
+      if (extension.name !== "subjectAltName") {
+        continue;
+      }
+
+      for (const altName of extension.altNames) {
+        if (altName.type === 2) {
+          dnsNames.add(altName.value.toLowerCase());
+        } else if (altName.type === 7 && altName.ip) {
+          ipAddresses.add(altName.ip);
+        } else {
+          throw new AppError(
+            "Certificate request may only contain DNS names and IP addresses",
+            400
+          );
+        }
+      }
+    }
+
+    if (dnsNames.size === 0 && ipAddresses.size === 0) {
+      throw new AppError("Certificate request contains no names", 400);
+    }
+
+    return { dnsNames: [...dnsNames], ipAddresses: [...ipAddresses] };
+  }
+
+  /**
+   * Reject names that are not registered for the agent
+   * @private
+   */
+  async _assertAgentNames(agentId, names, agentCertDir) {
+    const { agentService } = require("../core");
+    const allowed = await agentService.getCertificateNames(agentId);
+
+    // Replica set member hostnames are kept next to the certificate
+    const dnsNames = new Set([
+      ...allowed.dnsNames,
+      ...(await this._readAltNames(path.join(agentCertDir, "alt_names.json"))),
+    ]);
+
+    const rejected = [
+      ...names.dnsNames.filter((name) => !dnsNames.has(name)),
+      ...names.ipAddresses.filter(
+        (address) => !allowed.ipAddresses.includes(address)
+      ),
+    ];
+
+    if (rejected.length > 0) {
+      throw new AppError(
+        `Names not registered for agent ${agentId}: ${rejected.join(", ")}`,
+        403
+      );
+    }
+  }
+
+  /**
+   * Load the CA certificate and key used to sign agent CSRs, preferring the
+   * configured CA over the local fallback copies
+   * @private
+   */
+  async _loadSigningCa() {
+    const candidates = [
+      { certPath: this.caCertPath, keyPath: this.caKeyPath },
+      { certPath: this.localCaCertPath, keyPath: this.localCaKeyPath },
+    ];
+
+    for (const { certPath, keyPath } of candidates) {
+      let certPem;
+      let keyPem;
+      try {
+        certPem = await fs.readFile(certPath, "utf8");
+        keyPem = await fs.readFile(keyPath, "utf8");
+      } catch {
+        continue;
+      }
+
+      try {
+        return {
+          certPath,
+          certPem,
+          chainPem: this._issuerChain(certPem),
+          cert: forge.pki.certificateFromPem(certPem),
+          key: forge.pki.privateKeyFromPem(keyPem),
+        };
+      } catch (err) {
+        throw new AppError(`Cannot load CA for signing: ${err.message}`, 500);
+      }
+    }
+
+    throw new AppError("CA certificate and key are not accessible", 503);
+  }
+
+  /**
+   * Issue a server certificate for the public key of a CSR, with the same
+   * extensions as the certificates generated with openssl
+   * @private
+   */
+  _signCsr(csr, names, ca) {
+    return this._issueCertificate(
+      csr.publicKey,
+      [
+        {
+          name: "commonName",
+          value: names.dnsNames[0] || names.ipAddresses[0],
+        },
+      ],
+      [
+        {
+          name: "keyUsage",
+          digitalSignature: true,
+          keyEncipherment: true,
+          nonRepudiation: true,
+          dataEncipherment: true,
+          keyAgreement: true,
+        },
+        { name: "extKeyUsage", serverAuth: true, clientAuth: true },
+        {
+          name: "subjectAltName",
+          altNames: [
+            ...names.dnsNames.map((value) => ({ type: 2, value })),
+            ...names.ipAddresses.map((ip) => ({ type: 7, ip })),
+          ],
+        },
+      ],
+      ca
+    );
+  }
+
+  /**
+   * Sign a leaf certificate with the CA
+   * @param {Object} publicKey - forge public key
+   * @param {Object[]} subject - forge subject attributes
+   * @param {Object[]} extensions - Extensions besides basicConstraints and
+   *   the key identifiers
+   * @param {Object} ca - Result of _loadSigningCa
+   * @param {number} [validityDays] - Lifetime
+   * @returns {Object} forge certificate
+   * @private
+   */
+  _issueCertificate(
+    publicKey,
+    subject,
+    extensions,
+    ca,
+    validityDays = AGENT_CERT_VALIDITY_DAYS
+  ) {
+    const cert = forge.pki.createCertificate();
+    const now = Date.now();
+
+    cert.publicKey = publicKey;
+    // Positive 128-bit serial number
+    cert.serialNumber =
+      "01" + forge.util.bytesToHex(forge.random.getBytesSync(15));
+    // Tolerate clocks running slightly behind
+    cert.validity.notBefore = new Date(now - 5 * 60 * 1000);
+    cert.validity.notAfter = new Date(now + validityDays * 24 * 60 * 60 * 1000);
+    cert.setSubject(subject);
+    cert.setIssuer(ca.cert.subject.attributes);
+    cert.setExtensions([
+      { name: "basicConstraints", cA: false },
+      ...extensions,
+      { name: "subjectKeyIdentifier" },
+      {
+        name: "authorityKeyIdentifier",
+        keyIdentifier: ca.cert.generateSubjectKeyIdentifier().getBytes(),
+      },
+    ]);
+    cert.sign(ca.key, forge.md.sha256.create());
+
+    return cert;
+  }
+
+  /**
+   * Determine the writable certificate directory of an agent, falling back
+   * to the local directory if the bind mount is read-only
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<string>} Directory path
+   * @private
+   */
+  async _resolveAgentCertDir(agentId) {
+    let agentCertDir = path.join(this.certsDir, "agents", agentId);
+    await fs.mkdir(agentCertDir, { recursive: true });
+    // Test writability
+    let writable = true;
+    try {
+      await fs.access(agentCertDir, fsSync.constants.W_OK);
+    } catch {
+      writable = false;
+    }
+    if (!writable) {
+      logger.warn(
+        `Agent cert dir ${agentCertDir} not writable, using local fallback`
+      );
+      agentCertDir = path.join(this.localCertsDir, agentId);
+      await fs.mkdir(agentCertDir, { recursive: true });
+    }
+    // Ensure directory permissions where possible
+    try {
+      await fs.chmod(agentCertDir, 0o755);
+    } catch (chmodErr) {
+      logger.warn(
+        `Could not set permissions for agent cert directory: ${chmodErr.message}`
+      );
+    }
+    logger.info(`Using agent cert directory: ${agentCertDir}`);
+    return agentCertDir;
+  }
+
+  /**
+   * Extra DNS names of an agent certificate, stored next to it
+   * @param {string} altNamesPath - Path of the alt names file
+   * @returns {Promise<string[]>} DNS names, empty when none are stored
+   * @private
+   */
+  async _readAltNames(altNamesPath) {
+    try {
+      return JSON.parse(await fs.readFile(altNamesPath, "utf8"));
+    } catch {
+      return [];
+    }
   }
 
   /**
    * Alias for createCertificateForAgent to maintain API compatibility
    * @param {string} agentId - Agent ID
    * @param {string} targetIp - Target IP address
+   * @param {Object} options - See createCertificateForAgent
    * @returns {Promise<Object>} Result with certificate paths and contents
    */
-  async generateAgentCertificate(agentId, targetIp) {
+  async generateAgentCertificate(agentId, targetIp, options = {}) {
     try {
       if (!this.initialized) {
         await this.initialize();
       }
 
       // Create certificates first
-      const result = await this.createCertificateForAgent(agentId, targetIp);
+      const result = await this.createCertificateForAgent(
+        agentId,
+        targetIp,
+        options
+      );
 
       if (!result.success) {
         return result;
       }
 
-      // Read content of cert files to include in response
-      const caCert = await fs.readFile(this.caCertPath, "utf8");
+      // Read content of cert files to include in response, the agent
+      // holds its key itself
+      const caCert = await this.getCaBundle();
+      const caChain = await this.getCaChain();
       const serverCert = await fs.readFile(result.certPath, "utf8");
-      const serverKey = await fs.readFile(result.keyPath, "utf8");
 
       return {
         success: true,
         agentId,
-        keyPath: result.keyPath,
         certPath: result.certPath,
-        pemPath: result.pemPath,
         caPath: this.caCertPath,
         caCert,
+        caChain,
         serverCert,
-        serverKey,
       };
     } catch (err) {
       logger.error(
@@ -600,7 +1514,8 @@ DNS.2 = localhost
   }
 
   /**
-   * Get agent certificates with consolidated approach
+   * Get agent certificates with consolidated approach. Private keys are
+   * never returned, a key generated here by earlier versions stays on disk.
    * @param {string} agentId - Agent ID
    * @returns {Promise<Object>} Certificate files and paths
    */
@@ -612,23 +1527,14 @@ DNS.2 = localhost
 
       // Use the single source of truth for agent certificates
       const agentCertDir = path.join(this.agentCertsBaseDir, agentId);
-      const keyPath = path.join(
-        agentCertDir,
-        this.certificatePathStructure.agentKey
-      );
       const certPath = path.join(
         agentCertDir,
         this.certificatePathStructure.agentCert
       );
-      const pemPath = path.join(
-        agentCertDir,
-        this.certificatePathStructure.agentPem
-      );
 
       // Check if certificate exists
       try {
         await fs.access(certPath);
-        await fs.access(keyPath);
       } catch (err) {
         logger.warn(
           `Certificates for agent ${agentId} not found in primary location: ${err.message}`
@@ -636,10 +1542,6 @@ DNS.2 = localhost
 
         // Try fallback location if exists
         const fallbackDir = path.join(this.localCertsDir, agentId);
-        const fallbackKeyPath = path.join(
-          fallbackDir,
-          this.certificatePathStructure.agentKey
-        );
         const fallbackCertPath = path.join(
           fallbackDir,
           this.certificatePathStructure.agentCert
@@ -647,7 +1549,6 @@ DNS.2 = localhost
 
         try {
           await fs.access(fallbackCertPath);
-          await fs.access(fallbackKeyPath);
 
           // Found in fallback location
           logger.info(
@@ -656,16 +1557,15 @@ DNS.2 = localhost
 
           // Read certificate files from fallback location
           const serverCert = await fs.readFile(fallbackCertPath, "utf8");
-          const serverKey = await fs.readFile(fallbackKeyPath, "utf8");
-          const caCert = await fs.readFile(this.caCertPath, "utf8");
+          const caCert = await this.getCaBundle();
+          const caChain = await this.getCaChain();
 
           return {
             agentId,
             domain: `${agentId}.${this.mongoDomain}`,
-            serverKey,
             serverCert,
             caCert,
-            keyPath: fallbackKeyPath,
+            caChain,
             certPath: fallbackCertPath,
             caPath: this.caCertPath,
             usedFallback: true,
@@ -684,19 +1584,17 @@ DNS.2 = localhost
 
       // Read certificate files from primary location
       const serverCert = await fs.readFile(certPath, "utf8");
-      const serverKey = await fs.readFile(keyPath, "utf8");
-      const caCert = await fs.readFile(this.caCertPath, "utf8");
+      const caCert = await this.getCaBundle();
+      const caChain = await this.getCaChain();
 
       return {
         agentId,
         domain: `${agentId}.${this.mongoDomain}`,
-        serverKey,
         serverCert,
         caCert,
-        keyPath,
+        caChain,
         certPath,
         caPath: this.caCertPath,
-        pemPath,
         usedFallback: false,
       };
     } catch (err) {
@@ -1688,8 +2586,25 @@ DNS.2 = localhost
 
       const caStats = await fs.stat(this.caCertPath);
 
+      let root = null;
+      try {
+        root = {
+          ...this._describeCaCertificate(
+            await fs.readFile(this.rootCaCertPath, "utf8")
+          ),
+          path: this.rootCaCertPath,
+          keyAvailable: fsSync.existsSync(this.rootCaKeyPath),
+        };
+      } catch {
+        // CA from before the hierarchy that could not be migrated
+      }
+
       return {
         exists: true,
+        root,
+        bundle: (await this._readCaBundle()).map((pem) =>
+          this._describeCaCertificate(pem)
+        ),
         path: this.caCertPath,
         keyPath: this.caKeyPath,
         expiry: expiry ? expiry.toISOString() : null,
@@ -1855,6 +2770,57 @@ DNS.2 = localhost
     return result;
   }
 
+  /**
+   * Get the ACME provider used for publicly trusted certificates.
+   * Reuses the configured provider when it is already ACME, otherwise
+   * creates a dedicated one so self-signed setups can still issue for
+   * customer domains.
+   * @returns {Promise<Object>} Initialized ACME provider
+   * @private
+   */
+  async _getAcmeProvider() {
+    if (this.provider && this.provider.getProviderInfo().type === "acme") {
+      return this.provider;
+    }
+
+    if (!this.acmeProvider) {
+      this.acmeProvider = CertificateProviderFactory.createProvider(
+        "acme",
+        this._getProviderConfig()
+      );
+      await this.acmeProvider.initialize();
+    }
+
+    return this.acmeProvider;
+  }
+
+  /**
+   * Issue a publicly trusted certificate for a (customer) domain via ACME
+   * @param {string} domain - Fully qualified domain name
+   * @param {Object} options - Options passed to the provider
+   * @returns {Promise<Object>} Result with certificate and key paths
+   */
+  async generateDomainCertificate(domain, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      logger.info(`Requesting ACME certificate for domain ${domain}`);
+      const provider = await this._getAcmeProvider();
+      return await provider.generateCertificate(domain, options);
+    } catch (err) {
+      logger.error(
+        `Failed to generate certificate for domain ${domain}: ${err.message}`
+      );
+      return {
+        success: false,
+        domain,
+        error: err.message,
+      };
+    }
+  }
+
   // Add method to get provider capabilities
   getProviderCapabilities() {
     if (!this.provider) {
@@ -194,12 +194,8 @@ agent:
             agentId
           );
           if (routeInfo && routeInfo.routes) {
-            mongoRouteExists = routeInfo.routes.some(
-              (route) => route.type === "mongodb"
-            );
-            redisRouteExists = routeInfo.routes.some(
-              (route) => route.type === "redis"
-            );
+            mongoRouteExists = (routeInfo.routes.mongodb || []).length > 0;
+            redisRouteExists = (routeInfo.routes.redis || []).length > 0;
           }
         }
       } catch (proxyErr) {
@@ -250,8 +246,8 @@ agent:
             if (existingCerts && !existingCerts.error) {
               certificates = {
                 caCert: existingCerts.caCert,
+                caChain: existingCerts.caChain,
                 serverCert: existingCerts.serverCert,
-                serverKey: existingCerts.serverKey,
                 source: existingCerts.usedFallback ? "fallback" : "primary",
               };
               logger.info(
@@ -271,8 +267,8 @@ agent:
               if (certResult && certResult.success) {
                 certificates = {
                   caCert: certResult.caCert,
+                  caChain: certResult.caChain,
                   serverCert: certResult.serverCert,
-                  serverKey: certResult.serverKey,
                   source: "generated",
                 };
                 logger.info(`Certificates generated for agent ${agentId}`);
@@ -299,8 +295,8 @@ agent:
             if (certResult && certResult.success) {
               certificates = {
                 caCert: certResult.caCert,
+                caChain: certResult.caChain,
                 serverCert: certResult.serverCert,
-                serverKey: certResult.serverKey,
                 source: "generated-fallback",
               };
               logger.info(
@@ -8,12 +8,18 @@
 const Consul = require("consul");
 const logger = require("../../utils/logger").getLogger("consulService");
 
+// Consul rejects transactions with more than 64 operations
+const MAX_TXN_OPERATIONS = 64;
+
 class ConsulService {
   constructor() {
     this.host = process.env.CONSUL_HOST || "localhost";
     this.port = process.env.CONSUL_PORT || 8500;
     this.baseUrl = `http://${this.host}:${this.port}/v1`;
     this.prefix = "traefik";
+    // Application records (domains, registry data, ...) live outside the
+    // Traefik prefix so the KV provider never tries to parse them
+    this.dataPrefix = process.env.CONSUL_DATA_PREFIX || "cloudlunacy";
     this.consul = null;
     this.isInitialized = false;
   }
@@ -64,6 +70,7 @@ class ConsulService {
       { key: `${this.prefix}/tcp/routers`, value: JSON.stringify({}) },
       { key: `${this.prefix}/tcp/services`, value: JSON.stringify({}) },
       { key: `${this.prefix}/http/middlewares`, value: JSON.stringify({}) },
+      { key: `${this.prefix}/tcp/middlewares`, value: JSON.stringify({}) },
       { key: `${this.prefix}/tls/certificates`, value: JSON.stringify({}) },
     ];
 
@@ -90,6 +97,9 @@ class ConsulService {
             web: { address: ":80" },
             websecure: { address: ":443" },
             mongodb: { address: ":27017" },
+            redis: { address: ":6379" },
+            postgres: { address: ":5432" },
+            mysql: { address: ":3306" },
           })
         );
         logger.debug(`Created entrypoints key`);
@@ -101,12 +111,28 @@ class ConsulService {
 
   /**
    * Recursively sets individual keys in Consul KV from a nested object.
+   * Keys already stored below basePath but missing from obj are kept, use
+   * _buildReplaceOperations to replace a configuration. The keys are written
+   * through _executeTransaction, atomically only up to 64 keys.
    * @param {string} basePath - The base key path (e.g., 'traefik/tcp/routers/myrouter')
    * @param {object} obj - The configuration object to flatten into KV pairs.
    * @returns {Promise<void>}
    * @private
    */
   async _setConsulKeysFromObject(basePath, obj) {
+    await this._executeTransaction(this._buildSetOperations(basePath, obj));
+  }
+
+  /**
+   * Build transaction operations that write a nested object as individual keys.
+   * @param {string} basePath - The base key path
+   * @param {object} obj - The configuration object to flatten into KV pairs.
+   * @returns {Array<object>} Transaction operations
+   * @private
+   */
+  _buildSetOperations(basePath, obj) {
+    const operations = [];
+
     for (const key in obj) {
       if (Object.prototype.hasOwnProperty.call(obj, key)) {
         const value = obj[key];
@@ -114,26 +140,210 @@ class ConsulService {
 
         if (Array.isArray(value)) {
           // Handle arrays: create indexed keys (e.g., /entrypoints/0, /entrypoints/1)
-          for (let i = 0; i < value.length; i++) {
+          value.forEach((itemValue, i) => {
             const indexedKey = `${fullKey}/${i}`;
-            const itemValue = value[i];
             if (typeof itemValue === "object" && itemValue !== null) {
-              await this._setConsulKeysFromObject(indexedKey, itemValue);
+              operations.push(
+                ...this._buildSetOperations(indexedKey, itemValue)
+              );
             } else {
-              await this.consul.kv.set(indexedKey, String(itemValue));
-              logger.debug(`Set array key: ${indexedKey}`);
+              operations.push(this._kvOperation("set", indexedKey, itemValue));
             }
-          }
+          });
         } else if (typeof value === "object" && value !== null) {
           // Handle nested objects: recurse
-          await this._setConsulKeysFromObject(fullKey, value);
+          operations.push(...this._buildSetOperations(fullKey, value));
         } else if (value !== null && value !== undefined) {
           // Handle primitive values: set directly
-          await this.consul.kv.set(fullKey, String(value));
-          logger.debug(`Set key: ${fullKey}`);
+          operations.push(this._kvOperation("set", fullKey, value));
+        }
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * Build transaction operations that delete a key and the hierarchy under it.
+   * Recursing on the bare key would also match siblings sharing the prefix
+   * (e.g. 'app' and 'app-2'), so the tree is deleted below 'key/'.
+   * @param {string} fullKey - The full key path
+   * @returns {Array<object>} Transaction operations
+   * @private
+   */
+  _buildDeleteOperations(fullKey) {
+    return [
+      this._kvOperation("delete", fullKey),
+      this._kvOperation("delete-tree", `${fullKey}/`),
+    ];
+  }
+
+  /**
+   * Build transaction operations that replace whatever is stored at a key,
+   * including legacy JSON blobs, with the given object.
+   * @param {string} fullKey - The full key path
+   * @param {object} obj - The new configuration
+   * @returns {Array<object>} Transaction operations
+   * @private
+   */
+  _buildReplaceOperations(fullKey, obj) {
+    return [
+      ...this._buildDeleteOperations(fullKey),
+      ...this._buildSetOperations(fullKey, obj),
+    ];
+  }
+
+  /**
+   * Build a single KV transaction operation
+   * @param {string} verb - Consul KV verb (set, delete, delete-tree)
+   * @param {string} key - Full key
+   * @param {any} [value] - Value for set operations
+   * @returns {object} Transaction operation
+   * @private
+   */
+  _kvOperation(verb, key, value) {
+    const operation = { Verb: verb, Key: key };
+    if (value !== undefined) {
+      // The txn endpoint expects base64 encoded values
+      operation.Value = Buffer.from(String(value)).toString("base64");
+    }
+    return { KV: operation };
+  }
+
+  /**
+   * Execute KV operations through Consul's /v1/txn endpoint.
+   *
+   * Up to 64 operations are applied atomically. Larger sets are split into
+   * chunks, which are not atomic: readers such as Traefik can see the state
+   * between two chunks. If a chunk fails, every key touched by the chunks
+   * already applied is restored from a snapshot taken before the first
+   * chunk; the restore is best effort and is logged if it fails too.
+   *
+   * @param {Array<object>} operations - Transaction operations
+   * @returns {Promise<void>} Rejects if the operations could not be applied
+   * @private
+   */
+  async _executeTransaction(operations) {
+    if (operations.length === 0) {
+      return;
+    }
+
+    if (operations.length <= MAX_TXN_OPERATIONS) {
+      await this._commitTransaction(operations);
+      return;
+    }
+
+    const chunks = [];
+    for (let i = 0; i < operations.length; i += MAX_TXN_OPERATIONS) {
+      chunks.push(operations.slice(i, i + MAX_TXN_OPERATIONS));
+    }
+
+    const snapshot = await this._snapshotKeys(operations);
+    const applied = [];
+
+    for (const [index, chunk] of chunks.entries()) {
+      try {
+        await this._commitTransaction(chunk);
+        applied.push(...chunk);
+      } catch (error) {
+        logger.error(
+          `Transaction chunk ${index + 1}/${
+            chunks.length
+          } failed, rolling back: ${error.message}`
+        );
+        await this._rollbackTransaction(applied, snapshot);
+        throw error;
+      }
+    }
+
+    logger.debug(
+      `Applied ${operations.length} KV operations in ${chunks.length} transactions`
+    );
+  }
+
+  /**
+   * Send one transaction to Consul
+   * @param {Array<object>} operations - At most 64 operations
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _commitTransaction(operations) {
+    const result = await this.consul.transaction.create(operations);
+
+    if (result && Array.isArray(result.Errors) && result.Errors.length > 0) {
+      throw new Error(
+        `Consul transaction failed: ${result.Errors.map(
+          (error) => error.What
+        ).join("; ")}`
+      );
+    }
+  }
+
+  /**
+   * Record the current value of every key the operations will touch
+   * @param {Array<object>} operations - Transaction operations
+   * @returns {Promise<Map<string, string|null>>} Key to value, null if absent
+   * @private
+   */
+  async _snapshotKeys(operations) {
+    const snapshot = new Map();
+
+    for (const { KV } of operations) {
+      if (KV.Verb === "delete-tree") {
+        const items = await this.consul.kv.get({ key: KV.Key, recurse: true });
+        for (const item of items || []) {
+          if (!snapshot.has(item.Key)) {
+            snapshot.set(item.Key, item.Value ?? "");
+          }
         }
+      } else if (!snapshot.has(KV.Key)) {
+        const item = await this.consul.kv.get(KV.Key);
+        snapshot.set(KV.Key, item ? item.Value ?? "" : null);
       }
     }
+
+    return snapshot;
+  }
+
+  /**
+   * Restore the keys touched by already applied operations
+   * @param {Array<object>} applied - Operations that were committed
+   * @param {Map<string, string|null>} snapshot - Values before the transaction
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _rollbackTransaction(applied, snapshot) {
+    const keys = new Set();
+
+    for (const { KV } of applied) {
+      if (KV.Verb === "delete-tree") {
+        for (const key of snapshot.keys()) {
+          if (key.startsWith(KV.Key)) {
+            keys.add(key);
+          }
+        }
+      } else {
+        keys.add(KV.Key);
+      }
+    }
+
+    const restore = [...keys].map((key) =>
+      snapshot.get(key) === null || snapshot.get(key) === undefined
+        ? this._kvOperation("delete", key)
+        : this._kvOperation("set", key, snapshot.get(key))
+    );
+
+    try {
+      for (let i = 0; i < restore.length; i += MAX_TXN_OPERATIONS) {
+        await this._commitTransaction(restore.slice(i, i + MAX_TXN_OPERATIONS));
+      }
+      logger.info(`Rolled back ${keys.size} keys`);
+    } catch (error) {
+      logger.error(
+        `Rollback incomplete, KV store may be inconsistent: ${error.message}`,
+        { keys: [...keys] }
+      );
+    }
   }
 
   /**
@@ -193,6 +403,111 @@ class ConsulService {
     }
   }
 
+  /**
+   * Read a key hierarchy from Consul and rebuild it as a nested object.
+   * Numeric path segments are turned back into arrays, mirroring the way
+   * _setConsulKeysFromObject flattens them. Legacy JSON blobs stored directly
+   * on a child key are parsed and merged in.
+   *
+   * @param {string} key - The parent key (relative to prefix), e.g. 'http/routers'
+   * @returns {Promise<object|null>} Nested object or null if nothing is stored
+   */
+  async getTree(key) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+
+      const basePath = `${this.prefix}/${key}/`;
+      const items = await this.consul.kv.get({ key: basePath, recurse: true });
+
+      if (!items || !Array.isArray(items) || items.length === 0) {
+        return null;
+      }
+
+      const tree = {};
+      for (const item of items) {
+        const relativeKey = item.Key.slice(basePath.length);
+        if (!relativeKey || item.Value === null || item.Value === undefined) {
+          continue;
+        }
+
+        const segments = relativeKey.split("/").filter(Boolean);
+        let value = item.Value;
+
+        // Legacy entries stored a whole JSON document on a single key
+        if (typeof value === "string" && value.startsWith("{")) {
+          try {
+            value = JSON.parse(value);
+          } catch (e) {
+            // Keep the raw string
+          }
+        }
+
+        let node = tree;
+        for (let i = 0; i < segments.length - 1; i++) {
+          if (
+            typeof node[segments[i]] !== "object" ||
+            node[segments[i]] === null
+          ) {
+            node[segments[i]] = {};
+          }
+          node = node[segments[i]];
+        }
+
+        const leaf = segments[segments.length - 1];
+        if (
+          typeof value === "object" &&
+          typeof node[leaf] === "object" &&
+          node[leaf] !== null
+        ) {
+          node[leaf] = { ...value, ...node[leaf] };
+        } else {
+          node[leaf] = value;
+        }
+      }
+
+      return this._restoreArrays(tree);
+    } catch (error) {
+      logger.error(`Failed to get key tree ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Convert objects whose keys are all consecutive indexes back into arrays.
+   * @param {any} node - Node of a tree built by getTree
+   * @returns {any} Node with arrays restored
+   * @private
+   */
+  _restoreArrays(node) {
+    if (typeof node !== "object" || node === null) {
+      return node;
+    }
+
+    const keys = Object.keys(node);
+    for (const key of keys) {
+      node[key] = this._restoreArrays(node[key]);
+    }
+
+    const isIndexed =
+      keys.length > 0 &&
+      keys.every((key) => /^\d+$/.test(key)) &&
+      keys
+        .map(Number)
+        .sort((a, b) => a - b)
+        .every((index, position) => index === position);
+
+    if (isIndexed) {
+      return keys
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map((index) => node[index]);
+    }
+
+    return node;
+  }
+
   /**
    * Delete a key or hierarchy from Consul
    * @param {string} key - The key to delete (relative to prefix)
@@ -205,8 +520,7 @@ class ConsulService {
       }
 
       const fullKey = `${this.prefix}/${key}`;
-      // Use recurse: true to delete the hierarchy under the key
-      await this.consul.kv.del({ key: fullKey, recurse: true });
+      await this._executeTransaction(this._buildDeleteOperations(fullKey));
       logger.debug(`Deleted key/hierarchy: ${fullKey}`);
       return true;
     } catch (error) {
@@ -215,6 +529,166 @@ class ConsulService {
     }
   }
 
+  /**
+   * Store an application record as JSON under the data prefix
+   * @param {string} key - The key to set (relative to data prefix)
+   * @param {any} value - The value to store
+   * @returns {Promise<boolean>} Success status
+   */
+  async setData(key, value) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+      const fullKey = `${this.dataPrefix}/${key}`;
+      await this.consul.kv.set(fullKey, JSON.stringify(value));
+      logger.debug(`Set data key: ${fullKey}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to set data key ${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get an application record from the data prefix
+   * @param {string} key - The key to get (relative to data prefix)
+   * @returns {Promise<any>} The parsed value or null if missing
+   */
+  async getData(key) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+      const result = await this.consul.kv.get(`${this.dataPrefix}/${key}`);
+      if (!result || result.Value === null || result.Value === undefined) {
+        return null;
+      }
+      try {
+        return JSON.parse(result.Value);
+      } catch (e) {
+        return result.Value;
+      }
+    } catch (error) {
+      logger.error(`Failed to get data key ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get an application record with its ModifyIndex, for use with setDataCas
+   * @param {string} key - The key to get (relative to data prefix)
+   * @returns {Promise<{value: any, modifyIndex: number}|null>} The parsed
+   *   value and index or null if missing
+   */
+  async getDataWithIndex(key) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+      const result = await this.consul.kv.get(`${this.dataPrefix}/${key}`);
+      if (!result || result.Value === null || result.Value === undefined) {
+        return null;
+      }
+      let value = result.Value;
+      try {
+        value = JSON.parse(result.Value);
+      } catch (e) {
+        // Not JSON, return the raw value
+      }
+      return { value, modifyIndex: result.ModifyIndex };
+    } catch (error) {
+      logger.error(`Failed to get data key ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store an application record only if it was not modified since it was
+   * read (check-and-set on the ModifyIndex)
+   * @param {string} key - The key to set (relative to data prefix)
+   * @param {any} value - The value to store
+   * @param {number} modifyIndex - ModifyIndex from getDataWithIndex, 0 to
+   *   create the key only if it does not exist
+   * @returns {Promise<boolean>} False if the key changed meanwhile or the
+   *   write failed
+   */
+  async setDataCas(key, value, modifyIndex) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+      const fullKey = `${this.dataPrefix}/${key}`;
+      const written = await this.consul.kv.set({
+        key: fullKey,
+        value: JSON.stringify(value),
+        cas: modifyIndex,
+      });
+      if (!written) {
+        logger.debug(`Data key ${fullKey} changed since index ${modifyIndex}`);
+        return false;
+      }
+      logger.debug(`Set data key: ${fullKey}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to set data key ${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * List all application records stored below a data prefix path
+   * @param {string} key - The parent key (relative to data prefix)
+   * @returns {Promise<Array<{key: string, value: any}>>} Records with keys relative to the parent
+   */
+  async listData(key) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+      const basePath = `${this.dataPrefix}/${key}/`;
+      const items = await this.consul.kv.get({ key: basePath, recurse: true });
+      if (!items || !Array.isArray(items)) {
+        return [];
+      }
+
+      return items
+        .filter((item) => item.Key !== basePath && item.Value !== null)
+        .map((item) => {
+          let value = item.Value;
+          try {
+            value = JSON.parse(item.Value);
+          } catch (e) {
+            // Keep the raw string
+          }
+          return { key: item.Key.slice(basePath.length), value };
+        });
+    } catch (error) {
+      logger.error(`Failed to list data keys ${key}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Delete an application record (and anything stored below it)
+   * @param {string} key - The key to delete (relative to data prefix)
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteData(key) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+      const fullKey = `${this.dataPrefix}/${key}`;
+      await this._executeTransaction(this._buildDeleteOperations(fullKey));
+      logger.debug(`Deleted data key: ${fullKey}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to delete data key ${key}: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Add HTTP router configuration to Consul
    * @param {string} name - Router name
@@ -222,23 +696,76 @@ class ConsulService {
    * @returns {Promise<boolean>} Success status
    */
   async addHttpRouter(name, routerConfig) {
-    // TODO: Update this similarly if HTTP routes use Consul KV
-    // For now, keep the old method if it works for HTTP
-    logger.warn("Using legacy set for addHttpRouter. Consider updating.");
-    return this.set(`http/routers/${name}`, routerConfig);
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+      // Replace any previous definition, including legacy JSON blobs
+      await this._executeTransaction(
+        this._buildReplaceOperations(
+          `${this.prefix}/http/routers/${name}`,
+          routerConfig
+        )
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `Failed to set HTTP router keys for ${name}: ${error.message}`
+      );
+      return false;
+    }
   }
 
   /**
-   * Add HTTP service configuration to Consul
+   * Add HTTP service configuration to Consul using individual keys.
    * @param {string} name - Service name
    * @param {object} serviceConfig - Service configuration
    * @returns {Promise<boolean>} Success status
    */
   async addHttpService(name, serviceConfig) {
-    // TODO: Update this similarly if HTTP routes use Consul KV
-    // For now, keep the old method if it works for HTTP
-    logger.warn("Using legacy set for addHttpService. Consider updating.");
-    return this.set(`http/services/${name}`, serviceConfig);
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+      await this._executeTransaction(
+        this._buildReplaceOperations(
+          `${this.prefix}/http/services/${name}`,
+          serviceConfig
+        )
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `Failed to set HTTP service keys for ${name}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Add HTTP middleware configuration to Consul using individual keys.
+   * @param {string} name - Middleware name
+   * @param {object} middlewareConfig - Middleware configuration
+   * @returns {Promise<boolean>} Success status
+   */
+  async addHttpMiddleware(name, middlewareConfig) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+      await this._executeTransaction(
+        this._buildReplaceOperations(
+          `${this.prefix}/http/middlewares/${name}`,
+          middlewareConfig
+        )
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `Failed to set HTTP middleware keys for ${name}: ${error.message}`
+      );
+      return false;
+    }
   }
 
   /**
@@ -252,8 +779,13 @@ class ConsulService {
       if (!this.isInitialized) {
         throw new Error("Consul service not initialized");
       }
-      const basePath = `${this.prefix}/tcp/routers/${name}`;
-      await this._setConsulKeysFromObject(basePath, routerConfig);
+      // Replace any previous definition so dropped keys do not linger
+      await this._executeTransaction(
+        this._buildReplaceOperations(
+          `${this.prefix}/tcp/routers/${name}`,
+          routerConfig
+        )
+      );
       return true;
     } catch (error) {
       logger.error(
@@ -274,8 +806,12 @@ class ConsulService {
       if (!this.isInitialized) {
         throw new Error("Consul service not initialized");
       }
-      const basePath = `${this.prefix}/tcp/services/${name}`;
-      await this._setConsulKeysFromObject(basePath, serviceConfig);
+      await this._executeTransaction(
+        this._buildReplaceOperations(
+          `${this.prefix}/tcp/services/${name}`,
+          serviceConfig
+        )
+      );
       return true;
     } catch (error) {
       logger.error(
@@ -303,6 +839,15 @@ class ConsulService {
     return this.delete(`http/services/${name}`);
   }
 
+  /**
+   * Remove HTTP middleware configuration from Consul
+   * @param {string} name - Middleware name
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeHttpMiddleware(name) {
+    return this.delete(`http/middlewares/${name}`);
+  }
+
   /**
    * Remove TCP router configuration from Consul
    * @param {string} name - Router name
@@ -321,6 +866,149 @@ class ConsulService {
     return this.delete(`tcp/services/${name}`);
   }
 
+  /**
+   * Register an HTTP route made of one or more routers and their services.
+   * Up to 64 operations are written in one transaction, so Traefik never
+   * sees a router that references a missing service or middleware. Larger
+   * routes are chunked and not atomic; services and middlewares come first
+   * so routers still only appear once what they reference exists.
+   * @param {object} route - Route definition
+   * @param {object} route.routers - Router configurations keyed by router name
+   * @param {object} route.services - Service configurations keyed by service name
+   * @param {object} route.middlewares - Middleware configurations keyed by name
+   * @returns {Promise<boolean>} Success status
+   */
+  async registerHttpRoute({ routers = {}, services = {}, middlewares = {} }) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+
+      const operations = [
+        ...this._buildConfigOperations("http/services", services),
+        ...this._buildConfigOperations("http/middlewares", middlewares),
+        ...this._buildConfigOperations("http/routers", routers),
+      ];
+      await this._executeTransaction(operations);
+
+      logger.info(
+        `Registered HTTP route with routers: ${Object.keys(routers).join(", ")}`
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Failed to register HTTP route: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Remove HTTP routers, services and middlewares belonging to a route in
+   * one transaction, or in several non-atomic ones above 64 operations.
+   * Routers come first should the delete need to be chunked.
+   * @param {object} route - Names to remove
+   * @param {string[]} route.routers - Router names
+   * @param {string[]} route.services - Service names
+   * @param {string[]} route.middlewares - Middleware names
+   * @returns {Promise<boolean>} Success status
+   */
+  async unregisterHttpRoute({ routers = [], services = [], middlewares = [] }) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+
+      const operations = [
+        ...routers.map((name) => `http/routers/${name}`),
+        ...services.map((name) => `http/services/${name}`),
+        ...middlewares.map((name) => `http/middlewares/${name}`),
+      ].flatMap((key) => this._buildDeleteOperations(`${this.prefix}/${key}`));
+      await this._executeTransaction(operations);
+
+      logger.info(`Unregistered HTTP routers: ${routers.join(", ")}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to unregister HTTP route: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Write named Traefik configurations of several sections in one
+   * transaction (chunked, and then not atomic, above 64 operations)
+   * @param {object} sections - Configurations keyed by section (e.g. 'tcp/routers') and name
+   * @returns {Promise<boolean>} Success status
+   */
+  async registerConfigs(sections) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+
+      const operations = Object.entries(sections).flatMap(
+        ([section, configs]) => this._buildConfigOperations(section, configs)
+      );
+      await this._executeTransaction(operations);
+
+      logger.debug(`Registered configurations in ${operations.length} ops`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to register configurations: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Remove named Traefik configurations of several sections in one
+   * transaction (chunked, and then not atomic, above 64 operations)
+   * @param {object} sections - Name lists keyed by section (e.g. 'tcp/routers')
+   * @returns {Promise<boolean>} Success status
+   */
+  async unregisterConfigs(sections) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error("Consul service not initialized");
+      }
+
+      const operations = Object.entries(sections).flatMap(([section, names]) =>
+        names.flatMap((name) =>
+          this._buildDeleteOperations(`${this.prefix}/${section}/${name}`)
+        )
+      );
+      await this._executeTransaction(operations);
+
+      logger.debug(`Unregistered configurations in ${operations.length} ops`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to unregister configurations: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Build replace operations for a set of named Traefik configurations
+   * @param {string} section - Section below the prefix (e.g. 'http/routers')
+   * @param {object} configs - Configurations keyed by name
+   * @returns {Array<object>} Transaction operations
+   * @private
+   */
+  _buildConfigOperations(section, configs) {
+    return Object.entries(configs).flatMap(([name, config]) =>
+      this._buildReplaceOperations(`${this.prefix}/${section}/${name}`, config)
+    );
+  }
+
   /**
    * Register a new MongoDB agent with HTTP and TCP routes
    * @param {object} agent - Agent configuration
@@ -383,11 +1071,24 @@ class ConsulService {
         },
       };
 
-      // Add configurations to Consul
-      await this.addHttpRouter(name, httpRouter);
-      await this.addHttpService(`${name}-http`, httpService);
-      await this.addTcpRouter(name, tcpRouter);
-      await this.addTcpService(`${name}-mongo`, tcpService);
+      // Keep the TCP middlewares attached to an existing router
+      const existingTcpRouter = await this.getTree(`tcp/routers/${name}`);
+      if (existingTcpRouter?.middlewares) {
+        tcpRouter.middlewares = existingTcpRouter.middlewares;
+      }
+
+      // Write all configurations in one transaction so a failure cannot
+      // leave a router pointing at a missing service
+      await this._executeTransaction([
+        ...this._buildConfigOperations("http/services", {
+          [`${name}-http`]: httpService,
+        }),
+        ...this._buildConfigOperations("tcp/services", {
+          [`${name}-mongo`]: tcpService,
+        }),
+        ...this._buildConfigOperations("http/routers", { [name]: httpRouter }),
+        ...this._buildConfigOperations("tcp/routers", { [name]: tcpRouter }),
+      ]);
 
       logger.info(`Registered agent '${name}' in Consul KV store`);
       return true;
@@ -411,10 +1112,21 @@ class ConsulService {
         throw new Error("Consul service not initialized");
       }
 
-      await this.removeHttpRouter(name);
-      await this.removeHttpService(`${name}-http`);
-      await this.removeTcpRouter(name);
-      await this.removeTcpService(`${name}-mongo`);
+      // TCP middlewares owned by the MongoDB router go with it
+      const tcpRouter = await this.getTree(`tcp/routers/${name}`);
+      const tcpMiddlewares = (tcpRouter?.middlewares || [])
+        .filter((middleware) => middleware.startsWith(`${name}-mw-`))
+        .map((middleware) => `tcp/middlewares/${middleware}`);
+
+      await this._executeTransaction(
+        [
+          `http/routers/${name}`,
+          `tcp/routers/${name}`,
+          `http/services/${name}-http`,
+          `tcp/services/${name}-mongo`,
+          ...tcpMiddlewares,
+        ].flatMap((key) => this._buildDeleteOperations(`${this.prefix}/${key}`))
+      );
 
       logger.info(`Unregistered agent '${name}' from Consul KV store`);
       return true;
@@ -0,0 +1,530 @@
+/**
+ * Custom Domain Service
+ *
+ * Lets agents attach their own domains (e.g. shop.example.com) to an
+ * existing application route. Ownership is proven with a DNS TXT or CNAME
+ * challenge before a Traefik router is written for the external host and a
+ * certificate is requested through ACME.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs").promises;
+const logger = require("../../utils/logger").getLogger("customDomainService");
+const { AppError } = require("../../utils/errorHandler");
+const ProxyService = require("./proxyService");
+
+const CHALLENGE_LABEL = "_cloudlunacy-challenge";
+const DOMAIN_PATTERN =
+  /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const VERIFICATION_METHODS = ["txt", "cname"];
+// Unverified claims expire so nobody can hold a domain they cannot prove
+const DEFAULT_CLAIM_TTL_HOURS = 48;
+
+class CustomDomainService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} [options.resolver] - DNS resolver exposing resolveTxt and
+   *   resolveCname (defaults to Node's dns.promises, stub it in tests)
+   */
+  constructor(options = {}) {
+    this.initialized = false;
+    this.resolver = options.resolver || dns.promises;
+    this.appDomain = process.env.APP_DOMAIN || "apps.cloudlunacy.uk";
+    this.verificationDomain =
+      process.env.DOMAIN_VERIFY_DOMAIN || this.appDomain;
+    this.claimTtlHours = process.env.DOMAIN_CLAIM_TTL_HOURS
+      ? parseFloat(process.env.DOMAIN_CLAIM_TTL_HOURS)
+      : DEFAULT_CLAIM_TTL_HOURS;
+
+    // Will be loaded from core services during initialize
+    this.consulService = null;
+    this.certificateService = null;
+  }
+
+  /**
+   * Initialize the custom domain service
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      const coreServices = require("../core");
+      this.consulService = coreServices.consulService;
+      this.certificateService = coreServices.certificateService;
+
+      this.initialized = true;
+      logger.info("Custom domain service initialized");
+      return true;
+    } catch (err) {
+      logger.error(
+        `Failed to initialize custom domain service: ${err.message}`,
+        {
+          error: err.message,
+          stack: err.stack,
+        }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Replace the DNS resolver used for verification
+   * @param {Object} resolver - Object with resolveTxt and resolveCname
+   */
+  setResolver(resolver) {
+    this.resolver = resolver;
+  }
+
+  /**
+   * Request a custom domain for an agent route and hand out its challenge
+   * @param {string} agentId - Agent ID
+   * @param {string} domain - External domain
+   * @param {Object} options - Options
+   * @param {string} options.subdomain - Subdomain of the route to attach to
+   * @param {string} [options.method] - "txt" (default) or "cname"
+   * @returns {Promise<Object>} Domain record with challenge instructions
+   */
+  async requestDomain(agentId, domain, options = {}) {
+    await this._ensureReady();
+
+    const normalized = this._normalizeDomain(domain);
+    const { subdomain, method = "txt" } = options;
+
+    if (!subdomain) {
+      throw new AppError("Subdomain of the target route is required", 400);
+    }
+
+    if (!VERIFICATION_METHODS.includes(method)) {
+      throw new AppError(
+        `Verification method must be one of: ${VERIFICATION_METHODS.join(
+          ", "
+        )}`,
+        400
+      );
+    }
+
+    const serviceName = `${ProxyService.getRouteName(agentId, subdomain)}-http`;
+    const service = await this.consulService.getTree(
+      `http/services/${serviceName}`
+    );
+    if (!service) {
+      throw new AppError(
+        `No HTTP route found for ${subdomain} of agent ${agentId}`,
+        404
+      );
+    }
+
+    let existing = await this.getDomain(normalized);
+    if (existing && this._isClaimExpired(existing)) {
+      logger.info(
+        `Pending claim of ${normalized} by agent ${existing.agentId} expired, replacing it`
+      );
+      existing = null;
+    }
+    if (existing && existing.agentId !== agentId) {
+      throw new AppError(
+        `Domain ${normalized} is already claimed by another agent`,
+        409
+      );
+    }
+
+    const token = crypto.randomBytes(16).toString("hex");
+    const now = new Date().toISOString();
+    const record = {
+      domain: normalized,
+      agentId,
+      subdomain,
+      service: serviceName,
+      status: "pending",
+      challenge: this._buildChallenge(normalized, method, token),
+      certificate: { status: "none" },
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      // Requesting again renews the challenge, not the claim
+      expiresAt:
+        existing && existing.status === "pending" && existing.expiresAt
+          ? existing.expiresAt
+          : new Date(
+              Date.now() + this.claimTtlHours * 60 * 60 * 1000
+            ).toISOString(),
+    };
+
+    await this._saveRecord(record);
+
+    logger.info(
+      `Custom domain ${normalized} requested by agent ${agentId} (${method} challenge)`
+    );
+    return record;
+  }
+
+  /**
+   * Check the DNS challenge of a pending domain and activate it on success
+   * @param {string} domain - External domain
+   * @returns {Promise<Object>} Verification result with the updated record
+   */
+  async verifyDomain(domain) {
+    await this._ensureReady();
+
+    const record = await this._getRecordOrThrow(domain);
+
+    if (record.status === "active") {
+      return { verified: true, record };
+    }
+
+    if (this._isClaimExpired(record)) {
+      throw new AppError(
+        `Claim of ${record.domain} expired, request the domain again`,
+        409
+      );
+    }
+
+    const check = await this._checkChallenge(record.challenge);
+    record.lastCheckedAt = new Date().toISOString();
+    record.updatedAt = record.lastCheckedAt;
+
+    if (!check.verified) {
+      record.lastError = check.error;
+      await this._saveRecord(record);
+      logger.info(
+        `Verification of ${record.domain} not successful yet: ${check.error}`
+      );
+      return { verified: false, error: check.error, record };
+    }
+
+    delete record.lastError;
+    delete record.expiresAt;
+    record.status = "verified";
+    record.verifiedAt = record.lastCheckedAt;
+
+    const routerName = this._getRouterName(record.domain);
+    const registered = await this.consulService.registerHttpRoute({
+      routers: {
+        [routerName]: {
+          entryPoints: ["websecure"],
+          rule: `Host(\`${record.domain}\`)`,
+          service: record.service,
+          // Certificates come from tls/certificates, so no resolver here.
+          // An empty tls object would not produce any KV keys.
+          tls: { options: "default" },
+        },
+      },
+    });
+
+    if (!registered) {
+      await this._saveRecord(record);
+      throw new AppError(
+        `Domain verified but failed to write router for ${record.domain}`,
+        500
+      );
+    }
+
+    record.status = "active";
+    record.router = routerName;
+    record.certificate = { status: "pending" };
+    await this._saveRecord(record);
+
+    logger.info(`Custom domain ${record.domain} verified and routed`);
+
+    // Issuance can take minutes (DNS propagation, ACME polling), do not
+    // hold the request open for it
+    this._issueCertificate(record.domain).catch((err) => {
+      logger.error(
+        `Certificate issuance for ${record.domain} failed: ${err.message}`
+      );
+    });
+
+    return { verified: true, record };
+  }
+
+  /**
+   * Get a domain record
+   * @param {string} domain - External domain
+   * @returns {Promise<Object|null>} Domain record
+   */
+  async getDomain(domain) {
+    await this._ensureReady();
+    return this.consulService.getData(`domains/${domain.toLowerCase()}`);
+  }
+
+  /**
+   * List domain records, optionally for a single agent
+   * @param {string} [agentId] - Filter by agent
+   * @returns {Promise<Object[]>} Domain records
+   */
+  async listDomains(agentId = null) {
+    await this._ensureReady();
+    const entries = await this.consulService.listData("domains");
+    return entries
+      .map((entry) => entry.value)
+      .filter((record) => !agentId || record.agentId === agentId);
+  }
+
+  /**
+   * Detach a custom domain and remove its router and certificate
+   * @param {string} domain - External domain
+   * @returns {Promise<Object>} Result
+   */
+  async removeDomain(domain) {
+    await this._ensureReady();
+
+    const record = await this._getRecordOrThrow(domain);
+
+    if (record.router) {
+      await this.consulService.unregisterHttpRoute({
+        routers: [record.router],
+      });
+    }
+
+    await this.consulService.deleteData(`domains/${record.domain}`);
+
+    if (record.certificate && record.certificate.status === "issued") {
+      await this._syncTlsCertificates();
+    }
+
+    logger.info(`Custom domain ${record.domain} removed`);
+    return {
+      success: true,
+      message: `Custom domain ${record.domain} removed successfully`,
+    };
+  }
+
+  /**
+   * Request a certificate for a verified domain and publish it to Traefik
+   * @param {string} domain - External domain
+   * @returns {Promise<Object>} Certificate status
+   * @private
+   */
+  async _issueCertificate(domain) {
+    const result = await this.certificateService.generateDomainCertificate(
+      domain
+    );
+
+    // The record may have been removed while the order was running
+    const record = await this.getDomain(domain);
+    if (!record) {
+      return { status: "cancelled" };
+    }
+
+    record.updatedAt = new Date().toISOString();
+    if (result && result.success) {
+      record.certificate = {
+        status: "issued",
+        certPath: result.certPath,
+        keyPath: result.keyPath,
+        issuedAt: record.updatedAt,
+      };
+    } else {
+      record.certificate = {
+        status: "failed",
+        error: (result && result.error) || "Unknown error",
+        failedAt: record.updatedAt,
+      };
+    }
+
+    await this._saveRecord(record);
+
+    if (record.certificate.status === "issued") {
+      await this._syncTlsCertificates();
+      logger.info(`Certificate issued for custom domain ${domain}`);
+    } else {
+      logger.warn(
+        `Certificate for custom domain ${domain} could not be issued: ${record.certificate.error}`
+      );
+    }
+
+    return record.certificate;
+  }
+
+  /**
+   * Rewrite Traefik's TLS certificate list from all issued domain certificates.
+   * Traefik stores certificates as an indexed list, so the whole list is
+   * rebuilt instead of patching single entries.
+   * @private
+   */
+  async _syncTlsCertificates() {
+    const records = await this.listDomains();
+    const certificates = [];
+
+    for (const record of records) {
+      if (!record.certificate || record.certificate.status !== "issued") {
+        continue;
+      }
+
+      try {
+        // Traefik accepts PEM content in place of a file path
+        certificates.push({
+          certFile: await fs.readFile(record.certificate.certPath, "utf8"),
+          keyFile: await fs.readFile(record.certificate.keyPath, "utf8"),
+        });
+      } catch (err) {
+        logger.warn(
+          `Skipping certificate for ${record.domain}: ${err.message}`
+        );
+      }
+    }
+
+    // Replaces the whole list, entries beyond the new length are dropped
+    const written = await this.consulService.registerConfigs({
+      tls: { certificates },
+    });
+    if (!written) {
+      throw new AppError("Failed to publish custom domain certificates", 500);
+    }
+  }
+
+  /**
+   * Resolve the challenge record and compare it with the expected value
+   * @param {Object} challenge - Challenge description
+   * @returns {Promise<{verified: boolean, error?: string}>} Check result
+   * @private
+   */
+  async _checkChallenge(challenge) {
+    try {
+      if (challenge.type === "txt") {
+        const records = await this.resolver.resolveTxt(challenge.name);
+        const values = records.map((chunks) => chunks.join(""));
+        return values.includes(challenge.value)
+          ? { verified: true }
+          : {
+              verified: false,
+              error: `TXT record ${challenge.name} does not contain the expected token`,
+            };
+      }
+
+      const targets = await this.resolver.resolveCname(challenge.name);
+      const expected = challenge.value.replace(/\.$/, "").toLowerCase();
+      return targets.some(
+        (target) => target.replace(/\.$/, "").toLowerCase() === expected
+      )
+        ? { verified: true }
+        : {
+            verified: false,
+            error: `CNAME record ${challenge.name} does not point to ${challenge.value}`,
+          };
+    } catch (err) {
+      return {
+        verified: false,
+        error: `DNS lookup for ${challenge.name} failed: ${
+          err.code || err.message
+        }`,
+      };
+    }
+  }
+
+  /**
+   * Whether a claim was never verified within its TTL. Claims from before
+   * expiry was introduced count from their creation.
+   * @private
+   */
+  _isClaimExpired(record) {
+    if (record.status !== "pending") {
+      return false;
+    }
+
+    const expiresAt = record.expiresAt
+      ? Date.parse(record.expiresAt)
+      : Date.parse(record.createdAt) + this.claimTtlHours * 60 * 60 * 1000;
+    return Number.isFinite(expiresAt) && expiresAt <= Date.now();
+  }
+
+  /**
+   * Build the DNS challenge for a domain
+   * @private
+   */
+  _buildChallenge(domain, method, token) {
+    const name = `${CHALLENGE_LABEL}.${domain}`;
+
+    if (method === "cname") {
+      return {
+        type: "cname",
+        name,
+        value: `${token}.verify.${this.verificationDomain}`,
+        instructions: `Create a CNAME record ${name} pointing to ${token}.verify.${this.verificationDomain}`,
+      };
+    }
+
+    return {
+      type: "txt",
+      name,
+      value: token,
+      instructions: `Create a TXT record ${name} with the value ${token}`,
+    };
+  }
+
+  /**
+   * Validate and normalize a domain name
+   * @private
+   */
+  _normalizeDomain(domain) {
+    const normalized = String(domain || "")
+      .trim()
+      .toLowerCase()
+      .replace(/\.$/, "");
+
+    if (!DOMAIN_PATTERN.test(normalized)) {
+      throw new AppError(`Invalid domain: ${domain}`, 400);
+    }
+
+    if (
+      normalized === this.appDomain ||
+      normalized.endsWith(`.${this.appDomain}`)
+    ) {
+      throw new AppError(
+        `Domains under ${this.appDomain} are managed through subdomains`,
+        400
+      );
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Router name for a custom domain
+   * @private
+   */
+  _getRouterName(domain) {
+    return `domain-${domain.replace(/\./g, "_")}`;
+  }
+
+  /**
+   * @private
+   */
+  async _getRecordOrThrow(domain) {
+    const record = await this.getDomain(domain);
+    if (!record) {
+      throw new AppError(`Custom domain ${domain} not found`, 404);
+    }
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  async _saveRecord(record) {
+    const saved = await this.consulService.setData(
+      `domains/${record.domain}`,
+      record
+    );
+    if (!saved) {
+      throw new AppError(`Failed to store custom domain ${record.domain}`, 500);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _ensureReady() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.consulService || !this.consulService.isInitialized) {
+      throw new AppError("Consul service not available", 500);
+    }
+  }
+}
+
+module.exports = CustomDomainService;
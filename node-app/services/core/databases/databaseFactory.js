@@ -2,21 +2,45 @@
  * Database Factory
  *
  * Manages the creation and access of database service instances.
- * Supports different database types (MongoDB, Redis, etc.) through a unified interface.
+ * Supports different database types (MongoDB, Redis, PostgreSQL, MySQL) through
+ * a unified interface.
  */
 
 const logger = require("../../../utils/logger").getLogger("databaseFactory");
 const path = require("path");
 const fs = require("fs");
 
+// Base classes that live next to the services but are not services
+const ABSTRACT_MODULES = ["databaseService.js", "tcpDatabaseService.js"];
+
 class DatabaseFactory {
-  constructor(routingService, haproxyService) {
+  constructor(routingService) {
     this.routingService = routingService;
-    this.haproxyService = haproxyService;
     this.serviceInstances = new Map();
     this.initialized = false;
   }
 
+  /**
+   * Create a database service, reusing the shared instance from core
+   * services (e.g. coreServices.redisService) when there is one
+   * @param {string} dbType - Database type
+   * @param {string} file - Service module file name
+   * @returns {Object} Database service instance
+   * @private
+   */
+  _createService(dbType, file) {
+    const coreServices = require("../index");
+    const shared = Object.entries(coreServices).find(
+      ([name, service]) => name.toLowerCase() === `${dbType}service` && service
+    );
+    if (shared) {
+      return shared[1];
+    }
+
+    const ServiceClass = require(path.join(__dirname, file));
+    return new ServiceClass(this.routingService);
+  }
+
   /**
    * Initialize the database factory and all available database services
    */
@@ -35,7 +59,7 @@ class DatabaseFactory {
       // Load service modules dynamically
       const serviceFiles = files.filter(
         (file) =>
-          file.endsWith("Service.js") && !file.includes("databaseService")
+          file.endsWith("Service.js") && !ABSTRACT_MODULES.includes(file)
       );
 
       logger.info(`Found ${serviceFiles.length} database service modules`);
@@ -51,14 +75,7 @@ class DatabaseFactory {
             continue;
           }
 
-          // Load the service class
-          const ServiceClass = require(path.join(servicesDir, file));
-
-          // Instantiate and initialize the service with routing service and haproxy service
-          const serviceInstance = new ServiceClass(
-            this.routingService,
-            this.haproxyService
-          );
+          const serviceInstance = this._createService(dbType, file);
           await serviceInstance.initialize();
 
           // Store the instance
@@ -110,13 +127,16 @@ class DatabaseFactory {
     const dbType = type.toLowerCase();
 
     // Check if service exists
-    if (!this.serviceInstances.has(dbType)) {
+    if (
+      !this.serviceInstances.has(dbType) &&
+      /^[a-z0-9]+$/.test(dbType) &&
+      !ABSTRACT_MODULES.includes(`${dbType}Service.js`)
+    ) {
       // Lazy-load service if not initialized yet
       try {
-        const ServiceClass = require(`./${dbType}Service.js`);
-        const serviceInstance = new ServiceClass(
-          this.routingService,
-          this.haproxyService
+        const serviceInstance = this._createService(
+          dbType,
+          `${dbType}Service.js`
         );
         this.serviceInstances.set(dbType, serviceInstance);
 
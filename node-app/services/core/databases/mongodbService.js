@@ -4,12 +4,33 @@
  * Handles MongoDB server management operations:
  * - Registration of agent MongoDB instances
  * - Connection testing
+ *
+ * An agent has a default instance at <agentId>.<MONGO_DOMAIN>, registered
+ * together with the agent's HTTP route, and any number of named instances
+ * at <instance>.<agentId>.<MONGO_DOMAIN>, each with its own TCP router,
+ * target port and TLS mode. Named instances are recorded in Consul.
+ *
+ * A replica set registers each member as a named instance
+ * <replicaSet>-<n>, so drivers that discover the topology from `hello`
+ * reach every member by its own SNI hostname. The set's members must be
+ * configured with these hostnames in the replica set config.
+ *
+ * Every route can carry TCP middlewares (IP allowlists, connection limits)
+ * owned by its router; they survive re-registration of the route.
  */
 
 const crypto = require("crypto");
 const { MongoClient } = require("mongodb");
 const logger = require("../../../utils/logger").getLogger("mongodbService");
 const DatabaseService = require("./databaseService");
+const { AppError } = require("../../../utils/errorHandler");
+
+// Instance names become a DNS label of the instance's domain
+const INSTANCE_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const INSTANCES_KEY = "mongodb-instances";
+const REPLICA_SETS_KEY = "mongodb-replica-sets";
+// Upper bound of voting and non-voting members MongoDB accepts
+const MAX_REPLICA_SET_MEMBERS = 50;
 
 class MongoDBService extends DatabaseService {
   constructor(routingService) {
@@ -104,6 +125,13 @@ class MongoDBService extends DatabaseService {
         await this.initialize();
       }
 
+      if (options.instance) {
+        return this.registerInstance(agentId, options.instance, targetIp, {
+          targetPort: options.targetPort,
+          tlsPassthrough: options.tlsPassthrough ?? options.useTls,
+        });
+      }
+
       // Default options
       const { useTls = true, targetPort = 27017 } = options;
 
@@ -257,19 +285,695 @@ class MongoDBService extends DatabaseService {
     }
   }
 
+  /**
+   * Register a named MongoDB instance of an agent. Registering an existing
+   * name replaces its target and TLS mode.
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} instance - Instance name, a DNS label
+   * @param {string} targetIp - Target IP address
+   * @param {Object} options - Additional options
+   * @param {number} [options.targetPort=27017] - MongoDB port on the agent
+   * @param {boolean} [options.tlsPassthrough=true] - Pass TLS through to
+   *   MongoDB; when false Traefik terminates TLS and forwards plain TCP
+   * @param {string} [options.replicaSet] - Replica set the instance is a
+   *   member of, set by registerReplicaSet
+   * @returns {Promise<Object>} - Registration result
+   */
+  async registerInstance(agentId, instance, targetIp, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const {
+        targetPort = 27017,
+        tlsPassthrough = true,
+        replicaSet = null,
+      } = options;
+
+      if (!INSTANCE_PATTERN.test(instance || "")) {
+        return {
+          success: false,
+          error:
+            "Instance name must be a DNS label: lowercase letters, digits and hyphens",
+        };
+      }
+
+      if (!this.consulService || !this.consulService.isInitialized) {
+        logger.error("Consul service not available for MongoDB registration");
+        return {
+          success: false,
+          error: "Consul service not available",
+        };
+      }
+
+      const previous = await this.consulService.getData(
+        this._instanceKey(agentId, instance)
+      );
+      if (previous && (previous.replicaSet || null) !== replicaSet) {
+        return {
+          success: false,
+          error: previous.replicaSet
+            ? `Instance ${instance} is a member of replica set ${previous.replicaSet}`
+            : `Instance ${instance} already exists outside replica set ${replicaSet}`,
+          conflict: true,
+        };
+      }
+
+      logger.info(
+        `Registering MongoDB instance ${instance} of agent ${agentId}, IP: ${targetIp}:${targetPort}`
+      );
+
+      const name = this._getInstanceRouteName(agentId, instance);
+      const domain = `${instance}.${agentId}.${this.mongoDomain}`;
+      const existingRouter = await this.consulService.getTree(
+        `tcp/routers/${name}`
+      );
+
+      const registered = await this.consulService.registerConfigs({
+        "tcp/services": {
+          [name]: {
+            loadBalancer: {
+              servers: [{ address: `${targetIp}:${targetPort}` }],
+            },
+          },
+        },
+        "tcp/routers": {
+          [name]: {
+            entryPoints: ["mongodb"],
+            rule: `HostSNI(\`${domain}\`)`,
+            service: name,
+            tls: tlsPassthrough
+              ? { passthrough: true }
+              : { certResolver: "letsencrypt", domains: [{ main: domain }] },
+            ...(existingRouter?.middlewares && {
+              middlewares: existingRouter.middlewares,
+            }),
+          },
+        },
+      });
+
+      if (!registered) {
+        return {
+          success: false,
+          error: "Failed to register MongoDB instance in Consul KV store",
+        };
+      }
+
+      const now = new Date().toISOString();
+      const record = {
+        agentId,
+        instance,
+        targetIp,
+        targetPort,
+        domain,
+        tlsPassthrough,
+        ...(replicaSet && { replicaSet }),
+        routingService: "consul",
+        lastUpdated: now,
+        created: (previous && previous.created) || now,
+      };
+
+      const stored = await this.consulService.setData(
+        this._instanceKey(agentId, instance),
+        record
+      );
+      if (!stored) {
+        logger.warn(
+          `MongoDB instance ${instance} of ${agentId} registered but its record was not stored`
+        );
+      }
+
+      return {
+        success: true,
+        message: `MongoDB instance ${instance} of agent ${agentId} registered successfully`,
+        ...record,
+        mongodbUrl: `mongodb://${domain}:27017`,
+      };
+    } catch (error) {
+      logger.error(`Error registering MongoDB instance: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        agentId,
+        instance,
+      });
+
+      return {
+        success: false,
+        error: `Error registering MongoDB instance: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Remove a named MongoDB instance of an agent
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} instance - Instance name
+   * @returns {Promise<Object>} - Deregistration result
+   */
+  async deregisterInstance(agentId, instance) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!this.consulService || !this.consulService.isInitialized) {
+        logger.error("Consul service not available for MongoDB deregistration");
+        return {
+          success: false,
+          error: "Consul service not available",
+        };
+      }
+
+      const record = await this.consulService.getData(
+        this._instanceKey(agentId, instance)
+      );
+      if (!record) {
+        return {
+          success: false,
+          error: `MongoDB instance ${instance} of agent ${agentId} not found`,
+        };
+      }
+
+      if (record.replicaSet) {
+        return {
+          success: false,
+          error: `Instance ${instance} is a member of replica set ${record.replicaSet}, remove the replica set instead`,
+        };
+      }
+
+      return await this._removeInstance(agentId, instance);
+    } catch (error) {
+      logger.error(`Error removing MongoDB instance: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+
+      return {
+        success: false,
+        error: `Error removing MongoDB instance: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Remove the route and record of a named instance
+   * @private
+   */
+  async _removeInstance(agentId, instance) {
+    const name = this._getInstanceRouteName(agentId, instance);
+    const router = await this.consulService.getTree(`tcp/routers/${name}`);
+    const removed = await this.consulService.unregisterConfigs({
+      "tcp/routers": [name],
+      "tcp/services": [name],
+      "tcp/middlewares": (router?.middlewares || []).filter((middleware) =>
+        middleware.startsWith(`${name}-mw-`)
+      ),
+    });
+
+    if (!removed) {
+      return {
+        success: false,
+        error: "Failed to unregister MongoDB instance from Consul KV store",
+      };
+    }
+
+    await this.consulService.deleteData(this._instanceKey(agentId, instance));
+
+    logger.info(`Removed MongoDB instance ${instance} of agent ${agentId}`);
+    return {
+      success: true,
+      message: `MongoDB instance ${instance} of agent ${agentId} removed successfully`,
+    };
+  }
+
+  /**
+   * Remove every named MongoDB instance and replica set of an agent
+   *
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<number>} - Number of removed instances
+   */
+  async deregisterInstances(agentId) {
+    let removed = 0;
+
+    for (const set of await this.listReplicaSets(agentId)) {
+      const result = await this.deregisterReplicaSet(agentId, set.replicaSet);
+      if (result.success) {
+        removed += set.members.length;
+      } else {
+        logger.warn(result.error);
+      }
+    }
+
+    for (const record of await this.listInstances(agentId)) {
+      const result = await this.deregisterInstance(agentId, record.instance);
+      if (result.success) {
+        removed++;
+      } else {
+        logger.warn(result.error);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * List named MongoDB instances
+   *
+   * @param {string} [agentId] - Only instances of this agent
+   * @returns {Promise<Object[]>} - Instance records
+   */
+  async listInstances(agentId = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.consulService || !this.consulService.isInitialized) {
+      return [];
+    }
+
+    const records = await this.consulService.listData(
+      agentId ? `${INSTANCES_KEY}/${agentId}` : INSTANCES_KEY
+    );
+    return records
+      .map(({ value }) => value)
+      .filter((record) => record && record.instance);
+  }
+
+  /**
+   * Get connection information of a named MongoDB instance
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} instance - Instance name
+   * @returns {Promise<Object>} - Connection info
+   */
+  async getInstanceInfo(agentId, instance) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const record =
+      this.consulService && this.consulService.isInitialized
+        ? await this.consulService.getData(this._instanceKey(agentId, instance))
+        : null;
+
+    if (!record) {
+      return {
+        success: false,
+        error: `MongoDB instance ${instance} of agent ${agentId} not found`,
+      };
+    }
+
+    return {
+      success: true,
+      ...record,
+      url: `mongodb://${record.domain}:27017`,
+    };
+  }
+
+  /**
+   * Register a replica set of an agent. Member n is routed as the named
+   * instance <replicaSet>-<n> at <replicaSet>-<n>.<agentId>.<MONGO_DOMAIN>;
+   * the replica set config must use these hostnames on port 27017 for
+   * drivers to discover the topology through Traefik. With TLS passthrough
+   * the agent certificate is reissued with every member hostname as a SAN.
+   * Registering an existing set replaces its members.
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} replicaSet - Replica set name, a DNS label
+   * @param {Object[]} members - Members in replica set order
+   * @param {string} members[].targetIp - Member IP address
+   * @param {number} [members[].targetPort=27017] - Member port
+   * @param {Object} options - Additional options
+   * @param {boolean} [options.tlsPassthrough=true] - Pass TLS through to the
+   *   members; when false Traefik terminates TLS for each member hostname
+   * @returns {Promise<Object>} - Registration result
+   */
+  async registerReplicaSet(agentId, replicaSet, members, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const { tlsPassthrough = true } = options;
+
+      if (!INSTANCE_PATTERN.test(replicaSet || "")) {
+        return {
+          success: false,
+          error:
+            "Replica set name must be a DNS label: lowercase letters, digits and hyphens",
+        };
+      }
+
+      if (
+        !Array.isArray(members) ||
+        members.length === 0 ||
+        members.length > MAX_REPLICA_SET_MEMBERS
+      ) {
+        return {
+          success: false,
+          error: `A replica set needs between 1 and ${MAX_REPLICA_SET_MEMBERS} members`,
+        };
+      }
+
+      if (!this.consulService || !this.consulService.isInitialized) {
+        logger.error("Consul service not available for MongoDB registration");
+        return {
+          success: false,
+          error: "Consul service not available",
+        };
+      }
+
+      const previous = await this.consulService.getData(
+        this._replicaSetKey(agentId, replicaSet)
+      );
+
+      logger.info(
+        `Registering MongoDB replica set ${replicaSet} of agent ${agentId} with ${members.length} members`
+      );
+
+      const registered = [];
+      for (const [index, member] of members.entries()) {
+        const result = await this.registerInstance(
+          agentId,
+          `${replicaSet}-${index}`,
+          member.targetIp,
+          {
+            targetPort: member.targetPort || 27017,
+            tlsPassthrough,
+            replicaSet,
+          }
+        );
+
+        if (!result.success) {
+          return {
+            success: false,
+            error: `Failed to register member ${index}: ${result.error}`,
+            conflict: result.conflict,
+          };
+        }
+
+        registered.push({
+          member: index,
+          instance: result.instance,
+          host: `${result.domain}:27017`,
+          targetIp: result.targetIp,
+          targetPort: result.targetPort,
+        });
+      }
+
+      // Drop members the set no longer has
+      for (const member of (previous && previous.members) || []) {
+        if (member.member >= members.length) {
+          await this._removeInstance(agentId, member.instance);
+        }
+      }
+
+      const now = new Date().toISOString();
+      const record = {
+        agentId,
+        replicaSet,
+        members: registered,
+        tlsPassthrough,
+        lastUpdated: now,
+        created: (previous && previous.created) || now,
+      };
+
+      const stored = await this.consulService.setData(
+        this._replicaSetKey(agentId, replicaSet),
+        record
+      );
+      if (!stored) {
+        logger.warn(
+          `MongoDB replica set ${replicaSet} of ${agentId} registered but its record was not stored`
+        );
+      }
+
+      const certificate = tlsPassthrough
+        ? await this._issueReplicaSetCertificate(agentId, members[0].targetIp)
+        : null;
+
+      return {
+        success: true,
+        message: `MongoDB replica set ${replicaSet} of agent ${agentId} registered successfully`,
+        ...record,
+        url: this._buildReplicaSetUrl(record),
+        certificate,
+      };
+    } catch (error) {
+      logger.error(`Error registering MongoDB replica set: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+        agentId,
+        replicaSet,
+      });
+
+      return {
+        success: false,
+        error: `Error registering MongoDB replica set: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Remove a replica set of an agent and the routes of all its members
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} replicaSet - Replica set name
+   * @returns {Promise<Object>} - Deregistration result
+   */
+  async deregisterReplicaSet(agentId, replicaSet) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      if (!this.consulService || !this.consulService.isInitialized) {
+        logger.error("Consul service not available for MongoDB deregistration");
+        return {
+          success: false,
+          error: "Consul service not available",
+        };
+      }
+
+      const record = await this.consulService.getData(
+        this._replicaSetKey(agentId, replicaSet)
+      );
+      if (!record) {
+        return {
+          success: false,
+          error: `MongoDB replica set ${replicaSet} of agent ${agentId} not found`,
+        };
+      }
+
+      for (const member of record.members || []) {
+        const result = await this._removeInstance(agentId, member.instance);
+        if (!result.success) {
+          return result;
+        }
+      }
+
+      await this.consulService.deleteData(
+        this._replicaSetKey(agentId, replicaSet)
+      );
+
+      logger.info(
+        `Removed MongoDB replica set ${replicaSet} of agent ${agentId}`
+      );
+      return {
+        success: true,
+        message: `MongoDB replica set ${replicaSet} of agent ${agentId} removed successfully`,
+      };
+    } catch (error) {
+      logger.error(`Error removing MongoDB replica set: ${error.message}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+
+      return {
+        success: false,
+        error: `Error removing MongoDB replica set: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * List MongoDB replica sets
+   *
+   * @param {string} [agentId] - Only replica sets of this agent
+   * @returns {Promise<Object[]>} - Replica set records with their URL
+   */
+  async listReplicaSets(agentId = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.consulService || !this.consulService.isInitialized) {
+      return [];
+    }
+
+    const records = await this.consulService.listData(
+      agentId ? `${REPLICA_SETS_KEY}/${agentId}` : REPLICA_SETS_KEY
+    );
+    return records
+      .map(({ value }) => value)
+      .filter((record) => record && record.replicaSet)
+      .map((record) => ({ ...record, url: this._buildReplicaSetUrl(record) }));
+  }
+
+  /**
+   * Connection string listing every member, for drivers to discover the
+   * replica set through Traefik
+   * @private
+   */
+  _buildReplicaSetUrl(record) {
+    const hosts = record.members.map((member) => member.host).join(",");
+    return `mongodb://${hosts}/?replicaSet=${record.replicaSet}&tls=true`;
+  }
+
+  /**
+   * Reissue the agent certificate with the hostnames of all the agent's
+   * replica set members, so each member can present it for its own SNI
+   * hostname
+   * @private
+   */
+  async _issueReplicaSetCertificate(agentId, targetIp) {
+    const { certificateService } = require("../../core");
+    if (!certificateService) {
+      return { success: false, error: "Certificate service not available" };
+    }
+
+    const altNames = (await this.listReplicaSets(agentId))
+      .filter((set) => set.tlsPassthrough)
+      .flatMap((set) =>
+        set.members.map((member) => member.host.replace(/:\d+$/, ""))
+      );
+
+    const result = await certificateService.createCertificateForAgent(
+      agentId,
+      targetIp,
+      { altNames }
+    );
+
+    if (!result.success) {
+      logger.warn(
+        `Could not issue replica set certificate for ${agentId}: ${result.error}`
+      );
+      return { success: false, error: result.error };
+    }
+
+    return { success: true, certPath: result.certPath, altNames };
+  }
+
+  /**
+   * @private
+   */
+  _replicaSetKey(agentId, replicaSet) {
+    return `${REPLICA_SETS_KEY}/${agentId}/${replicaSet}`;
+  }
+
+  /**
+   * Get the TCP middlewares of a MongoDB route
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object} target - Route selector, the default instance if empty
+   * @param {string} [target.instance] - Named instance
+   * @param {string} [target.replicaSet] - Replica set, read from its first member
+   * @returns {Promise<Object[]>} - Middleware declarations
+   */
+  async getMiddlewares(agentId, target = {}) {
+    const [routerName] = await this._getRouterNames(agentId, target);
+    return this.routingService.getTcpMiddlewares(routerName);
+  }
+
+  /**
+   * Replace the TCP middlewares of a MongoDB route. For a replica set the
+   * chain is applied to every member.
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object[]} middlewares - Declarations ({ type, name, ...settings })
+   * @param {Object} target - Route selector, see getMiddlewares
+   * @returns {Promise<Object[]>} - Routers and their middleware names
+   */
+  async setMiddlewares(agentId, middlewares, target = {}) {
+    const results = [];
+    for (const routerName of await this._getRouterNames(agentId, target)) {
+      results.push(
+        await this.routingService.setTcpMiddlewares(routerName, middlewares)
+      );
+    }
+    return results;
+  }
+
+  /**
+   * TCP routers of a MongoDB route
+   * @private
+   */
+  async _getRouterNames(agentId, { instance, replicaSet } = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (instance) {
+      return [this._getInstanceRouteName(agentId, instance)];
+    }
+
+    if (replicaSet) {
+      const record = await this.consulService.getData(
+        this._replicaSetKey(agentId, replicaSet)
+      );
+      if (!record) {
+        throw new AppError(
+          `MongoDB replica set ${replicaSet} of agent ${agentId} not found`,
+          404
+        );
+      }
+      return record.members.map((member) =>
+        this._getInstanceRouteName(agentId, member.instance)
+      );
+    }
+
+    // consulService.registerAgent names the default router after the agent
+    return [agentId];
+  }
+
+  /**
+   * Name of the TCP router and service of a named instance
+   * @private
+   */
+  _getInstanceRouteName(agentId, instance) {
+    return `${agentId}-mongo-${instance}`;
+  }
+
+  /**
+   * @private
+   */
+  _instanceKey(agentId, instance) {
+    return `${INSTANCES_KEY}/${agentId}/${instance}`;
+  }
+
   /**
    * Test connection to a MongoDB instance
    *
    * @param {string} agentId - Agent ID
    * @param {string} targetIp - Target IP (optional, uses cached value if not provided)
+   * @param {Object} options - Additional options
+   * @param {string} [options.replicaSet] - Test the members of this replica
+   *   set instead of the agent's default instance
    * @returns {Promise<Object>} - Test result
    */
-  async testConnection(agentId, targetIp = null) {
+  async testConnection(agentId, targetIp = null, options = {}) {
     try {
       if (!this.initialized) {
         await this.initialize();
       }
 
+      if (options.replicaSet) {
+        return await this._testReplicaSet(agentId, options.replicaSet);
+      }
+
       logger.info(`Testing MongoDB connection for agent: ${agentId}`);
 
       // Get connection info from cache or use the targetIp if provided
@@ -491,18 +1195,193 @@ class MongoDBService extends DatabaseService {
     }
   }
 
+  /**
+   * Check every member of a replica set directly with `hello`, and read the
+   * set's own view of its members with `replSetGetStatus`
+   * @private
+   */
+  async _testReplicaSet(agentId, replicaSet) {
+    const record =
+      this.consulService && this.consulService.isInitialized
+        ? await this.consulService.getData(
+            this._replicaSetKey(agentId, replicaSet)
+          )
+        : null;
+
+    if (!record) {
+      return {
+        success: false,
+        error: `MongoDB replica set ${replicaSet} of agent ${agentId} not found`,
+      };
+    }
+
+    logger.info(
+      `Testing MongoDB replica set ${replicaSet} of agent ${agentId}`
+    );
+
+    const members = [];
+    let status = null;
+
+    for (const member of record.members) {
+      const entry = {
+        member: member.member,
+        host: member.host,
+        target: `${member.targetIp}:${member.targetPort}`,
+        reachable: false,
+      };
+      let client = null;
+
+      try {
+        client = new MongoClient(
+          `mongodb://${member.targetIp}:${member.targetPort}`,
+          {
+            directConnection: true,
+            connectTimeoutMS: 10000,
+            serverSelectionTimeoutMS: 10000,
+            socketTimeoutMS: 10000,
+          }
+        );
+        await client.connect();
+        const adminDb = client.db("admin");
+        const hello = await adminDb.command({ hello: 1 });
+
+        entry.reachable = true;
+        entry.state = hello.isWritablePrimary
+          ? "PRIMARY"
+          : hello.secondary
+          ? "SECONDARY"
+          : hello.arbiterOnly
+          ? "ARBITER"
+          : "OTHER";
+        entry.setName = hello.setName || null;
+        entry.me = hello.me || null;
+
+        // Drivers connect to the hosts the set advertises, not ours
+        if (hello.setName !== replicaSet) {
+          entry.warning = `Member reports replica set ${
+            hello.setName || "none"
+          }`;
+        } else if (hello.me !== member.host) {
+          entry.warning = `Member is configured as ${hello.me}, clients will not reach it through Traefik`;
+        }
+
+        if (!status) {
+          // Needs the clusterMonitor role on secured deployments
+          try {
+            const replStatus = await adminDb.command({ replSetGetStatus: 1 });
+            status = {
+              success: true,
+              members: replStatus.members.map((m) => ({
+                name: m.name,
+                state: m.stateStr,
+                health: m.health,
+                lastHeartbeat: m.lastHeartbeat || null,
+              })),
+            };
+          } catch (statusError) {
+            status = { success: false, error: statusError.message };
+          }
+        }
+      } catch (memberError) {
+        logger.warn(
+          `Replica set member ${member.host} unreachable: ${memberError.message}`
+        );
+        entry.error = memberError.message;
+      } finally {
+        if (client) {
+          await client.close().catch(() => {});
+        }
+      }
+
+      members.push(entry);
+    }
+
+    const primary = members.find((member) => member.state === "PRIMARY");
+
+    return {
+      success: !!primary && members.every((member) => member.reachable),
+      replicaSet,
+      primary: primary ? primary.host : null,
+      members,
+      status,
+      url: this._buildReplicaSetUrl(record),
+    };
+  }
+
+  /**
+   * Create a database user on the agent's MongoDB. Issued by the
+   * credential service, which also rotates and revokes it.
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} dbName - Database the user may access
+   * @param {string} username - Username
+   * @returns {Promise<Object>} - Issued credentials
+   */
+  async generateCredentials(agentId, dbName = null, username = null) {
+    const { mongoCredentialService } = require("../../core");
+
+    try {
+      const issued = await mongoCredentialService.issueCredential(agentId, {
+        username: username || `${agentId}-app`,
+        database: dbName || agentId,
+      });
+
+      return {
+        success: true,
+        message: "MongoDB credentials issued successfully",
+        agentId,
+        username: issued.credential.username,
+        password: issued.password,
+        dbName: issued.credential.database,
+        connectionString: issued.connectionString,
+        credential: issued.credential,
+      };
+    } catch (error) {
+      logger.error(`Error issuing MongoDB credentials: ${error.message}`);
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * Get MongoDB connection information for an agent
    *
    * @param {string} agentId - Agent ID
+   * @param {string} [replicaSet] - Return the replica set's connection
+   *   information instead of the default instance's
    * @returns {Promise<Object>} - Connection info
    */
-  async getConnectionInfo(agentId) {
+  async getConnectionInfo(agentId, replicaSet = null) {
     try {
       if (!this.initialized) {
         await this.initialize();
       }
 
+      if (replicaSet) {
+        const record =
+          this.consulService && this.consulService.isInitialized
+            ? await this.consulService.getData(
+                this._replicaSetKey(agentId, replicaSet)
+              )
+            : null;
+
+        if (!record) {
+          return {
+            success: false,
+            error: `MongoDB replica set ${replicaSet} of agent ${agentId} not found`,
+          };
+        }
+
+        return {
+          success: true,
+          ...record,
+          url: this._buildReplicaSetUrl(record),
+        };
+      }
+
       if (this.connectionCache.has(agentId)) {
         const connInfo = this.connectionCache.get(agentId);
         return {
@@ -529,6 +1408,19 @@ class MongoDBService extends DatabaseService {
     }
   }
 
+  /**
+   * List all MongoDB registrations known to this instance
+   *
+   * @returns {Promise<Object[]>} - Connection info of every registered agent
+   */
+  async listConnections() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return Array.from(this.connectionCache.values());
+  }
+
   /**
    * Check if the MongoDB port is properly configured in the router
    *
@@ -0,0 +1,82 @@
+/**
+ * MySQL Service
+ *
+ * Handles MySQL server management operations:
+ * - Registration of agent MySQL servers as Traefik TCP routes in Consul
+ * - Connection testing
+ * - Credential generation
+ *
+ * Routes use the "mysql" entrypoint. The MySQL server speaks first and
+ * upgrades to TLS inside its own protocol, so native clients cannot send
+ * SNI. Clients reach these routes through a TLS tunnel (e.g. stunnel) that
+ * wraps the whole connection; by default Traefik terminates that TLS and
+ * forwards the plain protocol to the agent.
+ */
+
+const TcpDatabaseService = require("./tcpDatabaseService");
+
+class MySQLService extends TcpDatabaseService {
+  constructor(routingService) {
+    super(routingService, {
+      type: "mysql",
+      label: "MySQL",
+      defaultPort: 3306,
+      domain: process.env.MYSQL_DOMAIN || "mysql.cloudlunacy.uk",
+      publicPort: parseInt(process.env.MYSQL_PORT || "3306", 10),
+      tlsPassthrough: false,
+    });
+  }
+
+  buildConnectionString(domain, { username, password, dbName } = {}) {
+    const auth = username
+      ? `${username}${password ? `:${password}` : ""}@`
+      : "";
+    return `mysql://${auth}${domain}:${this.publicPort}/${dbName || ""}`;
+  }
+
+  /**
+   * Read the server greeting. An error packet (e.g. host not allowed) still
+   * proves a MySQL server is listening.
+   */
+  async probe(socket) {
+    const packet = await this.readUntil(
+      socket,
+      (data) => data.length >= 4 && data.length >= 4 + data.readUIntLE(0, 3)
+    );
+    const payload = packet.subarray(4, 4 + packet.readUIntLE(0, 3));
+
+    if (payload[0] === 0x0a) {
+      const end = payload.indexOf(0, 1);
+      return {
+        success: true,
+        serverVersion: payload
+          .subarray(1, end === -1 ? undefined : end)
+          .toString(),
+      };
+    }
+    if (payload[0] === 0xff) {
+      // 0xff, error code (2 bytes), optional "#" + SQL state (6 bytes), message
+      const messageStart = payload[3] === 0x23 ? 9 : 3;
+      return {
+        success: true,
+        message: `MySQL reachable (server refused: ${payload
+          .subarray(messageStart)
+          .toString()})`,
+      };
+    }
+    return { success: false, error: "Unexpected greeting from server" };
+  }
+
+  getCredentialInstructions(connectionInfo, { username, password, dbName }) {
+    return [
+      "To create this user in MySQL, run:",
+      `mysql -h ${connectionInfo.targetIp} -P ${connectionInfo.targetPort} -u root -p`,
+      `CREATE USER '${username}'@'%' IDENTIFIED BY '${password}';`,
+      dbName
+        ? `GRANT ALL PRIVILEGES ON ${dbName}.* TO '${username}'@'%';`
+        : `GRANT USAGE ON *.* TO '${username}'@'%';`,
+    ];
+  }
+}
+
+module.exports = MySQLService;
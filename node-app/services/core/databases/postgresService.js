@@ -0,0 +1,86 @@
+/**
+ * PostgreSQL Service
+ *
+ * Handles PostgreSQL server management operations:
+ * - Registration of agent PostgreSQL servers as Traefik TCP routes in Consul
+ * - Connection testing
+ * - Credential generation
+ *
+ * Routes use the "postgres" entrypoint. PostgreSQL normally upgrades to TLS
+ * inside its own protocol, which hides the SNI from Traefik, so clients must
+ * start with the TLS handshake (sslnegotiation=direct, libpq 17+). By default
+ * Traefik terminates TLS and forwards the plain protocol to the agent;
+ * passthrough requires a PostgreSQL 17+ server accepting direct TLS.
+ */
+
+const TcpDatabaseService = require("./tcpDatabaseService");
+
+// SSLRequest: length 8, request code 80877103
+const SSL_REQUEST = Buffer.from([0, 0, 0, 8, 4, 210, 22, 47]);
+
+class PostgresService extends TcpDatabaseService {
+  constructor(routingService) {
+    super(routingService, {
+      type: "postgres",
+      label: "PostgreSQL",
+      defaultPort: 5432,
+      domain: process.env.POSTGRES_DOMAIN || "postgres.cloudlunacy.uk",
+      publicPort: parseInt(process.env.POSTGRES_PORT || "5432", 10),
+      tlsPassthrough: false,
+    });
+  }
+
+  buildConnectionString(domain, { username, password, dbName } = {}) {
+    const auth = username
+      ? `${username}${password ? `:${password}` : ""}@`
+      : "";
+    return `postgresql://${auth}${domain}:${this.publicPort}/${
+      dbName || "postgres"
+    }?sslmode=require&sslnegotiation=direct`;
+  }
+
+  /**
+   * Send an SSLRequest. Any protocol answer ('S', 'N' or an error message)
+   * proves a PostgreSQL server is listening.
+   */
+  async probe(socket) {
+    socket.write(SSL_REQUEST);
+    const reply = await this.readUntil(socket, (data) => data.length >= 1);
+    const code = String.fromCharCode(reply[0]);
+
+    if (code === "S" || code === "N") {
+      return {
+        success: true,
+        message: `PostgreSQL reachable (server TLS ${
+          code === "S" ? "enabled" : "disabled"
+        })`,
+      };
+    }
+    if (code === "E") {
+      return {
+        success: true,
+        message: "PostgreSQL reachable (request rejected by server)",
+      };
+    }
+    return { success: false, error: "Unexpected reply from server" };
+  }
+
+  getCredentialInstructions(connectionInfo, { username, password, dbName }) {
+    const instructions = [
+      "To create this role in PostgreSQL, run:",
+      `psql -h ${connectionInfo.targetIp} -p ${connectionInfo.targetPort} -U postgres`,
+      `CREATE ROLE ${username} LOGIN PASSWORD '${password}';`,
+    ];
+
+    if (dbName) {
+      instructions.push(
+        `CREATE DATABASE ${dbName} OWNER ${username};`,
+        `-- or, if ${dbName} exists: GRANT ALL PRIVILEGES ON DATABASE ${dbName} TO ${username};`
+      );
+    }
+
+    return instructions;
+  }
+}
+
+module.exports = PostgresService;
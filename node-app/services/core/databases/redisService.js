@@ -2,410 +2,80 @@
  * Redis Service
  *
  * Handles Redis server management operations:
- * - Registration of agent Redis instances
+ * - Registration of agent Redis instances as Traefik TCP routes in Consul
  * - Connection testing
- * - Configuration management
+ * - Credential generation
+ *
+ * Routes use the "redis" entrypoint. TLS is passed through to the agent by
+ * default; agents whose Redis does not speak TLS can have Traefik terminate
+ * it instead.
  */
 
-const crypto = require("crypto");
-const { createClient } = require("redis");
-const logger = require("../../../utils/logger").getLogger("redisService");
-const DatabaseService = require("./databaseService");
-
-class RedisService extends DatabaseService {
-  constructor(routingService, haproxyService) {
-    super(routingService);
-    this.redisDomain = process.env.REDIS_DOMAIN || "redis.cloudlunacy.uk";
-    this.connectionCache = new Map();
-    this.haproxyService = haproxyService;
+const TcpDatabaseService = require("./tcpDatabaseService");
+
+class RedisService extends TcpDatabaseService {
+  constructor(routingService) {
+    super(routingService, {
+      type: "redis",
+      label: "Redis",
+      defaultPort: 6379,
+      domain: process.env.REDIS_DOMAIN || "redis.cloudlunacy.uk",
+      publicPort: parseInt(process.env.REDIS_PORT || "6379", 10),
+      tlsPassthrough: true,
+    });
   }
 
   /**
-   * Initialize the Redis service
+   * rediss:// URL, Traefik always requires TLS for SNI routing
    */
-  async initialize() {
-    if (this.initialized) {
-      return true;
-    }
-
-    try {
-      if (!this.haproxyService) {
-        logger.warn(
-          "No HAProxy service provided during initialization, Redis routes will not work correctly"
-        );
-      }
-
-      this.initialized = true;
-      logger.info("Redis service initialized");
-      return true;
-    } catch (error) {
-      logger.error(`Failed to initialize Redis service: ${error.message}`, {
-        error: error.message,
-        stack: error.stack,
-      });
-      return false;
-    }
+  buildConnectionString(domain, { username, password } = {}) {
+    const auth = password ? `${username || "default"}:${password}@` : "";
+    return `rediss://${auth}${domain}:${this.publicPort}`;
   }
 
   /**
-   * Register a Redis agent
-   *
-   * @param {string} agentId - Agent ID
-   * @param {string} targetIp - Target IP address
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} - Registration result
+   * Send an inline PING. A NOAUTH reply still proves the route works.
    */
-  async registerAgent(agentId, targetIp, options = {}) {
-    try {
-      if (!this.initialized) {
-        await this.initialize();
-      }
-
-      // Default options
-      const { useTls = true, targetPort = 6379, password = null } = options;
-
-      logger.info(
-        `Registering Redis agent: ${agentId}, IP: ${targetIp}:${targetPort}`
-      );
-
-      if (!this.haproxyService) {
-        return {
-          success: false,
-          error: "HAProxy service not available",
-        };
-      }
+  async probe(socket) {
+    socket.write("PING\r\n");
+    const reply = await this.readUntil(socket, (data) => data.includes("\r\n"));
+    const line = reply.toString().split("\r\n")[0];
 
-      // Update HAProxy configuration for Redis using the enhanced HAProxy service
-      try {
-        // Check if the haproxyService has the addRedisRoute method
-        if (typeof this.haproxyService.addRedisRoute === "function") {
-          await this.haproxyService.addRedisRoute(
-            agentId,
-            targetIp,
-            targetPort,
-            { useTls }
-          );
-          logger.info(
-            `Successfully updated HAProxy for Redis agent ${agentId}`
-          );
-        } else {
-          logger.warn(`HAProxy service does not support addRedisRoute method`);
-          return {
-            success: false,
-            error: "HAProxy service does not support Redis routes",
-          };
-        }
-      } catch (haproxyErr) {
-        logger.error(
-          `Failed to update HAProxy for Redis: ${haproxyErr.message}`
-        );
-        return {
-          success: false,
-          error: `Failed to update HAProxy backend: ${haproxyErr.message}`,
-        };
-      }
-
-      // Build connection information
-      const domain = `${agentId}.${this.redisDomain}`;
-      const connectionString = `redis${useTls ? "s" : ""}://${
-        password ? `default:${password}@` : ""
-      }${domain}:6379`;
-
-      // Cache the connection info
-      this.connectionCache.set(agentId, {
-        agentId,
-        targetIp,
-        targetPort,
-        domain,
-        connectionString,
-        useTls,
-        lastUpdated: new Date().toISOString(),
-      });
-
-      logger.info(`Redis agent ${agentId} registered successfully`);
-
-      return {
-        success: true,
-        message: `Redis agent ${agentId} registered successfully`,
-        agentId,
-        targetIp,
-        targetPort,
-        domain,
-        redisUrl: `redis://${domain}:6379`,
-        connectionString,
-      };
-    } catch (error) {
-      logger.error(`Error registering Redis agent: ${error.message}`, {
-        error: error.message,
-        stack: error.stack,
-      });
-
-      return {
-        success: false,
-        error: `Error registering Redis agent: ${error.message}`,
-      };
+    if (line === "+PONG") {
+      return { success: true, pingResponse: "PONG" };
     }
-  }
-
-  /**
-   * Deregister a Redis agent
-   *
-   * @param {string} agentId - Agent ID
-   * @returns {Promise<Object>} - Deregistration result
-   */
-  async deregisterAgent(agentId) {
-    try {
-      if (!this.initialized) {
-        await this.initialize();
-      }
-
-      logger.info(`Deregistering Redis agent: ${agentId}`);
-
-      if (!this.haproxyService) {
-        return {
-          success: false,
-          error: "HAProxy service not available",
-        };
-      }
-
-      // Remove from HAProxy configuration using the enhanced HAProxy service
-      try {
-        // Check if the haproxyService has the removeRoute method for Redis
-        if (typeof this.haproxyService.removeRoute === "function") {
-          await this.haproxyService.removeRoute(agentId, null, "redis");
-          logger.info(`Redis route for ${agentId} removed from HAProxy`);
-        } else {
-          logger.warn("HAProxy service does not support Redis route removal");
-        }
-      } catch (haproxyErr) {
-        logger.error(`Failed to remove Redis backend: ${haproxyErr.message}`);
-        return {
-          success: false,
-          error: `Failed to remove Redis backend: ${haproxyErr.message}`,
-        };
-      }
-
-      // Remove from connection cache
-      this.connectionCache.delete(agentId);
-
-      logger.info(`Redis agent ${agentId} deregistered successfully`);
-
+    if (line.startsWith("-NOAUTH")) {
       return {
         success: true,
-        message: `Redis agent ${agentId} deregistered successfully`,
-      };
-    } catch (error) {
-      logger.error(`Error deregistering Redis agent: ${error.message}`, {
-        error: error.message,
-        stack: error.stack,
-      });
-
-      return {
-        success: false,
-        error: `Error deregistering Redis agent: ${error.message}`,
+        message: "Redis reachable (authentication required)",
       };
     }
+    return { success: false, error: `Unexpected reply: ${line}` };
   }
 
   /**
-   * Test connection to a Redis instance
-   *
-   * @param {string} agentId - Agent ID
-   * @param {string} targetIp - Target IP (optional, uses cached value if not provided)
-   * @returns {Promise<Object>} - Test result
+   * Redis 6+ names the password-only account "default"
    */
-  async testConnection(agentId, targetIp = null) {
-    try {
-      if (!this.initialized) {
-        await this.initialize();
-      }
-
-      logger.info(`Testing Redis connection for agent: ${agentId}`);
-
-      // Get connection info from cache or use the targetIp if provided
-      let connectionInfo;
-      if (this.connectionCache.has(agentId)) {
-        connectionInfo = this.connectionCache.get(agentId);
-        logger.debug(`Using cached connection info for ${agentId}`);
-      } else if (targetIp) {
-        // Create temporary connection info
-        connectionInfo = {
-          agentId,
-          targetIp,
-          targetPort: 6379, // Default Redis port
-          domain: `${agentId}.${this.redisDomain}`,
-          useTls: false,
-        };
-        logger.debug(`Created temporary connection info for ${agentId}`);
-      } else {
-        logger.error(
-          `No connection info available for agent ${agentId} and no targetIp provided`
-        );
-        return {
-          success: false,
-          error: "No connection information available",
-        };
-      }
-
-      // Attempt direct connection to the Redis instance
-      let directClient = null;
-      try {
-        const directUrl = `redis://${connectionInfo.targetIp}:${connectionInfo.targetPort}`;
-        logger.debug(`Attempting direct connection to ${directUrl}`);
-
-        directClient = createClient({
-          url: directUrl,
-          socket: {
-            connectTimeout: 5000,
-          },
-        });
-
-        // Connect and ping to verify
-        await directClient.connect();
-        const pingResponse = await directClient.ping();
-
-        logger.info(
-          `Direct Redis connection successful to ${connectionInfo.targetIp}, ping: ${pingResponse}`
-        );
-
-        return {
-          success: true,
-          message: "Redis connection test successful",
-          direct: {
-            success: true,
-            pingResponse,
-          },
-          proxy: {
-            // Not testing proxy connection here for simplicity
-            success: null,
-            message: "Proxy connection test not performed",
-          },
-        };
-      } catch (directError) {
-        logger.error(`Direct Redis connection failed: ${directError.message}`);
-
-        return {
-          success: false,
-          error: `Redis connection test failed: ${directError.message}`,
-          direct: {
-            success: false,
-            error: directError.message,
-          },
-          proxy: {
-            success: null,
-            message: "Proxy connection test not performed",
-          },
-        };
-      } finally {
-        if (directClient && directClient.isOpen) {
-          await directClient.disconnect();
-        }
-      }
-    } catch (error) {
-      logger.error(`Error testing Redis connection: ${error.message}`, {
-        error: error.message,
-        stack: error.stack,
-      });
-
-      return {
-        success: false,
-        error: `Error testing Redis connection: ${error.message}`,
-      };
-    }
+  defaultUsername() {
+    return "default";
   }
 
-  /**
-   * Get connection information for a Redis agent
-   *
-   * @param {string} agentId - Agent ID
-   * @returns {Promise<Object>} - Connection information
-   */
-  async getConnectionInfo(agentId) {
-    try {
-      if (!this.initialized) {
-        await this.initialize();
-      }
-
-      if (!this.connectionCache.has(agentId)) {
-        logger.error(`No connection info available for agent ${agentId}`);
-        return {
-          success: false,
-          error: "No connection information available for this agent",
-        };
-      }
-
-      const connectionInfo = this.connectionCache.get(agentId);
-      return {
-        success: true,
-        message: "Connection information retrieved successfully",
-        ...connectionInfo,
-      };
-    } catch (error) {
-      logger.error(`Error getting connection info: ${error.message}`, {
-        error: error.message,
-        stack: error.stack,
-      });
+  getCredentialInstructions(connectionInfo, { username, password }) {
+    const cli = `redis-cli -h ${connectionInfo.targetIp} -p ${connectionInfo.targetPort}`;
 
-      return {
-        success: false,
-        error: `Error getting connection info: ${error.message}`,
-      };
+    if (username === "default") {
+      return [
+        "To set this password in Redis, run:",
+        cli,
+        `CONFIG SET requirepass "${password}"`,
+      ];
     }
-  }
-
-  /**
-   * Generate authentication for Redis access
-   *
-   * @param {string} agentId - Agent ID
-   * @param {string} username - Username (default is "default" for Redis 6+)
-   * @returns {Promise<Object>} - Generated credentials
-   */
-  async generateCredentials(agentId, _dbName = null, username = "default") {
-    try {
-      if (!this.initialized) {
-        await this.initialize();
-      }
-
-      // Generate secure password
-      const password = crypto.randomBytes(16).toString("hex");
-
-      // Create connection string with the new credentials
-      const domain = `${agentId}.${this.redisDomain}`;
-      const connectionString = `redis://${username}:${password}@${domain}:6379`;
-
-      // Get connection info from cache if available
-      const connectionInfo = this.connectionCache.get(agentId) || {
-        targetIp: "localhost",
-        targetPort: 6379,
-      };
 
-      logger.info(`Generated Redis credentials for ${agentId}`);
-
-      return {
-        success: true,
-        message: "Redis credentials generated successfully",
-        agentId,
-        username,
-        password,
-        connectionString,
-        uri: `redis://${domain}:6379`,
-        instructions: [
-          "To set this password in Redis, run:",
-          `redis-cli -h ${connectionInfo.targetIp} -p ${connectionInfo.targetPort}`,
-          `CONFIG SET requirepass "${password}"`,
-        ],
-      };
-    } catch (error) {
-      logger.error(`Error generating Redis credentials: ${error.message}`, {
-        error: error.message,
-        stack: error.stack,
-      });
-
-      return {
-        success: false,
-        error: `Error generating Redis credentials: ${error.message}`,
-      };
-    }
+    return [
+      "To create this user in Redis, run:",
+      cli,
+      `ACL SETUSER ${username} on >${password} ~* &* +@all`,
+    ];
   }
 }
 
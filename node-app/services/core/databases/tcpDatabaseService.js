@@ -0,0 +1,627 @@
+/**
+ * TCP Database Service Base Class
+ *
+ * Shared implementation for databases that are exposed through Traefik TCP
+ * routers written to Consul. Each engine has its own entrypoint and domain;
+ * every agent gets a router matching HostSNI(`<agentId>.<domain>`), so
+ * clients must open the connection with a TLS handshake carrying SNI.
+ *
+ * TLS is either passed through to the agent, whose server terminates it, or
+ * terminated by Traefik, which then forwards plain TCP to the agent.
+ * Registrations are kept in Consul so they survive restarts.
+ *
+ * Subclasses provide the engine settings and implement probe(),
+ * buildConnectionString() and getCredentialInstructions().
+ */
+
+const crypto = require("crypto");
+const net = require("net");
+const tls = require("tls");
+const baseLogger = require("../../../utils/logger");
+const DatabaseService = require("./databaseService");
+
+const PROBE_TIMEOUT_MS = 5000;
+// Identifiers that are safe to paste into SQL and connection strings
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+
+class TcpDatabaseService extends DatabaseService {
+  /**
+   * @param {Object} routingService - Routing service
+   * @param {Object} engine - Engine settings
+   * @param {string} engine.type - Database type, also used as entrypoint name
+   *   and Consul data key
+   * @param {string} engine.label - Display name
+   * @param {number} engine.defaultPort - Default port of the server on agents
+   * @param {string} engine.domain - Domain below which agents get a subdomain
+   * @param {number} engine.publicPort - Port of the Traefik entrypoint
+   * @param {boolean} engine.tlsPassthrough - Default TLS mode of new routes
+   */
+  constructor(routingService, engine) {
+    super(routingService);
+
+    if (this.constructor === TcpDatabaseService) {
+      throw new Error(
+        "TcpDatabaseService is an abstract class and cannot be instantiated directly"
+      );
+    }
+
+    this.type = engine.type;
+    this.label = engine.label;
+    this.defaultPort = engine.defaultPort;
+    this.domain = engine.domain;
+    this.publicPort = engine.publicPort;
+    this.defaultTlsPassthrough = engine.tlsPassthrough;
+    this.connectionCache = new Map();
+    this.logger = baseLogger.getLogger(`${engine.type}Service`);
+    // Will be loaded from core services during initialize
+    this.consulService = null;
+  }
+
+  /**
+   * Initialize the service and load existing registrations
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      // Get consul service from core services
+      const coreServices = require("../../core");
+      this.consulService = coreServices.consulService;
+
+      if (!this.consulService || !this.consulService.isInitialized) {
+        this.logger.warn(
+          `Consul service not available during initialization, ${this.label} routes will not work correctly`
+        );
+      } else {
+        const records = await this.consulService.listData(this.type);
+        for (const { value } of records) {
+          if (value && value.agentId) {
+            this.connectionCache.set(value.agentId, value);
+          }
+        }
+        this.logger.info(
+          `Loaded ${this.connectionCache.size} ${this.label} registrations`
+        );
+      }
+
+      this.initialized = true;
+      this.logger.info(`${this.label} service initialized`);
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `Failed to initialize ${this.label} service: ${error.message}`,
+        { error: error.message, stack: error.stack }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Register an agent's database server
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} targetIp - Target IP address
+   * @param {Object} options - Additional options
+   * @param {number} [options.targetPort] - Server port on the agent
+   * @param {boolean} [options.tlsPassthrough] - Pass TLS through to the
+   *   agent; when false Traefik terminates TLS and forwards plain TCP
+   * @returns {Promise<Object>} - Registration result
+   */
+  async registerAgent(agentId, targetIp, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const {
+        targetPort = this.defaultPort,
+        tlsPassthrough = this.defaultTlsPassthrough,
+      } = options;
+
+      this.logger.info(
+        `Registering ${this.label} agent: ${agentId}, IP: ${targetIp}:${targetPort}`
+      );
+
+      if (!this.consulService || !this.consulService.isInitialized) {
+        this.logger.error(
+          `Consul service not available for ${this.label} registration`
+        );
+        return {
+          success: false,
+          error: "Consul service not available",
+        };
+      }
+
+      const domain = `${agentId}.${this.domain}`;
+      const name = this._getRouteName(agentId);
+
+      const registered = await this.consulService.registerConfigs({
+        "tcp/services": {
+          [name]: {
+            loadBalancer: {
+              servers: [{ address: `${targetIp}:${targetPort}` }],
+            },
+          },
+        },
+        "tcp/routers": {
+          [name]: {
+            entryPoints: [this.type],
+            rule: `HostSNI(\`${domain}\`)`,
+            service: name,
+            tls: tlsPassthrough
+              ? { passthrough: true }
+              : { certResolver: "letsencrypt", domains: [{ main: domain }] },
+          },
+        },
+      });
+
+      if (!registered) {
+        this.logger.error(
+          `Failed to register ${this.label} agent ${agentId} in Consul`
+        );
+        return {
+          success: false,
+          error: `Failed to register ${this.label} route in Consul KV store`,
+        };
+      }
+
+      const now = new Date().toISOString();
+      const previous = this.connectionCache.get(agentId);
+      const connectionInfo = {
+        agentId,
+        type: this.type,
+        targetIp,
+        targetPort,
+        domain,
+        tlsPassthrough,
+        routingService: "consul",
+        lastUpdated: now,
+        created: (previous && previous.created) || now,
+      };
+
+      const stored = await this.consulService.setData(
+        this._dataKey(agentId),
+        connectionInfo
+      );
+      if (!stored) {
+        this.logger.warn(
+          `${this.label} route for ${agentId} registered but its record was not stored`
+        );
+      }
+      this.connectionCache.set(agentId, connectionInfo);
+
+      this.logger.info(
+        `${this.label} agent ${agentId} registered successfully using Consul`
+      );
+
+      return {
+        success: true,
+        message: `${this.label} agent ${agentId} registered successfully`,
+        agentId,
+        targetIp,
+        targetPort,
+        domain,
+        tlsPassthrough,
+        url: this.buildConnectionString(domain),
+        routingService: "consul",
+      };
+    } catch (error) {
+      this.logger.error(
+        `Error registering ${this.label} agent: ${error.message}`,
+        { error: error.message, stack: error.stack, agentId, targetIp }
+      );
+
+      return {
+        success: false,
+        error: `Error registering ${this.label} agent: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Deregister an agent's database server
+   *
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object>} - Deregistration result
+   */
+  async deregisterAgent(agentId) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      this.logger.info(`Deregistering ${this.label} agent: ${agentId}`);
+
+      if (!this.consulService || !this.consulService.isInitialized) {
+        this.logger.error(
+          `Consul service not available for ${this.label} deregistration`
+        );
+        return {
+          success: false,
+          error: "Consul service not available",
+        };
+      }
+
+      if (!(await this.getConnectionInfo(agentId)).success) {
+        return {
+          success: false,
+          error: `No ${this.label} registration found for agent ${agentId}`,
+        };
+      }
+
+      const name = this._getRouteName(agentId);
+      const unregistered = await this.consulService.unregisterConfigs({
+        "tcp/routers": [name],
+        "tcp/services": [name],
+      });
+
+      if (!unregistered) {
+        this.logger.error(
+          `Failed to unregister ${this.label} agent ${agentId} from Consul`
+        );
+        return {
+          success: false,
+          error: `Failed to unregister ${this.label} route from Consul KV store`,
+        };
+      }
+
+      await this.consulService.deleteData(this._dataKey(agentId));
+      this.connectionCache.delete(agentId);
+
+      this.logger.info(
+        `${this.label} agent ${agentId} deregistered successfully`
+      );
+
+      return {
+        success: true,
+        message: `${this.label} agent ${agentId} deregistered successfully`,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Error deregistering ${this.label} agent: ${error.message}`,
+        { error: error.message, stack: error.stack }
+      );
+
+      return {
+        success: false,
+        error: `Error deregistering ${this.label} agent: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Probe the server directly and through the Traefik entrypoint
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} targetIp - Target IP (optional, uses cached value if not provided)
+   * @returns {Promise<Object>} - Test result
+   */
+  async testConnection(agentId, targetIp = null) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      this.logger.info(
+        `Testing ${this.label} connection for agent: ${agentId}`
+      );
+
+      let connectionInfo = this.connectionCache.get(agentId);
+      if (!connectionInfo && targetIp) {
+        connectionInfo = {
+          agentId,
+          targetIp,
+          targetPort: this.defaultPort,
+          domain: `${agentId}.${this.domain}`,
+          tlsPassthrough: this.defaultTlsPassthrough,
+        };
+      }
+
+      if (!connectionInfo) {
+        this.logger.error(
+          `No connection info available for agent ${agentId} and no targetIp provided`
+        );
+        return {
+          success: false,
+          error: "No connection information available",
+        };
+      }
+
+      // With passthrough the agent's server itself terminates TLS
+      const direct = await this._probeConnection({
+        host: connectionInfo.targetIp,
+        port: connectionInfo.targetPort,
+        useTls: connectionInfo.tlsPassthrough,
+      });
+      const proxy = await this._probeConnection({
+        host: connectionInfo.domain,
+        port: this.publicPort,
+        useTls: true,
+        servername: connectionInfo.domain,
+      });
+
+      if (!direct.success) {
+        this.logger.warn(`Direct ${this.label} probe failed: ${direct.error}`);
+      }
+      if (!proxy.success) {
+        this.logger.warn(`Proxy ${this.label} probe failed: ${proxy.error}`);
+      }
+
+      return {
+        success: direct.success || proxy.success,
+        direct,
+        proxy,
+        url: this.buildConnectionString(connectionInfo.domain),
+      };
+    } catch (error) {
+      this.logger.error(
+        `Error testing ${this.label} connection: ${error.message}`,
+        { error: error.message, stack: error.stack }
+      );
+
+      return {
+        success: false,
+        error: `Error testing ${this.label} connection: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Get connection information for an agent
+   *
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object>} - Connection information
+   */
+  async getConnectionInfo(agentId) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      let connectionInfo = this.connectionCache.get(agentId);
+
+      // Another instance may have registered it
+      if (
+        !connectionInfo &&
+        this.consulService &&
+        this.consulService.isInitialized
+      ) {
+        connectionInfo = await this.consulService.getData(
+          this._dataKey(agentId)
+        );
+        if (connectionInfo) {
+          this.connectionCache.set(agentId, connectionInfo);
+        }
+      }
+
+      if (!connectionInfo) {
+        return {
+          success: false,
+          error: `No ${this.label} connection information found for agent ${agentId}`,
+        };
+      }
+
+      return {
+        success: true,
+        ...connectionInfo,
+        url: this.buildConnectionString(connectionInfo.domain),
+      };
+    } catch (error) {
+      this.logger.error(
+        `Error getting ${this.label} connection info: ${error.message}`,
+        { error: error.message, stack: error.stack }
+      );
+
+      return {
+        success: false,
+        error: `Error getting ${this.label} connection info: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * List all registrations
+   *
+   * @returns {Promise<Object[]>} - Connection info of every registered agent
+   */
+  async listConnections() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return Array.from(this.connectionCache.values());
+  }
+
+  /**
+   * Generate a password and the statements that create the account
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} dbName - Database name (optional)
+   * @param {string} username - Username (optional)
+   * @returns {Promise<Object>} - Generated credentials
+   */
+  async generateCredentials(agentId, dbName = null, username = null) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const user = username || this.defaultUsername(agentId);
+      for (const identifier of [user, dbName].filter(Boolean)) {
+        if (!IDENTIFIER_PATTERN.test(identifier)) {
+          return {
+            success: false,
+            error: `Invalid identifier "${identifier}": use letters, digits and underscores`,
+          };
+        }
+      }
+
+      const password = crypto.randomBytes(16).toString("hex");
+      const domain = `${agentId}.${this.domain}`;
+      const connectionInfo = this.connectionCache.get(agentId) || {
+        targetIp: "localhost",
+        targetPort: this.defaultPort,
+      };
+
+      this.logger.info(`Generated ${this.label} credentials for ${agentId}`);
+
+      return {
+        success: true,
+        message: `${this.label} credentials generated successfully`,
+        agentId,
+        username: user,
+        password,
+        dbName,
+        connectionString: this.buildConnectionString(domain, {
+          username: user,
+          password,
+          dbName,
+        }),
+        uri: this.buildConnectionString(domain, { dbName }),
+        instructions: this.getCredentialInstructions(connectionInfo, {
+          username: user,
+          password,
+          dbName,
+        }),
+      };
+    } catch (error) {
+      this.logger.error(
+        `Error generating ${this.label} credentials: ${error.message}`,
+        { error: error.message, stack: error.stack }
+      );
+
+      return {
+        success: false,
+        error: `Error generating ${this.label} credentials: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Client connection string through Traefik
+   * Must be implemented by subclasses
+   * @param {string} _domain - Agent's database domain
+   * @param {Object} _credentials - { username, password, dbName }, all optional
+   * @returns {string} Connection string
+   */
+  buildConnectionString(_domain, _credentials = {}) {
+    throw new Error(
+      "buildConnectionString() method must be implemented by subclass"
+    );
+  }
+
+  /**
+   * Talk to a connected server and report whether it answered like one
+   * Must be implemented by subclasses
+   * @param {net.Socket} _socket - Connected socket
+   * @returns {Promise<Object>} - { success, ... }
+   */
+  async probe(_socket) {
+    throw new Error("probe() method must be implemented by subclass");
+  }
+
+  /**
+   * Steps that create the generated account on the agent's server
+   * Must be implemented by subclasses
+   * @returns {string[]} Instructions
+   */
+  getCredentialInstructions(_connectionInfo, _credentials) {
+    throw new Error(
+      "getCredentialInstructions() method must be implemented by subclass"
+    );
+  }
+
+  /**
+   * Username used when none is given
+   * @param {string} agentId - Agent ID
+   * @returns {string} Username
+   */
+  defaultUsername(_agentId) {
+    return `user_${crypto.randomBytes(3).toString("hex")}`;
+  }
+
+  /**
+   * Read from a socket until the received bytes satisfy a condition
+   * @param {net.Socket} socket - Connected socket
+   * @param {Function} isComplete - (Buffer) => boolean
+   * @returns {Promise<Buffer>} Received bytes
+   * @protected
+   */
+  readUntil(socket, isComplete) {
+    return new Promise((resolve, reject) => {
+      let received = Buffer.alloc(0);
+
+      const onData = (chunk) => {
+        received = Buffer.concat([received, chunk]);
+        if (isComplete(received)) {
+          cleanup();
+          resolve(received);
+        }
+      };
+      const onEnd = () => {
+        cleanup();
+        reject(new Error("Connection closed by server"));
+      };
+      const cleanup = () => {
+        socket.off("data", onData);
+        socket.off("end", onEnd);
+      };
+
+      socket.on("data", onData);
+      socket.on("end", onEnd);
+    });
+  }
+
+  /**
+   * Name of the TCP router and service of an agent's server
+   * @private
+   */
+  _getRouteName(agentId) {
+    return `${agentId}-${this.type}`;
+  }
+
+  /**
+   * @private
+   */
+  _dataKey(agentId) {
+    return `${this.type}/${agentId}`;
+  }
+
+  /**
+   * Connect, run the engine probe and always close the socket
+   * @private
+   */
+  _probeConnection({ host, port, useTls, servername }) {
+    return new Promise((resolve) => {
+      const socket = useTls
+        ? tls.connect({ host, port, servername, rejectUnauthorized: false })
+        : net.connect({ host, port });
+      let done = false;
+
+      const finish = (result) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        socket.destroy();
+        resolve(result);
+      };
+
+      socket.setTimeout(PROBE_TIMEOUT_MS, () =>
+        finish({ success: false, error: "Connection timed out" })
+      );
+      socket.on("error", (err) =>
+        finish({ success: false, error: err.message })
+      );
+      socket.once(useTls ? "secureConnect" : "connect", () => {
+        this.probe(socket).then(finish, (err) =>
+          finish({ success: false, error: err.message })
+        );
+      });
+    });
+  }
+}
+
+module.exports = TcpDatabaseService;
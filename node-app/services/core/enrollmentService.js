@@ -0,0 +1,336 @@
+/**
+ * Enrollment Service
+ *
+ * Issues single-use, expiring enrollment tokens that agents present when
+ * registering. A token can be bound to one agent ID and to a CIDR the
+ * agent's address must fall into. Only a hash of the token secret is
+ * stored in Consul; the token itself is shown once when it is created.
+ */
+
+const crypto = require("crypto");
+const net = require("net");
+const logger = require("../../utils/logger").getLogger("enrollmentService");
+const { AppError } = require("../../utils/errorHandler");
+
+const TOKEN_PREFIX = "enr_";
+const TOKEN_PATTERN = /^enr_([a-f0-9]{16})\.([A-Za-z0-9_-]{43})$/;
+const AGENT_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+class EnrollmentService {
+  constructor() {
+    this.initialized = false;
+    this.defaultTtlSeconds = process.env.AGENT_ENROLLMENT_TOKEN_TTL_SECONDS
+      ? parseInt(process.env.AGENT_ENROLLMENT_TOKEN_TTL_SECONDS, 10)
+      : DEFAULT_TTL_SECONDS;
+
+    // Will be loaded from core services during initialize
+    this.consulService = null;
+  }
+
+  /**
+   * Initialize the enrollment service
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      const coreServices = require("../core");
+      this.consulService = coreServices.consulService;
+
+      this.initialized = true;
+      logger.info("Enrollment service initialized");
+      return true;
+    } catch (err) {
+      logger.error(`Failed to initialize enrollment service: ${err.message}`, {
+        error: err.message,
+        stack: err.stack,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Create an enrollment token
+   * @param {Object} options - Options
+   * @param {string} [options.agentId] - Only this agent may register with it
+   * @param {string} [options.cidr] - The agent's address must be in this range
+   * @param {number} [options.ttlSeconds] - Lifetime, at most 7 days
+   * @param {string} [options.createdBy] - Issuer, for reference
+   * @returns {Promise<Object>} Token record including the token itself
+   */
+  async createToken({ agentId, cidr, ttlSeconds, createdBy } = {}) {
+    await this._ensureReady();
+
+    if (agentId && !AGENT_ID_PATTERN.test(agentId)) {
+      throw new AppError(
+        "Agent ID must contain only alphanumeric characters and hyphens",
+        400
+      );
+    }
+
+    if (cidr) {
+      this._parseCidr(cidr);
+    }
+
+    const ttl = ttlSeconds === undefined ? this.defaultTtlSeconds : ttlSeconds;
+    if (!Number.isInteger(ttl) || ttl <= 0 || ttl > MAX_TTL_SECONDS) {
+      throw new AppError(
+        `ttlSeconds must be an integer between 1 and ${MAX_TTL_SECONDS}`,
+        400
+      );
+    }
+
+    await this._pruneExpired();
+
+    const id = crypto.randomBytes(8).toString("hex");
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+    const record = {
+      id,
+      secretHash: this._hash(secret),
+      agentId: agentId || null,
+      cidr: cidr || null,
+      createdBy: createdBy || null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl * 1000).toISOString(),
+      usedAt: null,
+      usedBy: null,
+    };
+
+    if (
+      !(await this.consulService.setData(`enrollment-tokens/${id}`, record))
+    ) {
+      throw new AppError("Failed to store enrollment token", 500);
+    }
+
+    logger.info(
+      `Created enrollment token ${id}${agentId ? ` for agent ${agentId}` : ""}`
+    );
+
+    return {
+      ...this._describe(record),
+      token: `${TOKEN_PREFIX}${id}.${secret}`,
+    };
+  }
+
+  /**
+   * List enrollment tokens without their secrets
+   * @returns {Promise<Object[]>} Token records
+   */
+  async listTokens() {
+    await this._ensureReady();
+
+    const entries = await this.consulService.listData("enrollment-tokens");
+    return entries
+      .map((entry) => this._describe(entry.value))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Revoke an unused enrollment token
+   * @param {string} id - Token ID
+   * @returns {Promise<Object>} Result
+   */
+  async revokeToken(id) {
+    await this._ensureReady();
+
+    const record = await this.consulService.getData(`enrollment-tokens/${id}`);
+    if (!record) {
+      throw new AppError(`Enrollment token ${id} not found`, 404);
+    }
+
+    await this.consulService.deleteData(`enrollment-tokens/${id}`);
+    logger.info(`Revoked enrollment token ${id}`);
+
+    return { success: true, id };
+  }
+
+  /**
+   * Check a token for a registration and mark it used. Call releaseToken() if
+   * the registration fails afterwards.
+   * @param {string} token - Enrollment token
+   * @param {Object} context - Registration
+   * @param {string} context.agentId - Agent being registered
+   * @param {string} context.address - Address the agent registers with
+   * @param {boolean} [context.requireBinding] - Token must name this agent
+   * @returns {Promise<Object>} Token record
+   */
+  async redeemToken(token, { agentId, address, requireBinding = false }) {
+    await this._ensureReady();
+
+    const match = TOKEN_PATTERN.exec(String(token || ""));
+    if (!match) {
+      throw new AppError("Invalid enrollment token", 401);
+    }
+
+    const [, id, secret] = match;
+
+    const entry = await this.consulService.getDataWithIndex(
+      `enrollment-tokens/${id}`
+    );
+    const record = entry && entry.value;
+
+    if (!record || !this._secretMatches(secret, record.secretHash)) {
+      throw new AppError("Invalid enrollment token", 401);
+    }
+
+    if (record.usedAt) {
+      throw new AppError("Enrollment token has already been used", 401);
+    }
+
+    if (Date.parse(record.expiresAt) <= Date.now()) {
+      throw new AppError("Enrollment token has expired", 401);
+    }
+
+    if (record.agentId ? record.agentId !== agentId : requireBinding) {
+      throw new AppError(
+        `Enrollment token is not valid for agent ${agentId}`,
+        403
+      );
+    }
+
+    if (record.cidr && !this._inCidr(address, record.cidr)) {
+      throw new AppError(
+        `Address ${address} is not allowed by the enrollment token`,
+        403
+      );
+    }
+
+    const used = {
+      ...record,
+      usedAt: new Date().toISOString(),
+      usedBy: agentId,
+    };
+    // Only one of concurrent redemptions, on any instance, gets to write
+    if (
+      !(await this.consulService.setDataCas(
+        `enrollment-tokens/${id}`,
+        used,
+        entry.modifyIndex
+      ))
+    ) {
+      throw new AppError("Enrollment token is already being used", 409);
+    }
+
+    logger.info(`Enrollment token ${id} used by agent ${agentId}`);
+    return this._describe(used);
+  }
+
+  /**
+   * Make a redeemed token usable again after a failed registration
+   * @param {string} id - Token ID
+   */
+  async releaseToken(id) {
+    await this._ensureReady();
+
+    const record = await this.consulService.getData(`enrollment-tokens/${id}`);
+    if (!record) {
+      return;
+    }
+
+    await this.consulService.setData(`enrollment-tokens/${id}`, {
+      ...record,
+      usedAt: null,
+      usedBy: null,
+    });
+    logger.info(`Released enrollment token ${id} after failed registration`);
+  }
+
+  /**
+   * Public view of a token record
+   * @private
+   */
+  _describe(record) {
+    const { secretHash, ...rest } = record;
+    const expired = Date.parse(record.expiresAt) <= Date.now();
+    return {
+      ...rest,
+      status: record.usedAt ? "used" : expired ? "expired" : "active",
+    };
+  }
+
+  /**
+   * Delete tokens that expired more than a day ago
+   * @private
+   */
+  async _pruneExpired() {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    const entries = await this.consulService.listData("enrollment-tokens");
+
+    for (const { key, value } of entries) {
+      if (value && Date.parse(value.expiresAt) < cutoff) {
+        await this.consulService.deleteData(`enrollment-tokens/${key}`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _hash(secret) {
+    return crypto.createHash("sha256").update(secret).digest("hex");
+  }
+
+  /**
+   * @private
+   */
+  _secretMatches(secret, secretHash) {
+    const expected = Buffer.from(secretHash || "", "hex");
+    const actual = Buffer.from(this._hash(secret), "hex");
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  /**
+   * Parse "address/prefix" into its parts
+   * @private
+   */
+  _parseCidr(cidr) {
+    const [address, prefix] = String(cidr).split("/");
+    const type = net.isIP(address);
+    const bits = Number(prefix);
+    const maxBits = type === 6 ? 128 : 32;
+
+    if (!type || !Number.isInteger(bits) || bits < 0 || bits > maxBits) {
+      throw new AppError(`Invalid CIDR: ${cidr}`, 400);
+    }
+
+    return { address, prefix: bits, type: type === 6 ? "ipv6" : "ipv4" };
+  }
+
+  /**
+   * @private
+   */
+  _inCidr(address, cidr) {
+    const type = net.isIP(address);
+    if (!type) {
+      return false;
+    }
+
+    const subnet = this._parseCidr(cidr);
+    const blockList = new net.BlockList();
+    blockList.addSubnet(subnet.address, subnet.prefix, subnet.type);
+    return blockList.check(address, type === 6 ? "ipv6" : "ipv4");
+  }
+
+  /**
+   * @private
+   */
+  async _ensureReady() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.consulService || !this.consulService.isInitialized) {
+      throw new AppError("Consul service not available", 500);
+    }
+  }
+}
+
+module.exports = EnrollmentService;
@@ -13,13 +13,28 @@ const CertificateService = require("./certificateService");
 const CertificateRenewalService = require("./certificateRenewalService");
 const CertificateMetricsService = require("./certificateMetricsService");
 const MongoDBService = require("./databases/mongodbService");
+const RedisService = require("./databases/redisService");
+const DatabaseFactory = require("./databases/databaseFactory");
 const ConsulService = require("./consulService");
+const CustomDomainService = require("./customDomainService");
+const ReconcilerService = require("./reconcilerService");
+const EnrollmentService = require("./enrollmentService");
+const OperatorService = require("./operatorService");
+const AuditService = require("./auditService");
+const MongoCredentialService = require("./mongoCredentialService");
+const MongoDBProbeService = require("./mongodbProbeService");
+const AcmeChallengeService = require("./acmeChallengeService");
+const CaRotationService = require("./caRotationService");
 
 // Create instances of core services
 const certificateService = new CertificateService();
 const proxyService = new ProxyService();
 // Initialize MongoDB service with proxy dependency
 const mongodbService = new MongoDBService(proxyService);
+// Redis routes are written to Consul like MongoDB routes
+const redisService = new RedisService(proxyService);
+// Gives access to every database service by type, reusing the instances above
+const databaseFactory = new DatabaseFactory(proxyService);
 const configService = new ConfigService();
 const certificateRenewalService = new CertificateRenewalService(
   certificateService
@@ -27,13 +42,39 @@ const certificateRenewalService = new CertificateRenewalService(
 const certificateMetricsService = new CertificateMetricsService(
   certificateService
 );
+// Planned root CA rotations and the reissue of agent certificates
+const caRotationService = new CaRotationService(certificateService);
 
 // Initialize agent service with dependencies
 const agentService = new AgentService(configService);
 
+// Reconciler compares the agent registry with the keys in Consul
+const reconcilerService = new ReconcilerService(agentService);
+
 // Initialize Consul service
 const consulService = new ConsulService();
 
+// Custom domain service resolves its dependencies lazily on first use
+const customDomainService = new CustomDomainService();
+
+// Enrollment tokens guarding agent registration, also resolved lazily
+const enrollmentService = new EnrollmentService();
+
+// Operators and their API keys
+const operatorService = new OperatorService();
+
+// Audit trail of mutating API calls
+const auditService = new AuditService();
+
+// Database users on agents' MongoDB servers
+const mongoCredentialService = new MongoCredentialService();
+
+// Scheduled connectivity probes of the MongoDB routes
+const mongodbProbeService = new MongoDBProbeService(proxyService);
+
+// HTTP-01 challenges answered by the front server, shared through Consul
+const acmeChallengeService = new AcmeChallengeService();
+
 // Export all service instances
 module.exports = {
   // Primary services
@@ -41,10 +82,21 @@ module.exports = {
   agentService,
   configService,
   mongodbService,
+  redisService,
+  databaseFactory,
   certificateService,
   certificateRenewalService,
   certificateMetricsService,
+  caRotationService,
   consulService,
+  customDomainService,
+  reconcilerService,
+  enrollmentService,
+  operatorService,
+  auditService,
+  mongoCredentialService,
+  mongodbProbeService,
+  acmeChallengeService,
 
   /**
    * Get the Consul service instance
@@ -95,6 +147,15 @@ module.exports = {
         // Continue anyway - don't return false
       }
 
+      // Route HTTP-01 challenges to the node app; ACME orders using the
+      // built-in responder fail without it, everything else keeps working
+      const challengesInitialized = await acmeChallengeService.initialize();
+      if (!challengesInitialized) {
+        logger.warn(
+          "ACME challenge service initialization had issues, HTTP-01 challenges may not be answered"
+        );
+      }
+
       // 4. Initialize proxy service
       const proxyInitialized = await proxyService.initialize();
       if (!proxyInitialized) {
@@ -109,6 +170,26 @@ module.exports = {
         return false;
       }
 
+      // Evaluate agent heartbeats (only this shared instance does, so
+      // maintenance page switches are not duplicated)
+      agentService.startHealthChecks();
+
+      // Load database registrations; their routes stay in Consul either way
+      const databasesInitialized = await databaseFactory.initialize();
+      if (!databasesInitialized) {
+        logger.warn(
+          "Database factory initialization had issues, database registrations may not be listed"
+        );
+      }
+
+      // Load operator API keys; without them only JWTs are accepted
+      const operatorsInitialized = await operatorService.initialize();
+      if (!operatorsInitialized) {
+        logger.warn(
+          "Operator service initialization had issues, API keys will be rejected"
+        );
+      }
+
       // 6. Initialize certificate renewal service
       try {
         const renewalInitialized = await certificateRenewalService.initialize();
@@ -127,7 +208,64 @@ module.exports = {
         // Continue anyway - don't return false
       }
 
-      // 7. Take initial metrics snapshot
+      // Resume the agent certificate reissue of an interrupted root rotation
+      try {
+        const rotationInitialized = await caRotationService.initialize();
+        if (!rotationInitialized) {
+          logger.warn(
+            "CA rotation service initialization had issues, root rotations are not available"
+          );
+        }
+      } catch (rotationError) {
+        logger.warn(
+          `CA rotation service initialization error: ${rotationError.message}. Continuing without root rotation.`
+        );
+      }
+
+      // 7. Start the reconcile loop between agent registry and Consul
+      try {
+        const reconcilerInitialized = await reconcilerService.initialize();
+        if (!reconcilerInitialized) {
+          logger.warn(
+            "Reconciler service initialization had issues but will continue"
+          );
+        }
+      } catch (reconcilerError) {
+        logger.warn(
+          `Reconciler service initialization error: ${reconcilerError.message}. Continuing without drift detection.`
+        );
+      }
+
+      // 8. Start the rotation schedule of MongoDB credentials
+      try {
+        const credentialsInitialized =
+          await mongoCredentialService.initialize();
+        if (!credentialsInitialized) {
+          logger.warn(
+            "MongoDB credential service initialization had issues, credentials will not be rotated"
+          );
+        }
+      } catch (credentialError) {
+        logger.warn(
+          `MongoDB credential service initialization error: ${credentialError.message}. Continuing without credential rotation.`
+        );
+      }
+
+      // 9. Start probing the MongoDB routes
+      try {
+        const probesInitialized = await mongodbProbeService.initialize();
+        if (!probesInitialized) {
+          logger.warn(
+            "MongoDB probe service initialization had issues, routes will not be probed"
+          );
+        }
+      } catch (probeError) {
+        logger.warn(
+          `MongoDB probe service initialization error: ${probeError.message}. Continuing without probes.`
+        );
+      }
+
+      // 10. Take initial metrics snapshot
       try {
         await certificateMetricsService.takeMetricsSnapshot();
         logger.info("Initial certificate metrics snapshot taken");
@@ -0,0 +1,697 @@
+/**
+ * MongoDB Credential Service
+ *
+ * Manages database users on agents' MongoDB servers. The front server
+ * connects through the agent's proxy route with a management account the
+ * agent provides once, creates users scoped to a single database, rotates
+ * their passwords on a schedule and revokes them.
+ *
+ * Consul only holds credential metadata. Passwords are returned once when a
+ * credential is issued or rotated on request; a scheduled rotation keeps the
+ * new password encrypted until it is collected, then forgets it. The
+ * management account password is stored encrypted with
+ * CREDENTIALS_ENCRYPTION_KEY.
+ */
+
+const crypto = require("crypto");
+const { MongoClient } = require("mongodb");
+const logger = require("../../utils/logger").getLogger(
+  "mongoCredentialService"
+);
+const { AppError } = require("../../utils/errorHandler");
+
+const CREDENTIALS_KEY = "mongodb-credentials";
+const MANAGEMENT_KEY = "mongodb-management";
+const USERNAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,63}$/;
+const DATABASE_PATTERN = /^[a-zA-Z0-9_-]{1,63}$/;
+// Users are scoped to one application database, never these
+const RESERVED_DATABASES = ["admin", "local", "config"];
+const ROLES = ["read", "readWrite", "dbAdmin", "dbOwner"];
+const DEFAULT_ROTATION_DAYS = 90;
+const MAX_ROTATION_DAYS = 3650;
+const DEFAULT_CHECK_INTERVAL_MINUTES = 60;
+// MongoDB error code of createUser for an existing user
+const USER_EXISTS_CODE = 51003;
+const USER_NOT_FOUND_CODE = 11;
+
+class MongoCredentialService {
+  constructor() {
+    this.initialized = false;
+    this.rotating = false;
+    this.rotationInterval = null;
+    this.mongoDomain = process.env.MONGO_DOMAIN || "mongodb.cloudlunacy.uk";
+    this.checkIntervalMinutes = process.env
+      .MONGO_CREDENTIAL_ROTATION_CHECK_MINUTES
+      ? parseInt(process.env.MONGO_CREDENTIAL_ROTATION_CHECK_MINUTES, 10)
+      : DEFAULT_CHECK_INTERVAL_MINUTES;
+
+    // Will be loaded from core services during initialize
+    this.consulService = null;
+  }
+
+  /**
+   * Initialize the credential service and start the rotation schedule
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      const coreServices = require("../core");
+      this.consulService = coreServices.consulService;
+
+      if (!this.consulService || !this.consulService.isInitialized) {
+        logger.warn(
+          "Consul not available, MongoDB credentials cannot be managed"
+        );
+        return false;
+      }
+
+      this.initialized = true;
+
+      if (process.env.MONGO_CREDENTIAL_ROTATION_ENABLED !== "false") {
+        this.startSchedule();
+      }
+
+      logger.info("MongoDB credential service initialized");
+      return true;
+    } catch (err) {
+      logger.error(
+        `Failed to initialize MongoDB credential service: ${err.message}`,
+        {
+          error: err.message,
+          stack: err.stack,
+        }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Start the background rotation of due credentials
+   * @param {number} intervalMinutes - Minutes between checks
+   */
+  startSchedule(intervalMinutes = null) {
+    this.stopSchedule();
+
+    const interval = (intervalMinutes || this.checkIntervalMinutes) * 60 * 1000;
+
+    logger.info(
+      `Checking for due MongoDB credential rotations every ${
+        interval / 60 / 1000
+      } minutes`
+    );
+
+    this.rotationInterval = setInterval(() => {
+      this.rotateDueCredentials().catch((err) => {
+        logger.error(`Error during scheduled rotation: ${err.message}`, {
+          error: err.message,
+          stack: err.stack,
+        });
+      });
+    }, interval);
+
+    return true;
+  }
+
+  /**
+   * Stop the background rotation
+   */
+  stopSchedule() {
+    if (this.rotationInterval) {
+      clearInterval(this.rotationInterval);
+      this.rotationInterval = null;
+      logger.info("MongoDB credential rotation stopped");
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Store the account used to manage an agent's database users. It needs
+   * the userAdmin role on every database credentials are issued for
+   * (userAdminAnyDatabase covers all). The account is verified first.
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object} account - Account
+   * @param {string} account.username - Username
+   * @param {string} account.password - Password
+   * @param {string} [account.authSource] - Authentication database
+   * @returns {Promise<Object>} Account without its password
+   */
+  async setManagementAccount(
+    agentId,
+    { username, password, authSource = "admin" } = {}
+  ) {
+    await this._ensureReady();
+
+    if (typeof username !== "string" || !username) {
+      throw new AppError("username is required", 400);
+    }
+    if (typeof password !== "string" || !password) {
+      throw new AppError("password is required", 400);
+    }
+    if (!DATABASE_PATTERN.test(authSource)) {
+      throw new AppError("authSource must be a database name", 400);
+    }
+
+    // Fail before anything is stored if the key is missing
+    const encrypted = this._encrypt(password);
+
+    await this._withClient(
+      agentId,
+      { username, password, authSource },
+      (client) => client.db(authSource).command({ connectionStatus: 1 })
+    );
+
+    const account = {
+      agentId,
+      username,
+      authSource,
+      password: encrypted,
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (
+      !(await this.consulService.setData(this._managementKey(agentId), account))
+    ) {
+      throw new AppError("Failed to store MongoDB management account", 500);
+    }
+
+    logger.info(`Stored MongoDB management account of agent ${agentId}`);
+    return this.getManagementAccount(agentId);
+  }
+
+  /**
+   * Get an agent's management account, without its password
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object|null>} Account or null
+   */
+  async getManagementAccount(agentId) {
+    await this._ensureReady();
+
+    const account = await this.consulService.getData(
+      this._managementKey(agentId)
+    );
+    if (!account) {
+      return null;
+    }
+
+    return {
+      agentId,
+      username: account.username,
+      authSource: account.authSource,
+      updatedAt: account.updatedAt,
+    };
+  }
+
+  /**
+   * Create a database user scoped to one database
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Options
+   * @param {string} options.username - Username
+   * @param {string} options.database - Database the user may access
+   * @param {string} [options.role] - read, readWrite, dbAdmin or dbOwner
+   * @param {number} [options.rotationDays] - Days between scheduled
+   *   rotations, 0 disables them
+   * @returns {Promise<Object>} { credential, password, connectionString }
+   */
+  async issueCredential(
+    agentId,
+    {
+      username,
+      database,
+      role = "readWrite",
+      rotationDays = DEFAULT_ROTATION_DAYS,
+    } = {}
+  ) {
+    await this._ensureReady();
+
+    if (!USERNAME_PATTERN.test(username || "")) {
+      throw new AppError(
+        "username must start with a letter or digit and contain only letters, digits, '.', '_' and '-'",
+        400
+      );
+    }
+    if (
+      !DATABASE_PATTERN.test(database || "") ||
+      RESERVED_DATABASES.includes(database)
+    ) {
+      throw new AppError(
+        `database must be an application database name, not ${RESERVED_DATABASES.join(
+          ", "
+        )}`,
+        400
+      );
+    }
+    if (!ROLES.includes(role)) {
+      throw new AppError(`role must be one of ${ROLES.join(", ")}`, 400);
+    }
+    const days = Number(rotationDays);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_ROTATION_DAYS) {
+      throw new AppError(
+        `rotationDays must be an integer between 0 and ${MAX_ROTATION_DAYS}`,
+        400
+      );
+    }
+
+    const existing = await this.consulService.getData(
+      this._credentialKey(agentId, username)
+    );
+    if (existing && existing.status === "active") {
+      throw new AppError(`Credential ${username} already exists`, 409);
+    }
+
+    const password = this._generatePassword();
+
+    await this._withManagementClient(agentId, (client) =>
+      client.db(database).command({
+        createUser: username,
+        pwd: password,
+        roles: [{ role, db: database }],
+      })
+    );
+
+    const now = new Date();
+    const record = {
+      agentId,
+      username,
+      database,
+      role,
+      status: "active",
+      rotationDays: days,
+      createdAt: now.toISOString(),
+      rotatedAt: now.toISOString(),
+      nextRotation: this._nextRotation(now, days),
+    };
+    await this._save(record);
+
+    logger.info(
+      `Issued MongoDB credential ${username} on ${database} for agent ${agentId}`
+    );
+    return this._withPassword(record, password);
+  }
+
+  /**
+   * List the credentials of an agent
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object[]>} Credential metadata
+   */
+  async listCredentials(agentId) {
+    await this._ensureReady();
+
+    const records = await this.consulService.listData(
+      `${CREDENTIALS_KEY}/${agentId}`
+    );
+    return records
+      .map(({ value }) => value)
+      .filter((record) => record && record.username)
+      .map((record) => this._describe(record));
+  }
+
+  /**
+   * Set a new password for a credential
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} username - Username
+   * @param {Object} options - Options
+   * @param {boolean} [options.scheduled] - Keep the new password encrypted
+   *   for collection instead of returning it
+   * @returns {Promise<Object>} { credential, password, connectionString },
+   *   only the credential for scheduled rotations
+   */
+  async rotateCredential(agentId, username, { scheduled = false } = {}) {
+    await this._ensureReady();
+
+    const record = await this._getActiveRecord(agentId, username);
+    const password = this._generatePassword();
+
+    await this._withManagementClient(agentId, (client) =>
+      client
+        .db(record.database)
+        .command({ updateUser: username, pwd: password })
+    );
+
+    const now = new Date();
+    const updated = {
+      ...record,
+      rotatedAt: now.toISOString(),
+      nextRotation: this._nextRotation(now, Number(record.rotationDays)),
+    };
+    delete updated.pendingPassword;
+    if (scheduled) {
+      updated.pendingPassword = this._encrypt(password);
+    }
+    await this._save(updated);
+
+    logger.info(`Rotated MongoDB credential ${username} of agent ${agentId}`, {
+      scheduled,
+    });
+    return scheduled
+      ? { credential: this._describe(updated) }
+      : this._withPassword(updated, password);
+  }
+
+  /**
+   * Return the password of a scheduled rotation once, then forget it
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { credential, password, connectionString }
+   */
+  async collectPassword(agentId, username) {
+    await this._ensureReady();
+
+    const record = await this._getActiveRecord(agentId, username);
+    if (!record.pendingPassword) {
+      throw new AppError(
+        `No rotated password of ${username} is waiting for collection`,
+        404
+      );
+    }
+
+    const password = this._decrypt(record.pendingPassword);
+    const updated = { ...record };
+    delete updated.pendingPassword;
+    await this._save(updated);
+
+    logger.info(
+      `Collected rotated MongoDB password of ${username} for agent ${agentId}`
+    );
+    return this._withPassword(updated, password);
+  }
+
+  /**
+   * Drop a credential's database user. Its metadata is kept as revoked.
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} username - Username
+   * @returns {Promise<Object>} Credential metadata
+   */
+  async revokeCredential(agentId, username) {
+    await this._ensureReady();
+
+    const record = await this._getActiveRecord(agentId, username);
+
+    await this._withManagementClient(agentId, async (client) => {
+      try {
+        await client.db(record.database).command({ dropUser: username });
+      } catch (err) {
+        if (err.code !== USER_NOT_FOUND_CODE) {
+          throw err;
+        }
+        logger.warn(`User ${username} was already dropped on agent ${agentId}`);
+      }
+    });
+
+    const updated = {
+      ...record,
+      status: "revoked",
+      revokedAt: new Date().toISOString(),
+    };
+    delete updated.pendingPassword;
+    delete updated.nextRotation;
+    await this._save(updated);
+
+    logger.info(`Revoked MongoDB credential ${username} of agent ${agentId}`);
+    return this._describe(updated);
+  }
+
+  /**
+   * Rotate every active credential whose rotation is due
+   * @returns {Promise<Object[]>} Results ({ agentId, username, success, error })
+   */
+  async rotateDueCredentials() {
+    await this._ensureReady();
+
+    if (this.rotating) {
+      return [];
+    }
+    this.rotating = true;
+
+    try {
+      const now = Date.now();
+      const due = (await this.consulService.listData(CREDENTIALS_KEY))
+        .map(({ value }) => value)
+        .filter(
+          (record) =>
+            record &&
+            record.status === "active" &&
+            record.nextRotation &&
+            new Date(record.nextRotation).getTime() <= now
+        );
+
+      const results = [];
+      for (const record of due) {
+        try {
+          await this.rotateCredential(record.agentId, record.username, {
+            scheduled: true,
+          });
+          results.push({
+            agentId: record.agentId,
+            username: record.username,
+            success: true,
+          });
+        } catch (err) {
+          logger.warn(
+            `Scheduled rotation of ${record.username} on agent ${record.agentId} failed: ${err.message}`
+          );
+          results.push({
+            agentId: record.agentId,
+            username: record.username,
+            success: false,
+            error: err.message,
+          });
+        }
+      }
+
+      if (results.length > 0) {
+        logger.info(`Rotated ${results.length} due MongoDB credential(s)`);
+      }
+      return results;
+    } finally {
+      this.rotating = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _ensureReady() {
+    if (!this.initialized && !(await this.initialize())) {
+      throw new AppError("Consul service not available", 503);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getActiveRecord(agentId, username) {
+    const record = await this.consulService.getData(
+      this._credentialKey(agentId, username)
+    );
+    if (!record) {
+      throw new AppError(`Credential ${username} not found`, 404);
+    }
+    if (record.status !== "active") {
+      throw new AppError(`Credential ${username} is ${record.status}`, 409);
+    }
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  async _save(record) {
+    const stored = await this.consulService.setData(
+      this._credentialKey(record.agentId, record.username),
+      record
+    );
+    if (!stored) {
+      throw new AppError(
+        `Failed to store metadata of credential ${record.username}`,
+        500
+      );
+    }
+  }
+
+  /**
+   * Run an operation with the agent's management account
+   * @private
+   */
+  async _withManagementClient(agentId, operation) {
+    const account = await this.consulService.getData(
+      this._managementKey(agentId)
+    );
+    if (!account) {
+      throw new AppError(
+        `No MongoDB management account stored for agent ${agentId}`,
+        409
+      );
+    }
+
+    return this._withClient(
+      agentId,
+      {
+        username: account.username,
+        password: this._decrypt(account.password),
+        authSource: account.authSource,
+      },
+      operation
+    );
+  }
+
+  /**
+   * Connect to the agent's MongoDB through its proxy route and run an
+   * operation. The agent certificate is verified against the front
+   * server's CA bundle.
+   * @private
+   */
+  async _withClient(agentId, { username, password, authSource }, operation) {
+    const { certificateService } = require("../core");
+    const client = new MongoClient(
+      `mongodb://${agentId}.${this.mongoDomain}:27017/`,
+      {
+        auth: { username, password },
+        authSource,
+        tls: true,
+        ...(certificateService?.caCertPath && {
+          tlsCAFile: certificateService.getCaBundlePath(),
+        }),
+        directConnection: true,
+        connectTimeoutMS: 10000,
+        serverSelectionTimeoutMS: 10000,
+      }
+    );
+
+    try {
+      await client.connect();
+      return await operation(client);
+    } catch (err) {
+      if (err instanceof AppError) {
+        throw err;
+      }
+      throw new AppError(
+        `MongoDB of agent ${agentId}: ${err.message}`,
+        err.code === USER_EXISTS_CODE ? 409 : 502
+      );
+    } finally {
+      await client.close().catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  _describe(record) {
+    return {
+      username: record.username,
+      database: record.database,
+      role: record.role,
+      status: record.status,
+      rotationDays: Number(record.rotationDays),
+      createdAt: record.createdAt,
+      rotatedAt: record.rotatedAt,
+      nextRotation: record.nextRotation || null,
+      revokedAt: record.revokedAt || null,
+      pendingCollection: !!record.pendingPassword,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _withPassword(record, password) {
+    const auth = `${encodeURIComponent(record.username)}:${encodeURIComponent(
+      password
+    )}`;
+    return {
+      credential: this._describe(record),
+      password,
+      connectionString: `mongodb://${auth}@${record.agentId}.${this.mongoDomain}:27017/${record.database}?tls=true&authSource=${record.database}`,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _nextRotation(from, days) {
+    return days > 0
+      ? new Date(from.getTime() + days * 24 * 60 * 60 * 1000).toISOString()
+      : undefined;
+  }
+
+  /**
+   * @private
+   */
+  _generatePassword() {
+    return crypto.randomBytes(24).toString("base64url");
+  }
+
+  /**
+   * AES-256-GCM key derived from CREDENTIALS_ENCRYPTION_KEY
+   * @private
+   */
+  _cipherKey() {
+    const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+    if (!secret) {
+      throw new AppError(
+        "CREDENTIALS_ENCRYPTION_KEY is not configured, MongoDB credentials cannot be managed",
+        503
+      );
+    }
+    return crypto.createHash("sha256").update(secret).digest();
+  }
+
+  /**
+   * Encrypt a secret as <iv>.<tag>.<ciphertext> in base64
+   * @private
+   */
+  _encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this._cipherKey(), iv);
+    const data = Buffer.concat([
+      cipher.update(plaintext, "utf8"),
+      cipher.final(),
+    ]);
+    return [iv, cipher.getAuthTag(), data]
+      .map((part) => part.toString("base64"))
+      .join(".");
+  }
+
+  /**
+   * @private
+   */
+  _decrypt(value) {
+    const [iv, tag, data] = String(value)
+      .split(".")
+      .map((part) => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this._cipherKey(),
+      iv
+    );
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+      "utf8"
+    );
+  }
+
+  /**
+   * @private
+   */
+  _managementKey(agentId) {
+    return `${MANAGEMENT_KEY}/${agentId}`;
+  }
+
+  /**
+   * @private
+   */
+  _credentialKey(agentId, username) {
+    return `${CREDENTIALS_KEY}/${agentId}/${username}`;
+  }
+}
+
+module.exports = MongoCredentialService;
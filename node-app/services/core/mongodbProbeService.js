@@ -0,0 +1,524 @@
+/**
+ * MongoDB Probe Service
+ *
+ * Periodically checks every MongoDB route the way clients reach it: a TLS
+ * handshake with the route's SNI name against the Traefik mongodb
+ * entrypoint, followed by an unauthenticated `hello`. Keeps a bounded
+ * latency/success history per route and raises alerts through the Traefik
+ * metrics manager when a route keeps failing or gets slow.
+ */
+
+const tls = require("tls");
+const { BSON } = require("mongodb");
+const logger = require("../../utils/logger").getLogger("mongodbProbeService");
+const traefikMetricsManager = require("../../utils/traefikMetricsManager");
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+// A day of samples at the default interval
+const DEFAULT_HISTORY_SIZE = 1440;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_LATENCY_THRESHOLD_MS = 1000;
+const OP_MSG = 2013;
+const HEADER_SIZE = 16;
+
+class MongoDBProbeService {
+  constructor(proxyService) {
+    this.proxyService = proxyService;
+    this.initialized = false;
+    this.running = false;
+    this.probeInterval = null;
+    this.lastRunAt = null;
+    this.requestId = 0;
+
+    // Route key (<agentId>/<instance or "default">) -> probe state
+    this.routes = new Map();
+
+    this.intervalSeconds = this._readInt(
+      "MONGO_PROBE_INTERVAL_SECONDS",
+      DEFAULT_INTERVAL_SECONDS
+    );
+    this.historySize = this._readInt(
+      "MONGO_PROBE_HISTORY_SIZE",
+      DEFAULT_HISTORY_SIZE
+    );
+    this.timeout = this._readInt("MONGO_PROBE_TIMEOUT_MS", DEFAULT_TIMEOUT_MS);
+    // Connect here instead of resolving each route's name, e.g. the Traefik
+    // container. The route's name is still sent as SNI.
+    this.probeHost = process.env.MONGO_PROBE_HOST || null;
+    this.probePort = this._readInt("MONGO_PROBE_PORT", 27017);
+
+    this.thresholds = {
+      // Consecutive failed probes before a route is reported down
+      failureCount: this._readInt(
+        "MONGO_PROBE_FAILURE_THRESHOLD",
+        DEFAULT_FAILURE_THRESHOLD
+      ),
+      latencyMs: this._readInt(
+        "MONGO_PROBE_LATENCY_THRESHOLD_MS",
+        DEFAULT_LATENCY_THRESHOLD_MS
+      ),
+    };
+  }
+
+  /**
+   * Initialize the probe service
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      logger.info("Initializing MongoDB probe service");
+
+      this.initialized = true;
+
+      if (process.env.MONGO_PROBE_ENABLED !== "false") {
+        this.startSchedule();
+      }
+
+      logger.info("MongoDB probe service initialized successfully");
+      return true;
+    } catch (err) {
+      logger.error(
+        `Failed to initialize MongoDB probe service: ${err.message}`,
+        {
+          error: err.message,
+          stack: err.stack,
+        }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Start probing on a schedule
+   * @param {number} intervalSeconds - Seconds between probe runs
+   */
+  startSchedule(intervalSeconds = null) {
+    this.stopSchedule();
+
+    const interval = (intervalSeconds || this.intervalSeconds) * 1000;
+
+    logger.info(`Probing MongoDB routes every ${interval / 1000} seconds`);
+
+    this.probeInterval = setInterval(() => {
+      this.probeAll().catch((err) => {
+        logger.error(`Error during scheduled probe: ${err.message}`, {
+          error: err.message,
+          stack: err.stack,
+        });
+      });
+    }, interval);
+
+    return true;
+  }
+
+  /**
+   * Stop probing on a schedule
+   */
+  stopSchedule() {
+    if (this.probeInterval) {
+      clearInterval(this.probeInterval);
+      this.probeInterval = null;
+      logger.info("MongoDB probes stopped");
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Probe every MongoDB route once
+   * @returns {Promise<Object>} { success, probed, failed } or { success, error }
+   */
+  async probeAll() {
+    if (this.running) {
+      return {
+        success: false,
+        error: "A probe run is already in progress",
+      };
+    }
+
+    // Claimed before the first await so overlapping runs see it
+    this.running = true;
+
+    try {
+      const result = await this.proxyService.getAllRoutes();
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      const routes = result.routes.mongodb.filter((route) => route.domain);
+      const current = new Set();
+      let failed = 0;
+
+      for (const route of routes) {
+        const key = this._routeKey(route.agentId, route.instance);
+        current.add(key);
+
+        const state = this._getState(key, route);
+        const sample = await this.probe(route.domain);
+
+        state.samples.push(sample);
+        if (state.samples.length > this.historySize) {
+          state.samples.splice(0, state.samples.length - this.historySize);
+        }
+        state.consecutiveFailures = sample.success
+          ? 0
+          : state.consecutiveFailures + 1;
+        if (!sample.success) {
+          failed++;
+        }
+
+        this._updateAlerts(state, sample);
+      }
+
+      // Forget routes that were removed
+      for (const [key, state] of this.routes) {
+        if (!current.has(key)) {
+          this._resolveAlert(state, "down");
+          this._resolveAlert(state, "latency");
+          this.routes.delete(key);
+        }
+      }
+
+      this.lastRunAt = new Date().toISOString();
+
+      if (failed > 0) {
+        logger.warn(`${failed} of ${routes.length} MongoDB route(s) failed`);
+      } else {
+        logger.debug(`Probed ${routes.length} MongoDB route(s)`);
+      }
+
+      return { success: true, probed: routes.length, failed };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Connect to a route's SNI name and run `hello` without authenticating
+   * @param {string} domain - SNI name of the route
+   * @returns {Promise<Object>} Sample ({ timestamp, success, handshakeMs,
+   *   helloMs, latencyMs, setName, isWritablePrimary, error })
+   */
+  probe(domain) {
+    return new Promise((resolve) => {
+      const timestamp = new Date().toISOString();
+      const startedAt = Date.now();
+      let handshakeMs = null;
+      let helloStartedAt = null;
+      let reply = Buffer.alloc(0);
+      let done = false;
+
+      const finish = (outcome) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        clearTimeout(timer);
+        socket.destroy();
+
+        const helloMs = outcome.error ? null : Date.now() - helloStartedAt;
+        resolve({
+          timestamp,
+          success: !outcome.error,
+          handshakeMs,
+          helloMs,
+          latencyMs: outcome.error ? null : Date.now() - startedAt,
+          ...outcome,
+        });
+      };
+
+      const socket = tls.connect({
+        host: this.probeHost || domain,
+        port: this.probePort,
+        servername: domain,
+        // Reachability is probed here, certificates are monitored elsewhere
+        rejectUnauthorized: false,
+      });
+
+      const timer = setTimeout(
+        () => finish({ error: `Timed out after ${this.timeout}ms` }),
+        this.timeout
+      );
+
+      socket.once("secureConnect", () => {
+        handshakeMs = Date.now() - startedAt;
+        helloStartedAt = Date.now();
+        socket.write(this._helloMessage());
+      });
+
+      socket.on("data", (chunk) => {
+        reply = Buffer.concat([reply, chunk]);
+        if (reply.length < 4 || reply.length < reply.readInt32LE(0)) {
+          return;
+        }
+
+        try {
+          finish(this._parseHelloReply(reply));
+        } catch (err) {
+          finish({ error: `Invalid hello reply: ${err.message}` });
+        }
+      });
+
+      socket.on("error", (err) => finish({ error: err.message }));
+      socket.on("close", () =>
+        finish({ error: "Connection closed before the hello reply" })
+      );
+    });
+  }
+
+  /**
+   * Current state of every probed route, grouped by agent
+   * @returns {Object} { agentId: [route summary] }
+   */
+  getSummary() {
+    const agents = {};
+
+    for (const state of this.routes.values()) {
+      agents[state.agentId] = agents[state.agentId] || [];
+      agents[state.agentId].push(this._summarize(state));
+    }
+
+    return agents;
+  }
+
+  /**
+   * Probe history of an agent's routes
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Options
+   * @param {string} [options.since] - Only samples taken after this time
+   * @param {number} [options.limit] - Only the latest samples
+   * @returns {Object[]} Route summaries with their samples
+   */
+  getHistory(agentId, { since = null, limit = null } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+
+    return [...this.routes.values()]
+      .filter((state) => state.agentId === agentId)
+      .map((state) => {
+        let samples = state.samples;
+        if (sinceTime) {
+          samples = samples.filter(
+            (sample) => new Date(sample.timestamp).getTime() > sinceTime
+          );
+        }
+        if (limit) {
+          samples = samples.slice(-limit);
+        }
+        return { ...this._summarize(state), samples };
+      });
+  }
+
+  /**
+   * Current alert thresholds
+   * @returns {Object} Thresholds
+   */
+  getThresholds() {
+    return { ...this.thresholds };
+  }
+
+  /**
+   * @private
+   */
+  _getState(key, route) {
+    if (!this.routes.has(key)) {
+      this.routes.set(key, {
+        agentId: route.agentId,
+        instance: route.instance || null,
+        samples: [],
+        consecutiveFailures: 0,
+        alerts: {},
+      });
+    }
+
+    const state = this.routes.get(key);
+    state.domain = route.domain;
+    return state;
+  }
+
+  /**
+   * Raise alerts when a route goes down or gets slow, resolve them when it
+   * recovers
+   * @private
+   */
+  _updateAlerts(state, sample) {
+    const label = state.instance
+      ? `${state.instance}.${state.agentId}`
+      : state.agentId;
+
+    if (state.consecutiveFailures >= this.thresholds.failureCount) {
+      this._raiseAlert(state, "down", {
+        type: "database_probe_failed",
+        severity: "critical",
+        message: `MongoDB route ${label} failed ${state.consecutiveFailures} consecutive probes: ${sample.error}`,
+        value: state.consecutiveFailures,
+        threshold: this.thresholds.failureCount,
+      });
+    } else if (sample.success) {
+      this._resolveAlert(state, "down");
+    }
+
+    if (!sample.success) {
+      return;
+    }
+
+    if (sample.latencyMs > this.thresholds.latencyMs) {
+      this._raiseAlert(state, "latency", {
+        type: "database_probe_latency",
+        severity: "warning",
+        message: `MongoDB route ${label} answered in ${sample.latencyMs}ms`,
+        value: sample.latencyMs,
+        threshold: this.thresholds.latencyMs,
+      });
+    } else {
+      this._resolveAlert(state, "latency");
+    }
+  }
+
+  /**
+   * Raise an alert unless the same one is still active
+   * @private
+   */
+  _raiseAlert(state, kind, alert) {
+    if (state.alerts[kind]) {
+      return;
+    }
+
+    const id = `db-probe-${kind}-${state.agentId}-${
+      state.instance || "default"
+    }-${Date.now()}`;
+    traefikMetricsManager.recordAlerts([
+      {
+        id,
+        ...alert,
+        timestamp: new Date().toISOString(),
+        details: {
+          agentId: state.agentId,
+          instance: state.instance,
+          domain: state.domain,
+        },
+      },
+    ]);
+    state.alerts[kind] = id;
+  }
+
+  /**
+   * @private
+   */
+  _resolveAlert(state, kind) {
+    if (state.alerts[kind]) {
+      traefikMetricsManager.resolveAlert(state.alerts[kind]);
+      delete state.alerts[kind];
+    }
+  }
+
+  /**
+   * @private
+   */
+  _summarize(state) {
+    const successful = state.samples.filter((sample) => sample.success);
+    const latencies = successful
+      .map((sample) => sample.latencyMs)
+      .sort((a, b) => a - b);
+    const lastProbe = state.samples[state.samples.length - 1] || null;
+
+    let status = "unknown";
+    if (lastProbe) {
+      status =
+        state.consecutiveFailures >= this.thresholds.failureCount
+          ? "down"
+          : state.consecutiveFailures > 0
+          ? "degraded"
+          : "up";
+    }
+
+    return {
+      agentId: state.agentId,
+      instance: state.instance,
+      domain: state.domain,
+      status,
+      consecutiveFailures: state.consecutiveFailures,
+      availability:
+        state.samples.length > 0
+          ? successful.length / state.samples.length
+          : null,
+      latency: {
+        avgMs:
+          latencies.length > 0
+            ? Math.round(
+                latencies.reduce((sum, value) => sum + value, 0) /
+                  latencies.length
+              )
+            : null,
+        p95Ms:
+          latencies.length > 0
+            ? latencies[Math.ceil(latencies.length * 0.95) - 1]
+            : null,
+      },
+      samples: state.samples.length,
+      lastProbe,
+    };
+  }
+
+  /**
+   * OP_MSG carrying { hello: 1 } for the admin database
+   * @private
+   */
+  _helloMessage() {
+    const body = BSON.serialize({ hello: 1, $db: "admin" });
+    const header = Buffer.alloc(HEADER_SIZE + 5);
+
+    this.requestId = (this.requestId + 1) % 0x7fffffff;
+    header.writeInt32LE(header.length + body.length, 0);
+    header.writeInt32LE(this.requestId, 4);
+    header.writeInt32LE(0, 8);
+    header.writeInt32LE(OP_MSG, 12);
+    // flagBits 0, then a body section (kind 0)
+    header.writeUInt32LE(0, 16);
+    header.writeUInt8(0, 20);
+
+    return Buffer.concat([header, body]);
+  }
+
+  /**
+   * @private
+   */
+  _parseHelloReply(reply) {
+    const opCode = reply.readInt32LE(12);
+    if (opCode !== OP_MSG) {
+      throw new Error(`unexpected opCode ${opCode}`);
+    }
+
+    const document = BSON.deserialize(
+      reply.subarray(HEADER_SIZE + 5, reply.readInt32LE(0))
+    );
+    if (document.ok !== 1) {
+      return { error: document.errmsg || "hello failed" };
+    }
+
+    return {
+      setName: document.setName || null,
+      isWritablePrimary: !!document.isWritablePrimary,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _routeKey(agentId, instance) {
+    return `${agentId}/${instance || "default"}`;
+  }
+
+  /**
+   * @private
+   */
+  _readInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+  }
+}
+
+module.exports = MongoDBProbeService;
@@ -0,0 +1,570 @@
+/**
+ * Operator Service
+ *
+ * Manages operator identities and their API keys. Operators have a role
+ * (viewer, operator or admin) and optionally extra scopes; each API key can
+ * be restricted to a subset of the operator's scopes. Only a hash of the key
+ * secret is stored in Consul. Every authentication reads the key and its
+ * operator from Consul, so revoking a key or disabling an operator takes
+ * effect on all instances at once.
+ */
+
+const crypto = require("crypto");
+const logger = require("../../utils/logger").getLogger("operatorService");
+const { AppError } = require("../../utils/errorHandler");
+const {
+  ROLE_SCOPES,
+  OPERATOR_ROLES,
+  isValidScope,
+  scopeGranted,
+} = require("../../utils/permissions");
+
+const KEY_PREFIX = "clk_";
+const KEY_PATTERN = /^clk_([a-f0-9]{16})\.([A-Za-z0-9_-]{43})$/;
+const OPERATOR_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._@-]{0,127}$/;
+const LAST_USED_PERSIST_INTERVAL_MS = 60 * 1000;
+
+class OperatorService {
+  constructor() {
+    this.initialized = false;
+    this.operators = new Map();
+    this.apiKeys = new Map();
+    this.lastUsedPersistedAt = new Map();
+
+    // Will be loaded from core services during initialize
+    this.consulService = null;
+  }
+
+  /**
+   * Initialize the operator service and load operators and keys
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      const coreServices = require("../core");
+      this.consulService = coreServices.consulService;
+
+      if (!this.consulService || !this.consulService.isInitialized) {
+        logger.warn("Consul not available, API keys cannot be used");
+        return false;
+      }
+
+      await this._load();
+
+      this.initialized = true;
+      logger.info(
+        `Operator service initialized with ${this.operators.size} operators and ${this.apiKeys.size} API keys`
+      );
+      return true;
+    } catch (err) {
+      logger.error(`Failed to initialize operator service: ${err.message}`, {
+        error: err.message,
+        stack: err.stack,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Create an operator
+   * @param {Object} options - Options
+   * @param {string} options.name - Unique operator name
+   * @param {string} [options.role] - viewer, operator or admin
+   * @param {string[]} [options.scopes] - Scopes on top of the role
+   * @param {string} [options.createdBy] - Creator, for reference
+   * @returns {Promise<Object>} Operator record
+   */
+  async createOperator({ name, role = "viewer", scopes = [], createdBy } = {}) {
+    await this._ensureReady();
+
+    if (!name || !OPERATOR_NAME_PATTERN.test(name)) {
+      throw new AppError(
+        "Operator name must start with a letter or digit and contain only letters, digits, '.', '_', '@' and '-'",
+        400
+      );
+    }
+
+    if (this.operators.has(name)) {
+      throw new AppError(`Operator ${name} already exists`, 409);
+    }
+
+    this._validateRole(role);
+    this._validateScopes(scopes);
+
+    const now = new Date().toISOString();
+    const operator = {
+      id: name,
+      role,
+      scopes,
+      disabled: false,
+      createdBy: createdBy || null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this._saveOperator(operator);
+    logger.info(`Created operator ${name} with role ${role}`);
+
+    return this._describeOperator(operator);
+  }
+
+  /**
+   * List operators
+   * @returns {Promise<Object[]>} Operator records
+   */
+  async listOperators() {
+    await this._ensureReady();
+
+    return Array.from(this.operators.values()).map((operator) =>
+      this._describeOperator(operator)
+    );
+  }
+
+  /**
+   * Get an operator
+   * @param {string} operatorId - Operator name
+   * @returns {Promise<Object>} Operator record
+   */
+  async getOperator(operatorId) {
+    await this._ensureReady();
+
+    return this._describeOperator(this._getOperatorOrThrow(operatorId));
+  }
+
+  /**
+   * Change role, extra scopes or disabled flag of an operator
+   * @param {string} operatorId - Operator name
+   * @param {Object} changes - Changes
+   * @returns {Promise<Object>} Updated operator record
+   */
+  async updateOperator(operatorId, { role, scopes, disabled } = {}) {
+    await this._ensureReady();
+
+    const operator = this._getOperatorOrThrow(operatorId);
+
+    if (role !== undefined) {
+      this._validateRole(role);
+    }
+    if (scopes !== undefined) {
+      this._validateScopes(scopes);
+    }
+    if (disabled !== undefined && typeof disabled !== "boolean") {
+      throw new AppError("disabled must be a boolean", 400);
+    }
+
+    const updated = {
+      ...operator,
+      ...(role !== undefined && { role }),
+      ...(scopes !== undefined && { scopes }),
+      ...(disabled !== undefined && { disabled }),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this._saveOperator(updated);
+    logger.info(`Updated operator ${operatorId}`);
+
+    return this._describeOperator(updated);
+  }
+
+  /**
+   * Delete an operator together with its API keys
+   * @param {string} operatorId - Operator name
+   * @returns {Promise<Object>} Result
+   */
+  async deleteOperator(operatorId) {
+    await this._ensureReady();
+
+    this._getOperatorOrThrow(operatorId);
+
+    const keys = this._keysOf(operatorId);
+    for (const key of keys) {
+      await this._deleteKey(key.id);
+    }
+
+    if (!(await this.consulService.deleteData(`operators/${operatorId}`))) {
+      throw new AppError(`Failed to delete operator ${operatorId}`, 500);
+    }
+    this.operators.delete(operatorId);
+
+    logger.info(
+      `Deleted operator ${operatorId} and ${keys.length} API keys of it`
+    );
+
+    return { success: true, operatorId, revokedKeys: keys.length };
+  }
+
+  /**
+   * Create an API key for an operator
+   * @param {string} operatorId - Operator name
+   * @param {Object} options - Options
+   * @param {string} [options.name] - Description of the key
+   * @param {string[]} [options.scopes] - Restrict the key to these scopes
+   * @param {number} [options.ttlSeconds] - Lifetime, unlimited if omitted
+   * @param {string} [options.createdBy] - Creator, for reference
+   * @returns {Promise<Object>} Key record including the key itself
+   */
+  async createApiKey(operatorId, { name, scopes, ttlSeconds, createdBy } = {}) {
+    await this._ensureReady();
+
+    const operator = this._getOperatorOrThrow(operatorId);
+
+    if (scopes !== undefined) {
+      this._validateScopes(scopes);
+
+      const operatorScopes = this._operatorScopes(operator);
+      const exceeding = scopes.filter(
+        (scope) => !scopeGranted(operatorScopes, scope)
+      );
+      if (exceeding.length > 0) {
+        throw new AppError(
+          `Operator ${operatorId} does not hold scopes: ${exceeding.join(
+            ", "
+          )}`,
+          400
+        );
+      }
+    }
+
+    if (
+      ttlSeconds !== undefined &&
+      (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0)
+    ) {
+      throw new AppError("ttlSeconds must be a positive integer", 400);
+    }
+
+    const id = crypto.randomBytes(8).toString("hex");
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+    const key = {
+      id,
+      operatorId,
+      name: name || null,
+      secretHash: this._hash(secret),
+      scopes: scopes || null,
+      createdBy: createdBy || null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: ttlSeconds
+        ? new Date(now + ttlSeconds * 1000).toISOString()
+        : null,
+      lastUsedAt: null,
+    };
+
+    if (!(await this.consulService.setData(`api-keys/${id}`, key))) {
+      throw new AppError("Failed to store API key", 500);
+    }
+    this.apiKeys.set(id, key);
+
+    logger.info(`Created API key ${id} for operator ${operatorId}`);
+
+    return {
+      ...this._describeKey(key),
+      key: `${KEY_PREFIX}${id}.${secret}`,
+    };
+  }
+
+  /**
+   * List the API keys of an operator without their secrets
+   * @param {string} operatorId - Operator name
+   * @returns {Promise<Object[]>} Key records
+   */
+  async listApiKeys(operatorId) {
+    await this._ensureReady();
+
+    this._getOperatorOrThrow(operatorId);
+    return this._keysOf(operatorId).map((key) => this._describeKey(key));
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} operatorId - Operator name
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object>} Result
+   */
+  async revokeApiKey(operatorId, keyId) {
+    await this._ensureReady();
+
+    const key = this.apiKeys.get(keyId);
+    if (!key || key.operatorId !== operatorId) {
+      throw new AppError(
+        `API key ${keyId} of operator ${operatorId} not found`,
+        404
+      );
+    }
+
+    await this._deleteKey(keyId);
+    logger.info(`Revoked API key ${keyId} of operator ${operatorId}`);
+
+    return { success: true, operatorId, keyId };
+  }
+
+  /**
+   * Whether a bearer token looks like an API key rather than a JWT
+   * @param {string} token - Bearer token
+   * @returns {boolean} Whether the token is an API key
+   */
+  isApiKey(token) {
+    return typeof token === "string" && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Authenticate an API key
+   * @param {string} token - API key
+   * @returns {Promise<Object|null>} Operator principal for req.user, null if
+   *   the key is invalid, revoked, expired or its operator is disabled
+   */
+  async authenticateApiKey(token) {
+    const match = KEY_PATTERN.exec(String(token || ""));
+    if (!match || !this.initialized) {
+      return null;
+    }
+
+    const [, id, secret] = match;
+    const key = await this._fetch("api-keys", id, this.apiKeys);
+
+    if (!key || !this._secretMatches(secret, key.secretHash)) {
+      return null;
+    }
+
+    if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) {
+      return null;
+    }
+
+    const operator = await this._fetch(
+      "operators",
+      key.operatorId,
+      this.operators
+    );
+    if (!operator || operator.disabled) {
+      return null;
+    }
+
+    this._touchKey(key);
+
+    return {
+      type: "operator",
+      operatorId: operator.id,
+      role: operator.role,
+      scopes: this._keyScopes(operator, key),
+      keyId: key.id,
+    };
+  }
+
+  /**
+   * Load operators and keys from Consul, replacing the cached ones
+   * @private
+   */
+  async _load() {
+    const operators = new Map();
+    for (const { value } of await this.consulService.listData("operators")) {
+      if (value && value.id) {
+        operators.set(value.id, value);
+      }
+    }
+
+    const apiKeys = new Map();
+    for (const { value } of await this.consulService.listData("api-keys")) {
+      if (value && value.id) {
+        apiKeys.set(value.id, value);
+      }
+    }
+
+    this.operators = operators;
+    this.apiKeys = apiKeys;
+  }
+
+  /**
+   * Read an operator or key from Consul and update the cached copy. A record
+   * that cannot be read counts as missing.
+   * @param {string} prefix - operators or api-keys
+   * @param {string} id - Record ID
+   * @param {Map} cache - Cache of the records
+   * @returns {Promise<Object|null>} Record
+   * @private
+   */
+  async _fetch(prefix, id, cache) {
+    const value = await this.consulService.getData(`${prefix}/${id}`);
+
+    if (!value || value.id !== id) {
+      cache.delete(id);
+      return null;
+    }
+
+    cache.set(id, value);
+    return value;
+  }
+
+  /**
+   * Scopes of the operator's role plus its extra scopes
+   * @private
+   */
+  _operatorScopes(operator) {
+    return [...(ROLE_SCOPES[operator.role] || []), ...(operator.scopes || [])];
+  }
+
+  /**
+   * Scopes a key grants. Scopes the operator no longer holds are dropped.
+   * @private
+   */
+  _keyScopes(operator, key) {
+    const operatorScopes = this._operatorScopes(operator);
+
+    if (!key.scopes) {
+      return operatorScopes;
+    }
+
+    return key.scopes.filter((scope) => scopeGranted(operatorScopes, scope));
+  }
+
+  /**
+   * Update lastUsedAt, persisted at most once a minute per key
+   * @private
+   */
+  _touchKey(key) {
+    const now = Date.now();
+    key.lastUsedAt = new Date(now).toISOString();
+
+    if (
+      now - (this.lastUsedPersistedAt.get(key.id) || 0) <
+      LAST_USED_PERSIST_INTERVAL_MS
+    ) {
+      return;
+    }
+
+    this.lastUsedPersistedAt.set(key.id, now);
+    this.consulService.setData(`api-keys/${key.id}`, key).then((saved) => {
+      if (!saved) {
+        logger.warn(`Failed to persist lastUsedAt of API key ${key.id}`);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _keysOf(operatorId) {
+    return Array.from(this.apiKeys.values()).filter(
+      (key) => key.operatorId === operatorId
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _deleteKey(keyId) {
+    if (!(await this.consulService.deleteData(`api-keys/${keyId}`))) {
+      throw new AppError(`Failed to delete API key ${keyId}`, 500);
+    }
+    this.apiKeys.delete(keyId);
+    this.lastUsedPersistedAt.delete(keyId);
+  }
+
+  /**
+   * @private
+   */
+  async _saveOperator(operator) {
+    if (
+      !(await this.consulService.setData(`operators/${operator.id}`, operator))
+    ) {
+      throw new AppError(`Failed to save operator ${operator.id}`, 500);
+    }
+    this.operators.set(operator.id, operator);
+  }
+
+  /**
+   * @private
+   */
+  _getOperatorOrThrow(operatorId) {
+    const operator = this.operators.get(operatorId);
+    if (!operator) {
+      throw new AppError(`Operator ${operatorId} not found`, 404);
+    }
+    return operator;
+  }
+
+  /**
+   * @private
+   */
+  _describeOperator(operator) {
+    return {
+      ...operator,
+      effectiveScopes: this._operatorScopes(operator),
+      apiKeys: this._keysOf(operator.id).length,
+    };
+  }
+
+  /**
+   * Public view of a key record
+   * @private
+   */
+  _describeKey(key) {
+    const { secretHash, ...rest } = key;
+    const expired = key.expiresAt && Date.parse(key.expiresAt) <= Date.now();
+    return { ...rest, status: expired ? "expired" : "active" };
+  }
+
+  /**
+   * @private
+   */
+  _validateRole(role) {
+    if (!OPERATOR_ROLES.includes(role)) {
+      throw new AppError(
+        `Invalid role ${role}. Valid roles: ${OPERATOR_ROLES.join(", ")}`,
+        400
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateScopes(scopes) {
+    if (!Array.isArray(scopes)) {
+      throw new AppError("scopes must be an array", 400);
+    }
+
+    const invalid = scopes.filter((scope) => !isValidScope(scope));
+    if (invalid.length > 0) {
+      throw new AppError(`Invalid scopes: ${invalid.join(", ")}`, 400);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _hash(secret) {
+    return crypto.createHash("sha256").update(secret).digest("hex");
+  }
+
+  /**
+   * @private
+   */
+  _secretMatches(secret, secretHash) {
+    const expected = Buffer.from(secretHash || "", "hex");
+    const actual = Buffer.from(this._hash(secret), "hex");
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _ensureReady() {
+    if (!this.initialized) {
+      await this.initialize();
+    } else {
+      // Other instances may have changed operators and keys
+      await this._load();
+    }
+
+    if (!this.initialized) {
+      throw new AppError("Consul service not available", 500);
+    }
+  }
+}
+
+module.exports = OperatorService;
@@ -5,10 +5,78 @@
  * This consolidates and streamlines routing functionality from the previous system.
  */
 
+const net = require("net");
 const logger = require("../../utils/logger").getLogger("proxyService");
 const { AppError } = require("../../utils/errorHandler");
 const { withRetry } = require("../../utils/retryHandler");
 
+// Routes are named "<agentId>_<subdomain>". Neither part may contain an
+// underscore, so the name of one agent's route never equals another's.
+const ROUTE_SEPARATOR = "_";
+const AGENT_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+// Router names for additional rules are "<agentId>_<subdomain>--<rule>",
+// so subdomains and rule names may contain single hyphens only.
+const RULE_SEPARATOR = "--";
+const DEFAULT_RULE_NAME = "default";
+const RULE_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const SUBDOMAIN_PATTERN = /^[a-zA-Z0-9]+(-[a-zA-Z0-9]+)*$/;
+const HOSTNAME_PATTERN =
+  /^(\*\.)?[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?)*$/;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]+$/;
+// Path segments of unreserved and sub-delim characters; no backticks,
+// parentheses or spaces that could break out of the PathPrefix matcher
+const PATH_PREFIX_PATTERN = /^\/[A-Za-z0-9._~!$&'*+,;=:@%/-]*$/;
+// Custom domains that may be attached as extra hosts
+const ROUTABLE_DOMAIN_STATUSES = ["verified", "active"];
+const DURATION_PATTERN = /^\d+(ms|s|m|h)$/;
+// Per-server child services of a weighted service are named <service>-srv<n>
+const SERVER_SERVICE_SUFFIX = "-srv";
+const PASSIVE_HEALTH_CHECK_SUFFIX = "-passive-hc";
+// Route-owned middlewares are named <agentId>_<subdomain>-mw-<name>
+const MIDDLEWARE_INFIX = "-mw-";
+// Middleware types agents may declare, mapped to their Traefik v2 names
+const MIDDLEWARE_TYPES = {
+  rateLimit: "rateLimit",
+  ipAllowList: "ipWhiteList",
+  basicAuth: "basicAuth",
+  redirectScheme: "redirectScheme",
+  redirectRegex: "redirectRegex",
+  headers: "headers",
+  stripPrefix: "stripPrefix",
+};
+// Middleware types database (TCP) routers accept, mapped to Traefik v2 names
+const TCP_MIDDLEWARE_TYPES = {
+  ipAllowList: "ipWhiteList",
+  inFlightConn: "inFlightConn",
+};
+// Shared middlewares populated in Consul by populate_traefik_kv.sh
+const SHARED_MIDDLEWARES = ["compress", "secure-headers", "cors-headers"];
+const HEADERS_OPTIONS = [
+  "customRequestHeaders",
+  "customResponseHeaders",
+  "accessControlAllowCredentials",
+  "accessControlAllowHeaders",
+  "accessControlAllowMethods",
+  "accessControlAllowOriginList",
+  "accessControlExposeHeaders",
+  "accessControlMaxAge",
+  "addVaryHeader",
+  "browserXssFilter",
+  "contentSecurityPolicy",
+  "contentTypeNosniff",
+  "forceSTSHeader",
+  "frameDeny",
+  "referrerPolicy",
+  "stsIncludeSubdomains",
+  "stsPreload",
+  "stsSeconds",
+];
+// htpasswd entries Traefik understands: bcrypt, apr1 (MD5) and SHA1
+const HTPASSWD_PATTERN = /^[^:\s]+:(\$2[aby]\$|\$apr1\$|\{SHA\})\S+$/;
+// Entrypoints of databases routed by SNI; their router and service are
+// both named "<agentId>-<entrypoint>"
+const DATABASE_ENTRYPOINTS = ["redis", "postgres", "mysql"];
+
 class ProxyService {
   constructor() {
     this.initialized = false;
@@ -53,10 +121,27 @@ class ProxyService {
 
   /**
    * Add HTTP route for an agent's application
+   *
+   * A route is made of one or more rules. Each rule becomes its own Traefik
+   * router so that, for example, `/api` and `/` on the same hosts can be sent
+   * to different ports. Without explicit rules a single catch-all rule is
+   * created, which matches the previous single-router behaviour.
+   *
+   * Traffic can be spread over several upstream servers. Servers with equal
+   * weights share a plain Traefik loadBalancer; as soon as weights differ the
+   * service becomes a `weighted` service with one child service per server,
+   * since Traefik v2 has no per-server weight.
+   *
    * @param {string} agentId - Agent ID
    * @param {string} subdomain - Subdomain to use
-   * @param {string} targetUrl - Target URL to proxy to
+   * @param {string} targetUrl - Default target URL to proxy to (optional when options.servers is set)
    * @param {Object} options - Additional options
+   * @param {string[]} [options.hosts] - Extra hostnames the route answers on
+   * @param {Object[]} [options.rules] - Rules ({ name, pathPrefix, priority, headers, targetUrl, servers })
+   * @param {Object[]} [options.servers] - Upstream servers ({ url, weight })
+   * @param {Object} [options.loadBalancer] - Load balancing policy ({ sticky, healthCheck, passiveHealthCheck })
+   * @param {Object[]} [options.middlewares] - Middleware chain applied to every rule, in order
+   * @param {boolean} [options.secure] - Whether to enable TLS (default true)
    * @returns {Promise<Object>} Result
    */
   async addHttpRoute(agentId, subdomain, targetUrl, options = {}) {
@@ -69,16 +154,32 @@ class ProxyService {
       throw new AppError("Agent ID is required", 400);
     }
 
+    if (!AGENT_ID_PATTERN.test(agentId)) {
+      throw new AppError(
+        "Agent ID must contain only alphanumeric characters and hyphens",
+        400
+      );
+    }
+
     if (!subdomain) {
       throw new AppError("Subdomain is required", 400);
     }
 
-    if (!targetUrl) {
-      throw new AppError("Target URL is required", 400);
+    if (!targetUrl && !options.servers) {
+      throw new AppError("Target URL or servers are required", 400);
+    }
+
+    if (!SUBDOMAIN_PATTERN.test(subdomain)) {
+      throw new AppError(
+        "Subdomain must contain only alphanumeric characters and single hyphens",
+        400
+      );
     }
 
     logger.info(
-      `Adding HTTP route for ${subdomain}.${this.appDomain} to ${targetUrl}`
+      `Adding HTTP route for ${subdomain} of agent ${agentId} to ${
+        targetUrl || `${options.servers.length} server(s)`
+      }`
     );
 
     // Check if Consul service is available
@@ -90,56 +191,164 @@ class ProxyService {
       );
     }
 
-    // Normalize targetUrl to ensure it has protocol
-    if (!targetUrl.startsWith("http://") && !targetUrl.startsWith("https://")) {
-      targetUrl = `http://${targetUrl}`;
+    const routeName = ProxyService.getRouteName(agentId, subdomain);
+    const secure = options.secure !== false;
+    const defaultServers = this._normalizeServers(
+      options.servers || [{ url: targetUrl }]
+    );
+    const loadBalancer = this._normalizeLoadBalancer(
+      options.loadBalancer,
+      secure
+    );
+    const hosts = await this._resolveHosts(agentId, subdomain, options.hosts);
+    const rules = this._normalizeRules(options.rules);
+    const chain = this._normalizeMiddlewares(routeName, options.middlewares);
+
+    const routers = {};
+    const services = {};
+    const middlewares = { ...chain.middlewares };
+    const ruleSummaries = [];
+
+    // Traefik v2 has no passive health checks on load balancers, the closest
+    // equivalent is a circuit breaker in front of the route's services
+    const routerMiddlewares = [...chain.names];
+    if (loadBalancer.passiveHealthCheck) {
+      const middlewareName = `${routeName}${PASSIVE_HEALTH_CHECK_SUFFIX}`;
+      middlewares[middlewareName] = {
+        circuitBreaker: loadBalancer.passiveHealthCheck,
+      };
+      routerMiddlewares.push(middlewareName);
     }
 
-    // Extract hostname and port from targetUrl
-    let hostname, port;
-    try {
-      const url = new URL(targetUrl);
-      hostname = url.hostname;
-      port = url.port || (url.protocol === "https:" ? "443" : "80");
-    } catch (err) {
-      logger.error(`Invalid target URL: ${targetUrl}`, {
-        error: err.message,
+    for (const rule of rules) {
+      const routerName = this._getRouterName(routeName, rule.name);
+      // Rules without their own target share the route's default service
+      const serviceName = rule.servers
+        ? `${routerName}-http`
+        : `${routeName}-http`;
+      const ruleServers = rule.servers || defaultServers;
+      Object.assign(
+        services,
+        this._buildHttpServices(serviceName, ruleServers, loadBalancer)
+      );
+
+      const router = {
+        entryPoints: ["websecure"],
+        rule: this._buildRule(hosts, rule, chain.denyRanges),
+        service: serviceName,
+        tls: secure ? { certResolver: "letsencrypt" } : null,
+      };
+
+      if (rule.priority !== undefined) {
+        router.priority = rule.priority;
+      }
+
+      if (routerMiddlewares.length > 0) {
+        router.middlewares = routerMiddlewares;
+      }
+
+      routers[routerName] = router;
+      ruleSummaries.push({
+        name: rule.name,
+        router: routerName,
+        rule: router.rule,
+        priority: rule.priority,
+        pathPrefix: rule.pathPrefix,
+        headers: rule.headers,
+        targetUrl: ruleServers[0].url,
+        servers: ruleServers,
       });
-      throw new AppError(`Invalid target URL: ${targetUrl}`, 400);
     }
 
-    // Create agent configuration for Consul
-    const agentConfig = {
-      name: `${agentId}-${subdomain}`,
-      subdomain: subdomain,
-      hostname: hostname,
-      httpPort: parseInt(port, 10),
-      mongoPort: 27017, // Default MongoDB port, not used for HTTP routes
-      secure: options.secure !== false,
-    };
+    // Remember what is currently registered so rules, servers and
+    // middlewares dropped from the request can be cleaned up after the new
+    // definition is written
+    const existingRouters =
+      (await this.consulService.getTree("http/routers")) || {};
+    const existingServices =
+      (await this.consulService.getTree("http/services")) || {};
+    const previousRouterNames = this._getRouteRouterNames(
+      existingRouters,
+      routeName
+    );
+    this._assertHostsAvailable(
+      agentId,
+      hosts,
+      existingRouters,
+      previousRouterNames
+    );
 
-    // Add HTTP route using Consul service
-    const consulRegistered = await this.consulService.registerAgent(
-      agentConfig
+    // Routes registered before route names were scoped per agent are
+    // replaced by this one
+    const legacyName = `${agentId}-${subdomain}`;
+    const legacyRouterNames = this._getLegacyRouterNames(
+      agentId,
+      existingRouters,
+      legacyName
     );
 
+    const consulRegistered = await this.consulService.registerHttpRoute({
+      routers,
+      services,
+      middlewares,
+    });
+
     if (!consulRegistered) {
       logger.error(`Failed to register HTTP route for ${subdomain} in Consul`);
       throw new AppError("Failed to register route in Consul KV store", 500);
     }
 
+    const staleRouters = [
+      ...previousRouterNames.filter((name) => !routers[name]),
+      ...legacyRouterNames,
+    ];
+    const staleServices = this._getRouteServiceNames(
+      [...previousRouterNames, ...legacyRouterNames],
+      existingRouters,
+      existingServices
+    ).filter((name) => !services[name]);
+    const staleMiddlewares = [
+      ...this._getRouteMiddlewareNames(
+        previousRouterNames,
+        existingRouters,
+        routeName
+      ),
+      ...this._getRouteMiddlewareNames(
+        legacyRouterNames,
+        existingRouters,
+        legacyName
+      ),
+    ].filter((name) => !middlewares[name]);
+
+    if (
+      staleRouters.length > 0 ||
+      staleServices.length > 0 ||
+      staleMiddlewares.length > 0
+    ) {
+      await this.consulService.unregisterHttpRoute({
+        routers: staleRouters,
+        services: staleServices,
+        middlewares: staleMiddlewares,
+      });
+    }
+
     logger.info(
-      `Successfully registered HTTP route for ${subdomain} in Consul KV store`
+      `Successfully registered HTTP route for ${subdomain} in Consul KV store with ${rules.length} rule(s)`
     );
 
     return {
       success: true,
-      message: `HTTP route added successfully for ${subdomain}.${this.appDomain}`,
+      message: `HTTP route added successfully for ${hosts[0]}`,
       route: {
         agentId,
         subdomain,
-        domain: `${subdomain}.${this.appDomain}`,
-        targetUrl,
+        domain: hosts[0],
+        hosts,
+        targetUrl: defaultServers[0].url,
+        servers: defaultServers,
+        loadBalancer,
+        middlewares: routerMiddlewares,
+        rules: ruleSummaries,
       },
     };
   }
@@ -148,9 +357,10 @@ class ProxyService {
    * Remove a route (HTTP only)
    * @param {string} agentId - Agent ID
    * @param {string} subdomain - Subdomain for HTTP routes
+   * @param {string} [ruleName] - Only remove this rule of the route
    * @returns {Promise<Object>} Result
    */
-  async removeRoute(agentId, subdomain) {
+  async removeRoute(agentId, subdomain, ruleName = null) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -165,7 +375,9 @@ class ProxyService {
     }
 
     logger.info(
-      `Removing HTTP route for agent ${agentId} subdomain ${subdomain}`
+      `Removing HTTP route for agent ${agentId} subdomain ${subdomain}${
+        ruleName ? ` rule ${ruleName}` : ""
+      }`
     );
 
     // Check if Consul service is available
@@ -174,11 +386,62 @@ class ProxyService {
       throw new AppError("Consul service not available for route removal", 500);
     }
 
-    // Remove route using Consul service
-    const consulResult = await this.consulService.unregisterAgent(
-      `${agentId}-${subdomain}`
+    const routeName = ProxyService.getRouteName(agentId, subdomain);
+    const existingRouters =
+      (await this.consulService.getTree("http/routers")) || {};
+    const existingServices =
+      (await this.consulService.getTree("http/services")) || {};
+    const routeRouters = this._getRouteRouterNames(existingRouters, routeName);
+
+    const routersToRemove = ruleName
+      ? routeRouters.filter(
+          (name) => name === this._getRouterName(routeName, ruleName)
+        )
+      : routeRouters;
+
+    if (routersToRemove.length === 0) {
+      throw new AppError(
+        ruleName
+          ? `Rule ${ruleName} not found for ${subdomain}`
+          : `No HTTP route found for ${subdomain}`,
+        404
+      );
+    }
+
+    // Only drop services and middlewares no remaining router of this
+    // route still uses
+    const remainingRouters = routeRouters.filter(
+      (name) => !routersToRemove.includes(name)
+    );
+    const remainingServices = new Set(
+      this._getRouteServiceNames(
+        remainingRouters,
+        existingRouters,
+        existingServices
+      )
+    );
+    const remainingMiddlewares = new Set(
+      this._getRouteMiddlewareNames(
+        remainingRouters,
+        existingRouters,
+        routeName
+      )
     );
 
+    const consulResult = await this.consulService.unregisterHttpRoute({
+      routers: routersToRemove,
+      services: this._getRouteServiceNames(
+        routersToRemove,
+        existingRouters,
+        existingServices
+      ).filter((name) => !remainingServices.has(name)),
+      middlewares: this._getRouteMiddlewareNames(
+        routersToRemove,
+        existingRouters,
+        routeName
+      ).filter((name) => !remainingMiddlewares.has(name)),
+    });
+
     if (!consulResult) {
       logger.error(`Failed to remove HTTP route for ${subdomain} from Consul`);
       throw new AppError("Failed to remove route from Consul KV store", 500);
@@ -190,10 +453,266 @@ class ProxyService {
 
     return {
       success: true,
-      message: `HTTP route for ${subdomain}.${this.appDomain} removed successfully`,
+      message: ruleName
+        ? `Rule ${ruleName} of ${subdomain} removed successfully`
+        : `HTTP route for ${subdomain} removed successfully`,
+      removedRouters: routersToRemove,
+    };
+  }
+
+  /**
+   * Add a server to an HTTP route, or change its weight if already present
+   * @param {string} agentId - Agent ID
+   * @param {string} subdomain - Subdomain of the route
+   * @param {string} serverUrl - Server URL, protocol optional
+   * @param {Object} options - Options
+   * @param {number} [options.weight] - Server weight (default 1)
+   * @param {string} [options.rule] - Rule whose own service to change
+   * @returns {Promise<Object>} Result with the service's servers
+   */
+  async addServer(agentId, subdomain, serverUrl, options = {}) {
+    const [server] = this._normalizeServers([
+      { url: serverUrl, weight: options.weight },
+    ]);
+
+    const result = await this._updateRouteServers(
+      agentId,
+      subdomain,
+      options.rule,
+      (servers) => {
+        const existing = servers.find((entry) => entry.url === server.url);
+        if (existing) {
+          existing.weight = server.weight;
+          return servers;
+        }
+        return [...servers, server];
+      }
+    );
+
+    logger.info(
+      `Added server ${server.url} (weight ${server.weight}) to ${result.service}`
+    );
+
+    return {
+      success: true,
+      message: `Server ${server.url} added to ${subdomain}`,
+      ...result,
+    };
+  }
+
+  /**
+   * Drain a server from an HTTP route so it receives no new requests.
+   * Traefik lets in-flight requests to the removed server complete.
+   * @param {string} agentId - Agent ID
+   * @param {string} subdomain - Subdomain of the route
+   * @param {string} serverUrl - Server URL, protocol optional
+   * @param {Object} options - Options
+   * @param {string} [options.rule] - Rule whose own service to change
+   * @returns {Promise<Object>} Result with the remaining servers
+   */
+  async drainServer(agentId, subdomain, serverUrl, options = {}) {
+    const url = this._normalizeTargetUrl(serverUrl);
+
+    const result = await this._updateRouteServers(
+      agentId,
+      subdomain,
+      options.rule,
+      (servers) => {
+        const remaining = servers.filter((entry) => entry.url !== url);
+
+        if (remaining.length === servers.length) {
+          throw new AppError(`Server ${url} not found for ${subdomain}`, 404);
+        }
+
+        if (remaining.length === 0) {
+          throw new AppError(
+            `Cannot drain the last server of ${subdomain}, remove the route instead`,
+            400
+          );
+        }
+
+        return remaining;
+      }
+    );
+
+    logger.info(`Drained server ${url} from ${result.service}`);
+
+    return {
+      success: true,
+      message: `Server ${url} drained from ${subdomain}`,
+      ...result,
     };
   }
 
+  /**
+   * Rewrite the servers of one route service, keeping its policy
+   * @param {string} agentId - Agent ID
+   * @param {string} subdomain - Subdomain of the route
+   * @param {string} [ruleName] - Rule whose service to change, defaults to the shared service
+   * @param {Function} update - Receives the current servers, returns the new list
+   * @returns {Promise<Object>} { service, servers }
+   * @private
+   */
+  async _updateRouteServers(agentId, subdomain, ruleName, update) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.consulService || !this.consulService.isInitialized) {
+      logger.error("Consul service not available for server update");
+      throw new AppError("Consul service not available", 500);
+    }
+
+    const routeName = ProxyService.getRouteName(agentId, subdomain);
+    const existingServices =
+      (await this.consulService.getTree("http/services")) || {};
+
+    let serviceName = `${routeName}-http`;
+    if (ruleName) {
+      const router = await this.consulService.getTree(
+        `http/routers/${this._getRouterName(routeName, ruleName)}`
+      );
+      if (!router) {
+        throw new AppError(`Rule ${ruleName} not found for ${subdomain}`, 404);
+      }
+      serviceName = router.service;
+    }
+
+    if (!existingServices[serviceName]) {
+      throw new AppError(`No HTTP service found for ${subdomain}`, 404);
+    }
+
+    const current = this._readServiceServers(serviceName, existingServices);
+    const servers = update(current.servers);
+    const services = this._buildHttpServices(
+      serviceName,
+      servers,
+      current.loadBalancer
+    );
+
+    const registered = await this.consulService.registerHttpRoute({
+      services,
+    });
+    if (!registered) {
+      throw new AppError("Failed to update servers in Consul KV store", 500);
+    }
+
+    const staleServices = this._getServiceNames(
+      serviceName,
+      existingServices
+    ).filter((name) => !services[name]);
+    if (staleServices.length > 0) {
+      await this.consulService.unregisterHttpRoute({
+        services: staleServices,
+      });
+    }
+
+    return { service: serviceName, servers };
+  }
+
+  /**
+   * Get the middleware declarations of a TCP router
+   * @param {string} routerName - TCP router name
+   * @returns {Promise<Object[]>} Declarations ({ type, name, ...settings })
+   */
+  async getTcpMiddlewares(routerName) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const router = await this.consulService.getTree(
+      `tcp/routers/${routerName}`
+    );
+    if (!router) {
+      throw new AppError(`TCP router ${routerName} not found`, 404);
+    }
+
+    const prefix = `${routerName}${MIDDLEWARE_INFIX}`;
+    const declarations = [];
+
+    for (const name of router.middlewares || []) {
+      const config = await this.consulService.getTree(
+        `tcp/middlewares/${name}`
+      );
+      const [type] = Object.keys(TCP_MIDDLEWARE_TYPES).filter(
+        (key) => config && config[TCP_MIDDLEWARE_TYPES[key]]
+      );
+      if (type) {
+        const settings = config[TCP_MIDDLEWARE_TYPES[type]];
+        declarations.push({
+          type,
+          name: name.startsWith(prefix) ? name.slice(prefix.length) : name,
+          ...settings,
+          // Consul stores every value as a string
+          ...(settings.amount !== undefined && {
+            amount: Number(settings.amount),
+          }),
+        });
+      }
+    }
+
+    return declarations;
+  }
+
+  /**
+   * Replace the middleware chain of a TCP (database) router
+   *
+   * Middlewares are owned by the router and named
+   * <routerName>-mw-<name>; those dropped from the chain are removed.
+   *
+   * @param {string} routerName - TCP router name
+   * @param {Object[]} middlewares - Declarations ({ type, name, ...settings })
+   *   in chain order, an empty list removes all
+   * @returns {Promise<Object>} { router, middlewares }
+   */
+  async setTcpMiddlewares(routerName, middlewares) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.consulService || !this.consulService.isInitialized) {
+      throw new AppError("Consul service not available", 500);
+    }
+
+    const router = await this.consulService.getTree(
+      `tcp/routers/${routerName}`
+    );
+    if (!router) {
+      throw new AppError(`TCP router ${routerName} not found`, 404);
+    }
+
+    const chain = this._normalizeTcpMiddlewares(routerName, middlewares);
+    const { middlewares: previous = [], ...routerConfig } = router;
+    if (chain.names.length > 0) {
+      routerConfig.middlewares = chain.names;
+    }
+
+    const written = await this.consulService.registerConfigs({
+      "tcp/middlewares": chain.middlewares,
+      "tcp/routers": { [routerName]: routerConfig },
+    });
+    if (!written) {
+      throw new AppError(
+        `Failed to update middlewares of TCP router ${routerName}`,
+        500
+      );
+    }
+
+    const stale = previous.filter(
+      (name) =>
+        name.startsWith(`${routerName}${MIDDLEWARE_INFIX}`) &&
+        !chain.middlewares[name]
+    );
+    if (stale.length > 0) {
+      await this.consulService.unregisterConfigs({ "tcp/middlewares": stale });
+    }
+
+    logger.info(
+      `Set ${chain.names.length} middleware(s) on TCP router ${routerName}`
+    );
+    return { router: routerName, middlewares: chain.names };
+  }
+
   /**
    * Get all routes for a specific agent
    * @param {string} agentId - Agent ID
@@ -211,40 +730,35 @@ class ProxyService {
     }
 
     try {
-      // Get all HTTP routers from Consul
-      const httpRouters = await this.consulService.get("http/routers");
-      const routes = { http: [], mongodb: [] };
-
-      if (httpRouters) {
-        // Filter routers that belong to this agent
-        for (const [name, router] of Object.entries(httpRouters)) {
-          if (name.startsWith(`${agentId}-`)) {
-            // Get the service details
-            const serviceName = router.service;
-            const service = await this.consulService.get(
-              `http/services/${serviceName}`
-            );
-
-            if (service) {
-              const subdomain = name.replace(`${agentId}-`, "");
-              routes.http.push({
-                agentId,
-                subdomain,
-                domain: `${subdomain}.${this.appDomain}`,
-                rule: router.rule,
-                targetUrl: service.loadBalancer?.servers?.[0]?.url || "unknown",
-              });
-            }
-          }
+      // Get all HTTP routers and services from Consul
+      const httpRouters =
+        (await this.consulService.getTree("http/routers")) || {};
+      const httpServices =
+        (await this.consulService.getTree("http/services")) || {};
+      const routes = this._emptyRoutes();
+
+      // Filter routers that belong to this agent, one entry per rule
+      const prefix = `${agentId}${ROUTE_SEPARATOR}`;
+      for (const [name, router] of Object.entries(httpRouters)) {
+        if (name.startsWith(prefix) && httpServices[router.service]) {
+          routes.http.push(
+            this._describeHttpRouter(
+              agentId,
+              name.slice(prefix.length),
+              router,
+              httpServices
+            )
+          );
         }
       }
 
       // Get MongoDB routers for this agent
-      const tcpRouters = await this.consulService.get("tcp/routers");
+      const tcpRouters =
+        (await this.consulService.getTree("tcp/routers")) || {};
 
-      if (tcpRouters && tcpRouters[agentId]) {
+      if (tcpRouters[agentId]) {
         const mongoRouter = tcpRouters[agentId];
-        const mongoService = await this.consulService.get(
+        const mongoService = await this.consulService.getTree(
           `tcp/services/${agentId}-mongo`
         );
 
@@ -255,10 +769,45 @@ class ProxyService {
             rule: mongoRouter.rule,
             target:
               mongoService.loadBalancer?.servers?.[0]?.address || "unknown",
+            middlewares: mongoRouter.middlewares,
+          });
+        }
+      }
+
+      // Named MongoDB instances
+      for (const [name, router] of Object.entries(tcpRouters)) {
+        if (!name.startsWith(`${agentId}-mongo-`)) {
+          continue;
+        }
+
+        const service = await this.consulService.getTree(
+          `tcp/services/${router.service}`
+        );
+        const instance = service && this._describeMongoInstance(router);
+        if (instance && instance.agentId === agentId) {
+          routes.mongodb.push({
+            ...this._describeDatabaseRouter(agentId, router, service),
+            instance: instance.instance,
           });
         }
       }
 
+      for (const type of DATABASE_ENTRYPOINTS) {
+        const router = tcpRouters[`${agentId}-${type}`];
+        if (!router) {
+          continue;
+        }
+
+        const service = await this.consulService.getTree(
+          `tcp/services/${router.service}`
+        );
+        if (service) {
+          routes[type].push(
+            this._describeDatabaseRouter(agentId, router, service)
+          );
+        }
+      }
+
       return {
         success: true,
         routes,
@@ -292,62 +841,74 @@ class ProxyService {
     }
 
     try {
-      // Get all HTTP and TCP routers from Consul
-      const httpRouters = await this.consulService.get("http/routers");
-      const tcpRouters = await this.consulService.get("tcp/routers");
+      // Get all HTTP and TCP routers and services from Consul
+      const httpRouters =
+        (await this.consulService.getTree("http/routers")) || {};
+      const httpServices =
+        (await this.consulService.getTree("http/services")) || {};
+      const tcpRouters =
+        (await this.consulService.getTree("tcp/routers")) || {};
+      const tcpServices =
+        (await this.consulService.getTree("tcp/services")) || {};
 
-      const routes = { http: [], mongodb: [] };
+      const routes = this._emptyRoutes();
 
       // Process HTTP routes
-      if (httpRouters) {
-        for (const [name, router] of Object.entries(httpRouters)) {
-          // Skip special routers like traefik dashboard
-          if (name === "dashboard" || name === "traefik-healthcheck") {
-            continue;
-          }
+      for (const [name, router] of Object.entries(httpRouters)) {
+        // Skip special routers like traefik dashboard
+        if (name === "dashboard" || name === "traefik-healthcheck") {
+          continue;
+        }
 
-          // Get the service details
-          const serviceName = router.service;
-          const service = await this.consulService.get(
-            `http/services/${serviceName}`
+        // Extract agent ID and subdomain from name
+        const separator = name.indexOf(ROUTE_SEPARATOR);
+        if (separator > 0 && httpServices[router.service]) {
+          routes.http.push(
+            this._describeHttpRouter(
+              name.slice(0, separator),
+              name.slice(separator + 1),
+              router,
+              httpServices
+            )
           );
-
-          if (service) {
-            // Extract agent ID and subdomain from name
-            const parts = name.split("-");
-            if (parts.length >= 2) {
-              const agentId = parts[0];
-              const subdomain = parts.slice(1).join("-");
-
-              routes.http.push({
-                agentId,
-                subdomain,
-                domain: `${subdomain}.${this.appDomain}`,
-                rule: router.rule,
-                targetUrl: service.loadBalancer?.servers?.[0]?.url || "unknown",
-              });
-            }
-          }
         }
       }
 
-      // Process MongoDB routes
-      if (tcpRouters) {
-        for (const [name, router] of Object.entries(tcpRouters)) {
-          // Get the service details
-          const serviceName = router.service;
-          const service = await this.consulService.get(
-            `tcp/services/${serviceName}`
-          );
+      // Process MongoDB and other database routes
+      for (const [name, router] of Object.entries(tcpRouters)) {
+        const service = tcpServices[router.service];
 
-          if (service) {
-            routes.mongodb.push({
-              agentId: name,
-              domain: `${name}.${this.mongoDomain}`,
-              rule: router.rule,
-              target: service.loadBalancer?.servers?.[0]?.address || "unknown",
-            });
-          }
+        if (!service) {
+          continue;
+        }
+
+        const type = DATABASE_ENTRYPOINTS.find((entryPoint) =>
+          (router.entryPoints || []).includes(entryPoint)
+        );
+
+        const instance = type ? null : this._describeMongoInstance(router);
+
+        if (type) {
+          routes[type].push(
+            this._describeDatabaseRouter(
+              name.replace(new RegExp(`-${type}$`), ""),
+              router,
+              service
+            )
+          );
+        } else if (instance) {
+          routes.mongodb.push({
+            ...this._describeDatabaseRouter(instance.agentId, router, service),
+            instance: instance.instance,
+          });
+        } else {
+          routes.mongodb.push({
+            agentId: name,
+            domain: `${name}.${this.mongoDomain}`,
+            rule: router.rule,
+            target: service.loadBalancer?.servers?.[0]?.address || "unknown",
+            middlewares: router.middlewares,
+          });
         }
       }
 
@@ -368,6 +929,1020 @@ class ProxyService {
     }
   }
 
+  /**
+   * Routes grouped by kind, with an empty list for every kind
+   * @private
+   */
+  _emptyRoutes() {
+    const routes = { http: [], mongodb: [] };
+    for (const type of DATABASE_ENTRYPOINTS) {
+      routes[type] = [];
+    }
+    return routes;
+  }
+
+  /**
+   * Build the public description of one SNI-routed database router
+   * @param {string} agentId - Agent ID
+   * @param {Object} router - TCP router configuration
+   * @param {Object} service - TCP service configuration
+   * @returns {Object} Route entry
+   * @private
+   */
+  _describeDatabaseRouter(agentId, router, service) {
+    const match = /HostSNI\(`([^`]+)`\)/.exec(router.rule || "");
+
+    return {
+      agentId,
+      domain: match ? match[1] : null,
+      rule: router.rule,
+      target: service.loadBalancer?.servers?.[0]?.address || "unknown",
+      tlsPassthrough: !!router.tls?.passthrough,
+      middlewares: router.middlewares,
+    };
+  }
+
+  /**
+   * Agent and instance name of a named MongoDB instance router, whose rule
+   * matches <instance>.<agentId>.<MONGO_DOMAIN>
+   * @param {Object} router - TCP router configuration
+   * @returns {Object|null} { agentId, instance }, null for other routers
+   * @private
+   */
+  _describeMongoInstance(router) {
+    const match = /HostSNI\(`([^`]+)`\)/.exec(router.rule || "");
+    const suffix = `.${this.mongoDomain}`;
+
+    if (!match || !match[1].endsWith(suffix)) {
+      return null;
+    }
+
+    const labels = match[1].slice(0, -suffix.length).split(".");
+    return labels.length === 2
+      ? { instance: labels[0], agentId: labels[1] }
+      : null;
+  }
+
+  /**
+   * Build the public description of one HTTP router
+   * @param {string} agentId - Agent ID
+   * @param {string} routerSuffix - Router name without "<agentId>_"
+   * @param {Object} router - Router configuration
+   * @param {Object} httpServices - All HTTP services keyed by name
+   * @returns {Object} Route entry
+   * @private
+   */
+  _describeHttpRouter(agentId, routerSuffix, router, httpServices) {
+    const [subdomain, ruleName = DEFAULT_RULE_NAME] =
+      routerSuffix.split(RULE_SEPARATOR);
+    const hosts = this._parseRuleHosts(router.rule);
+    const pathPrefixMatch = /PathPrefix\(`([^`]+)`\)/.exec(router.rule || "");
+    const upstream = this._readServiceServers(router.service, httpServices);
+
+    return {
+      agentId,
+      subdomain,
+      ruleName,
+      router: `${agentId}${ROUTE_SEPARATOR}${routerSuffix}`,
+      domain: hosts[0] || `${subdomain}.${agentId}.${this.appDomain}`,
+      hosts,
+      rule: router.rule,
+      priority:
+        router.priority !== undefined ? Number(router.priority) : undefined,
+      pathPrefix: pathPrefixMatch ? pathPrefixMatch[1] : undefined,
+      middlewares: router.middlewares,
+      targetUrl: upstream.servers[0]?.url || "unknown",
+      servers: upstream.servers,
+    };
+  }
+
+  /**
+   * Extract hostnames from a Traefik rule
+   * @param {string} rule - Traefik rule
+   * @returns {string[]} Hostnames
+   * @private
+   */
+  _parseRuleHosts(rule) {
+    const hostMatch = /Host\(([^)]*)\)/.exec(rule || "");
+    if (!hostMatch) {
+      return [];
+    }
+    return [...hostMatch[1].matchAll(/`([^`]+)`/g)].map((match) => match[1]);
+  }
+
+  /**
+   * Name of the route of an agent's subdomain. Services and middlewares of
+   * the route are named after it.
+   * @param {string} agentId - Agent ID
+   * @param {string} subdomain - Route subdomain
+   * @returns {string} Route name
+   */
+  static getRouteName(agentId, subdomain) {
+    return `${agentId}${ROUTE_SEPARATOR}${subdomain}`;
+  }
+
+  /**
+   * List the router names that make up a route
+   * @param {Object} routers - Routers keyed by name
+   * @param {string} routeName - Route name (agentId_subdomain)
+   * @returns {string[]} Router names
+   * @private
+   */
+  _getRouteRouterNames(routers, routeName) {
+    return Object.keys(routers).filter(
+      (name) =>
+        name === routeName || name.startsWith(`${routeName}${RULE_SEPARATOR}`)
+    );
+  }
+
+  /**
+   * Routers of the agent registered under the route's name from before
+   * route names were scoped per agent ("<agentId>-<subdomain>")
+   * @param {string} agentId - Agent ID
+   * @param {Object} routers - Routers keyed by name
+   * @param {string} legacyName - Legacy route name
+   * @returns {string[]} Router names
+   * @private
+   */
+  _getLegacyRouterNames(agentId, routers, legacyName) {
+    const { agentService } = require("../core");
+    return this._getRouteRouterNames(routers, legacyName).filter(
+      (name) => agentService && agentService.getResourceOwner(name) === agentId
+    );
+  }
+
+  /**
+   * Reject hosts another agent's routers already answer on
+   * @param {string} agentId - Agent ID
+   * @param {string[]} hosts - Hostnames of the route
+   * @param {Object} routers - Routers keyed by name
+   * @param {string[]} ownRouterNames - Routers of the route being replaced
+   * @private
+   */
+  _assertHostsAvailable(agentId, hosts, routers, ownRouterNames) {
+    const { agentService } = require("../core");
+    const ownerOf = (name) =>
+      agentService ? agentService.getResourceOwner(name) : null;
+
+    for (const [name, router] of Object.entries(routers)) {
+      if (
+        ownRouterNames.includes(name) ||
+        ownerOf(name) === agentId ||
+        ownerOf(router && router.service) === agentId
+      ) {
+        continue;
+      }
+
+      const taken = this._parseRuleHosts(router && router.rule).find((host) =>
+        hosts.includes(host.toLowerCase())
+      );
+      if (taken) {
+        throw new AppError(`Host ${taken} is already routed elsewhere`, 409);
+      }
+    }
+  }
+
+  /**
+   * Get the router name for a rule of a route
+   * @param {string} routeName - Route name (agentId_subdomain)
+   * @param {string} ruleName - Rule name
+   * @returns {string} Router name
+   * @private
+   */
+  _getRouterName(routeName, ruleName) {
+    return ruleName === DEFAULT_RULE_NAME
+      ? routeName
+      : `${routeName}${RULE_SEPARATOR}${ruleName}`;
+  }
+
+  /**
+   * Resolve the hostnames a route answers on. The subdomain under
+   * <agentId>.APP_DOMAIN always comes first. Extra hosts must belong to the
+   * agent: names under <agentId>.APP_DOMAIN (bare names are placed there) or
+   * custom domains the agent has verified.
+   * @param {string} agentId - Agent ID
+   * @param {string} subdomain - Route subdomain
+   * @param {string[]} extraHosts - Additional hostnames
+   * @returns {Promise<string[]>} Unique hostnames
+   * @private
+   */
+  async _resolveHosts(agentId, subdomain, extraHosts = []) {
+    if (extraHosts && !Array.isArray(extraHosts)) {
+      throw new AppError("hosts must be an array of hostnames", 400);
+    }
+
+    const agentDomain = `${agentId}.${this.appDomain}`.toLowerCase();
+    const hosts = [`${subdomain.toLowerCase()}.${agentDomain}`];
+    for (const host of extraHosts || []) {
+      if (typeof host !== "string" || !HOSTNAME_PATTERN.test(host)) {
+        throw new AppError(`Invalid hostname: ${host}`, 400);
+      }
+
+      const name = host.includes(".")
+        ? host.toLowerCase()
+        : `${host.toLowerCase()}.${agentDomain}`;
+      if (
+        name !== agentDomain &&
+        !name.endsWith(`.${agentDomain}`) &&
+        !(await this._isVerifiedCustomDomain(agentId, name))
+      ) {
+        throw new AppError(
+          `Host ${name} is neither under ${agentDomain} nor a verified custom domain of agent ${agentId}`,
+          403
+        );
+      }
+      hosts.push(name);
+    }
+
+    return [...new Set(hosts)];
+  }
+
+  /**
+   * Whether a domain passed the ownership challenge of an agent
+   * @param {string} agentId - Agent ID
+   * @param {string} domain - Hostname
+   * @returns {Promise<boolean>} True if verified for this agent
+   * @private
+   */
+  async _isVerifiedCustomDomain(agentId, domain) {
+    const { customDomainService } = require("../core");
+    if (!customDomainService || domain.startsWith("*.")) {
+      return false;
+    }
+
+    const record = await customDomainService.getDomain(domain);
+    return Boolean(
+      record &&
+        record.agentId === agentId &&
+        ROUTABLE_DOMAIN_STATUSES.includes(record.status)
+    );
+  }
+
+  /**
+   * Validate and normalize route rules
+   * @param {Object[]} rules - Rules from the request
+   * @returns {Object[]} Normalized rules
+   * @private
+   */
+  _normalizeRules(rules) {
+    if (rules === undefined || rules === null) {
+      return [{ name: DEFAULT_RULE_NAME }];
+    }
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new AppError("rules must be a non-empty array", 400);
+    }
+
+    const seen = new Set();
+
+    return rules.map((rule, index) => {
+      if (typeof rule !== "object" || rule === null) {
+        throw new AppError(`Rule ${index} must be an object`, 400);
+      }
+
+      const name =
+        rule.name || (index === 0 ? DEFAULT_RULE_NAME : `rule${index}`);
+      if (!RULE_NAME_PATTERN.test(name) || name.includes(RULE_SEPARATOR)) {
+        throw new AppError(
+          `Invalid rule name: ${name}. Use lowercase letters, digits and single hyphens`,
+          400
+        );
+      }
+      if (seen.has(name)) {
+        throw new AppError(`Duplicate rule name: ${name}`, 400);
+      }
+      seen.add(name);
+
+      if (
+        rule.pathPrefix !== undefined &&
+        (typeof rule.pathPrefix !== "string" ||
+          !PATH_PREFIX_PATTERN.test(rule.pathPrefix))
+      ) {
+        throw new AppError(
+          `Rule ${name}: pathPrefix must start with "/" and contain only URL path characters`,
+          400
+        );
+      }
+
+      let priority;
+      if (rule.priority !== undefined) {
+        priority = parseInt(rule.priority, 10);
+        if (!Number.isInteger(priority) || priority < 0) {
+          throw new AppError(
+            `Rule ${name}: priority must be a non-negative integer`,
+            400
+          );
+        }
+      }
+
+      if (
+        rule.headers !== undefined &&
+        (typeof rule.headers !== "object" ||
+          rule.headers === null ||
+          Array.isArray(rule.headers))
+      ) {
+        throw new AppError(
+          `Rule ${name}: headers must be an object of header name to value`,
+          400
+        );
+      }
+
+      return {
+        name,
+        pathPrefix: rule.pathPrefix,
+        priority,
+        headers: rule.headers,
+        servers: rule.servers
+          ? this._normalizeServers(rule.servers)
+          : rule.targetUrl
+          ? this._normalizeServers([{ url: rule.targetUrl }])
+          : undefined,
+      };
+    });
+  }
+
+  /**
+   * Build a Traefik rule from hosts and rule matchers
+   * @param {string[]} hosts - Hostnames
+   * @param {Object} rule - Normalized rule
+   * @param {string[]} [denyRanges] - Client IPs/CIDRs the rule must not match
+   * @returns {string} Traefik rule expression
+   * @private
+   */
+  _buildRule(hosts, rule, denyRanges = []) {
+    const matchers = [`Host(${hosts.map((host) => `\`${host}\``).join(", ")})`];
+
+    if (rule.pathPrefix) {
+      matchers.push(`PathPrefix(\`${rule.pathPrefix}\`)`);
+    }
+
+    for (const [header, value] of Object.entries(rule.headers || {})) {
+      if (!HEADER_NAME_PATTERN.test(header) || String(value).includes("`")) {
+        throw new AppError(`Rule ${rule.name}: invalid header ${header}`, 400);
+      }
+      matchers.push(`Headers(\`${header}\`, \`${value}\`)`);
+    }
+
+    // Traefik v2 has no deny list middleware, so denied clients are kept
+    // out of the router and receive a 404
+    if (denyRanges.length > 0) {
+      matchers.push(
+        `!ClientIP(${denyRanges.map((range) => `\`${range}\``).join(", ")})`
+      );
+    }
+
+    return matchers.join(" && ");
+  }
+
+  /**
+   * Validate a route's middleware chain and build the Traefik middlewares
+   *
+   * Each entry is either a reference to a shared middleware ({ use }) or a
+   * declaration ({ type, name, ...settings }) that becomes a middleware owned
+   * by the route.
+   *
+   * @param {string} routeName - Route name (agentId_subdomain)
+   * @param {Object[]} [middlewares] - Middleware declarations in chain order
+   * @returns {Object} { middlewares, names, denyRanges }
+   * @private
+   */
+  _normalizeMiddlewares(routeName, middlewares) {
+    const result = { middlewares: {}, names: [], denyRanges: [] };
+
+    if (middlewares === undefined || middlewares === null) {
+      return result;
+    }
+
+    if (!Array.isArray(middlewares)) {
+      throw new AppError("middlewares must be an array", 400);
+    }
+
+    middlewares.forEach((entry, index) => {
+      if (typeof entry !== "object" || entry === null) {
+        throw new AppError(`Middleware ${index} must be an object`, 400);
+      }
+
+      if (entry.use !== undefined) {
+        if (!SHARED_MIDDLEWARES.includes(entry.use)) {
+          throw new AppError(
+            `Unknown shared middleware: ${
+              entry.use
+            }. Available: ${SHARED_MIDDLEWARES.join(", ")}`,
+            400
+          );
+        }
+        result.names.push(entry.use);
+        return;
+      }
+
+      const { type, name: requestedName, ...settings } = entry;
+
+      if (type === "ipDenyList") {
+        result.denyRanges.push(
+          ...this._normalizeSourceRange(settings.sourceRange, type)
+        );
+        return;
+      }
+
+      if (!MIDDLEWARE_TYPES[type]) {
+        throw new AppError(
+          `Unknown middleware type: ${type}. Supported: ${[
+            ...Object.keys(MIDDLEWARE_TYPES),
+            "ipDenyList",
+          ].join(", ")}`,
+          400
+        );
+      }
+
+      const name =
+        requestedName || type.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+      if (!RULE_NAME_PATTERN.test(name)) {
+        throw new AppError(
+          `Invalid middleware name: ${name}. Use lowercase letters, digits and single hyphens`,
+          400
+        );
+      }
+
+      const middlewareName = `${routeName}${MIDDLEWARE_INFIX}${name}`;
+      if (result.middlewares[middlewareName]) {
+        throw new AppError(
+          `Duplicate middleware name: ${name}, set a unique name`,
+          400
+        );
+      }
+
+      result.middlewares[middlewareName] = {
+        [MIDDLEWARE_TYPES[type]]: this._buildMiddlewareConfig(type, settings),
+      };
+      result.names.push(middlewareName);
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate a TCP router's middleware chain and build the Traefik
+   * tcp/middlewares owned by the router
+   * @param {string} routerName - TCP router name
+   * @param {Object[]} middlewares - Declarations in chain order
+   * @returns {Object} { middlewares, names }
+   * @private
+   */
+  _normalizeTcpMiddlewares(routerName, middlewares) {
+    const result = { middlewares: {}, names: [] };
+
+    if (!Array.isArray(middlewares)) {
+      throw new AppError("middlewares must be an array", 400);
+    }
+
+    middlewares.forEach((entry, index) => {
+      if (typeof entry !== "object" || entry === null) {
+        throw new AppError(`Middleware ${index} must be an object`, 400);
+      }
+
+      const { type, name: requestedName, ...settings } = entry;
+
+      if (!TCP_MIDDLEWARE_TYPES[type]) {
+        throw new AppError(
+          `Unknown TCP middleware type: ${type}. Supported: ${Object.keys(
+            TCP_MIDDLEWARE_TYPES
+          ).join(", ")}`,
+          400
+        );
+      }
+
+      const name =
+        requestedName || type.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+      if (!RULE_NAME_PATTERN.test(name)) {
+        throw new AppError(
+          `Invalid middleware name: ${name}. Use lowercase letters, digits and single hyphens`,
+          400
+        );
+      }
+
+      const middlewareName = `${routerName}${MIDDLEWARE_INFIX}${name}`;
+      if (result.middlewares[middlewareName]) {
+        throw new AppError(
+          `Duplicate middleware name: ${name}, set a unique name`,
+          400
+        );
+      }
+
+      let config;
+      if (type === "ipAllowList") {
+        config = {
+          sourceRange: this._normalizeSourceRange(settings.sourceRange, type),
+        };
+      } else {
+        const amount = Number(settings.amount);
+        if (!Number.isInteger(amount) || amount < 1) {
+          throw new AppError(`${type}: amount must be a positive integer`, 400);
+        }
+        config = { amount };
+      }
+
+      result.middlewares[middlewareName] = {
+        [TCP_MIDDLEWARE_TYPES[type]]: config,
+      };
+      result.names.push(middlewareName);
+    });
+
+    return result;
+  }
+
+  /**
+   * Validate the settings of one middleware declaration
+   * @param {string} type - Middleware type
+   * @param {Object} settings - Declared settings
+   * @returns {Object} Traefik middleware settings
+   * @private
+   */
+  _buildMiddlewareConfig(type, settings) {
+    const fail = (message) => {
+      throw new AppError(`${type}: ${message}`, 400);
+    };
+
+    switch (type) {
+      case "rateLimit": {
+        const average = Number(settings.average);
+        if (!Number.isInteger(average) || average < 1) {
+          fail("average must be a positive integer");
+        }
+        const burst =
+          settings.burst !== undefined ? Number(settings.burst) : average;
+        if (!Number.isInteger(burst) || burst < 1) {
+          fail("burst must be a positive integer");
+        }
+        if (
+          settings.period !== undefined &&
+          !DURATION_PATTERN.test(settings.period)
+        ) {
+          fail("period must be a duration like 1s or 1m");
+        }
+        return { average, burst, period: settings.period };
+      }
+
+      case "ipAllowList":
+        return {
+          sourceRange: this._normalizeSourceRange(settings.sourceRange, type),
+        };
+
+      case "basicAuth": {
+        const { users, realm, removeHeader } = settings;
+        if (!Array.isArray(users) || users.length === 0) {
+          fail("users must be a non-empty array");
+        }
+        if (!users.every((user) => HTPASSWD_PATTERN.test(user))) {
+          fail(
+            'users must be htpasswd entries (bcrypt, apr1 or SHA1), e.g. from "htpasswd -nbB user password"'
+          );
+        }
+        return { users, realm, removeHeader };
+      }
+
+      case "redirectScheme": {
+        const scheme = settings.scheme || "https";
+        if (!["http", "https"].includes(scheme)) {
+          fail("scheme must be http or https");
+        }
+        if (
+          settings.port !== undefined &&
+          !/^\d{1,5}$/.test(String(settings.port))
+        ) {
+          fail("port must be a number");
+        }
+        return {
+          scheme,
+          port: settings.port,
+          permanent: !!settings.permanent,
+        };
+      }
+
+      case "redirectRegex":
+        if (
+          typeof settings.regex !== "string" ||
+          !settings.regex ||
+          typeof settings.replacement !== "string"
+        ) {
+          fail("regex and replacement are required strings");
+        }
+        return {
+          regex: settings.regex,
+          replacement: settings.replacement,
+          permanent: !!settings.permanent,
+        };
+
+      case "headers": {
+        const unknown = Object.keys(settings).filter(
+          (key) => !HEADERS_OPTIONS.includes(key)
+        );
+        if (unknown.length > 0) {
+          fail(`unsupported option(s): ${unknown.join(", ")}`);
+        }
+        for (const key of ["customRequestHeaders", "customResponseHeaders"]) {
+          const headers = settings[key];
+          if (headers === undefined) {
+            continue;
+          }
+          if (
+            typeof headers !== "object" ||
+            headers === null ||
+            Array.isArray(headers) ||
+            !Object.keys(headers).every((name) =>
+              HEADER_NAME_PATTERN.test(name)
+            )
+          ) {
+            fail(`${key} must map header names to values`);
+          }
+        }
+        if (Object.keys(settings).length === 0) {
+          fail("at least one header option is required");
+        }
+        return settings;
+      }
+
+      case "stripPrefix": {
+        const { prefixes } = settings;
+        if (
+          !Array.isArray(prefixes) ||
+          prefixes.length === 0 ||
+          !prefixes.every(
+            (prefix) => typeof prefix === "string" && prefix.startsWith("/")
+          )
+        ) {
+          fail('prefixes must be a non-empty array of paths starting with "/"');
+        }
+        return { prefixes };
+      }
+
+      default:
+        return fail("unsupported middleware type");
+    }
+  }
+
+  /**
+   * Validate a list of IP addresses / CIDR ranges
+   * @param {string[]} sourceRange - IPs or CIDRs
+   * @param {string} type - Middleware type for error messages
+   * @returns {string[]} Validated ranges
+   * @private
+   */
+  _normalizeSourceRange(sourceRange, type) {
+    if (!Array.isArray(sourceRange) || sourceRange.length === 0) {
+      throw new AppError(`${type}: sourceRange must be a non-empty array`, 400);
+    }
+
+    for (const range of sourceRange) {
+      const [address, prefix] = String(range).split("/");
+      const version = net.isIP(address);
+      const maxPrefix = version === 6 ? 128 : 32;
+
+      if (
+        !version ||
+        (prefix !== undefined &&
+          !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))
+      ) {
+        throw new AppError(`${type}: invalid IP or CIDR ${range}`, 400);
+      }
+    }
+
+    return sourceRange.map(String);
+  }
+
+  /**
+   * Validate and normalize upstream servers
+   * @param {Array<Object|string>} servers - Servers ({ url, weight }) or URLs
+   * @returns {Object[]} Normalized servers
+   * @private
+   */
+  _normalizeServers(servers) {
+    if (!Array.isArray(servers) || servers.length === 0) {
+      throw new AppError("servers must be a non-empty array", 400);
+    }
+
+    const seen = new Set();
+
+    return servers.map((server, index) => {
+      const entry = typeof server === "string" ? { url: server } : server;
+
+      if (!entry || !entry.url) {
+        throw new AppError(`Server ${index} requires a url`, 400);
+      }
+
+      const url = this._normalizeTargetUrl(entry.url);
+      if (seen.has(url)) {
+        throw new AppError(`Duplicate server: ${url}`, 400);
+      }
+      seen.add(url);
+
+      let weight = 1;
+      if (entry.weight !== undefined) {
+        weight = Number(entry.weight);
+        if (!Number.isInteger(weight) || weight < 1) {
+          throw new AppError(
+            `Server ${url}: weight must be a positive integer`,
+            400
+          );
+        }
+      }
+
+      return { url, weight };
+    });
+  }
+
+  /**
+   * Validate the load balancing policy and map it onto Traefik settings
+   * @param {Object} [loadBalancer] - Policy ({ sticky, healthCheck, passiveHealthCheck })
+   * @param {boolean} secure - Whether the route uses TLS
+   * @returns {Object} Traefik sticky/healthCheck settings and circuit breaker
+   * @private
+   */
+  _normalizeLoadBalancer(loadBalancer, secure) {
+    if (loadBalancer === undefined || loadBalancer === null) {
+      return {};
+    }
+
+    if (typeof loadBalancer !== "object" || Array.isArray(loadBalancer)) {
+      throw new AppError("loadBalancer must be an object", 400);
+    }
+
+    const result = {};
+    const { sticky, healthCheck, passiveHealthCheck } = loadBalancer;
+
+    if (sticky) {
+      const cookie = sticky === true ? {} : sticky;
+      const name = cookie.cookieName || "cl_sticky";
+
+      if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+        throw new AppError(`Invalid sticky cookie name: ${name}`, 400);
+      }
+
+      if (
+        cookie.sameSite !== undefined &&
+        !["none", "lax", "strict"].includes(cookie.sameSite)
+      ) {
+        throw new AppError(
+          "sticky.sameSite must be one of: none, lax, strict",
+          400
+        );
+      }
+
+      result.sticky = {
+        cookie: {
+          name,
+          secure: cookie.secure !== undefined ? !!cookie.secure : secure,
+          httpOnly: cookie.httpOnly !== undefined ? !!cookie.httpOnly : true,
+          sameSite: cookie.sameSite,
+        },
+      };
+    }
+
+    if (healthCheck) {
+      if (
+        typeof healthCheck.path !== "string" ||
+        !healthCheck.path.startsWith("/")
+      ) {
+        throw new AppError('healthCheck.path must start with "/"', 400);
+      }
+
+      const interval = healthCheck.interval || "10s";
+      const timeout = healthCheck.timeout || "3s";
+      if (!DURATION_PATTERN.test(interval) || !DURATION_PATTERN.test(timeout)) {
+        throw new AppError(
+          "healthCheck interval and timeout must be durations like 10s or 500ms",
+          400
+        );
+      }
+
+      if (
+        healthCheck.port !== undefined &&
+        !(
+          Number.isInteger(Number(healthCheck.port)) &&
+          healthCheck.port > 0 &&
+          healthCheck.port < 65536
+        )
+      ) {
+        throw new AppError("healthCheck.port must be a valid port", 400);
+      }
+
+      if (
+        healthCheck.scheme !== undefined &&
+        !["http", "https"].includes(healthCheck.scheme)
+      ) {
+        throw new AppError("healthCheck.scheme must be http or https", 400);
+      }
+
+      result.healthCheck = {
+        path: healthCheck.path,
+        interval,
+        timeout,
+        scheme: healthCheck.scheme,
+        port: healthCheck.port,
+        hostname: healthCheck.hostname,
+        followRedirects: healthCheck.followRedirects,
+        headers: healthCheck.headers,
+      };
+    }
+
+    if (passiveHealthCheck) {
+      const passive = passiveHealthCheck === true ? {} : passiveHealthCheck;
+      const ratios = {
+        maxErrorRatio:
+          passive.maxErrorRatio !== undefined ? passive.maxErrorRatio : 0.5,
+        max5xxRatio: passive.max5xxRatio,
+      };
+
+      for (const [field, value] of Object.entries(ratios)) {
+        if (
+          value !== undefined &&
+          !(typeof value === "number" && value > 0 && value <= 1)
+        ) {
+          throw new AppError(
+            `passiveHealthCheck.${field} must be a number between 0 and 1`,
+            400
+          );
+        }
+      }
+
+      const conditions = [`NetworkErrorRatio() > ${ratios.maxErrorRatio}`];
+      if (ratios.max5xxRatio !== undefined) {
+        conditions.push(
+          `ResponseCodeRatio(500, 600, 0, 600) > ${ratios.max5xxRatio}`
+        );
+      }
+
+      result.passiveHealthCheck = { expression: conditions.join(" || ") };
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the Traefik HTTP service(s) for a set of upstream servers
+   *
+   * Servers that all have the default weight map onto a single
+   * loadBalancer. Otherwise every server gets its own child loadBalancer and
+   * the service itself becomes `weighted`, which also keeps the weights
+   * readable when servers are later added or drained.
+   *
+   * @param {string} serviceName - Service name routers refer to
+   * @param {Object[]} servers - Normalized servers
+   * @param {Object} loadBalancer - Normalized load balancing policy
+   * @returns {Object} Service configurations keyed by name, children first
+   * @private
+   */
+  _buildHttpServices(serviceName, servers, loadBalancer = {}) {
+    const { sticky, healthCheck } = loadBalancer;
+
+    if (servers.every((server) => server.weight === 1)) {
+      return {
+        [serviceName]: {
+          loadBalancer: {
+            servers: servers.map(({ url }) => ({ url })),
+            sticky,
+            healthCheck,
+          },
+        },
+      };
+    }
+
+    const services = {};
+    const entries = servers.map((server, index) => {
+      const name = `${serviceName}${SERVER_SERVICE_SUFFIX}${index}`;
+      services[name] = {
+        loadBalancer: {
+          servers: [{ url: server.url }],
+          healthCheck,
+        },
+      };
+      return { name, weight: server.weight };
+    });
+
+    services[serviceName] = {
+      weighted: {
+        services: entries,
+        sticky,
+        // "true" enables health status propagation from the children, an
+        // empty object would not produce a KV key
+        healthCheck: healthCheck ? "true" : undefined,
+      },
+    };
+
+    return services;
+  }
+
+  /**
+   * Read the servers and policy of an HTTP service back from Consul
+   * @param {string} serviceName - Service name
+   * @param {Object} httpServices - All HTTP services keyed by name
+   * @returns {Object} { servers, loadBalancer }
+   * @private
+   */
+  _readServiceServers(serviceName, httpServices) {
+    const service = httpServices[serviceName] || {};
+
+    if (service.weighted) {
+      const entries = service.weighted.services || [];
+      const firstChild = httpServices[entries[0]?.name];
+
+      return {
+        servers: entries
+          .map((entry) => ({
+            url: httpServices[entry.name]?.loadBalancer?.servers?.[0]?.url,
+            weight: entry.weight !== undefined ? Number(entry.weight) : 1,
+          }))
+          .filter((server) => server.url),
+        loadBalancer: {
+          sticky: service.weighted.sticky,
+          healthCheck: firstChild?.loadBalancer?.healthCheck,
+        },
+      };
+    }
+
+    const loadBalancer = service.loadBalancer || {};
+    return {
+      servers: (loadBalancer.servers || []).map((server) => ({
+        url: server.url,
+        weight: 1,
+      })),
+      loadBalancer: {
+        sticky: loadBalancer.sticky,
+        healthCheck: loadBalancer.healthCheck,
+      },
+    };
+  }
+
+  /**
+   * Names of a service and, for weighted services, its per-server children
+   * @param {string} serviceName - Service name
+   * @param {Object} httpServices - All HTTP services keyed by name
+   * @returns {string[]} Service names, parent first
+   * @private
+   */
+  _getServiceNames(serviceName, httpServices) {
+    const children = (httpServices[serviceName]?.weighted?.services || [])
+      .map((entry) => entry.name)
+      .filter((name) =>
+        name.startsWith(`${serviceName}${SERVER_SERVICE_SUFFIX}`)
+      );
+
+    return [serviceName, ...children];
+  }
+
+  /**
+   * Services used by a set of routers, including weighted children
+   * @private
+   */
+  _getRouteServiceNames(routerNames, routers, httpServices) {
+    const names = routerNames
+      .map((name) => routers[name].service)
+      .filter(Boolean)
+      .flatMap((name) => this._getServiceNames(name, httpServices));
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Middlewares owned by a route that a set of its routers reference
+   * @private
+   */
+  _getRouteMiddlewareNames(routerNames, routers, routeName) {
+    const names = routerNames
+      .flatMap((name) => routers[name].middlewares || [])
+      .filter((name) => name.startsWith(`${routeName}-`));
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Normalize a target URL to protocol://host:port
+   * @param {string} targetUrl - Target URL, protocol optional
+   * @returns {string} Normalized URL
+   * @private
+   */
+  _normalizeTargetUrl(targetUrl) {
+    let normalized = targetUrl;
+
+    // Normalize targetUrl to ensure it has protocol
+    if (
+      !normalized.startsWith("http://") &&
+      !normalized.startsWith("https://")
+    ) {
+      normalized = `http://${normalized}`;
+    }
+
+    try {
+      const url = new URL(normalized);
+      const port = url.port || (url.protocol === "https:" ? "443" : "80");
+      return `${url.protocol}//${url.hostname}:${port}`;
+    } catch (err) {
+      logger.error(`Invalid target URL: ${targetUrl}`, {
+        error: err.message,
+      });
+      throw new AppError(`Invalid target URL: ${targetUrl}`, 400);
+    }
+  }
+
   /**
    * Check proxy health
    * @returns {Promise<Object>} Health status
@@ -0,0 +1,470 @@
+/**
+ * Reconciler Service
+ *
+ * Compares the desired state (registered agents and the routes written by
+ * the proxy API) with the Traefik keys actually stored in Consul, reports
+ * drift and optionally repairs it. Runs on a schedule and on request.
+ */
+
+const logger = require("../../utils/logger").getLogger("reconcilerService");
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+// Services created by this application: agent/app services, database
+// services and the per-server children of weighted services
+const MANAGED_SERVICE_PATTERN =
+  /(-http|-mongo|-mongo-[a-z0-9-]+|-redis|-postgres|-mysql|-http-srv\d+)$/;
+// Middlewares owned by a single route
+const MANAGED_MIDDLEWARE_PATTERN = /(-mw-[a-z0-9-]+|-passive-hc)$/;
+
+class ReconcilerService {
+  constructor(agentService) {
+    this.agentService = agentService;
+    this.initialized = false;
+    this.running = false;
+    this.reconcileInterval = null;
+    this.lastReport = null;
+    this.intervalMinutes = process.env.RECONCILE_INTERVAL_MINUTES
+      ? parseInt(process.env.RECONCILE_INTERVAL_MINUTES, 10)
+      : DEFAULT_INTERVAL_MINUTES;
+    // Scheduled runs only report drift unless fixing is enabled explicitly
+    this.autoFix = process.env.RECONCILE_AUTO_FIX === "true";
+
+    // Will be loaded from core services during initialize
+    this.consulService = null;
+  }
+
+  /**
+   * Initialize the reconciler service
+   */
+  async initialize() {
+    try {
+      logger.info("Initializing reconciler service");
+
+      const coreServices = require("../core");
+      this.consulService = coreServices.consulService;
+
+      this.initialized = true;
+
+      if (process.env.RECONCILE_ENABLED !== "false") {
+        this.startSchedule();
+      }
+
+      logger.info("Reconciler service initialized successfully");
+      return true;
+    } catch (err) {
+      logger.error(`Failed to initialize reconciler service: ${err.message}`, {
+        error: err.message,
+        stack: err.stack,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Start the background reconcile loop
+   * @param {number} intervalMinutes - Interval in minutes between runs
+   */
+  startSchedule(intervalMinutes = null) {
+    this.stopSchedule();
+
+    const interval = (intervalMinutes || this.intervalMinutes) * 60 * 1000;
+
+    logger.info(
+      `Starting reconcile loop every ${interval / 60 / 1000} minutes (${
+        this.autoFix ? "fixing" : "report only"
+      })`
+    );
+
+    this.reconcileInterval = setInterval(() => {
+      this.reconcile({ dryRun: !this.autoFix }).catch((err) => {
+        logger.error(`Error during scheduled reconcile: ${err.message}`, {
+          error: err.message,
+          stack: err.stack,
+        });
+      });
+    }, interval);
+
+    return true;
+  }
+
+  /**
+   * Stop the background reconcile loop
+   */
+  stopSchedule() {
+    if (this.reconcileInterval) {
+      clearInterval(this.reconcileInterval);
+      this.reconcileInterval = null;
+      logger.info("Reconcile loop stopped");
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Detect drift and, unless dryRun is set, repair it
+   * @param {Object} options - Options
+   * @param {boolean} [options.dryRun] - Only report (default true)
+   * @returns {Promise<Object>} Reconcile report
+   */
+  async reconcile({ dryRun = true } = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (this.running) {
+      return {
+        success: false,
+        error: "A reconcile run is already in progress",
+      };
+    }
+
+    if (!this.consulService || !this.consulService.isInitialized) {
+      return {
+        success: false,
+        error: "Consul service not available",
+      };
+    }
+
+    this.running = true;
+
+    try {
+      const drift = await this.detectDrift();
+      const applied = [];
+      const failed = [];
+
+      if (!dryRun) {
+        for (const item of drift) {
+          try {
+            await this._applyFix(item);
+            applied.push(item);
+          } catch (err) {
+            logger.error(
+              `Failed to fix ${item.type} ${item.name}: ${err.message}`
+            );
+            failed.push({ ...item, error: err.message });
+          }
+        }
+      }
+
+      const report = {
+        success: failed.length === 0,
+        dryRun,
+        checkedAt: new Date().toISOString(),
+        inSync: drift.length === 0,
+        summary: this._summarize(drift),
+        drift,
+        applied: applied.length,
+        failed,
+      };
+
+      this.lastReport = report;
+
+      if (drift.length > 0) {
+        logger.warn(
+          `Reconcile found ${drift.length} difference(s)${
+            dryRun ? " (dry run)" : `, fixed ${applied.length}`
+          }`
+        );
+      } else {
+        logger.debug("Reconcile found no drift");
+      }
+
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Get the report of the last run
+   * @returns {Object|null} Last report
+   */
+  getLastReport() {
+    return this.lastReport;
+  }
+
+  /**
+   * Compare desired state with the Traefik keys in Consul
+   * @returns {Promise<Object[]>} Drift items ({ type, resource, name, message, fix })
+   */
+  async detectDrift() {
+    const actual = {
+      httpRouters: (await this.consulService.getTree("http/routers")) || {},
+      httpServices: (await this.consulService.getTree("http/services")) || {},
+      httpMiddlewares:
+        (await this.consulService.getTree("http/middlewares")) || {},
+      tcpRouters: (await this.consulService.getTree("tcp/routers")) || {},
+      tcpServices: (await this.consulService.getTree("tcp/services")) || {},
+      tcpMiddlewares:
+        (await this.consulService.getTree("tcp/middlewares")) || {},
+    };
+
+    // Only active agents must have live routes. Suspended agents keep
+    // their services and middlewares while their routers are parked, and
+    // offline agents while their routers point at the maintenance page.
+    const agents = this.agentService ? [...this.agentService.agents] : [];
+    const agentIds = new Set(
+      agents
+        .filter(([, record]) => record.state === "active")
+        .map(([agentId]) => agentId)
+    );
+    const isParked = (name) => {
+      const owner =
+        this.agentService && this.agentService.getResourceOwner(name);
+      const record = owner && this.agentService.agents.get(owner);
+      return (
+        !!record &&
+        (record.state === "suspended" || !!record.health?.maintenance)
+      );
+    };
+
+    return [
+      ...this._checkAgents(agentIds, actual),
+      ...this._checkRouters(
+        "http",
+        actual.httpRouters,
+        actual.httpServices,
+        agentIds
+      ),
+      ...this._checkRouters(
+        "tcp",
+        actual.tcpRouters,
+        actual.tcpServices,
+        agentIds
+      ),
+      ...this._checkServices(
+        "http",
+        actual.httpRouters,
+        actual.httpServices,
+        agentIds,
+        isParked
+      ),
+      ...this._checkServices(
+        "tcp",
+        actual.tcpRouters,
+        actual.tcpServices,
+        agentIds,
+        isParked
+      ),
+      ...this._checkMiddlewares(
+        "http",
+        actual.httpRouters,
+        actual.httpMiddlewares,
+        isParked
+      ),
+      ...this._checkMiddlewares(
+        "tcp",
+        actual.tcpRouters,
+        actual.tcpMiddlewares,
+        isParked
+      ),
+    ];
+  }
+
+  /**
+   * Active agents must have their HTTP and TCP router/service pairs
+   * pointing at the registered address
+   * @private
+   */
+  _checkAgents(agentIds, actual) {
+    const drift = [];
+
+    for (const agentId of agentIds) {
+      const config = this.agentService.getAgentConsulConfig(agentId);
+      const expectedUrl = `http://${config.hostname}:${config.httpPort}`;
+      const expectedAddress = `${config.hostname}:${config.mongoPort}`;
+      const problems = [];
+
+      if (!actual.httpRouters[agentId]) {
+        problems.push(`http router ${agentId} missing`);
+      }
+      if (!actual.tcpRouters[agentId]) {
+        problems.push(`tcp router ${agentId} missing`);
+      }
+
+      const httpService = actual.httpServices[`${agentId}-http`];
+      if (!httpService) {
+        problems.push(`http service ${agentId}-http missing`);
+      } else if (httpService.loadBalancer?.servers?.[0]?.url !== expectedUrl) {
+        problems.push(
+          `http service ${agentId}-http does not target ${expectedUrl}`
+        );
+      }
+
+      const tcpService = actual.tcpServices[`${agentId}-mongo`];
+      if (!tcpService) {
+        problems.push(`tcp service ${agentId}-mongo missing`);
+      } else if (
+        tcpService.loadBalancer?.servers?.[0]?.address !== expectedAddress
+      ) {
+        problems.push(
+          `tcp service ${agentId}-mongo does not target ${expectedAddress}`
+        );
+      }
+
+      if (problems.length > 0) {
+        drift.push({
+          type: "agent_config_drift",
+          resource: "agent",
+          name: agentId,
+          message: problems.join("; "),
+          fix: { action: "register_agent", agentId },
+        });
+      }
+    }
+
+    return drift;
+  }
+
+  /**
+   * Routers must reference an existing service. Routers of registered
+   * agents are covered by the agent check.
+   * @private
+   */
+  _checkRouters(protocol, routers, services, agentIds) {
+    const drift = [];
+
+    for (const [name, router] of Object.entries(routers)) {
+      const service = router && router.service;
+
+      // Services from other providers (name@provider) are not in Consul
+      if (!service || service.includes("@") || services[service]) {
+        continue;
+      }
+
+      if (agentIds.has(name)) {
+        continue;
+      }
+
+      drift.push({
+        type: "dangling_router",
+        resource: `${protocol}/routers`,
+        name,
+        message: `${protocol} router ${name} references missing service ${service}`,
+        fix: { action: "delete", key: `${protocol}/routers/${name}` },
+      });
+    }
+
+    return drift;
+  }
+
+  /**
+   * Managed services must be referenced by a router or a weighted service
+   * @private
+   */
+  _checkServices(protocol, routers, services, agentIds, isParked) {
+    const referenced = new Set(
+      Object.values(routers)
+        .map((router) => router && router.service)
+        .filter(Boolean)
+    );
+
+    // Children of a weighted service are only in use if the parent is
+    const pending = [...referenced];
+    while (pending.length > 0) {
+      const name = pending.pop();
+      for (const entry of services[name]?.weighted?.services || []) {
+        if (!referenced.has(entry.name)) {
+          referenced.add(entry.name);
+          pending.push(entry.name);
+        }
+      }
+    }
+
+    const drift = [];
+
+    for (const name of Object.keys(services)) {
+      if (
+        !MANAGED_SERVICE_PATTERN.test(name) ||
+        referenced.has(name) ||
+        isParked(name)
+      ) {
+        continue;
+      }
+
+      // Restored by the agent check together with the agent's routers
+      const owner = name.replace(/-(http|mongo)$/, "");
+      if (agentIds.has(owner)) {
+        continue;
+      }
+
+      drift.push({
+        type: "orphaned_service",
+        resource: `${protocol}/services`,
+        name,
+        message: `${protocol} service ${name} is not used by any router`,
+        fix: { action: "delete", key: `${protocol}/services/${name}` },
+      });
+    }
+
+    return drift;
+  }
+
+  /**
+   * Route-owned middlewares must still be used by a router
+   * @private
+   */
+  _checkMiddlewares(kind, routers, middlewares, isParked) {
+    const referenced = new Set(
+      Object.values(routers).flatMap((router) => router?.middlewares || [])
+    );
+
+    return Object.keys(middlewares)
+      .filter(
+        (name) =>
+          MANAGED_MIDDLEWARE_PATTERN.test(name) &&
+          !referenced.has(name) &&
+          !isParked(name)
+      )
+      .map((name) => ({
+        type: "orphaned_middleware",
+        resource: `${kind}/middlewares`,
+        name,
+        message: `${kind} middleware ${name} is not used by any router`,
+        fix: { action: "delete", key: `${kind}/middlewares/${name}` },
+      }));
+  }
+
+  /**
+   * Apply the fix of one drift item
+   * @private
+   */
+  async _applyFix(item) {
+    const { fix } = item;
+
+    if (fix.action === "register_agent") {
+      const config = this.agentService.getAgentConsulConfig(fix.agentId);
+      if (!config) {
+        throw new Error(`Agent ${fix.agentId} is no longer registered`);
+      }
+      if (!(await this.consulService.registerAgent(config))) {
+        throw new Error(`Failed to re-register agent ${fix.agentId}`);
+      }
+      logger.info(`Restored Consul configuration of agent ${fix.agentId}`);
+      return;
+    }
+
+    if (fix.action === "delete") {
+      if (!(await this.consulService.delete(fix.key))) {
+        throw new Error(`Failed to delete ${fix.key}`);
+      }
+      logger.info(`Removed ${item.type.replace("_", " ")} ${fix.key}`);
+      return;
+    }
+
+    throw new Error(`Unknown fix action ${fix.action}`);
+  }
+
+  /**
+   * Count drift items per type
+   * @private
+   */
+  _summarize(drift) {
+    return drift.reduce((summary, item) => {
+      summary[item.type] = (summary[item.type] || 0) + 1;
+      return summary;
+    }, {});
+  }
+}
+
+module.exports = ReconcilerService;
@@ -25,6 +25,9 @@ ln -sf /config /app/config/haproxy 2>/dev/null || true
 export NODE_PORT=${NODE_PORT:-3005}
 export NODE_ENV=${NODE_ENV:-production}
 export MONGO_DOMAIN=${MONGO_DOMAIN:-mongodb.cloudlunacy.uk}
+export REDIS_DOMAIN=${REDIS_DOMAIN:-redis.cloudlunacy.uk}
+export POSTGRES_DOMAIN=${POSTGRES_DOMAIN:-postgres.cloudlunacy.uk}
+export MYSQL_DOMAIN=${MYSQL_DOMAIN:-mysql.cloudlunacy.uk}
 export APP_DOMAIN=${APP_DOMAIN:-apps.cloudlunacy.uk}
 
 # Unset NODE_DEBUG to disable module loading logs
@@ -0,0 +1,117 @@
+require("./helpers/env");
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const coreServices = require("../services/core");
+const AcmeChallengeService = require("../services/core/acmeChallengeService");
+const acmeChallengeController = require("../api/controllers/acmeChallengeController");
+const { createConsulService } = require("./helpers/fakeConsul");
+const { serve } = require("./helpers/http");
+
+const TOKEN = "evaGxfADs6pSRb2LAv9IZf17Dt3juxGJ-PCt92wr-oA";
+const KEY_AUTHORIZATION = `${TOKEN}.9jg46WB3rR_AHD-EBXdN7cBkH1WOu0tA3M9fm21mqTI`;
+
+describe("ACME HTTP-01 challenges", () => {
+  // The controller answers with the shared instance from core services
+  const shared = coreServices.acmeChallengeService;
+  let original;
+  let consulService;
+  let publisher;
+  let server;
+
+  before(async () => {
+    original = {
+      consulService: shared.consulService,
+      initialized: shared.initialized,
+    };
+
+    // Mounted like server.js does, outside /api
+    const router = express.Router();
+    router.get("/:token", acmeChallengeController.getChallenge);
+    server = await serve("/.well-known/acme-challenge", router);
+  });
+
+  after(async () => {
+    Object.assign(shared, original);
+    await server.close();
+  });
+
+  beforeEach(() => {
+    consulService = createConsulService();
+    Object.assign(shared, { consulService, initialized: true });
+
+    // Another front instance, the one running the ACME order
+    publisher = new AcmeChallengeService();
+    publisher.consulService = consulService;
+    publisher.initialized = true;
+  });
+
+  const fetchChallenge = (token) =>
+    server.request("GET", `/.well-known/acme-challenge/${token}`);
+
+  it("answers with key authorizations published by any instance", async () => {
+    await publisher.present(TOKEN, KEY_AUTHORIZATION);
+
+    assert.deepEqual(await fetchChallenge(TOKEN), {
+      status: 200,
+      body: KEY_AUTHORIZATION,
+    });
+
+    await publisher.cleanup(TOKEN);
+    assert.equal((await fetchChallenge(TOKEN)).status, 404);
+  });
+
+  it("does not answer unknown, invalid or expired tokens", async () => {
+    await publisher.present(TOKEN, KEY_AUTHORIZATION);
+
+    assert.equal((await fetchChallenge(`${TOKEN}x`)).status, 404);
+    assert.equal((await fetchChallenge("short")).status, 404);
+    assert.equal((await fetchChallenge("..%2Fsecret-token-value")).status, 404);
+
+    await consulService.setData(`acme-challenges/${TOKEN}`, {
+      keyAuthorization: KEY_AUTHORIZATION,
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+    assert.equal((await fetchChallenge(TOKEN)).status, 404);
+
+    await assert.rejects(publisher.present("bad token!", "x"), {
+      statusCode: 400,
+    });
+  });
+
+  it("routes the challenge path of every host to the node app", async () => {
+    publisher.serviceUrl = "http://node-app:3005";
+    assert.equal(await publisher.registerRouter(), true);
+
+    assert.deepEqual(
+      await consulService.getTree("http/routers/acme-http-challenge"),
+      {
+        entryPoints: ["web"],
+        rule: "PathPrefix(`/.well-known/acme-challenge/`)",
+        // Ahead of the entrypoint's redirect to websecure
+        priority: "2147483647",
+        service: "acme-http-challenge",
+      }
+    );
+    assert.equal(
+      (await consulService.getTree("http/services/acme-http-challenge"))
+        .loadBalancer.servers[0].url,
+      "http://node-app:3005"
+    );
+  });
+
+  it("prunes challenges whose cleanup failed", async () => {
+    await publisher.present(TOKEN, KEY_AUTHORIZATION);
+    const stale = "stale-token-0123456789";
+    await consulService.setData(`acme-challenges/${stale}`, {
+      keyAuthorization: "x",
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    await publisher._pruneExpired();
+
+    assert.equal(await consulService.getData(`acme-challenges/${stale}`), null);
+    assert.equal(await publisher.getKeyAuthorization(TOKEN), KEY_AUTHORIZATION);
+  });
+});
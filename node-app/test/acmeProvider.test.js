@@ -0,0 +1,247 @@
+require("./helpers/env");
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const acme = require("acme-client");
+const AcmeProvider = require("../utils/certProviders/acmeProvider");
+const AcmeChallengeService = require("../services/core/acmeChallengeService");
+const { createConsulService } = require("./helpers/fakeConsul");
+
+/**
+ * Scripted ACME server side of the acme-client Client calls AcmeProvider
+ * makes. Each identifier gets an authorization offering http-01 and dns-01;
+ * verifyChallenge asks the given check whether the challenge is published.
+ */
+function createAcmeClient({ isPublished, failValidation = false }) {
+  const calls = {
+    orders: [],
+    verified: [],
+    completed: [],
+    csrs: [],
+    revoked: [],
+  };
+  let tokens = 0;
+
+  const client = {
+    calls,
+    async createOrder({ identifiers }) {
+      calls.orders.push(identifiers.map((identifier) => identifier.value));
+      return { identifiers, status: "pending" };
+    },
+    async getAuthorizations(order) {
+      return order.identifiers.map(({ value }) => ({
+        identifier: { type: "dns", value: value.replace(/^\*\./, "") },
+        wildcard: value.startsWith("*."),
+        status: value === "valid.example.com" ? "valid" : "pending",
+        challenges: ["http-01", "dns-01"].map((type) => ({
+          type,
+          token: `token${String(++tokens).padStart(16, "0")}`,
+        })),
+      }));
+    },
+    async getChallengeKeyAuthorization(challenge) {
+      return `${challenge.token}.thumbprint`;
+    },
+    async verifyChallenge(authz, challenge) {
+      const keyAuthorization = `${challenge.token}.thumbprint`;
+      assert.equal(
+        await isPublished(authz, challenge, keyAuthorization),
+        true,
+        `${challenge.type} challenge of ${authz.identifier.value} is published`
+      );
+      calls.verified.push(`${challenge.type}:${authz.identifier.value}`);
+    },
+    async completeChallenge(challenge) {
+      calls.completed.push(challenge.token);
+    },
+    async waitForValidStatus() {
+      if (failValidation) {
+        throw new Error("Authorization not valid");
+      }
+    },
+    async finalizeOrder(order, csr) {
+      calls.csrs.push(csr.toString());
+      return { ...order, status: "valid" };
+    },
+    async getCertificate() {
+      return "-----BEGIN CERTIFICATE-----\nissued\n-----END CERTIFICATE-----\n";
+    },
+    async revokeCertificate(certificate, { reason }) {
+      calls.revoked.push({ certificate, reason });
+    },
+  };
+
+  return client;
+}
+
+describe("AcmeProvider", () => {
+  let certsDir;
+  let challengeService;
+
+  before(() => {
+    certsDir = fs.mkdtempSync(path.join(os.tmpdir(), "cloudlunacy-acme-"));
+  });
+
+  after(() => {
+    fs.rmSync(certsDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    challengeService = new AcmeChallengeService();
+    challengeService.consulService = createConsulService();
+    challengeService.initialized = true;
+  });
+
+  const createProvider = (config, client) => {
+    const provider = new AcmeProvider({
+      certsDir,
+      keySize: 2048,
+      httpChallengeStore: challengeService,
+      ...config,
+    });
+    provider.clientPromise = Promise.resolve(client);
+    return provider;
+  };
+
+  const httpPublished = async (authz, challenge, keyAuthorization) =>
+    (await challengeService.getKeyAuthorization(challenge.token)) ===
+    keyAuthorization;
+
+  it("solves HTTP-01 challenges through the challenge store", async () => {
+    const client = createAcmeClient({ isPublished: httpPublished });
+    const provider = createProvider({ challengeType: "http" }, client);
+
+    const result = await provider.generateCertificate("example.com", {
+      subjectAltNames: ["www.example.com", "valid.example.com"],
+    });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(client.calls.orders, [
+      ["example.com", "www.example.com", "valid.example.com"],
+    ]);
+    // Authorizations that are still valid are not solved again
+    assert.deepEqual(client.calls.verified, [
+      "http-01:example.com",
+      "http-01:www.example.com",
+    ]);
+
+    const { commonName, altNames } = acme.crypto.readCsrDomains(
+      client.calls.csrs[0]
+    );
+    assert.equal(commonName, "example.com");
+    assert.deepEqual(altNames.sort(), [
+      "example.com",
+      "valid.example.com",
+      "www.example.com",
+    ]);
+
+    assert.match(fs.readFileSync(result.certPath, "utf8"), /issued/);
+    assert.equal(fs.statSync(result.keyPath).mode & 0o777, 0o600);
+
+    // Challenges are removed once validated
+    for (const token of client.calls.completed) {
+      assert.equal(await challengeService.getKeyAuthorization(token), null);
+    }
+  });
+
+  it("solves DNS-01 challenges of wildcards through the DNS plugin", async () => {
+    let provider;
+    const client = createAcmeClient({
+      isPublished: async (authz, challenge, keyAuthorization) =>
+        provider.dnsPlugin
+          .lookup(`_acme-challenge.${authz.identifier.value}`)
+          .includes(keyAuthorization),
+    });
+    provider = createProvider(
+      { challengeType: "dns", dnsProvider: "memory" },
+      client
+    );
+
+    const result = await provider.generateCertificate("example.com", {
+      isWildcard: true,
+    });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(client.calls.orders, [["example.com", "*.example.com"]]);
+    assert.deepEqual(client.calls.verified, [
+      "dns-01:example.com",
+      "dns-01:example.com",
+    ]);
+    assert.equal(provider.dnsPlugin.records.size, 0);
+  });
+
+  it("cleans up and reports failed validations", async () => {
+    const client = createAcmeClient({
+      isPublished: httpPublished,
+      failValidation: true,
+    });
+    const provider = createProvider({ challengeType: "http" }, client);
+
+    const result = await provider.generateCertificate("failed.example.com");
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /not valid/);
+    assert.equal(client.calls.csrs.length, 0);
+    assert.equal(
+      await challengeService.getKeyAuthorization(client.calls.completed[0]),
+      null
+    );
+    assert.equal(
+      fs.existsSync(path.join(certsDir, "failed.example.com.crt")),
+      false
+    );
+  });
+
+  it("renews through the same order flow", async () => {
+    const client = createAcmeClient({ isPublished: httpPublished });
+    const provider = createProvider({ challengeType: "http" }, client);
+
+    const result = await provider.renewCertificate("renew.example.com");
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(client.calls.orders, [["renew.example.com"]]);
+  });
+
+  it("revokes with the reason code and removes the local files", async () => {
+    const client = createAcmeClient({ isPublished: httpPublished });
+    const provider = createProvider({ challengeType: "http" }, client);
+    await provider.generateCertificate("revoke.example.com");
+
+    await assert.rejects(
+      provider.revokeCertificate("revoke.example.com", "stolen"),
+      { statusCode: 400 }
+    );
+
+    const result = await provider.revokeCertificate(
+      "revoke.example.com",
+      "keyCompromise"
+    );
+    assert.equal(result.success, true, result.error);
+    assert.equal(client.calls.revoked[0].reason, 1);
+    assert.match(client.calls.revoked[0].certificate, /issued/);
+    assert.equal(
+      fs.existsSync(path.join(certsDir, "revoke.example.com.crt")),
+      false
+    );
+
+    const missing = await provider.revokeCertificate("revoke.example.com");
+    assert.equal(missing.success, false);
+  });
+
+  it("keeps one account per directory URL", () => {
+    const pebble = new AcmeProvider({
+      certsDir,
+      acmeServer: "https://localhost:14000/dir",
+    });
+    const staging = new AcmeProvider({ certsDir, acmeStaging: true });
+
+    const { keyPath } = pebble._accountPaths();
+    assert.equal(path.dirname(keyPath), path.join(certsDir, "acme-account"));
+    assert.match(path.basename(keyPath), /^localhost_14000-[0-9a-f]{8}\.key$/);
+    assert.notEqual(staging._accountPaths().keyPath, keyPath);
+    assert.deepEqual(pebble._accountPaths(), pebble._accountPaths());
+  });
+});
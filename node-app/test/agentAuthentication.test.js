@@ -0,0 +1,382 @@
+require("./helpers/env");
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const coreServices = require("../services/core");
+const AgentService = require("../services/core/agentService");
+const EnrollmentService = require("../services/core/enrollmentService");
+const agentController = require("../api/controllers/agentController");
+const { createConsulService } = require("./helpers/fakeConsul");
+const { invoke } = require("./helpers/http");
+
+describe("Agent authentication", () => {
+  let originals;
+  let consulService;
+  let agentService;
+  let enrollmentService;
+
+  beforeEach(async () => {
+    originals = {
+      agentService: coreServices.agentService,
+      enrollmentService: coreServices.enrollmentService,
+    };
+
+    consulService = createConsulService();
+    agentService = new AgentService();
+    agentService.consulService = consulService;
+    agentService.initialized = true;
+    await agentService._loadTokenState();
+
+    enrollmentService = new EnrollmentService();
+    enrollmentService.consulService = consulService;
+    enrollmentService.initialized = true;
+
+    coreServices.agentService = agentService;
+    coreServices.enrollmentService = enrollmentService;
+
+    const now = new Date().toISOString();
+    await agentService._saveAgent({
+      ...agentService._newRecord("agent-a", now),
+      state: "active",
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(coreServices, originals);
+  });
+
+  const authenticate = (body, extra = {}) =>
+    invoke(agentController.authenticateAgent, { body, ...extra });
+
+  it("does not issue tokens without credentials", async () => {
+    const result = await authenticate({ agentId: "agent-a" });
+
+    assert.equal(result.status, 401);
+    assert.equal(agentService.agentSecrets.has("agent-a"), false);
+  });
+
+  it("rejects unknown agents without writing a secret", async () => {
+    const result = await authenticate({ agentId: "intruder" });
+
+    assert.equal(result.status, 404);
+    assert.equal(
+      consulService.consul.kv.store.has("cloudlunacy/agent-secrets/intruder"),
+      false
+    );
+    await assert.rejects(agentService.issueTokens("intruder"), {
+      statusCode: 404,
+    });
+    assert.equal(agentService.isAgentActive("intruder"), false);
+  });
+
+  it("exchanges a refresh token of the same agent", async () => {
+    const { refreshToken } = await agentService.issueTokens("agent-a");
+
+    const result = await authenticate({ agentId: "agent-a", refreshToken });
+    assert.equal(result.status, 200);
+    assert.equal(
+      (await agentService.verifyAgentToken(result.body.token)).agentId,
+      "agent-a"
+    );
+
+    // Refresh tokens work once
+    const reused = await authenticate({ agentId: "agent-a", refreshToken });
+    assert.equal(reused.status, 401);
+  });
+
+  it("rejects a refresh token of another agent", async () => {
+    const now = new Date().toISOString();
+    await agentService._saveAgent({
+      ...agentService._newRecord("agent-b", now),
+      state: "active",
+    });
+    const { refreshToken } = await agentService.issueTokens("agent-b");
+
+    const result = await authenticate({ agentId: "agent-a", refreshToken });
+    assert.equal(result.status, 401);
+
+    // The token was not used up
+    const own = await authenticate({ agentId: "agent-b", refreshToken });
+    assert.equal(own.status, 200);
+  });
+
+  it("accepts the agent's client certificate", async () => {
+    const user = { agentId: "agent-a", role: "agent", authMethod: "mtls" };
+
+    const result = await authenticate({ agentId: "agent-a" }, { user });
+    assert.equal(result.status, 200);
+
+    const other = await authenticate(
+      { agentId: "agent-a" },
+      { user: { ...user, agentId: "agent-b" } }
+    );
+    assert.equal(other.status, 401);
+  });
+
+  it("accepts an enrollment token issued for the agent once", async () => {
+    const { token } = await enrollmentService.createToken({
+      agentId: "agent-a",
+    });
+    const req = { ip: "203.0.113.10" };
+
+    const result = await authenticate(
+      { agentId: "agent-a", enrollmentToken: token },
+      req
+    );
+    assert.equal(result.status, 200);
+
+    const reused = await authenticate(
+      { agentId: "agent-a", enrollmentToken: token },
+      req
+    );
+    assert.equal(reused.status, 401);
+  });
+
+  it("rejects enrollment tokens not bound to the agent", async () => {
+    const { token } = await enrollmentService.createToken();
+
+    const result = await authenticate(
+      { agentId: "agent-a", enrollmentToken: token },
+      { ip: "203.0.113.10" }
+    );
+    assert.equal(result.status, 403);
+  });
+
+  it("rejects suspended agents", async () => {
+    const record = agentService.getAgent("agent-a");
+    await agentService._saveAgent({ ...record, state: "suspended" });
+    const { refreshToken } = await agentService.issueTokens("agent-a");
+
+    const result = await authenticate({ agentId: "agent-a", refreshToken });
+    assert.equal(result.status, 403);
+  });
+});
+
+describe("Agent re-registration", () => {
+  let originals;
+  let agentService;
+  let enrollmentService;
+  let registered;
+
+  beforeEach(async () => {
+    originals = {
+      agentService: coreServices.agentService,
+      enrollmentService: coreServices.enrollmentService,
+    };
+
+    const consulService = createConsulService();
+    agentService = new AgentService();
+    agentService.consulService = consulService;
+    agentService.initialized = true;
+    await agentService._loadTokenState();
+
+    enrollmentService = new EnrollmentService();
+    enrollmentService.consulService = consulService;
+    enrollmentService.initialized = true;
+
+    coreServices.agentService = agentService;
+    coreServices.enrollmentService = enrollmentService;
+
+    const now = new Date().toISOString();
+    await agentService._saveAgent({
+      ...agentService._newRecord("agent-a", now),
+      state: "active",
+    });
+
+    // Only the authorization is under test
+    registered = [];
+    agentService.registerAgent = async (agentId, targetIp) => {
+      registered.push({ agentId, targetIp });
+      return { token: "new-token", tlsEnabled: true };
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(coreServices, originals);
+  });
+
+  const register = (body, extra = {}) =>
+    invoke(agentController.registerAgent, {
+      body,
+      ip: "203.0.113.10",
+      ...extra,
+    });
+
+  it("does not accept an access token", async () => {
+    const { accessToken } = await agentService.issueTokens("agent-a");
+
+    const result = await register(
+      { agentId: "agent-a" },
+      { headers: { authorization: `Bearer ${accessToken}` } }
+    );
+
+    assert.equal(result.status, 401);
+    assert.equal(registered.length, 0);
+  });
+
+  it("accepts a refresh token of the agent once", async () => {
+    const { refreshToken } = await agentService.issueTokens("agent-a");
+
+    const result = await register({ agentId: "agent-a", refreshToken });
+    assert.equal(result.status, 201);
+    assert.deepEqual(registered, [
+      { agentId: "agent-a", targetIp: "203.0.113.10" },
+    ]);
+
+    const reused = await register({ agentId: "agent-a", refreshToken });
+    assert.equal(reused.status, 401);
+  });
+
+  it("keeps the refresh token when the registration fails", async () => {
+    const { refreshToken } = await agentService.issueTokens("agent-a");
+    const registerAgent = agentService.registerAgent;
+    agentService.registerAgent = async () => {
+      throw new Error("Consul unavailable");
+    };
+
+    const failed = await register({ agentId: "agent-a", refreshToken });
+    assert.equal(failed.status, 500);
+
+    agentService.registerAgent = registerAgent;
+    const retried = await register({ agentId: "agent-a", refreshToken });
+    assert.equal(retried.status, 201);
+  });
+
+  it("lets agents whose first registration failed retry with the same token", async () => {
+    const { token } = await enrollmentService.createToken();
+    await agentService._saveAgent({
+      ...agentService._newRecord("agent-new", new Date().toISOString()),
+      state: "pending",
+    });
+
+    const result = await register({
+      agentId: "agent-new",
+      enrollmentToken: token,
+    });
+    assert.equal(result.status, 201);
+
+    // Registered agents need a token issued for them
+    const { token: other } = await enrollmentService.createToken();
+    const taken = await register({
+      agentId: "agent-a",
+      enrollmentToken: other,
+    });
+    assert.equal(taken.status, 403);
+  });
+
+  it("accepts the agent's client certificate", async () => {
+    const result = await register(
+      { agentId: "agent-a" },
+      { user: { agentId: "agent-a", role: "agent", authMethod: "mtls" } }
+    );
+
+    assert.equal(result.status, 201);
+  });
+
+  it("checks the enrollment token's CIDR against the request address", async () => {
+    const { token } = await enrollmentService.createToken({
+      agentId: "agent-a",
+      cidr: "198.51.100.0/24",
+    });
+
+    const spoofed = await register(
+      { agentId: "agent-a", enrollmentToken: token },
+      { headers: { "x-forwarded-for": "198.51.100.7" } }
+    );
+    assert.equal(spoofed.status, 403);
+
+    const result = await register(
+      { agentId: "agent-a", enrollmentToken: token },
+      { ip: "198.51.100.7" }
+    );
+    assert.equal(result.status, 201);
+    assert.equal(registered[0].targetIp, "198.51.100.7");
+  });
+
+  it("keeps existing agents closed while enrollment is optional", async () => {
+    process.env.AGENT_ENROLLMENT_REQUIRED = "false";
+    try {
+      const existing = await register({ agentId: "agent-a" });
+      assert.equal(existing.status, 401);
+
+      const created = await register({ agentId: "agent-new" });
+      assert.equal(created.status, 201);
+    } finally {
+      delete process.env.AGENT_ENROLLMENT_REQUIRED;
+    }
+  });
+});
+
+describe("Agent token state across instances", () => {
+  let consulService;
+  let first;
+  let second;
+
+  const createInstance = async () => {
+    const service = new AgentService();
+    // Instances share JWT_SECRET
+    service.jwtSecret = "shared-jwt-secret";
+    service.consulService = consulService;
+    service.initialized = true;
+    await service._loadTokenState();
+    await service._saveAgent({
+      ...service._newRecord("agent-a", new Date().toISOString()),
+      state: "active",
+    });
+    return service;
+  };
+
+  beforeEach(async () => {
+    consulService = createConsulService();
+    first = await createInstance();
+    second = await createInstance();
+  });
+
+  it("accepts tokens of agents and keys created by another instance", async () => {
+    const { accessToken } = await first.issueTokens("agent-a");
+    assert.equal(
+      (await second.verifyAgentToken(accessToken)).agentId,
+      "agent-a"
+    );
+
+    await first.rotateSigningKey();
+    const rotated = await first.issueTokens("agent-a");
+    assert.equal(
+      (await second.verifyAgentToken(rotated.accessToken)).agentId,
+      "agent-a"
+    );
+  });
+
+  it("rejects tokens another instance revoked once the state expires", async () => {
+    const { refreshToken } = await first.issueTokens("agent-a");
+    await second.verifyAgentToken(refreshToken, { type: "refresh" });
+
+    await first.refreshTokens(refreshToken);
+    second.tokenStateLoadedAt -= second.tokenStateTtl * 1000;
+
+    await assert.rejects(
+      second.verifyAgentToken(refreshToken, { type: "refresh" }),
+      { name: "TokenRevokedError" }
+    );
+    await assert.rejects(second.refreshTokens(refreshToken), {
+      statusCode: 401,
+    });
+  });
+
+  it("accepts tokens without key ID only when legacy tokens are allowed", async () => {
+    const legacy = jwt.sign(
+      { agentId: "agent-a", role: "admin", type: "access" },
+      first.jwtSecret,
+      { expiresIn: 60 }
+    );
+
+    await assert.rejects(first.verifyAgentToken(legacy), {
+      name: "JsonWebTokenError",
+      message: /key ID/,
+    });
+
+    first.allowLegacyTokens = true;
+    assert.equal((await first.verifyAgentToken(legacy)).role, "admin");
+  });
+});
@@ -0,0 +1,181 @@
+require("./helpers/env");
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const AgentService = require("../services/core/agentService");
+const { createConsulService } = require("./helpers/fakeConsul");
+
+const MAINTENANCE_URL = "http://maintenance.internal:8080";
+
+describe("Agent heartbeats", () => {
+  let consulService;
+  let agentService;
+  let events;
+
+  beforeEach(async () => {
+    consulService = createConsulService();
+
+    agentService = new AgentService();
+    agentService.consulService = consulService;
+    agentService.initialized = true;
+    agentService.degradedAfterSeconds = 90;
+    agentService.offlineAfterSeconds = 300;
+    agentService.diskDegradedPercent = 90;
+
+    for (const [agentId, state] of [
+      ["agent-a", "active"],
+      ["agent-q", "active"],
+      ["agent-s", "suspended"],
+    ]) {
+      await agentService._saveAgent({
+        ...agentService._newRecord(agentId, new Date().toISOString()),
+        state,
+        targetIp: "203.0.113.10",
+      });
+    }
+    await consulService.registerAgent(
+      agentService.getAgentConsulConfig("agent-a")
+    );
+
+    events = [];
+    agentService.on("agent-health-changed", ({ agentId, status }) =>
+      events.push(`${agentId}:${status}`)
+    );
+  });
+
+  /**
+   * Move the agent's last heartbeat into the past
+   */
+  async function age(agentId, seconds) {
+    const record = agentService.getAgent(agentId);
+    await agentService._saveAgent({
+      ...record,
+      health: {
+        ...record.health,
+        lastHeartbeat: new Date(Date.now() - seconds * 1000).toISOString(),
+      },
+    });
+  }
+
+  it("stores heartbeats and derives the health from them", async () => {
+    const record = await agentService.recordHeartbeat("agent-a", {
+      version: "2.0.0",
+      load: 0.5,
+      disk: { usedPercent: 40, freeBytes: 1024 },
+      containers: ["web", { name: "db", image: "mongo:7", status: "running" }],
+    });
+
+    assert.equal(record.version, "2.0.0");
+    assert.equal(record.health.status, "healthy");
+    assert.deepEqual(record.health.load, [0.5]);
+    assert.deepEqual(record.health.containers, [
+      { name: "web", image: null, status: null },
+      { name: "db", image: "mongo:7", status: "running" },
+    ]);
+    assert.deepEqual(
+      (await consulService.getData("agents/agent-a")).health.disk,
+      { usedPercent: 40, freeBytes: 1024 }
+    );
+
+    const full = await agentService.recordHeartbeat("agent-a", { disk: 95 });
+    assert.equal(full.health.status, "degraded");
+    assert.deepEqual(full.health.reasons, ["Disk 95% used"]);
+    assert.deepEqual(events, ["agent-a:healthy", "agent-a:degraded"]);
+  });
+
+  it("marks agents degraded and then offline when heartbeats stop", async () => {
+    await agentService.recordHeartbeat("agent-a");
+    events.length = 0;
+
+    await age("agent-a", 120);
+    assert.deepEqual(await agentService.checkAgentHealth(), [
+      { agentId: "agent-a", previous: "healthy", status: "degraded" },
+    ]);
+
+    await age("agent-a", 400);
+    const [transition] = await agentService.checkAgentHealth();
+    assert.equal(transition.status, "offline");
+    assert.match(
+      agentService.getAgent("agent-a").health.reasons[0],
+      /No heartbeat for 4\d\ds/
+    );
+
+    // Nothing changes without a new transition; agent-q never sent one
+    assert.deepEqual(await agentService.checkAgentHealth(), []);
+    assert.equal(agentService.getAgent("agent-q").health, null);
+    assert.deepEqual(events, ["agent-a:degraded", "agent-a:offline"]);
+  });
+
+  it("routes offline agents to the maintenance page until they return", async () => {
+    agentService.maintenanceUrl = MAINTENANCE_URL;
+    await agentService.recordHeartbeat("agent-a");
+
+    await age("agent-a", 400);
+    await agentService.checkAgentHealth();
+
+    assert.equal(agentService.getAgent("agent-a").health.maintenance, true);
+    assert.equal(
+      (await consulService.getTree("http/routers/agent-a")).service,
+      "maintenance-page"
+    );
+    assert.equal(
+      (await consulService.getTree("http/services/maintenance-page"))
+        .loadBalancer.servers[0].url,
+      MAINTENANCE_URL
+    );
+
+    const back = await agentService.recordHeartbeat("agent-a");
+    assert.equal(back.health.status, "healthy");
+    assert.equal(back.health.maintenance, false);
+    assert.equal(
+      (await consulService.getTree("http/routers/agent-a")).service,
+      "agent-a-http"
+    );
+    assert.equal(
+      await consulService.getData("maintenance-routers/agent-a"),
+      null
+    );
+  });
+
+  it("parks the original routers when an agent in maintenance is suspended", async () => {
+    agentService.maintenanceUrl = MAINTENANCE_URL;
+    await agentService.recordHeartbeat("agent-a");
+    await age("agent-a", 400);
+    await agentService.checkAgentHealth();
+
+    await agentService.suspendAgent("agent-a");
+    assert.equal(agentService.getAgent("agent-a").health.maintenance, false);
+
+    await agentService.resumeAgent("agent-a");
+    assert.equal(
+      (await consulService.getTree("http/routers/agent-a")).service,
+      "agent-a-http"
+    );
+  });
+
+  it("rejects heartbeats of inactive agents and invalid payloads", async () => {
+    await assert.rejects(agentService.recordHeartbeat("agent-s"), {
+      statusCode: 409,
+    });
+    await assert.rejects(agentService.recordHeartbeat("agent-x"), {
+      statusCode: 404,
+    });
+
+    for (const payload of [
+      { version: "" },
+      { load: [1, 2, 3, 4] },
+      { load: -1 },
+      { disk: 101 },
+      { disk: { freeBytes: 1 } },
+      { containers: "web" },
+      { containers: [{ image: "nginx" }] },
+    ]) {
+      await assert.rejects(
+        agentService.recordHeartbeat("agent-a", payload),
+        { statusCode: 400 },
+        JSON.stringify(payload)
+      );
+    }
+    assert.equal(agentService.getAgent("agent-a").health, null);
+  });
+});
@@ -0,0 +1,232 @@
+require("./helpers/env");
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const coreServices = require("../services/core");
+const AgentService = require("../services/core/agentService");
+const { createConsulService } = require("./helpers/fakeConsul");
+
+const TARGET_IP = "203.0.113.10";
+
+describe("Agent registry", () => {
+  let originalCustomDomainService;
+  let consulService;
+  let agentService;
+
+  /**
+   * Agent service of one instance on the shared Consul
+   */
+  async function createAgentService() {
+    const service = new AgentService();
+    service.consulService = consulService;
+    await service._loadAgentsFromConsul();
+    await service._loadTokenState();
+    service.initialized = true;
+    return service;
+  }
+
+  /**
+   * Store an active agent with its Traefik configuration and an app route
+   */
+  async function addAgent(agentId, metadata = {}) {
+    await agentService._saveAgent({
+      ...agentService._newRecord(agentId, new Date().toISOString()),
+      ...metadata,
+      state: "active",
+      targetIp: TARGET_IP,
+    });
+    await consulService.registerAgent(
+      agentService.getAgentConsulConfig(agentId)
+    );
+    await consulService.registerHttpRoute({
+      routers: {
+        [`${agentId}_web`]: {
+          entryPoints: ["websecure"],
+          rule: `Host(\`web.${agentId}.apps.example.com\`)`,
+          service: `${agentId}_web-http`,
+        },
+      },
+      services: {
+        [`${agentId}_web-http`]: {
+          loadBalancer: { servers: [{ url: `http://${TARGET_IP}:3000` }] },
+        },
+      },
+    });
+  }
+
+  beforeEach(async () => {
+    originalCustomDomainService = coreServices.customDomainService;
+    coreServices.customDomainService = null;
+    consulService = createConsulService();
+    agentService = await createAgentService();
+  });
+
+  afterEach(() => {
+    coreServices.customDomainService = originalCustomDomainService;
+  });
+
+  it("persists records and metadata for other instances", async () => {
+    await addAgent("agent-a", { owner: "team-a" });
+    await agentService.updateAgent("agent-a", {
+      hostname: "host-a.example.com",
+      version: "1.2.0",
+      capabilities: ["mongodb", "redis", "mongodb"],
+      labels: { region: "eu", tier: "gold" },
+    });
+    const updated = await agentService.updateAgent("agent-a", {
+      labels: { tier: null, zone: "eu-1" },
+    });
+
+    assert.deepEqual(updated.labels, { region: "eu", zone: "eu-1" });
+    assert.deepEqual(updated.capabilities, ["mongodb", "redis"]);
+
+    const other = await createAgentService();
+    const record = other.getAgent("agent-a");
+    assert.equal(record.state, "active");
+    assert.equal(record.owner, "team-a");
+    assert.equal(record.hostname, "host-a.example.com");
+    assert.deepEqual(record.labels, { region: "eu", zone: "eu-1" });
+  });
+
+  it("filters agents by state, owner, capability and labels", async () => {
+    await addAgent("agent-a", {
+      owner: "team-a",
+      capabilities: ["mongodb"],
+      labels: { region: "eu" },
+    });
+    await addAgent("agent-b", {
+      owner: "team-b",
+      capabilities: ["redis"],
+      labels: { region: "us" },
+    });
+    await agentService.suspendAgent("agent-b");
+
+    const ids = (filters) =>
+      agentService.listAgents(filters).map((record) => record.agentId);
+
+    assert.deepEqual(ids(), ["agent-a", "agent-b"]);
+    assert.deepEqual(ids({ state: "suspended" }), ["agent-b"]);
+    assert.deepEqual(ids({ owner: "team-a" }), ["agent-a"]);
+    assert.deepEqual(ids({ capability: "redis" }), ["agent-b"]);
+    assert.deepEqual(ids({ labels: { region: "us" } }), ["agent-b"]);
+    assert.deepEqual(ids({ labels: { region: null } }), ["agent-a", "agent-b"]);
+    assert.deepEqual(ids({ labels: { zone: null } }), []);
+    assert.throws(() => agentService.listAgents({ state: "gone" }), {
+      statusCode: 400,
+    });
+  });
+
+  it("rejects invalid metadata", async () => {
+    await addAgent("agent-a");
+
+    for (const updates of [
+      { hostname: "-bad-" },
+      { version: "" },
+      { owner: "x".repeat(129) },
+      { capabilities: "mongodb" },
+      { capabilities: ["bad capability"] },
+      { labels: ["region"] },
+      { labels: { "bad key!": "x" } },
+      { labels: { region: "x".repeat(64) } },
+    ]) {
+      await assert.rejects(
+        agentService.updateAgent("agent-a", updates),
+        { statusCode: 400 },
+        JSON.stringify(updates)
+      );
+    }
+    await assert.rejects(agentService.updateAgent("agent-x", {}), {
+      statusCode: 404,
+    });
+  });
+
+  it("parks the routers of suspended agents until they resume", async () => {
+    await addAgent("agent-a");
+    await addAgent("agent-b");
+    const routers = await consulService.getTree("http/routers");
+
+    const suspended = await agentService.suspendAgent("agent-a");
+
+    assert.equal(suspended.state, "suspended");
+    assert.equal(agentService.isAgentActive("agent-a"), false);
+    assert.deepEqual(
+      Object.keys(await consulService.getTree("http/routers")).sort(),
+      ["agent-b", "agent-b_web"]
+    );
+    assert.deepEqual(Object.keys(await consulService.getTree("tcp/routers")), [
+      "agent-b",
+    ]);
+    // Services stay so the routes come back unchanged
+    assert.ok(await consulService.getTree("http/services/agent-a_web-http"));
+    await assert.rejects(agentService.suspendAgent("agent-a"), {
+      statusCode: 409,
+    });
+
+    const resumed = await agentService.resumeAgent("agent-a");
+
+    assert.equal(resumed.state, "active");
+    assert.deepEqual(await consulService.getTree("http/routers"), routers);
+    assert.equal(
+      await consulService.getData("suspended-routers/agent-a"),
+      null
+    );
+    await assert.rejects(agentService.resumeAgent("agent-a"), {
+      statusCode: 409,
+    });
+  });
+
+  it("removes the configuration of decommissioned agents for good", async () => {
+    await addAgent("agent-a");
+    await addAgent("agent-b");
+
+    const record = await agentService.decommissionAgent("agent-a");
+
+    assert.equal(record.state, "decommissioned");
+    for (const section of ["http/routers", "http/services", "tcp/routers"]) {
+      const names = Object.keys(await consulService.getTree(section));
+      assert.ok(
+        names.every((name) => name.startsWith("agent-b")),
+        `${section}: ${names}`
+      );
+    }
+
+    await assert.rejects(agentService.updateAgent("agent-a", {}), {
+      statusCode: 409,
+    });
+    await assert.rejects(agentService.resumeAgent("agent-a"), {
+      statusCode: 409,
+    });
+    await assert.rejects(agentService.suspendAgent("agent-a"), {
+      statusCode: 409,
+    });
+    // The record is kept for reference
+    assert.equal(
+      (await createAgentService()).getAgent("agent-a").state,
+      "decommissioned"
+    );
+  });
+
+  it("migrates agents that only exist as Traefik configuration", async () => {
+    await consulService.registerAgent({
+      name: "legacy",
+      subdomain: "legacy",
+      hostname: TARGET_IP,
+      httpPort: 8081,
+      mongoPort: 27018,
+      secure: true,
+    });
+    // Application routes have no TCP side and are not agents
+    await addAgent("agent-a");
+    await consulService.deleteData("agents/agent-a");
+
+    const other = await createAgentService();
+
+    const record = other.getAgent("legacy");
+    assert.equal(record.state, "active");
+    assert.equal(record.targetIp, TARGET_IP);
+    assert.equal(record.httpPort, 8081);
+    assert.equal(record.mongoPort, 27018);
+    assert.ok(await consulService.getData("agents/legacy"));
+    assert.equal(other.getAgent("agent-a_web"), null);
+  });
+});
@@ -0,0 +1,144 @@
+require("./helpers/env");
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const baseLogger = require("../utils/logger");
+const AuditService = require("../services/core/auditService");
+
+/**
+ * Audit entry as the audit logger writes it
+ */
+const entry = (id, timestamp, fields = {}) => ({
+  id,
+  timestamp,
+  action: "agent.suspend",
+  actor: { type: "operator", id: "op-1" },
+  agentId: "agent-a",
+  result: { statusCode: 200, success: true },
+  ...fields,
+});
+
+const lines = (...entries) =>
+  entries.map((item) => JSON.stringify(item)).join("\n") + "\n";
+
+describe("AuditService queries", () => {
+  let originalLogDir;
+  let logDir;
+  let audit;
+
+  before(() => {
+    originalLogDir = baseLogger.logDir;
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), "cloudlunacy-audit-"));
+    baseLogger.logDir = logDir;
+
+    const write = (file, content) =>
+      fs.writeFileSync(path.join(logDir, file), content);
+
+    write(
+      "audit-2025-01-01.jsonl",
+      lines(
+        entry("1", "2025-01-01T10:00:00.000Z"),
+        entry("2", "2025-01-01T11:00:00.000Z", { agentId: "agent-b" })
+      )
+    );
+    // Rotated by size: the suffixed file continues the day
+    write(
+      "audit-2025-01-02.jsonl",
+      lines(entry("3", "2025-01-02T10:00:00.000Z")) + "not json\n\n"
+    );
+    write(
+      "audit-2025-01-02.jsonl.1",
+      lines(
+        entry("4", "2025-01-02T12:00:00.000Z", {
+          action: "proxy.add",
+          result: { statusCode: 500, success: false },
+        }),
+        entry("5", "2025-01-02T13:00:00.000Z", {
+          actor: { type: "agent", id: "agent-a" },
+        })
+      )
+    );
+    write("audit-2025-01-03.jsonl", lines(entry("6", "2025-01-03T09:00:00Z")));
+    write("app-2025-01-03.log", "unrelated\n");
+
+    audit = new AuditService();
+  });
+
+  after(() => {
+    baseLogger.logDir = originalLogDir;
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  const ids = (page) => page.entries.map((item) => item.id);
+
+  it("returns entries of every file newest first", async () => {
+    const page = await audit.query();
+
+    assert.deepEqual(ids(page), ["6", "5", "4", "3", "2", "1"]);
+    assert.equal(page.hasMore, false);
+    assert.equal(page.limit, 50);
+    assert.equal(page.offset, 0);
+  });
+
+  it("pages without reading further than needed", async () => {
+    const opened = [];
+    const createReadStream = fs.createReadStream;
+    fs.createReadStream = (file, options) => {
+      opened.push(path.basename(file));
+      return createReadStream(file, options);
+    };
+
+    let first;
+    try {
+      first = await audit.query({ limit: 2 });
+    } finally {
+      fs.createReadStream = createReadStream;
+    }
+
+    assert.deepEqual(ids(first), ["6", "5"]);
+    assert.equal(first.hasMore, true);
+    assert.deepEqual(opened, [
+      "audit-2025-01-03.jsonl",
+      "audit-2025-01-02.jsonl.1",
+    ]);
+
+    const last = await audit.query({ limit: "2", offset: "4" });
+    assert.deepEqual(ids(last), ["2", "1"]);
+    assert.equal(last.hasMore, false);
+  });
+
+  it("filters while reading", async () => {
+    assert.deepEqual(ids(await audit.query({ agentId: "agent-b" })), ["2"]);
+    assert.deepEqual(ids(await audit.query({ actor: "agent-a" })), ["5"]);
+    assert.deepEqual(ids(await audit.query({ action: "proxy.*" })), ["4"]);
+    assert.deepEqual(ids(await audit.query({ result: "failure" })), ["4"]);
+    assert.deepEqual(
+      ids(
+        await audit.query({
+          since: "2025-01-01T11:00:00Z",
+          until: "2025-01-02T12:00:00Z",
+        })
+      ),
+      ["3", "2"]
+    );
+
+    const page = await audit.query({ agentId: "agent-a", limit: 3 });
+    assert.deepEqual(ids(page), ["6", "5", "4"]);
+    assert.equal(page.hasMore, true);
+  });
+
+  it("rejects invalid filters", async () => {
+    for (const filters of [
+      { limit: 0 },
+      { limit: 501 },
+      { offset: -1 },
+      { since: "yesterday" },
+      { result: "maybe" },
+    ]) {
+      await assert.rejects(audit.query(filters), { statusCode: 400 });
+    }
+  });
+});
@@ -0,0 +1,241 @@
+require("./helpers/env");
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const coreServices = require("../services/core");
+const AgentService = require("../services/core/agentService");
+const CaRotationService = require("../services/core/caRotationService");
+const { createConsulService } = require("./helpers/fakeConsul");
+const {
+  createCertificateService,
+  createCsr,
+} = require("./helpers/certificates");
+
+const mongoName = (agentId) => `${agentId}.mongodb.cloudlunacy.uk`;
+
+/**
+ * Fingerprints of the certificates in a PEM bundle
+ */
+function fingerprints(pem) {
+  return (
+    pem.match(/-----BEGIN CERTIFICATE-----[^-]+-----END CERTIFICATE-----/g) ||
+    []
+  ).map((cert) => new crypto.X509Certificate(cert).fingerprint256);
+}
+
+describe("CaRotationService", () => {
+  let originalAgentService;
+  let certificateService;
+  let agentService;
+  let rotation;
+  let events;
+
+  beforeEach(async () => {
+    originalAgentService = coreServices.agentService;
+    certificateService = await createCertificateService();
+
+    agentService = new AgentService();
+    agentService.consulService = createConsulService();
+    agentService.initialized = true;
+    coreServices.agentService = agentService;
+
+    const now = new Date().toISOString();
+    for (const agentId of ["agent-a", "agent-b", "agent-s"]) {
+      await agentService._saveAgent({
+        ...agentService._newRecord(agentId, now),
+        state: "active",
+        targetIp: "203.0.113.10",
+      });
+      await certificateService.signAgentCsr(
+        agentId,
+        createCsr({ commonName: mongoName(agentId) })
+      );
+    }
+
+    // agent-b's CSR is from before CSRs were stored, agent-s is suspended
+    fs.rmSync(
+      path.join(certificateService.agentCertsBaseDir, "agent-b", "agent.csr")
+    );
+    await agentService._saveAgent({
+      ...agentService.getAgent("agent-s"),
+      state: "suspended",
+    });
+
+    rotation = new CaRotationService(certificateService);
+    events = [];
+    rotation.on("ca-changed", (event) => events.push(event.reason));
+  });
+
+  afterEach(() => {
+    coreServices.agentService = originalAgentService;
+    fs.rmSync(certificateService.dir, { recursive: true, force: true });
+  });
+
+  const agentStatuses = (status) =>
+    Object.fromEntries(
+      status.agents.map(({ agentId, status: agentStatus }) => [
+        agentId,
+        agentStatus,
+      ])
+    );
+
+  /**
+   * Start a rotation and wait for the background reissue
+   */
+  async function rotate() {
+    const started = await rotation.startRotation({ requestedBy: "op-1" });
+    assert.equal(started.status, "reissuing");
+    assert.equal(started.pending, 3);
+    await rotation.reissuing;
+    return rotation.getStatus();
+  }
+
+  it("reissues agent certificates under the new root while trusting both", async () => {
+    const oldBundle = fingerprints(await certificateService.getCaBundle());
+    const oldCert = (await certificateService.getAgentCertificates("agent-a"))
+      .serverCert;
+
+    const status = await rotate();
+
+    assert.equal(status.status, "dual-trust");
+    assert.ok(status.dualTrustSince);
+    assert.equal(status.requestedBy, "op-1");
+    assert.notEqual(
+      status.newRoot.fingerprint256,
+      status.oldRoot.fingerprint256
+    );
+    assert.deepEqual(agentStatuses(status), {
+      "agent-a": "reissued",
+      "agent-b": "failed",
+      "agent-s": "skipped",
+    });
+    assert.match(
+      status.agents.find((agent) => agent.agentId === "agent-b").error,
+      /has not submitted a CSR/
+    );
+    assert.deepEqual(events, ["rotation-started"]);
+
+    // The bundle holds the previous and the new CA certificates
+    const bundle = fingerprints(await certificateService.getCaBundle());
+    assert.ok(oldBundle.every((fingerprint) => bundle.includes(fingerprint)));
+    assert.ok(bundle.includes(status.newRoot.fingerprint256));
+
+    // The reissued certificate is signed by the new intermediate
+    const { serverCert } = await certificateService.getAgentCertificates(
+      "agent-a"
+    );
+    assert.notEqual(serverCert, oldCert);
+    const issuer = new crypto.X509Certificate(
+      fs.readFileSync(certificateService.caCertPath)
+    );
+    assert.equal(
+      new crypto.X509Certificate(serverCert).verify(issuer.publicKey),
+      true
+    );
+    assert.equal(
+      new crypto.X509Certificate(oldCert).verify(issuer.publicKey),
+      false
+    );
+  });
+
+  it("refuses a second rotation until the first is finalized", async () => {
+    await rotate();
+
+    await assert.rejects(rotation.startRotation(), {
+      statusCode: 409,
+      message: /dual-trust/,
+    });
+  });
+
+  it("keeps failed agents from finalizing until they are retried", async () => {
+    const { oldRoot } = await rotate();
+
+    await assert.rejects(rotation.finalize(), {
+      statusCode: 409,
+      message: /agent-b/,
+    });
+
+    await certificateService.signAgentCsr(
+      "agent-b",
+      createCsr({ commonName: mongoName("agent-b") })
+    );
+    const retried = await rotation.retryFailed();
+    assert.equal(retried.status, "reissuing");
+    await rotation.reissuing;
+    assert.equal(
+      agentStatuses(await rotation.getStatus())["agent-b"],
+      "reissued"
+    );
+
+    await assert.rejects(rotation.retryFailed(), { statusCode: 409 });
+
+    const finalized = await rotation.finalize();
+    assert.equal(finalized.status, "completed");
+    assert.ok(finalized.completedAt);
+    assert.deepEqual(events, ["rotation-started", "rotation-finalized"]);
+
+    const bundle = fingerprints(await certificateService.getCaBundle());
+    assert.equal(bundle.includes(oldRoot.fingerprint256), false);
+    assert.ok(bundle.includes(finalized.newRoot.fingerprint256));
+
+    // The next rotation may start
+    await assert.rejects(rotation.retryFailed(), { statusCode: 409 });
+    await rotate();
+  });
+
+  it("waits for client certificates of the previous root unless forced", async () => {
+    const issuedAt = new Date(Date.now() - 60000).toISOString();
+    await agentService._saveAgent({
+      ...agentService.getAgent("agent-a"),
+      clientCertificate: { serialNumber: "01", fingerprint256: "AA", issuedAt },
+    });
+    await certificateService.signAgentCsr(
+      "agent-b",
+      createCsr({ commonName: mongoName("agent-b") })
+    );
+    await rotate();
+
+    assert.deepEqual((await rotation.getStatus()).staleClientCertificates, [
+      "agent-a",
+    ]);
+    await assert.rejects(rotation.finalize(), {
+      statusCode: 409,
+      message: /client certificates of the previous root \(agent-a\)/,
+    });
+
+    const finalized = await rotation.finalize({ force: true });
+    assert.equal(finalized.status, "completed");
+  });
+
+  it("resumes an interrupted reissue after a restart", async () => {
+    await rotate();
+
+    // State as saved while agent-a was still pending
+    const statePath = path.join(
+      certificateService.certsDir,
+      "ca-rotation.json"
+    );
+    const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    state.status = "reissuing";
+    state.agents["agent-a"] = { status: "pending" };
+    fs.writeFileSync(statePath, JSON.stringify(state));
+
+    const restarted = new CaRotationService(certificateService);
+    assert.equal(await restarted.initialize(), true);
+    assert.ok(restarted.reissuing);
+    await restarted.reissuing;
+
+    const status = await restarted.getStatus();
+    assert.equal(status.status, "dual-trust");
+    assert.equal(agentStatuses(status)["agent-a"], "reissued");
+  });
+
+  it("has nothing to finalize or retry without a rotation", async () => {
+    assert.deepEqual(await rotation.getStatus(), { status: "none" });
+    await assert.rejects(rotation.finalize(), { statusCode: 409 });
+    await assert.rejects(rotation.retryFailed(), { statusCode: 409 });
+  });
+});
@@ -0,0 +1,215 @@
+require("./helpers/env");
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const coreServices = require("../services/core");
+const AgentService = require("../services/core/agentService");
+const { createConsulService } = require("./helpers/fakeConsul");
+const {
+  createCertificateService,
+  createCsr,
+} = require("./helpers/certificates");
+
+const MONGO_NAME = "agent-a.mongodb.cloudlunacy.uk";
+
+describe("CertificateService agent CSRs", () => {
+  let originalAgentService;
+  let service;
+  let agentService;
+
+  before(async () => {
+    originalAgentService = coreServices.agentService;
+    service = await createCertificateService();
+  });
+
+  after(() => {
+    coreServices.agentService = originalAgentService;
+    fs.rmSync(service.dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    fs.rmSync(service.agentCertsBaseDir, { recursive: true, force: true });
+
+    const consulService = createConsulService();
+    agentService = new AgentService();
+    agentService.consulService = consulService;
+    agentService.initialized = true;
+    coreServices.agentService = agentService;
+
+    const now = new Date().toISOString();
+    await agentService._saveAgent({
+      ...agentService._newRecord("agent-a", now),
+      state: "active",
+      targetIp: "203.0.113.10",
+    });
+    await agentService._saveAgent({
+      ...agentService._newRecord("agent-s", now),
+      state: "suspended",
+      targetIp: "203.0.113.11",
+    });
+    await consulService.registerHttpRoute({
+      routers: {
+        "agent-a_shop": {
+          rule: "Host(`shop.example.com`)",
+          service: "agent-a_shop-http",
+          entryPoints: ["websecure"],
+        },
+      },
+      services: {
+        "agent-a_shop-http": {
+          loadBalancer: { servers: [{ url: "http://203.0.113.10:80" }] },
+        },
+      },
+    });
+  });
+
+  const agentDir = (agentId) => path.join(service.agentCertsBaseDir, agentId);
+
+  it("signs the agent's own names without handling its key", async () => {
+    const csr = createCsr({
+      commonName: MONGO_NAME,
+      dnsNames: [MONGO_NAME, "localhost", "shop.example.com"],
+      ipAddresses: ["203.0.113.10", "127.0.0.1"],
+    });
+    // A key generated by an earlier version must not survive
+    fs.mkdirSync(agentDir("agent-a"), { recursive: true });
+    fs.writeFileSync(path.join(agentDir("agent-a"), "server.key"), "old");
+
+    const result = await service.signAgentCsr("agent-a", csr);
+
+    assert.deepEqual(result.dnsNames.sort(), [
+      MONGO_NAME,
+      "localhost",
+      "shop.example.com",
+    ]);
+    assert.deepEqual(result.ipAddresses, ["203.0.113.10", "127.0.0.1"]);
+    assert.equal(JSON.stringify(result).includes("PRIVATE KEY"), false);
+    assert.deepEqual(fs.readdirSync(agentDir("agent-a")).sort(), [
+      "agent.csr",
+      "server.crt",
+    ]);
+
+    const cert = new crypto.X509Certificate(result.serverCert);
+    const issuer = new crypto.X509Certificate(
+      fs.readFileSync(service.caCertPath)
+    );
+    assert.equal(cert.verify(issuer.publicKey), true);
+    assert.match(cert.subjectAltName, /DNS:shop\.example\.com/);
+  });
+
+  it("rejects DNS names of other agents and domains", async () => {
+    for (const name of [
+      "agent-b.mongodb.cloudlunacy.uk",
+      "victim.example.com",
+      "*.example.com",
+    ]) {
+      const csr = createCsr({ commonName: MONGO_NAME, dnsNames: [name] });
+      await assert.rejects(service.signAgentCsr("agent-a", csr), {
+        statusCode: 403,
+        message: new RegExp(name.replace(/[.*]/g, "\\$&")),
+      });
+    }
+    assert.equal(
+      fs.existsSync(path.join(agentDir("agent-a"), "agent.csr")),
+      false
+    );
+  });
+
+  it("rejects IP addresses other than the agent's", async () => {
+    const csr = createCsr({
+      commonName: MONGO_NAME,
+      ipAddresses: ["198.51.100.1"],
+    });
+
+    await assert.rejects(service.signAgentCsr("agent-a", csr), {
+      statusCode: 403,
+    });
+  });
+
+  it("rejects malformed, tampered and weak requests", async () => {
+    await assert.rejects(service.signAgentCsr("agent-a", "not a csr"), {
+      statusCode: 400,
+    });
+
+    const lines = createCsr({ commonName: MONGO_NAME }).split("\n");
+    const line = lines[3];
+    lines[3] =
+      line.slice(0, 10) + (line[10] === "A" ? "B" : "A") + line.slice(11);
+    await assert.rejects(service.signAgentCsr("agent-a", lines.join("\n")), {
+      statusCode: 400,
+    });
+
+    await assert.rejects(
+      service.signAgentCsr(
+        "agent-a",
+        createCsr({ commonName: MONGO_NAME, bits: 1024 })
+      ),
+      { statusCode: 400, message: /at least 2048 bits/ }
+    );
+  });
+
+  it("refuses unknown and suspended agents", async () => {
+    await assert.rejects(
+      service.signAgentCsr(
+        "agent-x",
+        createCsr({ commonName: "agent-x.mongodb.cloudlunacy.uk" })
+      ),
+      { statusCode: 404 }
+    );
+    await assert.rejects(
+      service.signAgentCsr(
+        "agent-s",
+        createCsr({ commonName: "agent-s.mongodb.cloudlunacy.uk" })
+      ),
+      { statusCode: 409 }
+    );
+  });
+
+  it("issues nothing for agents without a CSR", async () => {
+    const result = await service.generateAgentCertificate(
+      "agent-a",
+      "203.0.113.10"
+    );
+
+    assert.equal(result.success, false);
+    assert.equal(result.csrRequired, true);
+    assert.deepEqual(fs.readdirSync(agentDir("agent-a")), []);
+  });
+
+  it("renews by signing the stored CSR again", async () => {
+    const first = await service.signAgentCsr(
+      "agent-a",
+      createCsr({ commonName: MONGO_NAME })
+    );
+
+    const renewed = await service.renewCertificate("agent-a", "203.0.113.10");
+    assert.equal(renewed.success, true);
+    assert.equal(renewed.keyPath, null);
+
+    const stored = await service.getAgentCertificates("agent-a");
+    assert.notEqual(stored.serverCert, first.serverCert);
+    assert.equal("serverKey" in stored, false);
+  });
+
+  it("accepts replica set member names stored for the agent", async () => {
+    await service.signAgentCsr(
+      "agent-a",
+      createCsr({ commonName: MONGO_NAME })
+    );
+    await service.createCertificateForAgent("agent-a", "203.0.113.10", {
+      altNames: ["rs0-1.db.example.com"],
+    });
+
+    const result = await service.signAgentCsr(
+      "agent-a",
+      createCsr({
+        commonName: MONGO_NAME,
+        dnsNames: [MONGO_NAME, "rs0-1.db.example.com"],
+      })
+    );
+    assert.ok(result.dnsNames.includes("rs0-1.db.example.com"));
+  });
+});
@@ -0,0 +1,136 @@
+require("./helpers/env");
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const coreServices = require("../services/core");
+const AgentService = require("../services/core/agentService");
+const certificateController = require("../api/controllers/certificateController");
+const { createConsulService } = require("./helpers/fakeConsul");
+const {
+  createCertificateService,
+  createCsr,
+} = require("./helpers/certificates");
+const { invoke } = require("./helpers/http");
+
+describe("Client certificate issuance", () => {
+  let originals;
+  let service;
+  let agentService;
+
+  before(async () => {
+    originals = {
+      agentService: coreServices.agentService,
+      certificateService: coreServices.certificateService,
+    };
+    service = await createCertificateService();
+    coreServices.certificateService = service;
+  });
+
+  after(() => {
+    Object.assign(coreServices, originals);
+    fs.rmSync(service.dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    agentService = new AgentService();
+    agentService.consulService = createConsulService();
+    agentService.initialized = true;
+    await agentService._loadTokenState();
+    coreServices.agentService = agentService;
+
+    const now = new Date().toISOString();
+    for (const agentId of ["agent-a", "agent-b"]) {
+      await agentService._saveAgent({
+        ...agentService._newRecord(agentId, now),
+        state: "active",
+      });
+    }
+  });
+
+  const csr = createCsr({ commonName: "agent-a" });
+
+  const issue = (body, extra = {}) =>
+    invoke(certificateController.issueClientCertificate, {
+      params: { agentId: "agent-a" },
+      body,
+      ...extra,
+    });
+
+  it("does not accept an agent access token alone", async () => {
+    const { accessToken } = await agentService.issueTokens("agent-a");
+
+    const result = await issue(
+      { csr },
+      { user: await agentService.verifyAgentToken(accessToken) }
+    );
+
+    assert.equal(result.status, 401);
+    assert.equal(agentService.getAgent("agent-a").clientCertificate, undefined);
+  });
+
+  it("issues the first certificate for a refresh token of the agent", async () => {
+    const { refreshToken } = await agentService.issueTokens("agent-a");
+
+    const result = await issue({ csr, refreshToken });
+    assert.equal(result.status, 201);
+    assert.equal("clientKey" in result.body.certificates, false);
+
+    const cert = new crypto.X509Certificate(
+      result.body.certificates.clientCert
+    );
+    assert.match(cert.subject, /CN=agent-a/);
+    assert.equal(
+      agentService.getAgent("agent-a").clientCertificate.fingerprint256,
+      result.body.fingerprint256
+    );
+
+    // The agent keeps its token pair
+    const refreshed = await agentService.refreshTokens(refreshToken);
+    assert.equal(refreshed.agentId, "agent-a");
+  });
+
+  it("rejects refresh tokens of other agents and used refresh tokens", async () => {
+    const other = await agentService.issueTokens("agent-b");
+    assert.equal(
+      (await issue({ csr, refreshToken: other.refreshToken })).status,
+      401
+    );
+
+    const { refreshToken } = await agentService.issueTokens("agent-a");
+    await agentService.refreshTokens(refreshToken);
+    assert.equal((await issue({ csr, refreshToken })).status, 401);
+  });
+
+  it("renews with the agent's client certificate", async () => {
+    const user = { agentId: "agent-a", role: "agent", authMethod: "mtls" };
+
+    assert.equal((await issue({ csr }, { user })).status, 201);
+
+    const other = await issue(
+      { csr },
+      { user: { ...user, agentId: "agent-b" } }
+    );
+    assert.equal(other.status, 401);
+  });
+
+  it("requires a CSR instead of generating the key", async () => {
+    const { refreshToken } = await agentService.issueTokens("agent-a");
+
+    const result = await issue({ refreshToken });
+    assert.equal(result.status, 400);
+
+    await assert.rejects(service.issueAgentClientCertificate("agent-a"), {
+      statusCode: 400,
+    });
+  });
+
+  it("lets operators with the certificates:issue scope issue certificates", async () => {
+    const admin = { role: "admin", operatorId: "op-1" };
+    assert.equal((await issue({ csr }, { user: admin })).status, 201);
+
+    const operator = { role: "operator", operatorId: "op-2" };
+    assert.equal((await issue({ csr }, { user: operator })).status, 403);
+  });
+});
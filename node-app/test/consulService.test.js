@@ -0,0 +1,158 @@
+require("./helpers/env");
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createConsulService } = require("./helpers/fakeConsul");
+
+describe("ConsulService transactions", () => {
+  let consulService;
+  let store;
+  let transaction;
+
+  beforeEach(() => {
+    consulService = createConsulService();
+    store = consulService.consul.kv.store;
+    transaction = consulService.consul.transaction;
+  });
+
+  const keysUnder = (prefix) =>
+    [...store.keys()].filter((key) => key.startsWith(prefix)).sort();
+
+  it("writes up to 64 operations in a single transaction", async () => {
+    const operations = Array.from({ length: 64 }, (_, i) =>
+      consulService._kvOperation("set", `traefik/test/${i}`, i)
+    );
+
+    await consulService._executeTransaction(operations);
+
+    assert.equal(transaction.calls, 1);
+    assert.equal(keysUnder("traefik/test/").length, 64);
+  });
+
+  it("rolls back applied chunks when a later chunk fails", async () => {
+    store.set("traefik/test/0", "old-0");
+    store.set("traefik/test/5", "old-5");
+    store.set("traefik/test/keep", "untouched");
+
+    const operations = [
+      ...Array.from({ length: 100 }, (_, i) =>
+        consulService._kvOperation("set", `traefik/test/${i}`, `new-${i}`)
+      ),
+      consulService._kvOperation("delete", "traefik/test/keep"),
+    ];
+    // 101 operations: the second of two chunks fails
+    transaction.failAt = 2;
+
+    await assert.rejects(
+      consulService._executeTransaction(operations),
+      /rolled back/
+    );
+
+    assert.equal(store.get("traefik/test/0"), "old-0");
+    assert.equal(store.get("traefik/test/5"), "old-5");
+    assert.equal(store.get("traefik/test/keep"), "untouched");
+    assert.deepEqual(keysUnder("traefik/test/"), [
+      "traefik/test/0",
+      "traefik/test/5",
+      "traefik/test/keep",
+    ]);
+  });
+
+  it("restores trees deleted by an applied chunk", async () => {
+    store.set("traefik/http/routers/app/rule", "Host(`a`)");
+    store.set("traefik/http/routers/app/service", "app-http");
+    store.set("traefik/http/routers/app-2/rule", "Host(`b`)");
+
+    const operations = [
+      ...consulService._buildDeleteOperations("traefik/http/routers/app"),
+      ...Array.from({ length: 70 }, (_, i) =>
+        consulService._kvOperation("set", `traefik/test/${i}`, i)
+      ),
+    ];
+    transaction.failAt = 2;
+
+    await assert.rejects(consulService._executeTransaction(operations));
+
+    assert.equal(store.get("traefik/http/routers/app/rule"), "Host(`a`)");
+    assert.equal(store.get("traefik/http/routers/app/service"), "app-http");
+    assert.equal(store.get("traefik/http/routers/app-2/rule"), "Host(`b`)");
+    assert.deepEqual(keysUnder("traefik/test/"), []);
+  });
+
+  it("deletes a configuration without touching siblings sharing its prefix", async () => {
+    store.set("traefik/tcp/routers/app/rule", "HostSNI(`a`)");
+    store.set("traefik/tcp/routers/app-2/rule", "HostSNI(`b`)");
+
+    await consulService.unregisterConfigs({ "tcp/routers": ["app"] });
+
+    assert.deepEqual(keysUnder("traefik/tcp/routers/"), [
+      "traefik/tcp/routers/app-2/rule",
+    ]);
+  });
+
+  it("replaces TCP routers and services instead of merging keys", async () => {
+    assert.equal(
+      await consulService.addTcpRouter("db", {
+        entryPoints: ["mongodb", "mongodb-alt"],
+        rule: "HostSNI(`db.example.com`)",
+        service: "db",
+        middlewares: ["db-ip"],
+        tls: { passthrough: true },
+      }),
+      true
+    );
+    await consulService.addTcpService("db", {
+      loadBalancer: {
+        servers: [{ address: "10.0.0.1:27017" }, { address: "10.0.0.2:27017" }],
+      },
+    });
+
+    await consulService.addTcpRouter("db", {
+      entryPoints: ["mongodb"],
+      rule: "HostSNI(`db.example.com`)",
+      service: "db",
+      tls: { passthrough: true },
+    });
+    await consulService.addTcpService("db", {
+      loadBalancer: { servers: [{ address: "10.0.0.3:27017" }] },
+    });
+
+    assert.deepEqual(keysUnder("traefik/tcp/routers/db/"), [
+      "traefik/tcp/routers/db/entryPoints/0",
+      "traefik/tcp/routers/db/rule",
+      "traefik/tcp/routers/db/service",
+      "traefik/tcp/routers/db/tls/passthrough",
+    ]);
+    assert.deepEqual(keysUnder("traefik/tcp/services/db/"), [
+      "traefik/tcp/services/db/loadBalancer/servers/0/address",
+    ]);
+    assert.equal(
+      store.get("traefik/tcp/services/db/loadBalancer/servers/0/address"),
+      "10.0.0.3:27017"
+    );
+  });
+
+  it("replaces legacy JSON blobs stored at the configuration key", async () => {
+    store.set(
+      "traefik/tcp/routers/db",
+      JSON.stringify({ rule: "HostSNI(`old`)" })
+    );
+
+    await consulService.addTcpRouter("db", { rule: "HostSNI(`new`)" });
+
+    assert.equal(store.has("traefik/tcp/routers/db"), false);
+    assert.equal(store.get("traefik/tcp/routers/db/rule"), "HostSNI(`new`)");
+  });
+
+  it("reports a failed write instead of throwing", async () => {
+    transaction.failAt = 1;
+
+    assert.equal(
+      await consulService.registerHttpRoute({
+        routers: { app: { rule: "Host(`a`)", service: "app-http" } },
+      }),
+      false
+    );
+    assert.deepEqual(keysUnder("traefik/http/"), []);
+  });
+});
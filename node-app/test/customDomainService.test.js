@@ -0,0 +1,184 @@
+require("./helpers/env");
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const CustomDomainService = require("../services/core/customDomainService");
+const { createConsulService } = require("./helpers/fakeConsul");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * DNS resolver stub answering from a map of name to records
+ */
+function createResolver(txt = {}, cname = {}) {
+  const notFound = (name) =>
+    Object.assign(new Error(`queryTxt ENOTFOUND ${name}`), {
+      code: "ENOTFOUND",
+    });
+  return {
+    txt,
+    cname,
+    async resolveTxt(name) {
+      if (!txt[name]) throw notFound(name);
+      return txt[name].map((value) => [value]);
+    },
+    async resolveCname(name) {
+      if (!cname[name]) throw notFound(name);
+      return cname[name];
+    },
+  };
+}
+
+describe("CustomDomainService", () => {
+  let consulService;
+  let resolver;
+  let service;
+
+  beforeEach(async () => {
+    consulService = createConsulService();
+    resolver = createResolver();
+    service = new CustomDomainService({ resolver });
+    service.consulService = consulService;
+    service.certificateService = {
+      generateDomainCertificate: async () => ({ success: false, error: "off" }),
+    };
+    service.initialized = true;
+
+    for (const agentId of ["agent-a", "agent-b"]) {
+      await consulService.registerHttpRoute({
+        services: {
+          [`${agentId}_shop-http`]: {
+            loadBalancer: { servers: [{ url: "http://10.0.0.1:80" }] },
+          },
+        },
+      });
+    }
+  });
+
+  it("verifies a TXT challenge and writes the router", async () => {
+    const record = await service.requestDomain("agent-a", "Shop.Example.com", {
+      subdomain: "shop",
+    });
+    assert.equal(record.domain, "shop.example.com");
+    assert.equal(record.status, "pending");
+
+    const failed = await service.verifyDomain("shop.example.com");
+    assert.equal(failed.verified, false);
+    assert.match(failed.error, /ENOTFOUND/);
+
+    resolver.txt[record.challenge.name] = [record.challenge.value];
+    const result = await service.verifyDomain("shop.example.com");
+    assert.equal(result.verified, true);
+    assert.equal(result.record.status, "active");
+    assert.equal(result.record.expiresAt, undefined);
+
+    const router = await consulService.getTree(
+      "http/routers/domain-shop_example_com"
+    );
+    assert.equal(router.rule, "Host(`shop.example.com`)");
+    assert.equal(router.service, "agent-a_shop-http");
+  });
+
+  it("verifies a CNAME challenge", async () => {
+    const record = await service.requestDomain("agent-a", "cname.example.com", {
+      subdomain: "shop",
+      method: "cname",
+    });
+    resolver.cname[record.challenge.name] = [`${record.challenge.value}.`];
+
+    const result = await service.verifyDomain("cname.example.com");
+    assert.equal(result.verified, true);
+  });
+
+  it("rejects a wrong token", async () => {
+    const record = await service.requestDomain("agent-a", "shop.example.com", {
+      subdomain: "shop",
+    });
+    resolver.txt[record.challenge.name] = ["something-else"];
+
+    const result = await service.verifyDomain("shop.example.com");
+    assert.equal(result.verified, false);
+    assert.equal(result.record.status, "pending");
+  });
+
+  it("blocks a domain claimed by another agent until the claim expires", async () => {
+    const claim = await service.requestDomain("agent-a", "shop.example.com", {
+      subdomain: "shop",
+    });
+
+    await assert.rejects(
+      service.requestDomain("agent-b", "shop.example.com", {
+        subdomain: "shop",
+      }),
+      { statusCode: 409 }
+    );
+
+    // Requesting again must not extend the claim
+    const renewed = await service.requestDomain("agent-a", "shop.example.com", {
+      subdomain: "shop",
+    });
+    assert.equal(renewed.expiresAt, claim.expiresAt);
+    assert.notEqual(renewed.challenge.value, claim.challenge.value);
+
+    await consulService.setData("domains/shop.example.com", {
+      ...renewed,
+      expiresAt: new Date(Date.now() - HOUR_MS).toISOString(),
+    });
+
+    await assert.rejects(service.verifyDomain("shop.example.com"), {
+      statusCode: 409,
+    });
+
+    const taken = await service.requestDomain("agent-b", "shop.example.com", {
+      subdomain: "shop",
+    });
+    assert.equal(taken.agentId, "agent-b");
+    assert.ok(Date.parse(taken.expiresAt) > Date.now());
+  });
+
+  it("expires legacy claims without expiresAt from their creation", async () => {
+    const claim = await service.requestDomain("agent-a", "shop.example.com", {
+      subdomain: "shop",
+    });
+    delete claim.expiresAt;
+    claim.createdAt = new Date(
+      Date.now() - (service.claimTtlHours + 1) * HOUR_MS
+    ).toISOString();
+    await consulService.setData("domains/shop.example.com", claim);
+
+    const taken = await service.requestDomain("agent-b", "shop.example.com", {
+      subdomain: "shop",
+    });
+    assert.equal(taken.agentId, "agent-b");
+  });
+
+  it("keeps verified domains of another agent", async () => {
+    const record = await service.requestDomain("agent-a", "shop.example.com", {
+      subdomain: "shop",
+    });
+    resolver.txt[record.challenge.name] = [record.challenge.value];
+    await service.verifyDomain("shop.example.com");
+
+    await assert.rejects(
+      service.requestDomain("agent-b", "shop.example.com", {
+        subdomain: "shop",
+      }),
+      { statusCode: 409 }
+    );
+  });
+
+  it("rejects domains under APP_DOMAIN and routes that do not exist", async () => {
+    await assert.rejects(
+      service.requestDomain("agent-a", `x.${service.appDomain}`, {
+        subdomain: "shop",
+      }),
+      { statusCode: 400 }
+    );
+    await assert.rejects(
+      service.requestDomain("agent-a", "shop.example.com", {
+        subdomain: "missing",
+      }),
+      { statusCode: 404 }
+    );
+  });
+});
@@ -0,0 +1,357 @@
+require("./helpers/env");
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { Resolver } = require("dns").promises;
+const DnsPluginFactory = require("../utils/certProviders/dns/dnsPluginFactory");
+const MemoryDnsPlugin = require("../utils/certProviders/dns/memoryDnsPlugin");
+const CertificateProviderFactory = require("../utils/certProviders/providerFactory");
+const AcmeProvider = require("../utils/certProviders/acmeProvider");
+
+const RECORD = "_acme-challenge.example.com";
+
+/**
+ * Resolver asking only the stub's DNS responder
+ */
+async function startStub(stub) {
+  const { port } = await stub.start();
+  const resolver = new Resolver({ timeout: 2000, tries: 1 });
+  resolver.setServers([`127.0.0.1:${port}`]);
+  return resolver;
+}
+
+describe("DNS plugin factory", () => {
+  it("lists every plugin with its configuration template", () => {
+    const types = DnsPluginFactory.getSupportedTypes();
+
+    assert.deepEqual(types.map((type) => type.id).sort(), [
+      "cloudflare",
+      "memory",
+      "rfc2136",
+      "webhook",
+    ]);
+    assert.equal(types.find((type) => type.id === "memory").testOnly, true);
+
+    for (const { id } of types) {
+      const template = DnsPluginFactory.getConfigTemplate(id);
+      assert.ok(template.ttl, `${id} template lists the common options`);
+    }
+    assert.equal(
+      DnsPluginFactory.getConfigTemplate("rfc2136").nameserver.required,
+      true
+    );
+
+    const acmeType = CertificateProviderFactory.getSupportedTypes().find(
+      (type) => type.id === "acme"
+    );
+    assert.deepEqual(acmeType.dnsProviders, types);
+
+    const acme = CertificateProviderFactory.getConfigTemplate("acme");
+    assert.deepEqual(
+      Object.keys(acme.dnsCredentials.templates || {}).sort(),
+      types.map((type) => type.id).sort()
+    );
+  });
+
+  it("rejects unknown providers", () => {
+    assert.throws(() => DnsPluginFactory.createPlugin("route53"), {
+      statusCode: 400,
+    });
+    assert.throws(() => DnsPluginFactory.getConfigTemplate("route53"), {
+      statusCode: 400,
+    });
+    assert.equal(DnsPluginFactory.isSupported("Webhook"), true);
+  });
+});
+
+describe("Memory DNS plugin", () => {
+  let stub;
+  let resolver;
+
+  beforeEach(async () => {
+    stub = new MemoryDnsPlugin();
+    resolver = await startStub(stub);
+  });
+
+  after(() => stub.stop());
+
+  it("answers TXT queries for the records it holds", async () => {
+    await stub.present(`${RECORD}.`, "first");
+    await stub.present(RECORD, "second");
+    await stub.present(RECORD, "second");
+
+    const answers = await resolver.resolveTxt(RECORD.toUpperCase());
+    assert.deepEqual(answers.flat().sort(), ["first", "second"]);
+
+    await stub.cleanup(RECORD, "first");
+    assert.deepEqual(await resolver.resolveTxt(RECORD), [["second"]]);
+
+    await stub.cleanup(RECORD, "second");
+    assert.deepEqual(stub.lookup(RECORD), []);
+    await assert.rejects(resolver.resolveTxt(RECORD), { code: "ENODATA" });
+    await stub.stop();
+  });
+
+  it("answers other record types without data", async () => {
+    await stub.present(RECORD, "value");
+
+    await assert.rejects(resolver.resolve4(RECORD), { code: "ENODATA" });
+    await stub.stop();
+  });
+
+  it("starts the responder on the configured port with the first record", async () => {
+    await stub.stop();
+    stub = new MemoryDnsPlugin({ port: 0 });
+    assert.equal(stub.server, null);
+    assert.equal(stub.propagationSeconds, 0);
+
+    await stub.present(RECORD, "value");
+    assert.ok(stub.server);
+    await stub.stop();
+  });
+});
+
+describe("Webhook DNS plugin", () => {
+  let stub;
+  let resolver;
+  let server;
+  let endpoint;
+  let requests;
+  let failWith;
+
+  before(async () => {
+    stub = new MemoryDnsPlugin();
+    resolver = await startStub(stub);
+
+    // Publishes into the stub like an httpreq endpoint would
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", async () => {
+        const { fqdn, value } = JSON.parse(body);
+        requests.push({ url: req.url, auth: req.headers.authorization, fqdn });
+
+        if (failWith) {
+          res.writeHead(failWith).end();
+          return;
+        }
+        if (req.url === "/dns/present") {
+          await stub.present(fqdn, value);
+        } else {
+          await stub.cleanup(fqdn, value);
+        }
+        res.writeHead(200).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/dns/`;
+  });
+
+  after(async () => {
+    await stub.stop();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    failWith = null;
+  });
+
+  it("publishes and removes records through the endpoint", async () => {
+    const plugin = DnsPluginFactory.createPlugin("webhook", {
+      endpoint,
+      username: "acme",
+      password: "secret",
+    });
+
+    await plugin.present(RECORD, "token-value");
+    assert.deepEqual(await resolver.resolveTxt(RECORD), [["token-value"]]);
+
+    await plugin.cleanup(RECORD, "token-value");
+    await assert.rejects(resolver.resolveTxt(RECORD), { code: "ENODATA" });
+
+    assert.deepEqual(
+      requests.map(({ url, fqdn }) => [url, fqdn]),
+      [
+        ["/dns/present", `${RECORD}.`],
+        ["/dns/cleanup", `${RECORD}.`],
+      ]
+    );
+    assert.equal(
+      requests[0].auth,
+      `Basic ${Buffer.from("acme:secret").toString("base64")}`
+    );
+  });
+
+  it("fails when the endpoint does", async () => {
+    failWith = 500;
+    const plugin = DnsPluginFactory.createPlugin("webhook", { endpoint });
+
+    await assert.rejects(plugin.present(RECORD, "value"), {
+      statusCode: 502,
+      message: /HTTP 500/,
+    });
+  });
+
+  it("validates the endpoint", async () => {
+    const check = async (config) =>
+      DnsPluginFactory.createPlugin("webhook", config).validateConfiguration();
+
+    assert.equal((await check({})).valid, false);
+    assert.equal((await check({ endpoint: "ftp://dns" })).valid, false);
+
+    const plain = await check({ endpoint });
+    assert.equal(plain.valid, true);
+    assert.equal(plain.issues[0].level, "warning");
+  });
+});
+
+describe("RFC2136 DNS plugin", () => {
+  it("validates the server and TSIG key", async () => {
+    const check = async (config) =>
+      DnsPluginFactory.createPlugin("rfc2136", config).validateConfiguration();
+
+    assert.equal((await check({})).valid, false);
+    assert.equal(
+      (
+        await check({
+          nameserver: "ns1.example.com",
+          tsigKeyName: "acme",
+          tsigSecret: "c2VjcmV0",
+          tsigAlgorithm: "hmac-sha999",
+        })
+      ).valid,
+      false
+    );
+
+    const plugin = DnsPluginFactory.createPlugin("rfc2136", {
+      nameserver: "ns1.example.com:5353",
+      tsigKeyName: "acme",
+      tsigSecret: "c2VjcmV0",
+    });
+    assert.equal(plugin.port, 5353);
+    assert.deepEqual(await plugin.validateConfiguration(), {
+      valid: true,
+      issues: [],
+    });
+  });
+
+  it("refuses names and values that would change the update", async () => {
+    const plugin = DnsPluginFactory.createPlugin("rfc2136", {
+      nameserver: "ns1.example.com",
+    });
+
+    await assert.rejects(
+      plugin.present(`${RECORD}\nupdate delete example.com`, "value"),
+      { statusCode: 400 }
+    );
+    await assert.rejects(plugin.present(RECORD, 'value"\nsend'), {
+      statusCode: 400,
+    });
+  });
+});
+
+describe("Cloudflare DNS plugin", () => {
+  let stub;
+  let resolver;
+  let plugin;
+  let zoneLookups;
+
+  before(async () => {
+    stub = new MemoryDnsPlugin();
+    resolver = await startStub(stub);
+  });
+
+  after(() => stub.stop());
+
+  beforeEach(() => {
+    zoneLookups = [];
+    const records = new Map();
+    let nextId = 1;
+
+    plugin = DnsPluginFactory.createPlugin("cloudflare", { apiToken: "t" });
+    // Cloudflare API client keeping the zone's records in the stub
+    plugin.client = {
+      zones: {
+        browse: async ({ name }) => {
+          zoneLookups.push(name);
+          return { result: name === "example.com" ? [{ id: "zone-1" }] : [] };
+        },
+      },
+      dnsRecords: {
+        add: async (zoneId, record) => {
+          assert.equal(zoneId, "zone-1");
+          records.set(String(nextId++), record);
+          await stub.present(record.name, record.content);
+          return { result: record };
+        },
+        browse: async (zoneId, { name }) => ({
+          result: [...records]
+            .filter(([, record]) => record.name === name)
+            .map(([id, record]) => ({ id, ...record })),
+        }),
+        del: async (zoneId, id) => {
+          const record = records.get(id);
+          records.delete(id);
+          await stub.cleanup(record.name, record.content);
+        },
+      },
+    };
+  });
+
+  it("finds the zone and removes only its own value", async () => {
+    await plugin.present(`${RECORD}.`, "first");
+    await plugin.present(RECORD, "second");
+    assert.deepEqual(zoneLookups.slice(0, 2), [RECORD, "example.com"]);
+
+    await plugin.cleanup(RECORD, "first");
+    assert.deepEqual(await resolver.resolveTxt(RECORD), [["second"]]);
+  });
+
+  it("fails for names outside its zones", async () => {
+    await assert.rejects(plugin.present("_acme-challenge.example.org", "v"), {
+      statusCode: 400,
+      message: /No Cloudflare zone/,
+    });
+  });
+});
+
+describe("AcmeProvider DNS-01 challenges", () => {
+  it("publishes the key authorization digest through the plugin", async () => {
+    const provider = new AcmeProvider({
+      challengeType: "dns",
+      dnsProvider: "memory",
+    });
+    const resolver = await startStub(provider.dnsPlugin);
+    const authz = { identifier: { value: "example.com" }, wildcard: true };
+    const challenge = { type: "dns-01", token: "t" };
+
+    try {
+      await provider._presentChallenge(authz, challenge, "digest");
+      assert.deepEqual(await resolver.resolveTxt(RECORD), [["digest"]]);
+
+      await provider._cleanupChallenge(authz, challenge, "digest");
+      await assert.rejects(resolver.resolveTxt(RECORD), { code: "ENODATA" });
+    } finally {
+      await provider.dnsPlugin.stop();
+    }
+  });
+
+  it("refuses wildcards and unknown providers before contacting the CA", async () => {
+    const http01 = new AcmeProvider({ challengeType: "http" });
+    await assert.rejects(
+      http01.generateCertificate("example.com", { isWildcard: true }),
+      { statusCode: 400 }
+    );
+
+    const unknown = new AcmeProvider({
+      challengeType: "dns",
+      dnsProvider: "route53",
+    });
+    await assert.rejects(unknown.generateCertificate("example.com"), {
+      statusCode: 400,
+      message: /route53/,
+    });
+  });
+});
@@ -0,0 +1,148 @@
+require("./helpers/env");
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const EnrollmentService = require("../services/core/enrollmentService");
+const { createConsulService } = require("./helpers/fakeConsul");
+
+describe("EnrollmentService", () => {
+  let consulService;
+  let service;
+
+  const createService = () => {
+    const instance = new EnrollmentService();
+    instance.consulService = consulService;
+    instance.initialized = true;
+    return instance;
+  };
+
+  beforeEach(() => {
+    consulService = createConsulService();
+    service = createService();
+  });
+
+  it("redeems a token once", async () => {
+    const { token, id } = await service.createToken();
+
+    const redeemed = await service.redeemToken(token, {
+      agentId: "agent-a",
+      address: "203.0.113.10",
+    });
+    assert.equal(redeemed.id, id);
+    assert.equal(redeemed.status, "used");
+    assert.equal(redeemed.usedBy, "agent-a");
+
+    await assert.rejects(
+      service.redeemToken(token, {
+        agentId: "agent-b",
+        address: "203.0.113.10",
+      }),
+      { statusCode: 401, message: /already been used/ }
+    );
+  });
+
+  it("stores only the hash of the secret", async () => {
+    const { token, id } = await service.createToken();
+    const stored = await consulService.getData(`enrollment-tokens/${id}`);
+
+    assert.equal(JSON.stringify(stored).includes(token.split(".")[1]), false);
+    await assert.rejects(
+      service.redeemToken(`enr_${id}.${"A".repeat(43)}`, {
+        agentId: "agent-a",
+        address: "203.0.113.10",
+      }),
+      { statusCode: 401, message: /Invalid enrollment token/ }
+    );
+  });
+
+  it("rejects expired tokens", async () => {
+    const { token, id } = await service.createToken({ ttlSeconds: 60 });
+    const record = await consulService.getData(`enrollment-tokens/${id}`);
+    await consulService.setData(`enrollment-tokens/${id}`, {
+      ...record,
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    await assert.rejects(
+      service.redeemToken(token, {
+        agentId: "agent-a",
+        address: "203.0.113.10",
+      }),
+      { statusCode: 401, message: /expired/ }
+    );
+  });
+
+  it("enforces the agent binding and the CIDR", async () => {
+    const bound = await service.createToken({
+      agentId: "agent-a",
+      cidr: "203.0.113.0/24",
+    });
+
+    await assert.rejects(
+      service.redeemToken(bound.token, {
+        agentId: "agent-b",
+        address: "203.0.113.10",
+      }),
+      { statusCode: 403 }
+    );
+    await assert.rejects(
+      service.redeemToken(bound.token, {
+        agentId: "agent-a",
+        address: "198.51.100.10",
+      }),
+      { statusCode: 403 }
+    );
+
+    const unbound = await service.createToken();
+    await assert.rejects(
+      service.redeemToken(unbound.token, {
+        agentId: "agent-a",
+        address: "203.0.113.10",
+        requireBinding: true,
+      }),
+      { statusCode: 403 }
+    );
+
+    const redeemed = await service.redeemToken(bound.token, {
+      agentId: "agent-a",
+      address: "203.0.113.10",
+    });
+    assert.equal(redeemed.status, "used");
+  });
+
+  it("lets only one of concurrent redemptions on different instances win", async () => {
+    const { token } = await service.createToken();
+    const other = createService();
+
+    const results = await Promise.allSettled([
+      service.redeemToken(token, {
+        agentId: "agent-a",
+        address: "203.0.113.10",
+      }),
+      other.redeemToken(token, {
+        agentId: "agent-b",
+        address: "203.0.113.10",
+      }),
+    ]);
+
+    const fulfilled = results.filter((r) => r.status === "fulfilled");
+    const rejected = results.filter((r) => r.status === "rejected");
+    assert.equal(fulfilled.length, 1);
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].reason.statusCode, 409);
+
+    const [record] = await service.listTokens();
+    assert.equal(record.usedBy, fulfilled[0].value.usedBy);
+  });
+
+  it("releases a token after a failed registration", async () => {
+    const { token, id } = await service.createToken();
+    const context = { agentId: "agent-a", address: "203.0.113.10" };
+
+    await service.redeemToken(token, context);
+    await service.releaseToken(id);
+
+    const redeemed = await service.redeemToken(token, context);
+    assert.equal(redeemed.status, "used");
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * CertificateService on a temporary directory with its own CA, and CSRs
+ * built with node-forge.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const forge = require("node-forge");
+const CertificateService = require("../../services/core/certificateService");
+
+/**
+ * Certificate service whose CA lives in a new temporary directory
+ * @returns {Promise<CertificateService>} Initialized service, dir is set
+ */
+async function createCertificateService() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cloudlunacy-certs-"));
+  const service = new CertificateService();
+
+  Object.assign(service, {
+    dir,
+    certsDir: dir,
+    caCertPath: path.join(dir, "ca.crt"),
+    caKeyPath: path.join(dir, "ca.key"),
+    rootCaCertPath: path.join(dir, "root-ca.crt"),
+    rootCaKeyPath: path.join(dir, "root", "root-ca.key"),
+    caChainPath: path.join(dir, "ca-chain.crt"),
+    caBundlePath: path.join(dir, "ca-bundle.crt"),
+    agentCertsBaseDir: path.join(dir, "agents"),
+    localCertsDir: path.join(dir, "local"),
+    localCaCertPath: path.join(dir, "local", "ca.crt"),
+    localCaKeyPath: path.join(dir, "local", "ca.key"),
+  });
+
+  await service._ensureCertsDir();
+  await service.generateCA();
+  service.initialized = true;
+  return service;
+}
+
+const keys = new Map();
+
+/**
+ * RSA key pair, cached per size because generating one is slow
+ */
+function getKeyPair(bits = 2048) {
+  if (!keys.has(bits)) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: bits,
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+    keys.set(bits, {
+      privateKey: forge.pki.privateKeyFromPem(privateKey),
+      publicKey: forge.pki.publicKeyFromPem(publicKey),
+    });
+  }
+  return keys.get(bits);
+}
+
+/**
+ * PEM certificate signing request
+ * @param {Object} options - Options
+ * @param {string} options.commonName - Subject common name
+ * @param {string[]} [options.dnsNames] - subjectAltName DNS names
+ * @param {string[]} [options.ipAddresses] - subjectAltName IP addresses
+ * @param {number} [options.bits] - RSA key size
+ * @returns {string} PEM CSR
+ */
+function createCsr({ commonName, dnsNames = [], ipAddresses = [], bits }) {
+  const { privateKey, publicKey } = getKeyPair(bits);
+  const csr = forge.pki.createCertificationRequest();
+
+  csr.publicKey = publicKey;
+  csr.setSubject([{ name: "commonName", value: commonName }]);
+  const altNames = [
+    ...dnsNames.map((value) => ({ type: 2, value })),
+    ...ipAddresses.map((ip) => ({ type: 7, ip })),
+  ];
+  if (altNames.length > 0) {
+    csr.setAttributes([
+      {
+        name: "extensionRequest",
+        extensions: [{ name: "subjectAltName", altNames }],
+      },
+    ]);
+  }
+  csr.sign(privateKey, forge.md.sha256.create());
+
+  return forge.pki.certificationRequestToPem(csr);
+}
+
+module.exports = { createCertificateService, createCsr, getKeyPair };
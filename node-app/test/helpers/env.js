@@ -0,0 +1,11 @@
+/**
+ * Test environment: quiet logs in a temporary directory. Require before
+ * any service so the logger picks it up.
+ */
+
+const os = require("os");
+const path = require("path");
+
+process.env.LOG_DIR =
+  process.env.LOG_DIR || path.join(os.tmpdir(), "cloudlunacy-test-logs");
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
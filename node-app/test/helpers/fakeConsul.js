@@ -0,0 +1,129 @@
+/**
+ * In-memory stand-in for the client of the consul package, covering the KV
+ * and transaction calls ConsulService makes. ModifyIndex and CAS behave like
+ * Consul's; transaction.failAt makes the n-th transaction fail.
+ */
+
+const ConsulService = require("../../services/core/consulService");
+
+function createFakeConsul() {
+  const store = new Map();
+  const modifyIndexes = new Map();
+  let index = 0;
+
+  const write = (key, value) => {
+    store.set(key, String(value));
+    modifyIndexes.set(key, ++index);
+  };
+  const matches = (key, prefix) => key.startsWith(prefix);
+
+  const kv = {
+    store,
+    async get(options) {
+      const opts = typeof options === "string" ? { key: options } : options;
+      if (opts.recurse) {
+        const items = [...store.keys()]
+          .filter((key) => matches(key, opts.key))
+          .sort()
+          .map((key) => ({
+            Key: key,
+            Value: store.get(key),
+            ModifyIndex: modifyIndexes.get(key),
+          }));
+        return items.length > 0 ? items : undefined;
+      }
+      return store.has(opts.key)
+        ? {
+            Key: opts.key,
+            Value: store.get(opts.key),
+            ModifyIndex: modifyIndexes.get(opts.key),
+          }
+        : undefined;
+    },
+    async keys(options) {
+      const opts = typeof options === "string" ? { key: options } : options;
+      return [...store.keys()].filter((key) => matches(key, opts.key || ""));
+    },
+    async set(keyOrOptions, value, options = {}) {
+      const opts =
+        typeof keyOrOptions === "object"
+          ? keyOrOptions
+          : { key: keyOrOptions, value, ...options };
+      if (opts.cas !== undefined) {
+        const current = modifyIndexes.get(opts.key) || 0;
+        if (String(current) !== String(opts.cas)) {
+          return false;
+        }
+      }
+      write(opts.key, opts.value);
+      return true;
+    },
+    async del(options) {
+      const opts = typeof options === "string" ? { key: options } : options;
+      if (opts.recurse) {
+        for (const key of [...store.keys()]) {
+          if (matches(key, opts.key)) {
+            store.delete(key);
+          }
+        }
+      } else {
+        store.delete(opts.key);
+      }
+      return true;
+    },
+  };
+
+  const transaction = {
+    calls: 0,
+    failAt: null,
+    maxOperations: 64,
+    async create(operations) {
+      transaction.calls++;
+      if (transaction.failAt === transaction.calls) {
+        throw new Error("Transaction rolled back");
+      }
+      if (operations.length > transaction.maxOperations) {
+        throw new Error("Too many operations in transaction");
+      }
+
+      for (const { KV } of operations) {
+        if (KV.Verb === "cas") {
+          const current = modifyIndexes.get(KV.Key) || 0;
+          if (current !== KV.Index) {
+            throw new Error(`CAS failed for ${KV.Key}`);
+          }
+        }
+      }
+
+      for (const { KV } of operations) {
+        if (KV.Verb === "set" || KV.Verb === "cas") {
+          write(KV.Key, Buffer.from(KV.Value, "base64").toString());
+        } else if (KV.Verb === "delete") {
+          store.delete(KV.Key);
+        } else if (KV.Verb === "delete-tree") {
+          for (const key of [...store.keys()]) {
+            if (matches(key, KV.Key)) {
+              store.delete(key);
+            }
+          }
+        }
+      }
+      return { Results: [] };
+    },
+  };
+
+  return { kv, transaction };
+}
+
+/**
+ * ConsulService backed by the in-memory client
+ * @returns {ConsulService} Initialized service, the fake is at .consul
+ */
+function createConsulService() {
+  const consulService = new ConsulService();
+  consulService.consul = createFakeConsul();
+  consulService.isInitialized = true;
+  return consulService;
+}
+
+module.exports = { createFakeConsul, createConsulService };
@@ -0,0 +1,75 @@
+const express = require("express");
+const { errorMiddleware } = require("../../utils/errorHandler");
+
+/**
+ * Call an Express handler with a plain request object. Resolves with the
+ * response status and body, or with the error passed to next().
+ */
+
+function invoke(handler, req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    const request = { params: {}, query: {}, body: {}, headers: {}, ...req };
+
+    handler(request, res, (err) =>
+      resolve(
+        err
+          ? { status: err.statusCode || 500, error: err }
+          : { status: null, next: true }
+      )
+    );
+  });
+}
+
+/**
+ * Serve a router on a local port for route-level tests
+ * @param {string} mountPath - Path the router is mounted at
+ * @param {Object} router - Express router
+ * @returns {Promise<Object>} { request(method, path, { token, body }), close() }
+ */
+async function serve(mountPath, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  app.use(errorMiddleware);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    async request(method, path, { token, body } = {}) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(token && { authorization: `Bearer ${token}` }),
+          ...(body && { "content-type": "application/json" }),
+        },
+        body: body && JSON.stringify(body),
+      });
+      const text = await response.text();
+      const json = (response.headers.get("content-type") || "").includes(
+        "json"
+      );
+      return { status: response.status, body: json ? JSON.parse(text) : text };
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { invoke, serve };
@@ -0,0 +1,228 @@
+require("./helpers/env");
+
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const tls = require("tls");
+const forge = require("node-forge");
+const { BSON } = require("mongodb");
+const MongoDBProbeService = require("../services/core/mongodbProbeService");
+const ProxyService = require("../services/core/proxyService");
+const traefikMetricsManager = require("../utils/traefikMetricsManager");
+const { createConsulService } = require("./helpers/fakeConsul");
+const { getKeyPair } = require("./helpers/certificates");
+
+const DOMAIN = "agent-a.mongodb.cloudlunacy.uk";
+
+/**
+ * Self-signed certificate for the local TLS server
+ */
+function createServerCredentials() {
+  const { privateKey, publicKey } = getKeyPair();
+  const cert = forge.pki.createCertificate();
+
+  cert.publicKey = publicKey;
+  cert.serialNumber = "01";
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  cert.setSubject([{ name: "commonName", value: DOMAIN }]);
+  cert.setIssuer(cert.subject.attributes);
+  cert.sign(privateKey, forge.md.sha256.create());
+
+  return {
+    key: forge.pki.privateKeyToPem(privateKey),
+    cert: forge.pki.certificateToPem(cert),
+  };
+}
+
+/**
+ * OP_MSG answering a request with one document
+ */
+function opMsgReply(request, document) {
+  const body = BSON.serialize(document);
+  const header = Buffer.alloc(21);
+
+  header.writeInt32LE(header.length + body.length, 0);
+  header.writeInt32LE(1, 4);
+  header.writeInt32LE(request.readInt32LE(4), 8);
+  header.writeInt32LE(2013, 12);
+  return Buffer.concat([header, body]);
+}
+
+describe("MongoDBProbeService", () => {
+  let server;
+  let mode;
+  let serverNames;
+  let consulService;
+  let probes;
+
+  before(async () => {
+    // MongoDB behind Traefik, answering hello according to the mode
+    server = tls.createServer(createServerCredentials(), (socket) => {
+      serverNames.push(socket.servername);
+      socket.on("error", () => {});
+      socket.once("data", (request) => {
+        if (mode === "primary") {
+          socket.write(
+            opMsgReply(request, {
+              ok: 1,
+              isWritablePrimary: true,
+              setName: "rs0",
+            })
+          );
+        } else if (mode === "slow") {
+          setTimeout(() => socket.write(opMsgReply(request, { ok: 1 })), 50);
+        } else if (mode === "refused") {
+          socket.write(opMsgReply(request, { ok: 0, errmsg: "not allowed" }));
+        } else if (mode === "garbage") {
+          const reply = Buffer.alloc(21);
+          reply.writeInt32LE(21, 0);
+          reply.writeInt32LE(1, 12);
+          socket.write(reply);
+        } else if (mode === "closed") {
+          socket.destroy();
+        }
+        // "silent" never answers
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(async () => {
+    mode = "primary";
+    serverNames = [];
+    consulService = createConsulService();
+
+    const proxyService = new ProxyService();
+    proxyService.consulService = consulService;
+    proxyService.initialized = true;
+    await consulService.registerAgent({
+      name: "agent-a",
+      subdomain: "agent-a",
+      hostname: "203.0.113.10",
+      httpPort: 8080,
+      mongoPort: 27017,
+      secure: true,
+    });
+
+    probes = new MongoDBProbeService(proxyService);
+    probes.probeHost = "127.0.0.1";
+    probes.probePort = server.address().port;
+    probes.timeout = 500;
+    probes.thresholds = { failureCount: 2, latencyMs: 1000 };
+  });
+
+  afterEach(() => {
+    // Leave no probe alerts behind for other tests
+    for (const state of probes.routes.values()) {
+      probes._resolveAlert(state, "down");
+      probes._resolveAlert(state, "latency");
+    }
+  });
+
+  const probeAlerts = () =>
+    traefikMetricsManager
+      .getActiveAlerts()
+      .filter((alert) => alert.id.startsWith("db-probe-"))
+      .map((alert) => alert.type);
+
+  it("runs hello over TLS with the route's SNI name", async () => {
+    const sample = await probes.probe(DOMAIN);
+
+    assert.equal(sample.success, true, sample.error);
+    assert.equal(sample.setName, "rs0");
+    assert.equal(sample.isWritablePrimary, true);
+    assert.ok(sample.handshakeMs >= 0 && sample.latencyMs >= sample.helloMs);
+    assert.deepEqual(serverNames, [DOMAIN]);
+  });
+
+  it("reports refused, invalid, closed and silent servers", async () => {
+    const errors = {};
+    for (mode of ["refused", "garbage", "closed", "silent"]) {
+      const sample = await probes.probe(DOMAIN);
+      assert.equal(sample.success, false, mode);
+      assert.equal(sample.latencyMs, null);
+      errors[mode] = sample.error;
+    }
+
+    assert.equal(errors.refused, "not allowed");
+    assert.match(errors.garbage, /^Invalid hello reply: unexpected opCode 1/);
+    assert.match(errors.silent, /Timed out after 500ms/);
+  });
+
+  it("alerts when a route keeps failing and resolves on recovery", async () => {
+    mode = "closed";
+    await probes.probeAll();
+    assert.equal(probes.getSummary()["agent-a"][0].status, "degraded");
+    assert.deepEqual(probeAlerts(), []);
+
+    assert.deepEqual(await probes.probeAll(), {
+      success: true,
+      probed: 1,
+      failed: 1,
+    });
+    const [down] = probes.getSummary()["agent-a"];
+    assert.equal(down.status, "down");
+    assert.equal(down.domain, DOMAIN);
+    assert.deepEqual(probeAlerts(), ["database_probe_failed"]);
+
+    // Still down: the same alert stays active
+    await probes.probeAll();
+    assert.deepEqual(probeAlerts(), ["database_probe_failed"]);
+
+    mode = "primary";
+    await probes.probeAll();
+    const [up] = probes.getSummary()["agent-a"];
+    assert.equal(up.status, "up");
+    assert.equal(up.availability, 0.25);
+    assert.deepEqual(probeAlerts(), []);
+  });
+
+  it("alerts on slow routes and forgets removed ones", async () => {
+    probes.thresholds.latencyMs = 20;
+    mode = "slow";
+    await probes.probeAll();
+    assert.deepEqual(probeAlerts(), ["database_probe_latency"]);
+
+    await consulService.unregisterAgent("agent-a");
+    assert.deepEqual(await probes.probeAll(), {
+      success: true,
+      probed: 0,
+      failed: 0,
+    });
+    assert.deepEqual(probes.getSummary(), {});
+    assert.deepEqual(probeAlerts(), []);
+  });
+
+  it("keeps a bounded history", async () => {
+    probes.historySize = 2;
+    for (let run = 0; run < 3; run++) {
+      await probes.probeAll();
+    }
+    const [history] = probes.getHistory("agent-a");
+    assert.equal(history.samples.length, 2);
+
+    assert.equal(
+      probes.getHistory("agent-a", { limit: 1 })[0].samples.length,
+      1
+    );
+    assert.deepEqual(
+      probes.getHistory("agent-a", { since: history.samples[1].timestamp })[0]
+        .samples,
+      []
+    );
+    assert.deepEqual(probes.getHistory("agent-b"), []);
+
+    const running = probes.probeAll();
+    assert.match((await probes.probeAll()).error, /already in progress/);
+    await running;
+  });
+});
@@ -0,0 +1,522 @@
+require("./helpers/env");
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const coreServices = require("../services/core");
+const AgentService = require("../services/core/agentService");
+const OperatorService = require("../services/core/operatorService");
+const ProxyService = require("../services/core/proxyService");
+const MongoDBService = require("../services/core/databases/mongodbService");
+const MongoCredentialService = require("../services/core/mongoCredentialService");
+const mongodbRoutes = require("../api/routes/mongodb.routes");
+const { createConsulService } = require("./helpers/fakeConsul");
+const { serve } = require("./helpers/http");
+
+describe("MongoDB routes", () => {
+  let originals;
+  let consulService;
+  let server;
+  const keys = {};
+  const tokens = {};
+  let certificates;
+
+  before(async () => {
+    originals = {
+      agentService: coreServices.agentService,
+      operatorService: coreServices.operatorService,
+      mongodbService: coreServices.mongodbService,
+      certificateService: coreServices.certificateService,
+      mongoCredentialService: coreServices.mongoCredentialService,
+    };
+    server = await serve("/api/mongodb", mongodbRoutes);
+  });
+
+  after(async () => {
+    Object.assign(coreServices, originals);
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    consulService = createConsulService();
+
+    const agentService = new AgentService();
+    agentService.consulService = consulService;
+    agentService.initialized = true;
+    await agentService._loadTokenState();
+
+    const operatorService = new OperatorService();
+    operatorService.consulService = consulService;
+    operatorService.initialized = true;
+
+    const proxyService = new ProxyService();
+    proxyService.consulService = consulService;
+    proxyService.initialized = true;
+
+    const mongodbService = new MongoDBService(proxyService);
+    mongodbService.consulService = consulService;
+    mongodbService.initialized = true;
+
+    // Records the hostnames replica set certificates are issued for
+    certificates = [];
+    const certificateService = {
+      createCertificateForAgent: async (agentId, targetIp, { altNames }) => {
+        certificates.push({ agentId, altNames });
+        return { success: true, certPath: `/certs/${agentId}.crt` };
+      },
+    };
+
+    Object.assign(coreServices, {
+      agentService,
+      operatorService,
+      mongodbService,
+      certificateService,
+    });
+
+    const now = new Date().toISOString();
+    for (const agentId of ["agent-a", "agent-b"]) {
+      await agentService._saveAgent({
+        ...agentService._newRecord(agentId, now),
+        state: "active",
+      });
+      tokens[agentId] = (await agentService.issueTokens(agentId)).accessToken;
+    }
+
+    for (const role of ["viewer", "operator"]) {
+      await operatorService.createOperator({ name: role, role });
+      keys[role] = (await operatorService.createApiKey(role)).key;
+    }
+  });
+
+  const request = (method, path, token, body) =>
+    server.request(method, `/api/mongodb${path}`, { token, body });
+
+  const register = (token, body) =>
+    request("POST", "/register", token, {
+      targetIp: "203.0.113.10",
+      ...body,
+    });
+
+  it("registers MongoDB only for the calling agent", async () => {
+    const denied = await register(tokens["agent-a"], { agentId: "agent-b" });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, "INSUFFICIENT_SCOPE");
+    assert.equal((await register(tokens["agent-a"])).status, 403);
+    assert.equal(
+      (await register(keys.viewer, { agentId: "agent-a" })).status,
+      403
+    );
+    assert.equal(coreServices.mongodbService.connectionCache.size, 0);
+
+    const own = await register(tokens["agent-a"], { agentId: "agent-a" });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.domain, "agent-a.mongodb.cloudlunacy.uk");
+    assert.equal(
+      (await register(keys.operator, { agentId: "agent-b" })).status,
+      200
+    );
+  });
+
+  it("has no unauthenticated registration", async () => {
+    assert.equal(
+      (await register(undefined, { agentId: "agent-a" })).status,
+      401
+    );
+    assert.equal(
+      (
+        await request("POST", "/test-register", undefined, {
+          agentId: "agent-a",
+          targetIp: "203.0.113.10",
+        })
+      ).status,
+      404
+    );
+  });
+
+  it("scopes instance reads and removals", async () => {
+    const instance = await register(tokens["agent-a"], {
+      agentId: "agent-a",
+      instance: "orders",
+    });
+    assert.equal(instance.status, 200);
+
+    const listed = await request("GET", "/agent-a/instances", keys.viewer);
+    assert.equal(listed.status, 200);
+    assert.deepEqual(
+      listed.body.instances.map((item) => item.instance),
+      ["orders"]
+    );
+    assert.equal(
+      (await request("GET", "/agent-a/instances", tokens["agent-b"])).status,
+      403
+    );
+    assert.equal((await request("GET", "/", tokens["agent-a"])).status, 403);
+
+    assert.equal(
+      (await request("DELETE", "/agent-a/instances/orders", keys.viewer))
+        .status,
+      403
+    );
+    assert.equal(
+      (await request("DELETE", "/agent-a/instances/orders", tokens["agent-a"]))
+        .status,
+      200
+    );
+  });
+
+  it("routes every replica set member and drops removed ones", async () => {
+    const members = (count) =>
+      Array.from({ length: count }, (_, index) => ({
+        targetIp: `203.0.113.${10 + index}`,
+      }));
+    const routers = async () =>
+      Object.keys((await consulService.getTree("tcp/routers")) || {}).sort();
+
+    const created = await register(tokens["agent-a"], {
+      agentId: "agent-a",
+      replicaSet: "rs0",
+      members: members(3),
+    });
+    assert.equal(created.status, 200);
+    assert.equal(
+      created.body.connectionString,
+      "mongodb://rs0-0.agent-a.mongodb.cloudlunacy.uk:27017,rs0-1.agent-a.mongodb.cloudlunacy.uk:27017,rs0-2.agent-a.mongodb.cloudlunacy.uk:27017/?replicaSet=rs0&tls=true"
+    );
+    assert.deepEqual(await routers(), [
+      "agent-a-mongo-rs0-0",
+      "agent-a-mongo-rs0-1",
+      "agent-a-mongo-rs0-2",
+    ]);
+    assert.equal(
+      (await consulService.getTree("tcp/services/agent-a-mongo-rs0-2"))
+        .loadBalancer.servers[0].address,
+      "203.0.113.12:27017"
+    );
+    assert.deepEqual(certificates.at(-1).altNames, [
+      "rs0-0.agent-a.mongodb.cloudlunacy.uk",
+      "rs0-1.agent-a.mongodb.cloudlunacy.uk",
+      "rs0-2.agent-a.mongodb.cloudlunacy.uk",
+    ]);
+
+    // Members belong to their set and cannot be taken over as instances
+    const taken = await register(keys.operator, {
+      agentId: "agent-a",
+      instance: "rs0-1",
+    });
+    assert.equal(taken.status, 409);
+
+    const shrunk = await register(tokens["agent-a"], {
+      agentId: "agent-a",
+      replicaSet: "rs0",
+      members: members(2),
+    });
+    assert.equal(shrunk.status, 200);
+    assert.deepEqual(await routers(), [
+      "agent-a-mongo-rs0-0",
+      "agent-a-mongo-rs0-1",
+    ]);
+    assert.equal(
+      (await request("GET", "/agent-a/instances", keys.viewer)).body.instances
+        .length,
+      2
+    );
+
+    const info = await request(
+      "GET",
+      "/agent-a/replica-sets/rs0/connection-info",
+      keys.viewer
+    );
+    assert.equal(info.status, 200);
+    assert.deepEqual(info.body.connectionInfo.members, [
+      "rs0-0.agent-a.mongodb.cloudlunacy.uk:27017",
+      "rs0-1.agent-a.mongodb.cloudlunacy.uk:27017",
+    ]);
+    assert.equal(
+      (await request("GET", "/agent-a/replica-sets", tokens["agent-b"])).status,
+      403
+    );
+
+    assert.equal(
+      (await request("DELETE", "/agent-a/replica-sets/rs0", keys.viewer))
+        .status,
+      403
+    );
+    assert.equal(
+      (await request("DELETE", "/agent-a/replica-sets/rs0", tokens["agent-a"]))
+        .status,
+      200
+    );
+    assert.deepEqual(await routers(), []);
+    assert.equal(
+      (
+        await request(
+          "GET",
+          "/agent-a/replica-sets/rs0/connection-info",
+          keys.viewer
+        )
+      ).status,
+      404
+    );
+  });
+
+  it("rejects invalid replica sets", async () => {
+    for (const body of [
+      { replicaSet: "RS0", members: [{ targetIp: "203.0.113.10" }] },
+      { replicaSet: "rs0", members: [] },
+      {
+        replicaSet: "rs0",
+        members: [{ targetIp: "203.0.113.10", targetPort: 70000 }],
+      },
+      { replicaSet: "rs0", members: [{}] },
+    ]) {
+      const response = await register(keys.operator, {
+        agentId: "agent-a",
+        ...body,
+      });
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+
+    const tooMany = await coreServices.mongodbService.registerReplicaSet(
+      "agent-a",
+      "rs0",
+      Array.from({ length: 51 }, () => ({ targetIp: "203.0.113.10" }))
+    );
+    assert.equal(tooMany.success, false);
+    assert.equal(await consulService.getTree("tcp/routers"), null);
+  });
+
+  describe("middlewares", () => {
+    const put = (path, token, middlewares) =>
+      request("PUT", `${path}/middlewares`, token, { middlewares });
+
+    beforeEach(async () => {
+      await register(tokens["agent-a"], { agentId: "agent-a" });
+    });
+
+    it("writes the chain to the route's TCP router", async () => {
+      const updated = await put("/agent-a", tokens["agent-a"], [
+        { type: "ipAllowList", sourceRange: ["203.0.113.0/24"] },
+        { type: "inFlightConn", name: "limit", amount: 50 },
+      ]);
+      assert.equal(updated.status, 200);
+      assert.deepEqual(
+        (await consulService.getTree("tcp/routers/agent-a")).middlewares,
+        ["agent-a-mw-ip-allow-list", "agent-a-mw-limit"]
+      );
+      assert.deepEqual(await consulService.getTree("tcp/middlewares"), {
+        "agent-a-mw-ip-allow-list": {
+          ipWhiteList: { sourceRange: ["203.0.113.0/24"] },
+        },
+        "agent-a-mw-limit": { inFlightConn: { amount: "50" } },
+      });
+
+      const read = await request("GET", "/agent-a/middlewares", keys.viewer);
+      assert.equal(read.status, 200);
+      assert.deepEqual(read.body.middlewares, [
+        {
+          type: "ipAllowList",
+          name: "ip-allow-list",
+          sourceRange: ["203.0.113.0/24"],
+        },
+        { type: "inFlightConn", name: "limit", amount: 50 },
+      ]);
+
+      // An empty list removes the chain and its middlewares
+      assert.equal((await put("/agent-a", keys.operator, [])).status, 200);
+      assert.equal(
+        (await consulService.getTree("tcp/routers/agent-a")).middlewares,
+        undefined
+      );
+      assert.equal(await consulService.getTree("tcp/middlewares"), null);
+    });
+
+    it("needs a write scope to replace the chain", async () => {
+      const chain = [{ type: "inFlightConn", amount: 5 }];
+
+      assert.equal((await put("/agent-a", keys.viewer, chain)).status, 403);
+      assert.equal(
+        (await put("/agent-a", tokens["agent-b"], chain)).status,
+        403
+      );
+      assert.equal(
+        (await request("GET", "/agent-a/middlewares", tokens["agent-b"]))
+          .status,
+        403
+      );
+      assert.equal(await consulService.getTree("tcp/middlewares"), null);
+    });
+
+    it("rejects invalid declarations", async () => {
+      for (const middlewares of [
+        { type: "inFlightConn", amount: 5 },
+        ["inFlightConn"],
+        [{ type: "rateLimit", average: 10 }],
+        [{ type: "ipAllowList" }],
+        [{ type: "ipAllowList", sourceRange: ["not-an-ip"] }],
+        [{ type: "inFlightConn", amount: 0 }],
+        [{ type: "inFlightConn", name: "Bad Name", amount: 5 }],
+        [
+          { type: "inFlightConn", amount: 5 },
+          { type: "inFlightConn", amount: 10 },
+        ],
+      ]) {
+        const response = await put("/agent-a", tokens["agent-a"], middlewares);
+        assert.equal(response.status, 400, JSON.stringify(middlewares));
+      }
+      assert.equal(await consulService.getTree("tcp/middlewares"), null);
+      assert.equal(
+        (await put("/agent-a/instances/gone", tokens["agent-a"], [])).status,
+        404
+      );
+    });
+
+    it("applies a replica set's chain to every member", async () => {
+      await register(tokens["agent-a"], {
+        agentId: "agent-a",
+        replicaSet: "rs0",
+        members: [{ targetIp: "203.0.113.10" }, { targetIp: "203.0.113.11" }],
+        tlsPassthrough: false,
+      });
+
+      const updated = await put("/agent-a/replica-sets/rs0", keys.operator, [
+        { type: "ipAllowList", sourceRange: ["198.51.100.7"] },
+      ]);
+      assert.equal(updated.status, 200);
+      assert.deepEqual(
+        updated.body.routers.map((router) => router.router),
+        ["agent-a-mongo-rs0-0", "agent-a-mongo-rs0-1"]
+      );
+      assert.deepEqual(
+        (await consulService.getTree("tcp/routers/agent-a-mongo-rs0-1"))
+          .middlewares,
+        ["agent-a-mongo-rs0-1-mw-ip-allow-list"]
+      );
+      // The default route keeps its own chain
+      assert.equal(
+        (await consulService.getTree("tcp/routers/agent-a")).middlewares,
+        undefined
+      );
+    });
+  });
+
+  describe("credentials", () => {
+    let originalKey;
+
+    before(() => {
+      originalKey = process.env.CREDENTIALS_ENCRYPTION_KEY;
+      process.env.CREDENTIALS_ENCRYPTION_KEY = "test-encryption-key";
+    });
+
+    after(() => {
+      if (originalKey === undefined) {
+        delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+      } else {
+        process.env.CREDENTIALS_ENCRYPTION_KEY = originalKey;
+      }
+    });
+
+    beforeEach(() => {
+      const mongoCredentialService = new MongoCredentialService();
+      mongoCredentialService.consulService = consulService;
+      mongoCredentialService.initialized = true;
+      // The agent's MongoDB accepts every command
+      mongoCredentialService._withClient = async (
+        agentId,
+        account,
+        operation
+      ) => operation({ db: () => ({ command: async () => ({ ok: 1 }) }) });
+      coreServices.mongoCredentialService = mongoCredentialService;
+    });
+
+    const account = { username: "manager", password: "manager-secret" };
+    const credential = { username: "app", database: "orders" };
+
+    it("lets viewers list credentials but not manage them", async () => {
+      const denied = await request(
+        "PUT",
+        "/agent-a/management-account",
+        keys.viewer,
+        account
+      );
+      assert.equal(denied.status, 403);
+      assert.deepEqual(denied.body.requiredScopes, ["credentials:write"]);
+      assert.equal(
+        (
+          await request(
+            "PUT",
+            "/agent-a/management-account",
+            tokens["agent-a"],
+            account
+          )
+        ).status,
+        200
+      );
+
+      assert.equal(
+        (await request("POST", "/agent-a/credentials", keys.viewer, credential))
+          .status,
+        403
+      );
+      assert.equal(
+        (
+          await request(
+            "POST",
+            "/agent-a/credentials",
+            tokens["agent-a"],
+            credential
+          )
+        ).status,
+        201
+      );
+
+      const listed = await request("GET", "/agent-a/credentials", keys.viewer);
+      assert.equal(listed.status, 200);
+      assert.equal(listed.body.credentials[0].username, "app");
+
+      for (const [method, path] of [
+        ["POST", "/agent-a/credentials/app/rotate"],
+        ["POST", "/agent-a/credentials/app/collect"],
+        ["DELETE", "/agent-a/credentials/app"],
+      ]) {
+        assert.equal(
+          (await request(method, path, keys.viewer)).status,
+          403,
+          `${method} ${path}`
+        );
+      }
+      assert.equal(
+        (
+          await request(
+            "POST",
+            "/agent-a/credentials/app/rotate",
+            keys.operator
+          )
+        ).status,
+        200
+      );
+      assert.equal(
+        (await request("DELETE", "/agent-a/credentials/app", tokens["agent-a"]))
+          .status,
+        200
+      );
+    });
+
+    it("keeps agents to their own credentials", async () => {
+      for (const [method, path, body] of [
+        ["PUT", "/agent-a/management-account", account],
+        ["GET", "/agent-a/credentials"],
+        ["POST", "/agent-a/credentials", credential],
+        ["POST", "/agent-a/credentials/app/collect"],
+      ]) {
+        assert.equal(
+          (await request(method, path, tokens["agent-b"], body)).status,
+          403,
+          `${method} ${path}`
+        );
+      }
+      assert.equal(
+        await consulService.getData("mongodb-management/agent-a"),
+        null
+      );
+    });
+  });
+});
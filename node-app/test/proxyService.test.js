@@ -0,0 +1,336 @@
+require("./helpers/env");
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const coreServices = require("../services/core");
+const AgentService = require("../services/core/agentService");
+const ProxyService = require("../services/core/proxyService");
+const { createConsulService } = require("./helpers/fakeConsul");
+
+const TARGET = "http://203.0.113.10:8080";
+
+describe("ProxyService HTTP routes", () => {
+  let originals;
+  let consulService;
+  let agentService;
+  let proxy;
+
+  beforeEach(async () => {
+    originals = {
+      agentService: coreServices.agentService,
+      customDomainService: coreServices.customDomainService,
+    };
+    consulService = createConsulService();
+
+    agentService = new AgentService();
+    agentService.consulService = consulService;
+    agentService.initialized = true;
+    coreServices.agentService = agentService;
+    coreServices.customDomainService = null;
+
+    const now = new Date().toISOString();
+    for (const agentId of ["a", "a-b", "shop"]) {
+      await agentService._saveAgent({
+        ...agentService._newRecord(agentId, now),
+        state: "active",
+      });
+    }
+
+    proxy = new ProxyService();
+    proxy.consulService = consulService;
+    proxy.initialized = true;
+  });
+
+  afterEach(() => {
+    Object.assign(coreServices, originals);
+  });
+
+  it("scopes the primary host and route name to the agent", async () => {
+    const result = await proxy.addHttpRoute("a", "web", TARGET, {
+      hosts: ["www"],
+    });
+
+    assert.deepEqual(result.route.hosts, [
+      `web.a.${proxy.appDomain}`,
+      `www.a.${proxy.appDomain}`,
+    ]);
+    const routers = await consulService.getTree("http/routers");
+    assert.deepEqual(Object.keys(routers), ["a_web"]);
+    assert.equal(routers.a_web.service, "a_web-http");
+
+    const { routes } = await proxy.getAgentRoutes("a");
+    assert.equal(routes.http[0].subdomain, "web");
+    assert.equal(routes.http[0].router, "a_web");
+    assert.deepEqual(
+      (await agentService.getCertificateNames("a")).dnsNames.sort(),
+      [
+        "a.mongodb.cloudlunacy.uk",
+        "localhost",
+        `web.a.${proxy.appDomain}`,
+        `www.a.${proxy.appDomain}`,
+      ].sort()
+    );
+  });
+
+  it("keeps routes of agents with overlapping names apart", async () => {
+    await proxy.addHttpRoute("a", "b-c", TARGET);
+    await proxy.addHttpRoute("a-b", "c", "http://203.0.113.20:8080");
+
+    const routers = await consulService.getTree("http/routers");
+    assert.deepEqual(Object.keys(routers).sort(), ["a-b_c", "a_b-c"]);
+
+    const { routes } = await proxy.getAllRoutes();
+    assert.deepEqual(
+      routes.http
+        .map(({ agentId, subdomain }) => `${agentId}/${subdomain}`)
+        .sort(),
+      ["a-b/c", "a/b-c"]
+    );
+    assert.equal(agentService.getResourceOwner("a-b_c"), "a-b");
+    assert.equal(agentService.getResourceOwner("a_b-c-http"), "a");
+
+    await proxy.removeRoute("a", "b-c");
+    assert.deepEqual(Object.keys(await consulService.getTree("http/routers")), [
+      "a-b_c",
+    ]);
+  });
+
+  it("rejects hosts another agent already routes", async () => {
+    await consulService.registerHttpRoute({
+      routers: {
+        "domain-shop_example_com": {
+          entryPoints: ["websecure"],
+          rule: "Host(`shop.example.com`)",
+          service: "shop_web-http",
+        },
+      },
+    });
+    proxy._isVerifiedCustomDomain = async () => true;
+
+    await assert.rejects(
+      proxy.addHttpRoute("a", "web", TARGET, { hosts: ["shop.example.com"] }),
+      { statusCode: 409, message: /shop\.example\.com/ }
+    );
+
+    // The owner may attach it to its own route
+    const result = await proxy.addHttpRoute("shop", "web", TARGET, {
+      hosts: ["shop.example.com"],
+    });
+    assert.equal(result.success, true);
+  });
+
+  it("replaces routes registered under the former route name", async () => {
+    await consulService.registerHttpRoute({
+      routers: {
+        "a-web": {
+          entryPoints: ["websecure"],
+          rule: `Host(\`web.${proxy.appDomain}\`)`,
+          service: "a-web-http",
+        },
+      },
+      services: {
+        "a-web-http": { loadBalancer: { servers: [{ url: TARGET }] } },
+      },
+    });
+
+    await proxy.addHttpRoute("a", "web", TARGET);
+
+    assert.deepEqual(Object.keys(await consulService.getTree("http/routers")), [
+      "a_web",
+    ]);
+    assert.deepEqual(
+      Object.keys(await consulService.getTree("http/services")),
+      ["a_web-http"]
+    );
+  });
+
+  it("rejects agent IDs that could collide with route names", async () => {
+    await assert.rejects(proxy.addHttpRoute("a_b", "web", TARGET), {
+      statusCode: 400,
+    });
+  });
+
+  it("balances weighted servers through child services", async () => {
+    const result = await proxy.addHttpRoute("a", "web", null, {
+      servers: [{ url: TARGET, weight: 3 }, "203.0.113.11:8080"],
+      loadBalancer: { sticky: true, healthCheck: { path: "/health" } },
+    });
+
+    assert.deepEqual(result.route.servers, [
+      { url: TARGET, weight: 3 },
+      { url: "http://203.0.113.11:8080", weight: 1 },
+    ]);
+    const services = await consulService.getTree("http/services");
+    assert.deepEqual(Object.keys(services).sort(), [
+      "a_web-http",
+      "a_web-http-srv0",
+      "a_web-http-srv1",
+    ]);
+    assert.deepEqual(services["a_web-http"].weighted.services, [
+      { name: "a_web-http-srv0", weight: "3" },
+      { name: "a_web-http-srv1", weight: "1" },
+    ]);
+    assert.equal(
+      services["a_web-http"].weighted.sticky.cookie.name,
+      "cl_sticky"
+    );
+    assert.equal(
+      services["a_web-http-srv1"].loadBalancer.healthCheck.path,
+      "/health"
+    );
+
+    // Default weights share one load balancer
+    await proxy.addHttpRoute("a", "api", null, {
+      servers: [TARGET, "http://203.0.113.11:8080"],
+    });
+    assert.deepEqual(
+      (await consulService.getTree("http/services/a_api-http")).loadBalancer
+        .servers,
+      [{ url: TARGET }, { url: "http://203.0.113.11:8080" }]
+    );
+  });
+
+  it("adds and drains servers keeping their weights", async () => {
+    await proxy.addHttpRoute("a", "web", null, {
+      servers: [
+        { url: TARGET, weight: 3 },
+        { url: "http://203.0.113.11:8080", weight: 1 },
+      ],
+    });
+
+    const drained = await proxy.drainServer("a", "web", "203.0.113.11:8080");
+    assert.deepEqual(drained.servers, [{ url: TARGET, weight: 3 }]);
+    assert.deepEqual(
+      Object.keys(await consulService.getTree("http/services")).sort(),
+      ["a_web-http", "a_web-http-srv0"]
+    );
+
+    const added = await proxy.addServer(
+      "a",
+      "web",
+      "http://203.0.113.12:8080",
+      {
+        weight: 2,
+      }
+    );
+    assert.deepEqual(added.servers, [
+      { url: TARGET, weight: 3 },
+      { url: "http://203.0.113.12:8080", weight: 2 },
+    ]);
+    const { routes } = await proxy.getAgentRoutes("a");
+    assert.deepEqual(routes.http[0].servers, added.servers);
+
+    await assert.rejects(proxy.drainServer("a", "web", "203.0.113.99:80"), {
+      statusCode: 404,
+    });
+    await proxy.drainServer("a", "web", "203.0.113.12:8080");
+    await assert.rejects(proxy.drainServer("a", "web", TARGET), {
+      statusCode: 400,
+    });
+  });
+
+  it("turns the passive health check into a circuit breaker", async () => {
+    const result = await proxy.addHttpRoute("a", "web", TARGET, {
+      loadBalancer: { passiveHealthCheck: { max5xxRatio: 0.25 } },
+    });
+
+    assert.deepEqual(result.route.middlewares, ["a_web-passive-hc"]);
+    assert.deepEqual(
+      await consulService.getTree("http/middlewares/a_web-passive-hc"),
+      {
+        circuitBreaker: {
+          expression:
+            "NetworkErrorRatio() > 0.5 || ResponseCodeRatio(500, 600, 0, 600) > 0.25",
+        },
+      }
+    );
+  });
+
+  it("rejects invalid servers and load balancing policies", async () => {
+    for (const options of [
+      { servers: [] },
+      { servers: [TARGET, TARGET] },
+      { servers: [{ url: TARGET, weight: 0 }] },
+      { servers: [{ weight: 2 }] },
+      { loadBalancer: { healthCheck: { path: "health" } } },
+      { loadBalancer: { healthCheck: { path: "/", interval: "soon" } } },
+      { loadBalancer: { sticky: { cookieName: "a b" } } },
+      { loadBalancer: { passiveHealthCheck: { maxErrorRatio: 2 } } },
+    ]) {
+      await assert.rejects(proxy.addHttpRoute("a", "web", TARGET, options), {
+        statusCode: 400,
+      });
+    }
+    assert.equal(await consulService.getTree("http/routers"), null);
+  });
+
+  it("builds the middleware chain in declaration order", async () => {
+    const result = await proxy.addHttpRoute("a", "web", TARGET, {
+      middlewares: [
+        { use: "compress" },
+        { type: "rateLimit", average: 10, period: "1m" },
+        { type: "ipDenyList", sourceRange: ["10.0.0.0/8"] },
+        { type: "headers", name: "hsts", stsSeconds: 31536000 },
+        { type: "basicAuth", users: ["admin:$apr1$salt$hash"] },
+      ],
+    });
+
+    assert.deepEqual(result.route.middlewares, [
+      "compress",
+      "a_web-mw-rate-limit",
+      "a_web-mw-hsts",
+      "a_web-mw-basic-auth",
+    ]);
+    // Deny lists have no Traefik v2 middleware and become part of the rule
+    assert.equal(
+      result.route.rules[0].rule,
+      `Host(\`web.a.${proxy.appDomain}\`) && !ClientIP(\`10.0.0.0/8\`)`
+    );
+
+    const middlewares = await consulService.getTree("http/middlewares");
+    assert.deepEqual(middlewares["a_web-mw-rate-limit"], {
+      rateLimit: { average: "10", burst: "10", period: "1m" },
+    });
+    assert.deepEqual(middlewares["a_web-mw-hsts"], {
+      headers: { stsSeconds: "31536000" },
+    });
+
+    // Middlewares dropped from the chain are removed
+    await proxy.addHttpRoute("a", "web", TARGET, {
+      middlewares: [{ type: "rateLimit", average: 5 }],
+    });
+    assert.deepEqual(
+      Object.keys(await consulService.getTree("http/middlewares")),
+      ["a_web-mw-rate-limit"]
+    );
+  });
+
+  it("rejects invalid middleware declarations", async () => {
+    for (const middlewares of [
+      { type: "rateLimit" },
+      [{ use: "unknown" }],
+      [{ type: "forwardAuth", address: "http://auth" }],
+      [{ type: "rateLimit", average: 0 }],
+      [{ type: "rateLimit", average: 1, period: "soon" }],
+      [{ type: "ipAllowList", sourceRange: ["10.0.0.0/33"] }],
+      [{ type: "ipDenyList", sourceRange: [] }],
+      [{ type: "basicAuth", users: ["admin:plaintext"] }],
+      [{ type: "headers", customRequestHeaders: { "X Bad": "1" } }],
+      [{ type: "headers", forwardedHeaders: {} }],
+      [{ type: "stripPrefix", prefixes: ["api"] }],
+      [{ type: "redirectScheme", scheme: "ftp" }],
+      [{ type: "rateLimit", name: "Bad_Name", average: 1 }],
+      [
+        { type: "rateLimit", average: 1 },
+        { type: "rateLimit", average: 2 },
+      ],
+    ]) {
+      await assert.rejects(
+        proxy.addHttpRoute("a", "web", TARGET, { middlewares }),
+        { statusCode: 400 },
+        JSON.stringify(middlewares)
+      );
+    }
+    assert.equal(await consulService.getTree("http/middlewares"), null);
+  });
+});
@@ -0,0 +1,193 @@
+require("./helpers/env");
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const coreServices = require("../services/core");
+const AgentService = require("../services/core/agentService");
+const OperatorService = require("../services/core/operatorService");
+const CustomDomainService = require("../services/core/customDomainService");
+const domainRoutes = require("../api/routes/domain.routes");
+const { createConsulService } = require("./helpers/fakeConsul");
+const { serve } = require("./helpers/http");
+
+/**
+ * Operator service of one instance on the shared Consul
+ */
+function createOperatorService(consulService) {
+  const service = new OperatorService();
+  service.consulService = consulService;
+  service.initialized = true;
+  return service;
+}
+
+describe("Role-based access to routes", () => {
+  let originals;
+  let consulService;
+  let operatorService;
+  let agentService;
+  let server;
+  const keys = {};
+  const tokens = {};
+
+  before(async () => {
+    originals = {
+      agentService: coreServices.agentService,
+      operatorService: coreServices.operatorService,
+      customDomainService: coreServices.customDomainService,
+    };
+    server = await serve("/api/proxy/domains", domainRoutes);
+  });
+
+  after(async () => {
+    Object.assign(coreServices, originals);
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    consulService = createConsulService();
+
+    agentService = new AgentService();
+    agentService.consulService = consulService;
+    agentService.initialized = true;
+    await agentService._loadTokenState();
+
+    operatorService = createOperatorService(consulService);
+
+    const customDomainService = new CustomDomainService();
+    customDomainService.consulService = consulService;
+    customDomainService.initialized = true;
+
+    Object.assign(coreServices, {
+      agentService,
+      operatorService,
+      customDomainService,
+    });
+
+    const now = new Date().toISOString();
+    for (const agentId of ["agent-a", "agent-b"]) {
+      await agentService._saveAgent({
+        ...agentService._newRecord(agentId, now),
+        state: "active",
+      });
+      await consulService.registerHttpRoute({
+        services: {
+          [`${agentId}_shop-http`]: {
+            loadBalancer: { servers: [{ url: "http://10.0.0.1:80" }] },
+          },
+        },
+      });
+      tokens[agentId] = (await agentService.issueTokens(agentId)).accessToken;
+    }
+    await customDomainService.requestDomain("agent-a", "shop.example.com", {
+      subdomain: "shop",
+    });
+
+    for (const role of ["viewer", "operator", "admin"]) {
+      await operatorService.createOperator({ name: role, role });
+      keys[role] = (await operatorService.createApiKey(role)).key;
+    }
+  });
+
+  const request = (method, path, token, body) =>
+    server.request(method, `/api/proxy/domains${path}`, { token, body });
+
+  const claim = (token, agentId = "agent-b") =>
+    request("POST", "/", token, {
+      agentId,
+      domain: `${agentId}.example.org`,
+      subdomain: "shop",
+    });
+
+  it("lets viewers read but not write", async () => {
+    const list = await request("GET", "/", keys.viewer);
+    assert.equal(list.status, 200);
+    assert.deepEqual(
+      list.body.domains.map((domain) => domain.domain),
+      ["shop.example.com"]
+    );
+    assert.equal(
+      (await request("GET", "/shop.example.com", keys.viewer)).status,
+      200
+    );
+
+    const denied = await claim(keys.viewer);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, "INSUFFICIENT_SCOPE");
+    assert.deepEqual(denied.body.requiredScopes, ["proxy:write"]);
+    assert.equal(
+      (await request("DELETE", "/shop.example.com", keys.viewer)).status,
+      403
+    );
+  });
+
+  it("lets operators and admins manage domains of any agent", async () => {
+    assert.equal((await claim(keys.operator)).status, 201);
+    assert.equal((await claim(keys.admin, "agent-a")).status, 201);
+    assert.equal(
+      (await request("DELETE", "/shop.example.com", keys.operator)).status,
+      200
+    );
+  });
+
+  it("limits agents to their own domains", async () => {
+    assert.equal((await claim(tokens["agent-a"])).status, 403);
+    assert.equal(
+      (await request("GET", "/shop.example.com", tokens["agent-b"])).status,
+      403
+    );
+    assert.equal(
+      (await request("GET", "/shop.example.com", tokens["agent-a"])).status,
+      200
+    );
+
+    // Agents list only their own domains, whatever they ask for
+    const own = await request("GET", "/", tokens["agent-b"]);
+    assert.equal(own.status, 200);
+    assert.deepEqual(own.body.domains, []);
+    assert.equal(
+      (await request("GET", "/?agentId=agent-a", tokens["agent-b"])).status,
+      403
+    );
+
+    // Without agentId the request is about the caller's agent
+    const created = await request("POST", "/", tokens["agent-b"], {
+      domain: "agent-b.example.org",
+      subdomain: "shop",
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.domain.agentId, "agent-b");
+  });
+
+  it("honours the scopes of restricted keys", async () => {
+    const { key } = await operatorService.createApiKey("operator", {
+      scopes: ["proxy:read"],
+    });
+
+    assert.equal((await request("GET", "/", key)).status, 200);
+    assert.equal((await claim(key)).status, 403);
+  });
+
+  it("rejects unknown, revoked and disabled keys on every instance", async () => {
+    const other = createOperatorService(consulService);
+    const unknown = `${keys.viewer.slice(0, -4)}AAAA`;
+    assert.equal((await request("GET", "/", unknown)).status, 401);
+    assert.equal((await request("GET", "/", "clk_bad")).status, 401);
+
+    // Keys and operators changed through another instance
+    const [{ id }] = await other.listApiKeys("viewer");
+    await other.revokeApiKey("viewer", id);
+    const revoked = await request("GET", "/", keys.viewer);
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.code, "INVALID_API_KEY");
+
+    await other.updateOperator("operator", { disabled: true });
+    assert.equal((await request("GET", "/", keys.operator)).status, 401);
+
+    assert.equal((await request("GET", "/", keys.admin)).status, 200);
+  });
+
+  it("requires authentication", async () => {
+    const result = await request("GET", "/");
+    assert.equal(result.status, 401);
+  });
+});
@@ -0,0 +1,186 @@
+require("./helpers/env");
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const AgentService = require("../services/core/agentService");
+const ReconcilerService = require("../services/core/reconcilerService");
+const { createConsulService } = require("./helpers/fakeConsul");
+
+const TARGET = "http://203.0.113.10:8080";
+
+describe("ReconcilerService", () => {
+  let consulService;
+  let agentService;
+  let reconciler;
+
+  beforeEach(async () => {
+    consulService = createConsulService();
+
+    agentService = new AgentService();
+    agentService.consulService = consulService;
+    agentService.initialized = true;
+
+    const now = new Date().toISOString();
+    for (const [agentId, state] of [
+      ["agent-a", "active"],
+      ["agent-s", "suspended"],
+    ]) {
+      await agentService._saveAgent({
+        ...agentService._newRecord(agentId, now),
+        state,
+        targetIp: "203.0.113.10",
+      });
+    }
+    assert.equal(
+      await consulService.registerAgent(
+        agentService.getAgentConsulConfig("agent-a")
+      ),
+      true
+    );
+
+    // An app route with weighted servers and its own middleware
+    await consulService.registerHttpRoute({
+      routers: {
+        "agent-a_web": {
+          entryPoints: ["websecure"],
+          rule: "Host(`web.agent-a.apps.example.com`)",
+          service: "agent-a_web-http",
+          middlewares: ["agent-a_web-mw-rate-limit", "compress"],
+        },
+      },
+      services: {
+        "agent-a_web-http-srv0": {
+          loadBalancer: { servers: [{ url: TARGET }] },
+        },
+        "agent-a_web-http": {
+          weighted: {
+            services: [{ name: "agent-a_web-http-srv0", weight: 2 }],
+          },
+        },
+        // Parked while agent-s is suspended
+        "agent-s_web-http": {
+          loadBalancer: { servers: [{ url: TARGET }] },
+        },
+        // Not created by this application
+        dashboard: { loadBalancer: { servers: [{ url: TARGET }] } },
+      },
+      middlewares: {
+        "agent-a_web-mw-rate-limit": { rateLimit: { average: 10 } },
+      },
+    });
+
+    reconciler = new ReconcilerService(agentService);
+    reconciler.consulService = consulService;
+    reconciler.initialized = true;
+  });
+
+  /**
+   * Leave the store with one drift item of every kind
+   */
+  async function introduceDrift() {
+    await consulService.registerHttpRoute({
+      routers: {
+        "agent-a_old": {
+          entryPoints: ["websecure"],
+          rule: "Host(`old.agent-a.apps.example.com`)",
+          service: "agent-a_old-http",
+        },
+      },
+      services: {
+        "gone_web-http": { loadBalancer: { servers: [{ url: TARGET }] } },
+      },
+      middlewares: {
+        "agent-a_web-mw-old": { rateLimit: { average: 1 } },
+      },
+    });
+    await consulService.registerConfigs({
+      "tcp/services": {
+        "agent-a-mongo": {
+          loadBalancer: { servers: [{ address: "198.51.100.1:27017" }] },
+        },
+      },
+    });
+  }
+
+  const names = (report) =>
+    Object.fromEntries(report.drift.map((item) => [item.name, item.type]));
+
+  it("finds nothing to do when Consul matches the registry", async () => {
+    const report = await reconciler.reconcile();
+
+    assert.equal(report.inSync, true, JSON.stringify(report.drift));
+    assert.deepEqual(report.summary, {});
+  });
+
+  it("reports drift without changing anything on dry runs", async () => {
+    await introduceDrift();
+
+    const report = await reconciler.reconcile();
+
+    assert.equal(report.dryRun, true);
+    assert.equal(report.inSync, false);
+    assert.deepEqual(names(report), {
+      "agent-a": "agent_config_drift",
+      "agent-a_old": "dangling_router",
+      "gone_web-http": "orphaned_service",
+      "agent-a_web-mw-old": "orphaned_middleware",
+    });
+    assert.match(
+      report.drift.find((item) => item.name === "agent-a").message,
+      /agent-a-mongo does not target 203\.0\.113\.10:27017/
+    );
+    assert.equal(report.applied, 0);
+    assert.ok(await consulService.getTree("http/routers/agent-a_old"));
+    assert.deepEqual(reconciler.getLastReport(), report);
+  });
+
+  it("repairs drift and is in sync afterwards", async () => {
+    await introduceDrift();
+
+    const report = await reconciler.reconcile({ dryRun: false });
+
+    assert.equal(report.success, true, JSON.stringify(report.failed));
+    assert.equal(report.applied, 4);
+    assert.equal(await consulService.getTree("http/routers/agent-a_old"), null);
+    assert.equal(
+      await consulService.getTree("http/services/gone_web-http"),
+      null
+    );
+    assert.equal(
+      (await consulService.getTree("tcp/services/agent-a-mongo")).loadBalancer
+        .servers[0].address,
+      "203.0.113.10:27017"
+    );
+
+    // Parked, weighted and foreign resources were left alone
+    const services = await consulService.getTree("http/services");
+    for (const name of [
+      "agent-s_web-http",
+      "agent-a_web-http-srv0",
+      "dashboard",
+    ]) {
+      assert.ok(services[name], `${name} is kept`);
+    }
+
+    assert.equal((await reconciler.reconcile()).inSync, true);
+  });
+
+  it("restores the routes of agents whose keys were removed", async () => {
+    await consulService.unregisterAgent("agent-a");
+
+    const report = await reconciler.reconcile({ dryRun: false });
+
+    assert.deepEqual(names(report), { "agent-a": "agent_config_drift" });
+    assert.ok(await consulService.getTree("tcp/routers/agent-a"));
+    assert.equal((await reconciler.reconcile()).inSync, true);
+  });
+
+  it("runs one reconcile at a time", async () => {
+    const first = reconciler.reconcile();
+    const second = await reconciler.reconcile();
+
+    assert.equal(second.success, false);
+    assert.match(second.error, /already in progress/);
+    assert.equal((await first).inSync, true);
+  });
+});
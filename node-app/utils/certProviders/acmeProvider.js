@@ -2,18 +2,37 @@
  * ACME Certificate Provider
  *
  * Implements certificate issuance and renewal using the ACME protocol
- * Compatible with Let's Encrypt and other ACME CA providers
+ * (RFC 8555) with the acme-client library. Works against any ACME directory:
+ * Let's Encrypt, other public CAs or a local Pebble test server.
  */
 
 const fs = require("fs").promises;
 const path = require("path");
-const { exec } = require("child_process");
-const util = require("util");
-const execAsync = util.promisify(exec);
+const crypto = require("crypto");
+const axios = require("axios");
+const acme = require("acme-client");
 const BaseCertProvider = require("./baseCertProvider");
+const BaseDnsPlugin = require("./dns/baseDnsPlugin");
+const DnsPluginFactory = require("./dns/dnsPluginFactory");
 const logger = require("../logger").getLogger("acmeProvider");
 const { AppError } = require("../errorHandler");
 
+// RFC 5280 CRLReason codes accepted by the ACME revokeCert endpoint
+const REVOCATION_REASONS = {
+  unspecified: 0,
+  keyCompromise: 1,
+  caCompromise: 2,
+  affiliationChanged: 3,
+  superseded: 4,
+  cessationOfOperation: 5,
+};
+
+// Challenge types of the ACME protocol per configured challengeType
+const CHALLENGE_TYPES = {
+  http: "http-01",
+  dns: "dns-01",
+};
+
 class AcmeProvider extends BaseCertProvider {
   /**
    * Create a new ACME provider instance
@@ -29,8 +48,16 @@ class AcmeProvider extends BaseCertProvider {
     this.acmeStaging = config.acmeStaging === true;
     this.challengeType = config.challengeType || "http";
     this.webRootPath = config.webRootPath;
+    // Answers HTTP-01 challenges when no webroot is configured, an object
+    // with present(token, keyAuthorization) and cleanup(token)
+    this.httpChallengeStore = config.httpChallengeStore || null;
     this.dnsProvider = config.dnsProvider;
     this.dnsCredentials = config.dnsCredentials || {};
+    // Publishes the DNS-01 records, null for unknown providers
+    this.dnsPlugin =
+      this.dnsProvider && DnsPluginFactory.isSupported(this.dnsProvider)
+        ? DnsPluginFactory.createPlugin(this.dnsProvider, this.dnsCredentials)
+        : null;
 
     // Override default validity days for ACME
     this.validityDays = config.validityDays || 90; // Let's Encrypt default
@@ -43,9 +70,12 @@ class AcmeProvider extends BaseCertProvider {
         "https://acme-staging-v02.api.letsencrypt.org/directory";
     }
 
-    // Check for certbot command
-    this.hasCertbot = false;
-    this.clientType = "certbot"; // Default to certbot, can be extended to support other clients
+    // Skip the local self-check of challenges before asking the CA to
+    // validate, e.g. when the CA resolves names with its own DNS server
+    this.skipChallengeVerification = config.skipChallengeVerification === true;
+
+    // Registered ACME client, created on first use
+    this.clientPromise = null;
   }
 
   /**
@@ -58,15 +88,6 @@ class AcmeProvider extends BaseCertProvider {
       // Create ACME account directory if it doesn't exist
       await fs.mkdir(this.acmeAccountDir, { recursive: true });
 
-      // Check if certbot is available
-      try {
-        await execAsync("which certbot");
-        this.hasCertbot = true;
-      } catch (err) {
-        logger.warn("Certbot not found in PATH, ACME provider will be limited");
-        this.hasCertbot = false;
-      }
-
       // Check for required configuration
       if (!this.accountEmail) {
         logger.warn(
@@ -76,10 +97,18 @@ class AcmeProvider extends BaseCertProvider {
 
       if (this.challengeType === "dns" && !this.dnsProvider) {
         logger.warn("DNS challenge selected but no DNS provider specified");
+      } else if (this.challengeType === "dns" && !this.dnsPlugin) {
+        logger.warn(`DNS provider ${this.dnsProvider} is not supported`);
       }
 
-      if (this.challengeType === "http" && !this.webRootPath) {
-        logger.warn("HTTP challenge selected but no webroot path specified");
+      if (
+        this.challengeType === "http" &&
+        !this.webRootPath &&
+        !this.httpChallengeStore
+      ) {
+        logger.warn(
+          "HTTP challenge selected but neither a webroot path nor a challenge store is configured"
+        );
       }
 
       logger.info(`ACME provider initialized with server: ${this.acmeServer}`);
@@ -105,7 +134,9 @@ class AcmeProvider extends BaseCertProvider {
       isExternal: true,
       supportsWildcard: this.challengeType === "dns",
       validityPeriod: this.validityDays,
-      status: this.hasCertbot ? "available" : "limited",
+      status: "available",
+      directoryUrl: this.acmeServer,
+      dnsProvider: this.challengeType === "dns" ? this.dnsProvider : null,
       features: {
         autoRenewal: true,
         revokeSupported: true,
@@ -127,14 +158,6 @@ class AcmeProvider extends BaseCertProvider {
       });
     }
 
-    if (!this.hasCertbot) {
-      issues.push({
-        level: "error",
-        message:
-          "Certbot not found, ACME provider requires certbot to be installed",
-      });
-    }
-
     if (this.challengeType === "dns") {
       if (!this.dnsProvider) {
         issues.push({
@@ -143,31 +166,45 @@ class AcmeProvider extends BaseCertProvider {
         });
       }
 
-      if (Object.keys(this.dnsCredentials).length === 0) {
+      if (this.dnsPlugin) {
+        const pluginValidation = await this.dnsPlugin.validateConfiguration();
+        for (const issue of pluginValidation.issues) {
+          issues.push({
+            ...issue,
+            message: `DNS provider ${this.dnsProvider}: ${issue.message}`,
+          });
+        }
+      } else if (this.dnsProvider) {
         issues.push({
-          level: "warning",
-          message:
-            "DNS credentials may be required for automated DNS challenge",
+          level: "error",
+          message: `Unsupported DNS provider ${
+            this.dnsProvider
+          }, supported providers: ${DnsPluginFactory.getSupportedTypes()
+            .map((plugin) => plugin.id)
+            .join(", ")}`,
         });
       }
     }
 
-    if (this.challengeType === "http" && !this.webRootPath) {
+    if (
+      this.challengeType === "http" &&
+      !this.webRootPath &&
+      !this.httpChallengeStore
+    ) {
       issues.push({
-        level: "warning",
-        message: "HTTP challenge should have a webroot path configured",
+        level: "error",
+        message:
+          "HTTP challenge requires a webroot path or the built-in challenge responder",
       });
     }
 
-    // Check if we can access the ACME server
+    // Check that the directory is reachable and is an ACME directory
     try {
-      const { stdout, stderr } = await execAsync(
-        `curl -s -I ${this.acmeServer}`
-      );
-      if (stderr) {
+      const { data } = await axios.get(this.acmeServer, { timeout: 10000 });
+      if (!data || !data.newOrder) {
         issues.push({
-          level: "warning",
-          message: `Connection to ACME server reported warnings: ${stderr}`,
+          level: "error",
+          message: `${this.acmeServer} is not an ACME directory`,
         });
       }
     } catch (err) {
@@ -187,138 +224,79 @@ class AcmeProvider extends BaseCertProvider {
    * @inheritdoc
    */
   async generateCertificate(domain, options = {}) {
-    if (!this.hasCertbot) {
-      throw new AppError("Certbot not found, cannot issue certificates", 500);
-    }
-
     const {
       subjectAltNames = [],
       isWildcard = false,
       isRenewal = false,
-      force = false,
     } = options;
 
-    // Build domain arguments
-    let domainArgs = `-d ${domain}`;
-
-    // Add wildcard if requested
-    if (isWildcard) {
-      if (this.challengeType !== "dns") {
-        throw new AppError("Wildcard certificates require DNS challenge", 400);
-      }
-      domainArgs += ` -d *.${domain}`;
-    }
-
-    // Add subject alternative names
-    for (const san of subjectAltNames) {
-      domainArgs += ` -d ${san}`;
+    if (isWildcard && this.challengeType !== "dns") {
+      throw new AppError("Wildcard certificates require DNS challenge", 400);
     }
-
-    // Build command based on challenge type
-    let certbotCmd = `certbot certonly --non-interactive`;
-
-    // Add email
-    if (this.accountEmail) {
-      certbotCmd += ` --email ${this.accountEmail}`;
-    } else {
-      certbotCmd += ` --register-unsafely-without-email`;
-    }
-
-    // Add challenge type specific args
-    if (this.challengeType === "http") {
-      const webroot = this.webRootPath || "/var/www/html";
-      certbotCmd += ` --webroot --webroot-path ${webroot}`;
-    } else if (this.challengeType === "dns") {
-      if (this.dnsProvider) {
-        certbotCmd += ` --dns-${this.dnsProvider}`;
-
-        // Handle credentials if provided
-        if (Object.keys(this.dnsCredentials).length > 0) {
-          // Create temporary credentials file
-          const credentialsPath = path.join(
-            this.acmeAccountDir,
-            `${this.dnsProvider}-credentials.ini`
-          );
-          let credContent = "";
-
-          for (const [key, value] of Object.entries(this.dnsCredentials)) {
-            credContent += `${key} = ${value}\n`;
-          }
-
-          await fs.writeFile(credentialsPath, credContent, { mode: 0o600 });
-          certbotCmd += ` --dns-${this.dnsProvider}-credentials ${credentialsPath}`;
-        }
-      } else {
-        throw new AppError(
-          "DNS challenge selected but no DNS provider specified",
-          400
-        );
-      }
-    } else {
+    if (!CHALLENGE_TYPES[this.challengeType]) {
       throw new AppError(
         `Unsupported challenge type: ${this.challengeType}`,
         400
       );
     }
-
-    // Add domain args
-    certbotCmd += ` ${domainArgs}`;
-
-    // Force renewal if requested
-    if (isRenewal && force) {
-      certbotCmd += " --force-renewal";
-    }
-
-    // Add staging flag if enabled
-    if (this.acmeStaging) {
-      certbotCmd += " --staging";
+    if (this.challengeType === "dns" && !this.dnsPlugin) {
+      throw new AppError(
+        this.dnsProvider
+          ? `Unsupported DNS provider: ${this.dnsProvider}`
+          : "DNS challenge selected but no DNS provider specified",
+        400
+      );
     }
 
-    // Set cert name for easier management
-    const certName = domain.replace(/\*/g, "wildcard").replace(/\./g, "_");
-    certbotCmd += ` --cert-name ${certName}`;
-
-    // Agree to terms
-    certbotCmd += " --agree-tos";
+    const names = [
+      ...new Set([
+        domain,
+        ...(isWildcard ? [`*.${domain}`] : []),
+        ...subjectAltNames,
+      ]),
+    ];
 
-    logger.info(`Executing certbot command: ${certbotCmd}`);
+    logger.info(
+      `${isRenewal ? "Renewing" : "Requesting"} certificate for ${names.join(
+        ", "
+      )} from ${this.acmeServer}`
+    );
 
     try {
-      const { stdout, stderr } = await execAsync(certbotCmd);
-      logger.info(`Certbot output: ${stdout}`);
+      const client = await this._getClient();
+
+      const order = await client.createOrder({
+        identifiers: names.map((name) => ({ type: "dns", value: name })),
+      });
+      const authorizations = await client.getAuthorizations(order);
 
-      if (stderr) {
-        logger.warn(`Certbot warnings: ${stderr}`);
+      // Authorizations are solved one at a time so DNS plugins never have
+      // to hold several values of the same record
+      for (const authz of authorizations) {
+        await this._solveAuthorization(client, authz);
       }
 
-      // Find the generated certificate paths
-      const certPath = `/etc/letsencrypt/live/${certName}/fullchain.pem`;
-      const keyPath = `/etc/letsencrypt/live/${certName}/privkey.pem`;
+      const [key, csr] = await acme.crypto.createCsr(
+        { commonName: domain, altNames: names },
+        await acme.crypto.createPrivateKey(this.keySize)
+      );
 
-      // Check if files exist
-      try {
-        await fs.access(certPath);
-        await fs.access(keyPath);
-      } catch (err) {
-        throw new AppError(
-          `Certificate files not found after generation: ${err.message}`,
-          500
-        );
-      }
+      const finalized = await client.finalizeOrder(order, csr);
+      const certificate = await client.getCertificate(finalized);
+
+      const certPath = path.join(this.certsDir, `${domain}.crt`);
+      const keyPath = path.join(this.certsDir, `${domain}.key`);
 
-      // Copy certificates to our certificate directory
-      const targetCertPath = path.join(this.certsDir, `${domain}.crt`);
-      const targetKeyPath = path.join(this.certsDir, `${domain}.key`);
+      await fs.writeFile(keyPath, key, { mode: 0o600 });
+      await fs.writeFile(certPath, certificate);
 
-      await fs.copyFile(certPath, targetCertPath);
-      await fs.copyFile(keyPath, targetKeyPath);
+      logger.info(`Certificate for ${domain} issued by ${this.acmeServer}`);
 
-      // Return paths to the generated certificates
       return {
         success: true,
         domain,
-        certPath: targetCertPath,
-        keyPath: targetKeyPath,
+        certPath,
+        keyPath,
         isWildcard,
         source: "acme",
         validityDays: this.validityDays,
@@ -329,11 +307,203 @@ class AcmeProvider extends BaseCertProvider {
         success: false,
         domain,
         error: err.message,
-        output: err.stdout || "",
       };
     }
   }
 
+  /**
+   * Prove control of one identifier with the configured challenge type
+   * @param {Object} client - Registered ACME client
+   * @param {Object} authz - Authorization of the order
+   * @private
+   */
+  async _solveAuthorization(client, authz) {
+    if (authz.status === "valid") {
+      // Still valid from an earlier order of this account
+      return;
+    }
+
+    const name = `${authz.wildcard ? "*." : ""}${authz.identifier.value}`;
+    const type = CHALLENGE_TYPES[this.challengeType];
+    const challenge = authz.challenges.find((item) => item.type === type);
+
+    if (!challenge) {
+      throw new AppError(
+        `ACME server offers no ${type} challenge for ${name}`,
+        502
+      );
+    }
+
+    const keyAuthorization = await client.getChallengeKeyAuthorization(
+      challenge
+    );
+
+    await this._presentChallenge(authz, challenge, keyAuthorization);
+    try {
+      if (!this.skipChallengeVerification) {
+        await client.verifyChallenge(authz, challenge);
+      }
+
+      await client.completeChallenge(challenge);
+      await client.waitForValidStatus(challenge);
+
+      logger.info(`Validated ${type} challenge for ${name}`);
+    } finally {
+      await this._cleanupChallenge(authz, challenge, keyAuthorization).catch(
+        (err) =>
+          logger.warn(
+            `Failed to clean up challenge for ${name}: ${err.message}`
+          )
+      );
+    }
+  }
+
+  /**
+   * Publish the key authorization where the CA looks for it
+   * @private
+   */
+  async _presentChallenge(authz, challenge, keyAuthorization) {
+    if (challenge.type === "dns-01") {
+      await this.dnsPlugin.present(
+        BaseDnsPlugin.challengeRecordName(authz.identifier.value),
+        keyAuthorization
+      );
+      await this.dnsPlugin.waitForPropagation();
+      return;
+    }
+
+    if (!this.webRootPath) {
+      if (!this.httpChallengeStore) {
+        throw new AppError(
+          "HTTP challenge requires a webroot path or a challenge store",
+          500
+        );
+      }
+      await this.httpChallengeStore.present(challenge.token, keyAuthorization);
+      return;
+    }
+
+    const challengeDir = this._httpChallengeDir();
+    await fs.mkdir(challengeDir, { recursive: true });
+    await fs.writeFile(
+      path.join(challengeDir, challenge.token),
+      keyAuthorization
+    );
+  }
+
+  /**
+   * Remove a published key authorization
+   * @private
+   */
+  async _cleanupChallenge(authz, challenge, keyAuthorization) {
+    if (challenge.type === "dns-01") {
+      await this.dnsPlugin.cleanup(
+        BaseDnsPlugin.challengeRecordName(authz.identifier.value),
+        keyAuthorization
+      );
+      return;
+    }
+
+    if (!this.webRootPath) {
+      await this.httpChallengeStore.cleanup(challenge.token);
+      return;
+    }
+
+    await fs.unlink(path.join(this._httpChallengeDir(), challenge.token));
+  }
+
+  /**
+   * Directory served as /.well-known/acme-challenge/ for HTTP-01
+   * @private
+   */
+  _httpChallengeDir() {
+    return path.join(this.webRootPath, ".well-known", "acme-challenge");
+  }
+
+  /**
+   * Get the ACME client, registering the account on first use
+   * @returns {Promise<Object>} acme-client Client
+   * @private
+   */
+  _getClient() {
+    if (!this.clientPromise) {
+      this.clientPromise = this._createClient().catch((err) => {
+        this.clientPromise = null;
+        throw err;
+      });
+    }
+
+    return this.clientPromise;
+  }
+
+  /**
+   * Load or create the account key of the directory and register it.
+   * Registering an existing key returns the existing account, so this also
+   * recovers accounts a test CA like Pebble forgot on restart.
+   * @private
+   */
+  async _createClient() {
+    const { keyPath, infoPath } = this._accountPaths();
+    await fs.mkdir(this.acmeAccountDir, { recursive: true });
+
+    let accountKey;
+    try {
+      accountKey = await fs.readFile(keyPath);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw err;
+      }
+      accountKey = await acme.crypto.createPrivateKey();
+      await fs.writeFile(keyPath, accountKey, { mode: 0o600 });
+      logger.info(`Created ACME account key for ${this.acmeServer}`);
+    }
+
+    const client = new acme.Client({
+      directoryUrl: this.acmeServer,
+      accountKey,
+    });
+
+    const contact = this.accountEmail ? [`mailto:${this.accountEmail}`] : [];
+    await client.createAccount({ termsOfServiceAgreed: true, contact });
+
+    await fs.writeFile(
+      infoPath,
+      JSON.stringify(
+        {
+          directoryUrl: this.acmeServer,
+          accountUrl: client.getAccountUrl(),
+          contact,
+          updatedAt: new Date().toISOString(),
+        },
+        null,
+        2
+      )
+    );
+
+    logger.info(`Using ACME account ${client.getAccountUrl()}`);
+    return client;
+  }
+
+  /**
+   * Files of the account registered with the configured directory. Each
+   * directory gets its own account, named after its host and URL.
+   * @private
+   */
+  _accountPaths() {
+    const { host } = new URL(this.acmeServer);
+    const hash = crypto
+      .createHash("sha256")
+      .update(this.acmeServer)
+      .digest("hex")
+      .slice(0, 8);
+    const base = path.join(
+      this.acmeAccountDir,
+      `${host.replace(/[^a-zA-Z0-9.-]/g, "_")}-${hash}`
+    );
+
+    return { keyPath: `${base}.key`, infoPath: `${base}.json` };
+  }
+
   /**
    * @inheritdoc
    */
@@ -348,44 +518,28 @@ class AcmeProvider extends BaseCertProvider {
    * @inheritdoc
    */
   async revokeCertificate(domain, reason = "") {
-    if (!this.hasCertbot) {
-      throw new AppError("Certbot not found, cannot revoke certificates", 500);
-    }
+    const certPath = path.join(this.certsDir, `${domain}.crt`);
+    const keyPath = path.join(this.certsDir, `${domain}.key`);
 
-    // Prepare certbot command for revocation
-    const certName = domain.replace(/\*/g, "wildcard").replace(/\./g, "_");
-    let revokeCertCmd = `certbot revoke --cert-name ${certName} --non-interactive`;
-
-    // Add reason if provided
-    if (reason) {
-      // Map reason strings to certbot reason codes
-      const reasonCodes = {
-        keyCompromise: "keyCompromise",
-        caCompromise: "caCompromise",
-        affiliationChanged: "affiliationChanged",
-        superseded: "superseded",
-        cessationOfOperation: "cessationOfOperation",
-      };
-
-      if (reasonCodes[reason]) {
-        revokeCertCmd += ` --reason ${reasonCodes[reason]}`;
-      }
+    if (reason && REVOCATION_REASONS[reason] === undefined) {
+      throw new AppError(
+        `Unsupported revocation reason: ${reason}, use one of ${Object.keys(
+          REVOCATION_REASONS
+        ).join(", ")}`,
+        400
+      );
     }
 
-    logger.info(`Executing revoke command: ${revokeCertCmd}`);
-
     try {
-      const { stdout, stderr } = await execAsync(revokeCertCmd);
-      logger.info(`Revocation output: ${stdout}`);
+      const certificate = await fs.readFile(certPath, "utf8");
+      const client = await this._getClient();
 
-      if (stderr) {
-        logger.warn(`Revocation warnings: ${stderr}`);
-      }
+      await client.revokeCertificate(certificate, {
+        reason: REVOCATION_REASONS[reason || "unspecified"],
+      });
+      logger.info(`Certificate for ${domain} revoked at ${this.acmeServer}`);
 
       // Remove local copies of the certificates
-      const certPath = path.join(this.certsDir, `${domain}.crt`);
-      const keyPath = path.join(this.certsDir, `${domain}.key`);
-
       try {
         await fs.unlink(certPath);
         await fs.unlink(keyPath);
@@ -404,7 +558,6 @@ class AcmeProvider extends BaseCertProvider {
         success: false,
         domain,
         error: err.message,
-        output: err.stdout || "",
       };
     }
   }
@@ -0,0 +1,110 @@
+/**
+ * Base DNS Plugin
+ *
+ * Abstract base class of the DNS providers used for ACME DNS-01 challenges.
+ * A plugin publishes the TXT record a challenge asks for and removes it
+ * again once the challenge is done.
+ */
+
+const DEFAULT_TTL = 120;
+
+class BaseDnsPlugin {
+  /**
+   * Create a new DNS plugin
+   * @param {Object} config - Provider credentials and options
+   * @param {number} [config.ttl] - TTL of the TXT records in seconds
+   * @param {number} [config.propagationSeconds] - Time to wait after
+   *   publishing a record before the CA may check it
+   */
+  constructor(config = {}) {
+    if (this.constructor === BaseDnsPlugin) {
+      throw new Error(
+        "BaseDnsPlugin is an abstract class and cannot be instantiated directly"
+      );
+    }
+
+    this.config = config;
+    this.ttl = parseInt(config.ttl, 10) || DEFAULT_TTL;
+    this.propagationSeconds =
+      config.propagationSeconds !== undefined
+        ? parseInt(config.propagationSeconds, 10)
+        : this.constructor.defaultPropagationSeconds;
+  }
+
+  /**
+   * Seconds to wait for propagation unless configured
+   */
+  static get defaultPropagationSeconds() {
+    return 30;
+  }
+
+  /**
+   * Name of the TXT record holding the challenge of a domain
+   * @param {string} domain - Domain, wildcards are validated on their base
+   * @returns {string} Record name, e.g. _acme-challenge.example.com
+   */
+  static challengeRecordName(domain) {
+    return `_acme-challenge.${domain.replace(/^\*\./, "").replace(/\.$/, "")}`;
+  }
+
+  /**
+   * Get plugin information
+   * @returns {Object} { id, name, description }
+   */
+  getPluginInfo() {
+    throw new Error("getPluginInfo() must be implemented by subclass");
+  }
+
+  /**
+   * Validate the plugin configuration
+   * @returns {Promise<Object>} { valid, issues }
+   */
+  async validateConfiguration() {
+    throw new Error("validateConfiguration() must be implemented by subclass");
+  }
+
+  /**
+   * Publish a TXT record
+   * @param {string} fqdn - Record name, e.g. _acme-challenge.example.com
+   * @param {string} value - Record value (the key authorization digest)
+   * @returns {Promise<void>}
+   */
+  async present(fqdn, value) {
+    throw new Error("present() must be implemented by subclass");
+  }
+
+  /**
+   * Remove a TXT record published by present()
+   * @param {string} fqdn - Record name
+   * @param {string} value - Record value, other values are left alone
+   * @returns {Promise<void>}
+   */
+  async cleanup(fqdn, value) {
+    throw new Error("cleanup() must be implemented by subclass");
+  }
+
+  /**
+   * Wait until a published record has propagated
+   * @returns {Promise<void>}
+   */
+  async waitForPropagation() {
+    if (this.propagationSeconds > 0) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, this.propagationSeconds * 1000)
+      );
+    }
+  }
+
+  /**
+   * Validation result from a list of issues
+   * @protected
+   */
+  _validationResult(issues) {
+    return {
+      valid: issues.filter((issue) => issue.level === "error").length === 0,
+      issues,
+    };
+  }
+}
+
+module.exports = BaseDnsPlugin;
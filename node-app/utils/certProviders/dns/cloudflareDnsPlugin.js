@@ -0,0 +1,142 @@
+/**
+ * Cloudflare DNS Plugin
+ *
+ * Publishes DNS-01 challenge records through the Cloudflare API. Uses an
+ * API token with Zone:DNS:Edit permission, or the account email and global
+ * API key.
+ */
+
+const Cloudflare = require("cloudflare");
+const BaseDnsPlugin = require("./baseDnsPlugin");
+const logger = require("../../logger").getLogger("cloudflareDnsPlugin");
+const { AppError } = require("../../errorHandler");
+
+class CloudflareDnsPlugin extends BaseDnsPlugin {
+  constructor(config = {}) {
+    super(config);
+
+    // Keys of the certbot credentials file are accepted as well
+    this.apiToken =
+      config.apiToken ||
+      config.dns_cloudflare_api_token ||
+      process.env.CF_DNS_API_TOKEN;
+    this.email =
+      config.email || config.dns_cloudflare_email || process.env.CF_EMAIL;
+    this.apiKey =
+      config.apiKey || config.dns_cloudflare_api_key || process.env.CF_API_KEY;
+    this.zoneId = config.zoneId || null;
+
+    this.client = this.apiToken
+      ? new Cloudflare({ token: this.apiToken })
+      : new Cloudflare({ email: this.email, key: this.apiKey });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getPluginInfo() {
+    return {
+      id: "cloudflare",
+      name: "Cloudflare",
+      description: "Cloudflare DNS API",
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async validateConfiguration() {
+    const issues = [];
+
+    if (!this.apiToken && !(this.email && this.apiKey)) {
+      issues.push({
+        level: "error",
+        message: "Cloudflare requires apiToken, or email and apiKey",
+      });
+    }
+
+    return this._validationResult(issues);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async present(fqdn, value) {
+    const name = fqdn.replace(/\.$/, "");
+    const zoneId = await this._getZoneId(name);
+
+    await this._request("create the record", () =>
+      this.client.dnsRecords.add(zoneId, {
+        type: "TXT",
+        name,
+        content: value,
+        ttl: this.ttl,
+      })
+    );
+
+    logger.info(`Published TXT record ${name} in Cloudflare`);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async cleanup(fqdn, value) {
+    const name = fqdn.replace(/\.$/, "");
+    const zoneId = await this._getZoneId(name);
+
+    const response = await this._request("list records", () =>
+      this.client.dnsRecords.browse(zoneId, { type: "TXT", name })
+    );
+
+    for (const record of response.result || []) {
+      if (record.content === value) {
+        await this._request("delete the record", () =>
+          this.client.dnsRecords.del(zoneId, record.id)
+        );
+      }
+    }
+
+    logger.info(`Removed TXT record ${name} from Cloudflare`);
+  }
+
+  /**
+   * Find the zone of a name by trying its parent domains
+   * @private
+   */
+  async _getZoneId(name) {
+    if (this.zoneId) {
+      return this.zoneId;
+    }
+
+    const labels = name.split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      const candidate = labels.slice(i).join(".");
+      const response = await this._request("look up the zone", () =>
+        this.client.zones.browse({ name: candidate })
+      );
+
+      if (response.result && response.result.length > 0) {
+        return response.result[0].id;
+      }
+    }
+
+    throw new AppError(`No Cloudflare zone found for ${name}`, 400);
+  }
+
+  /**
+   * @private
+   */
+  async _request(action, call) {
+    try {
+      return await call();
+    } catch (err) {
+      const errors = err.response?.body?.errors;
+      const detail = Array.isArray(errors)
+        ? errors.map((error) => error.message).join(", ")
+        : err.message;
+      throw new AppError(`Cloudflare failed to ${action}: ${detail}`, 502);
+    }
+  }
+}
+
+module.exports = CloudflareDnsPlugin;
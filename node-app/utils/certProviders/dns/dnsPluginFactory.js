@@ -0,0 +1,194 @@
+/**
+ * DNS Plugin Factory
+ *
+ * Creates the DNS provider plugins used for ACME DNS-01 challenges and
+ * describes their configuration.
+ */
+
+const CloudflareDnsPlugin = require("./cloudflareDnsPlugin");
+const Rfc2136DnsPlugin = require("./rfc2136DnsPlugin");
+const WebhookDnsPlugin = require("./webhookDnsPlugin");
+const MemoryDnsPlugin = require("./memoryDnsPlugin");
+const { AppError } = require("../../errorHandler");
+
+const PLUGINS = {
+  cloudflare: CloudflareDnsPlugin,
+  rfc2136: Rfc2136DnsPlugin,
+  webhook: WebhookDnsPlugin,
+  memory: MemoryDnsPlugin,
+};
+
+// Options every plugin accepts
+const COMMON_OPTIONS = {
+  ttl: {
+    type: "number",
+    description: "TTL of the challenge records in seconds",
+    default: 120,
+  },
+  propagationSeconds: {
+    type: "number",
+    description:
+      "Seconds to wait after publishing a record before validation starts",
+  },
+};
+
+class DnsPluginFactory {
+  /**
+   * Create a DNS plugin
+   * @param {string} pluginType - cloudflare, rfc2136, webhook or memory
+   * @param {Object} config - Credentials and options of the plugin
+   * @returns {Object} Plugin instance
+   */
+  static createPlugin(pluginType, config = {}) {
+    const Plugin = PLUGINS[String(pluginType).toLowerCase()];
+
+    if (!Plugin) {
+      throw new AppError(`Unsupported DNS provider: ${pluginType}`, 400);
+    }
+
+    return new Plugin(config);
+  }
+
+  /**
+   * Whether a DNS provider is implemented by a plugin
+   * @param {string} pluginType - Provider name
+   * @returns {boolean} True if supported
+   */
+  static isSupported(pluginType) {
+    return !!PLUGINS[String(pluginType).toLowerCase()];
+  }
+
+  /**
+   * Get a list of supported DNS providers
+   * @returns {Array} Provider metadata
+   */
+  static getSupportedTypes() {
+    return Object.entries(PLUGINS).map(([id, Plugin]) => ({
+      ...new Plugin().getPluginInfo(),
+      id,
+      testOnly: Plugin === MemoryDnsPlugin,
+      defaultPropagationSeconds: Plugin.defaultPropagationSeconds,
+    }));
+  }
+
+  /**
+   * Get the configuration template of a DNS provider
+   * @param {string} pluginType - Provider name
+   * @returns {Object} Configuration template
+   */
+  static getConfigTemplate(pluginType) {
+    switch (String(pluginType).toLowerCase()) {
+      case "cloudflare":
+        return {
+          apiToken: {
+            type: "string",
+            description:
+              "API token with Zone:DNS:Edit permission (defaults to CF_DNS_API_TOKEN)",
+            required: false,
+          },
+          email: {
+            type: "string",
+            description:
+              "Account email, with apiKey instead of apiToken (defaults to CF_EMAIL)",
+            required: false,
+          },
+          apiKey: {
+            type: "string",
+            description: "Global API key (defaults to CF_API_KEY)",
+            required: false,
+          },
+          zoneId: {
+            type: "string",
+            description: "Zone ID, looked up from the domain if omitted",
+            required: false,
+          },
+          ...COMMON_OPTIONS,
+        };
+
+      case "rfc2136":
+        return {
+          nameserver: {
+            type: "string",
+            description: "Server accepting dynamic updates, host[:port]",
+            required: true,
+          },
+          zone: {
+            type: "string",
+            description: "Zone to update, found by nsupdate if omitted",
+            required: false,
+          },
+          tsigKeyName: {
+            type: "string",
+            description: "Name of the TSIG key",
+            required: false,
+          },
+          tsigSecret: {
+            type: "string",
+            description: "Base64 secret of the TSIG key",
+            required: false,
+          },
+          tsigAlgorithm: {
+            type: "string",
+            description: "TSIG algorithm",
+            default: "hmac-sha256",
+            options: [
+              "hmac-md5",
+              "hmac-sha1",
+              "hmac-sha224",
+              "hmac-sha256",
+              "hmac-sha384",
+              "hmac-sha512",
+            ],
+          },
+          ...COMMON_OPTIONS,
+        };
+
+      case "webhook":
+        return {
+          endpoint: {
+            type: "string",
+            description:
+              "Base URL receiving POST /present and /cleanup with { fqdn, value }",
+            required: true,
+          },
+          username: {
+            type: "string",
+            description: "Basic auth username",
+            required: false,
+          },
+          password: {
+            type: "string",
+            description: "Basic auth password",
+            required: false,
+          },
+          timeout: {
+            type: "number",
+            description: "Request timeout in milliseconds",
+            default: 10000,
+          },
+          ...COMMON_OPTIONS,
+        };
+
+      case "memory":
+        return {
+          port: {
+            type: "number",
+            description:
+              "UDP port to answer DNS queries on, e.g. for Pebble's -dnsserver",
+            required: false,
+          },
+          host: {
+            type: "string",
+            description: "Address to answer DNS queries on",
+            default: "127.0.0.1",
+          },
+          ...COMMON_OPTIONS,
+        };
+
+      default:
+        throw new AppError(`Unsupported DNS provider: ${pluginType}`, 400);
+    }
+  }
+}
+
+module.exports = DnsPluginFactory;
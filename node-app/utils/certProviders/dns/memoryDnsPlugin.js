@@ -0,0 +1,217 @@
+/**
+ * Memory DNS Plugin
+ *
+ * Keeps challenge records in memory instead of publishing them. Meant for
+ * tests and local ACME servers: start() answers TXT queries for the stored
+ * records over UDP, so e.g. Pebble can use it with -dnsserver. A CA on the
+ * internet can never see these records.
+ */
+
+const dgram = require("dgram");
+const BaseDnsPlugin = require("./baseDnsPlugin");
+const logger = require("../../logger").getLogger("memoryDnsPlugin");
+
+const TYPE_TXT = 16;
+const CLASS_IN = 1;
+const HEADER_SIZE = 12;
+
+class MemoryDnsPlugin extends BaseDnsPlugin {
+  constructor(config = {}) {
+    super(config);
+
+    // Record name (without trailing dot) -> TXT values
+    this.records = new Map();
+    this.server = null;
+
+    // With a port configured, the first record starts the DNS responder
+    this.port = config.port !== undefined ? parseInt(config.port, 10) : null;
+    this.host = config.host || "127.0.0.1";
+  }
+
+  /**
+   * Nothing to propagate
+   */
+  static get defaultPropagationSeconds() {
+    return 0;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getPluginInfo() {
+    return {
+      id: "memory",
+      name: "In-memory stub",
+      description: "Keeps records in memory, for tests only",
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async validateConfiguration() {
+    return this._validationResult([
+      {
+        level: "warning",
+        message: "Records are only kept in memory, public CAs cannot see them",
+      },
+    ]);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async present(fqdn, value) {
+    if (this.port !== null && !this.server) {
+      const { address, port } = await this.start({
+        port: this.port,
+        host: this.host,
+      });
+      logger.info(`Answering DNS queries on ${address}:${port}`);
+    }
+
+    const name = this._normalize(fqdn);
+    const values = this.records.get(name) || [];
+
+    if (!values.includes(value)) {
+      values.push(value);
+    }
+    this.records.set(name, values);
+
+    logger.debug(`Stored TXT record ${name}`);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async cleanup(fqdn, value) {
+    const name = this._normalize(fqdn);
+    const values = (this.records.get(name) || []).filter(
+      (existing) => existing !== value
+    );
+
+    if (values.length > 0) {
+      this.records.set(name, values);
+    } else {
+      this.records.delete(name);
+    }
+
+    logger.debug(`Removed TXT record ${name}`);
+  }
+
+  /**
+   * TXT values of a record, like a DNS lookup would return them
+   * @param {string} fqdn - Record name
+   * @returns {string[]} Values
+   */
+  lookup(fqdn) {
+    return [...(this.records.get(this._normalize(fqdn)) || [])];
+  }
+
+  /**
+   * Answer DNS queries for the stored records
+   * @param {Object} options - Options
+   * @param {number} [options.port] - UDP port, 0 picks a free one
+   * @param {string} [options.host] - Address to listen on
+   * @returns {Promise<Object>} Bound { address, port }
+   */
+  start({ port = 0, host = "127.0.0.1" } = {}) {
+    return new Promise((resolve, reject) => {
+      const server = dgram.createSocket("udp4");
+
+      server.on("message", (query, remote) => {
+        try {
+          const response = this._answer(query);
+          if (response) {
+            server.send(response, remote.port, remote.address);
+          }
+        } catch (err) {
+          logger.debug(`Ignored malformed DNS query: ${err.message}`);
+        }
+      });
+      server.once("error", reject);
+      server.bind(port, host, () => {
+        this.server = server;
+        resolve(server.address());
+      });
+    });
+  }
+
+  /**
+   * Stop answering DNS queries
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Build the response to a query: the stored TXT values of the asked name,
+   * an empty answer for anything else
+   * @private
+   */
+  _answer(query) {
+    if (query.length < HEADER_SIZE || query.readUInt16BE(4) !== 1) {
+      return null;
+    }
+
+    // Question: length-prefixed labels, then type and class
+    const labels = [];
+    let offset = HEADER_SIZE;
+    while (query[offset] !== 0) {
+      const length = query[offset];
+      if (length === undefined || length > 63) {
+        throw new Error("invalid question name");
+      }
+      labels.push(query.toString("ascii", offset + 1, offset + 1 + length));
+      offset += length + 1;
+    }
+    const questionEnd = offset + 5;
+    if (questionEnd > query.length) {
+      throw new Error("truncated question");
+    }
+    const type = query.readUInt16BE(offset + 1);
+
+    const values = type === TYPE_TXT ? this.lookup(labels.join(".")) : [];
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    query.copy(header, 0, 0, 2);
+    // Authoritative response, recursion desired copied from the query
+    header.writeUInt16BE(0x8400 | (query.readUInt16BE(2) & 0x0100), 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(values.length, 6);
+
+    const answers = values.map((value) => {
+      const text = Buffer.from(value, "utf8");
+      const record = Buffer.alloc(12);
+      // Pointer to the name in the question
+      record.writeUInt16BE(0xc000 | HEADER_SIZE, 0);
+      record.writeUInt16BE(TYPE_TXT, 2);
+      record.writeUInt16BE(CLASS_IN, 4);
+      record.writeUInt32BE(this.ttl, 6);
+      record.writeUInt16BE(text.length + 1, 10);
+      return Buffer.concat([record, Buffer.from([text.length]), text]);
+    });
+
+    return Buffer.concat([
+      header,
+      query.subarray(HEADER_SIZE, questionEnd),
+      ...answers,
+    ]);
+  }
+
+  /**
+   * @private
+   */
+  _normalize(fqdn) {
+    return fqdn.replace(/\.$/, "").toLowerCase();
+  }
+}
+
+module.exports = MemoryDnsPlugin;
@@ -0,0 +1,175 @@
+/**
+ * RFC2136 DNS Plugin
+ *
+ * Publishes DNS-01 challenge records with dynamic DNS updates signed with a
+ * TSIG key, for BIND, Knot, PowerDNS and other servers accepting RFC2136
+ * updates. Updates are sent with `nsupdate` (bind-tools).
+ */
+
+const { spawn } = require("child_process");
+const BaseDnsPlugin = require("./baseDnsPlugin");
+const logger = require("../../logger").getLogger("rfc2136DnsPlugin");
+const { AppError } = require("../../errorHandler");
+
+const TSIG_ALGORITHMS = [
+  "hmac-md5",
+  "hmac-sha1",
+  "hmac-sha224",
+  "hmac-sha256",
+  "hmac-sha384",
+  "hmac-sha512",
+];
+const NAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+// Printable characters that need no escaping inside a quoted TXT value
+const VALUE_PATTERN = /^[\x21\x23-\x5b\x5d-\x7e]+$/;
+const UPDATE_TIMEOUT_MS = 30000;
+
+class Rfc2136DnsPlugin extends BaseDnsPlugin {
+  constructor(config = {}) {
+    super(config);
+
+    const [host, port] = (config.nameserver || "").split(":");
+    this.nameserver = host || null;
+    this.port = parseInt(config.port || port, 10) || 53;
+    this.zone = config.zone || null;
+    this.tsigKeyName = config.tsigKeyName || null;
+    this.tsigSecret = config.tsigSecret || null;
+    this.tsigAlgorithm = (config.tsigAlgorithm || "hmac-sha256").toLowerCase();
+  }
+
+  /**
+   * Authoritative servers see updates immediately
+   */
+  static get defaultPropagationSeconds() {
+    return 10;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getPluginInfo() {
+    return {
+      id: "rfc2136",
+      name: "RFC2136",
+      description: "Dynamic DNS updates signed with a TSIG key",
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async validateConfiguration() {
+    const issues = [];
+
+    if (!this.nameserver) {
+      issues.push({
+        level: "error",
+        message: "RFC2136 requires the nameserver accepting updates",
+      });
+    }
+
+    if (!this.tsigKeyName || !this.tsigSecret) {
+      issues.push({
+        level: "warning",
+        message: "No TSIG key configured, updates will be sent unsigned",
+      });
+    } else if (!NAME_PATTERN.test(this.tsigKeyName)) {
+      issues.push({
+        level: "error",
+        message: "tsigKeyName must be a DNS name",
+      });
+    }
+
+    if (!TSIG_ALGORITHMS.includes(this.tsigAlgorithm)) {
+      issues.push({
+        level: "error",
+        message: `tsigAlgorithm must be one of ${TSIG_ALGORITHMS.join(", ")}`,
+      });
+    }
+
+    return this._validationResult(issues);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async present(fqdn, value) {
+    const name = this._recordName(fqdn, value);
+    await this._update(`update add ${name} ${this.ttl} TXT "${value}"`);
+    logger.info(`Published TXT record ${name} on ${this.nameserver}`);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async cleanup(fqdn, value) {
+    const name = this._recordName(fqdn, value);
+    await this._update(`update delete ${name} TXT "${value}"`);
+    logger.info(`Removed TXT record ${name} from ${this.nameserver}`);
+  }
+
+  /**
+   * Fully qualified record name, after checking nothing can break out of
+   * the nsupdate command
+   * @private
+   */
+  _recordName(fqdn, value) {
+    if (!NAME_PATTERN.test(fqdn)) {
+      throw new AppError(`Invalid record name ${fqdn}`, 400);
+    }
+    if (!VALUE_PATTERN.test(value)) {
+      throw new AppError("Invalid TXT record value", 400);
+    }
+    return fqdn.endsWith(".") ? fqdn : `${fqdn}.`;
+  }
+
+  /**
+   * Send one update with nsupdate. The key is passed on stdin so it does
+   * not show up in the process list.
+   * @private
+   */
+  _update(command) {
+    if (!this.nameserver) {
+      throw new AppError("RFC2136 nameserver is not configured", 400);
+    }
+
+    const lines = [`server ${this.nameserver} ${this.port}`];
+    if (this.zone) {
+      lines.push(`zone ${this.zone}`);
+    }
+    if (this.tsigKeyName && this.tsigSecret) {
+      lines.push(
+        `key ${this.tsigAlgorithm}:${this.tsigKeyName} ${this.tsigSecret}`
+      );
+    }
+    lines.push(command, "send", "");
+
+    return new Promise((resolve, reject) => {
+      const child = spawn("nsupdate", [], { timeout: UPDATE_TIMEOUT_MS });
+      let stderr = "";
+
+      child.stderr.on("data", (chunk) => {
+        stderr += chunk;
+      });
+      child.on("error", (err) =>
+        reject(new AppError(`Failed to run nsupdate: ${err.message}`, 500))
+      );
+      child.on("close", (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(
+            new AppError(
+              `nsupdate failed: ${stderr.trim() || `exit code ${code}`}`,
+              502
+            )
+          );
+        }
+      });
+
+      child.stdin.end(lines.join("\n"));
+    });
+  }
+}
+
+module.exports = Rfc2136DnsPlugin;
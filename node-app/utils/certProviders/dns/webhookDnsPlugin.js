@@ -0,0 +1,111 @@
+/**
+ * Webhook DNS Plugin
+ *
+ * Hands DNS-01 challenge records to an HTTP endpoint, for DNS services
+ * without a built-in plugin. Speaks the protocol of Traefik's `httpreq`
+ * provider, so one endpoint serves both: POST <endpoint>/present and
+ * POST <endpoint>/cleanup with the JSON body { fqdn, value }, where fqdn
+ * ends with a dot. Any 2xx response counts as success.
+ */
+
+const axios = require("axios");
+const BaseDnsPlugin = require("./baseDnsPlugin");
+const logger = require("../../logger").getLogger("webhookDnsPlugin");
+const { AppError } = require("../../errorHandler");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class WebhookDnsPlugin extends BaseDnsPlugin {
+  constructor(config = {}) {
+    super(config);
+
+    this.endpoint = (config.endpoint || "").replace(/\/+$/, "");
+    this.username = config.username || null;
+    this.password = config.password || null;
+    this.timeout = parseInt(config.timeout, 10) || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getPluginInfo() {
+    return {
+      id: "webhook",
+      name: "Webhook",
+      description:
+        "HTTP endpoint publishing the records, compatible with Traefik's httpreq provider",
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async validateConfiguration() {
+    const issues = [];
+
+    if (!this.endpoint) {
+      issues.push({
+        level: "error",
+        message: "Webhook requires an endpoint URL",
+      });
+    } else if (!/^https?:\/\//.test(this.endpoint)) {
+      issues.push({
+        level: "error",
+        message: "Webhook endpoint must be an http(s) URL",
+      });
+    } else if (this.endpoint.startsWith("http://")) {
+      issues.push({
+        level: "warning",
+        message: "Webhook endpoint does not use TLS",
+      });
+    }
+
+    return this._validationResult(issues);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async present(fqdn, value) {
+    await this._send("present", fqdn, value);
+    logger.info(`Webhook published TXT record ${fqdn}`);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async cleanup(fqdn, value) {
+    await this._send("cleanup", fqdn, value);
+    logger.info(`Webhook removed TXT record ${fqdn}`);
+  }
+
+  /**
+   * @private
+   */
+  async _send(action, fqdn, value) {
+    if (!this.endpoint) {
+      throw new AppError("Webhook endpoint is not configured", 400);
+    }
+
+    try {
+      await axios.post(
+        `${this.endpoint}/${action}`,
+        { fqdn: fqdn.endsWith(".") ? fqdn : `${fqdn}.`, value },
+        {
+          timeout: this.timeout,
+          ...(this.username && {
+            auth: { username: this.username, password: this.password || "" },
+          }),
+        }
+      );
+    } catch (err) {
+      const status = err.response ? ` (HTTP ${err.response.status})` : "";
+      throw new AppError(
+        `Webhook ${action} for ${fqdn} failed${status}: ${err.message}`,
+        502
+      );
+    }
+  }
+}
+
+module.exports = WebhookDnsPlugin;
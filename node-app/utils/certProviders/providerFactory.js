@@ -7,6 +7,7 @@
 
 const SelfSignedProvider = require("./selfSignedProvider");
 const AcmeProvider = require("./acmeProvider");
+const DnsPluginFactory = require("./dns/dnsPluginFactory");
 const logger = require("../logger").getLogger("providerFactory");
 const { AppError } = require("../errorHandler");
 
@@ -53,6 +54,7 @@ class CertificateProviderFactory {
           "Request certificates from Let's Encrypt or other ACME providers",
         isExternal: true,
         isDefault: false,
+        dnsProviders: DnsPluginFactory.getSupportedTypes(),
       },
     ];
   }
@@ -93,6 +95,11 @@ class CertificateProviderFactory {
             description: "Email address for ACME account registration",
             required: true,
           },
+          acmeServer: {
+            type: "string",
+            description: "ACME directory URL",
+            default: "https://acme-v02.api.letsencrypt.org/directory",
+          },
           acmeStaging: {
             type: "boolean",
             description: "Use ACME staging server (for testing)",
@@ -106,8 +113,8 @@ class CertificateProviderFactory {
           },
           webRootPath: {
             type: "string",
-            description: "Path to webroot for HTTP challenge",
-            default: "/var/www/html",
+            description:
+              "Path to webroot for HTTP challenge, the front server answers challenges itself if omitted",
             required: false,
             dependsOn: { challengeType: "http" },
           },
@@ -116,24 +123,21 @@ class CertificateProviderFactory {
             description: "DNS provider for DNS challenge",
             required: false,
             dependsOn: { challengeType: "dns" },
-            options: [
-              "cloudflare",
-              "route53",
-              "digitalocean",
-              "google",
-              "cloudxns",
-              "dnsmadeeasy",
-              "luadns",
-              "nsone",
-              "ovh",
-              "rfc2136",
-            ],
+            options: DnsPluginFactory.getSupportedTypes().map(
+              (plugin) => plugin.id
+            ),
           },
           dnsCredentials: {
             type: "object",
             description: "Credentials for DNS provider API access",
             required: false,
             dependsOn: { challengeType: "dns" },
+            templates: Object.fromEntries(
+              DnsPluginFactory.getSupportedTypes().map((plugin) => [
+                plugin.id,
+                DnsPluginFactory.getConfigTemplate(plugin.id),
+              ])
+            ),
           },
           certsDir: {
             type: "string",
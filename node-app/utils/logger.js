@@ -186,6 +186,38 @@ class Logger {
     return componentLogger;
   }
 
+  /**
+   * Get the audit trail logger. Each entry is written as one JSON object per
+   * line to rotating audit-<date>.jsonl files in the log directory.
+   * @returns {object|null} Winston logger, null if file logging is disabled
+   */
+  getAuditLogger() {
+    if (this.auditLogger !== undefined) {
+      return this.auditLogger;
+    }
+
+    if (this.logsDisabled) {
+      this.auditLogger = null;
+      return null;
+    }
+
+    this.auditLogger = createLogger({
+      level: "info",
+      format: format.printf(({ entry }) => JSON.stringify(entry)),
+      transports: [
+        new transports.DailyRotateFile({
+          filename: path.join(this.logDir, "audit-%DATE%.jsonl"),
+          datePattern: "YYYY-MM-DD",
+          maxSize: process.env.AUDIT_LOG_MAX_SIZE || "50m",
+          maxFiles: process.env.AUDIT_LOG_MAX_FILES || "90d",
+        }),
+      ],
+      exitOnError: false,
+    });
+
+    return this.auditLogger;
+  }
+
   /**
    * Add component metadata to log
    */
@@ -0,0 +1,113 @@
+/**
+ * Mutual TLS Utility
+ *
+ * Configuration of the mTLS API listener and of client certificate
+ * enforcement. Route groups are the first path segment after /api (agents,
+ * certificates, mongodb, ...) and each has one of the modes:
+ *
+ * - off: client certificates are ignored, bearer tokens and API keys only
+ * - optional: a client certificate of an agent authenticates it, bearer
+ *   tokens and API keys still work
+ * - required: agents must present their client certificate, an agent token
+ *   is only accepted together with the certificate of the same agent.
+ *   Operators keep using API keys and admin tokens.
+ */
+
+const MODES = ["off", "optional", "required"];
+
+/**
+ * Parse "group=mode,group=mode" into a map
+ * @param {string} value - Route group modes
+ * @returns {Object} Mode per route group
+ */
+function parseRouteGroups(value) {
+  const groups = {};
+
+  for (const entry of (value || "").split(",")) {
+    const [group, mode] = entry.split("=").map((part) => part.trim());
+    if (!group) {
+      continue;
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(
+        `Invalid mTLS mode "${mode}" for route group ${group}, expected ${MODES.join(
+          ", "
+        )}`
+      );
+    }
+    groups[group] = mode;
+  }
+
+  return groups;
+}
+
+/**
+ * mTLS configuration from the environment
+ * @returns {Object} { enabled, port, defaultMode, routeGroups }
+ */
+function getMtlsConfig() {
+  const defaultMode = process.env.MTLS_DEFAULT_MODE || "optional";
+  if (!MODES.includes(defaultMode)) {
+    throw new Error(
+      `Invalid MTLS_DEFAULT_MODE "${defaultMode}", expected ${MODES.join(", ")}`
+    );
+  }
+
+  return {
+    enabled: process.env.MTLS_ENABLED === "true",
+    port: parseInt(process.env.MTLS_PORT || "3443", 10),
+    defaultMode,
+    routeGroups: parseRouteGroups(process.env.MTLS_ROUTE_GROUPS),
+  };
+}
+
+/**
+ * Route group of a request
+ * @param {Object} req - Express request
+ * @returns {string|null} First path segment after /api
+ */
+function getRouteGroup(req) {
+  const match = (req.originalUrl || req.url || "").match(/^\/api\/([^/?#]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Client certificate mode of the route group of a request. Without the
+ * mTLS listener no request can carry a client certificate, so everything
+ * is off.
+ * @param {Object} req - Express request
+ * @returns {string} off, optional or required
+ */
+function getRouteGroupMode(req) {
+  const config = getMtlsConfig();
+  if (!config.enabled) {
+    return "off";
+  }
+
+  const group = getRouteGroup(req);
+  return (group && config.routeGroups[group]) || config.defaultMode;
+}
+
+/**
+ * Verified client certificate of a request on the mTLS listener
+ * @param {Object} req - Express request
+ * @returns {Object|null} Peer certificate, null if none or not verified
+ */
+function getVerifiedPeerCertificate(req) {
+  const socket = req.socket;
+  if (!socket || !socket.authorized || !socket.getPeerCertificate) {
+    return null;
+  }
+
+  const peer = socket.getPeerCertificate();
+  return peer && peer.fingerprint256 ? peer : null;
+}
+
+module.exports = {
+  MODES,
+  parseRouteGroups,
+  getMtlsConfig,
+  getRouteGroup,
+  getRouteGroupMode,
+  getVerifiedPeerCertificate,
+};
@@ -0,0 +1,148 @@
+/**
+ * Permissions Utility
+ *
+ * Roles and scopes used to authorize API requests. Operators get the scopes
+ * of their role plus any extra scopes granted to them; agents get a fixed set
+ * of scopes that only apply to their own resources.
+ */
+
+const SCOPES = [
+  "agents:read",
+  "agents:write",
+  "agents:suspend",
+  "agents:delete",
+  "agents:tokens",
+  "enrollment:read",
+  "enrollment:write",
+  "proxy:read",
+  "proxy:write",
+  "certificates:read",
+  "certificates:renew",
+  "certificates:issue",
+  "credentials:read",
+  "credentials:write",
+  "ca:read",
+  "ca:rotate",
+  "config:read",
+  "health:read",
+  "health:write",
+  "metrics:read",
+  "metrics:write",
+  "reconcile:read",
+  "reconcile:write",
+  "operators:read",
+  "operators:write",
+  "audit:read",
+];
+
+const VIEWER_SCOPES = SCOPES.filter(
+  (scope) => scope.endsWith(":read") && scope !== "operators:read"
+);
+
+const ROLE_SCOPES = {
+  viewer: VIEWER_SCOPES,
+  operator: [
+    ...VIEWER_SCOPES,
+    "agents:write",
+    "agents:suspend",
+    "enrollment:write",
+    "proxy:write",
+    "certificates:renew",
+    "credentials:write",
+    "health:write",
+    "metrics:write",
+    "reconcile:write",
+  ],
+  admin: ["*"],
+  // Agent tokens, limited to the agent's own resources
+  agent: [
+    "agents:read",
+    "agents:write",
+    "agents:delete",
+    "proxy:read",
+    "proxy:write",
+    "certificates:read",
+    "certificates:renew",
+    "certificates:issue",
+    "credentials:read",
+    "credentials:write",
+    "config:read",
+  ],
+};
+
+const OPERATOR_ROLES = ["viewer", "operator", "admin"];
+
+/**
+ * Check that a scope is known. Accepts "*" and "<resource>:*".
+ * @param {string} scope - Scope
+ * @returns {boolean} Whether the scope is valid
+ */
+function isValidScope(scope) {
+  if (scope === "*" || SCOPES.includes(scope)) {
+    return true;
+  }
+
+  return (
+    typeof scope === "string" &&
+    scope.endsWith(":*") &&
+    SCOPES.some((known) => known.startsWith(scope.slice(0, -1)))
+  );
+}
+
+/**
+ * Whether a list of granted scopes covers a scope
+ * @param {string[]} granted - Granted scopes, may contain wildcards
+ * @param {string} scope - Required scope
+ * @returns {boolean} Whether the scope is granted
+ */
+function scopeGranted(granted, scope) {
+  return granted.some(
+    (grant) =>
+      grant === "*" ||
+      grant === scope ||
+      (grant.endsWith(":*") && scope.startsWith(grant.slice(0, -1)))
+  );
+}
+
+/**
+ * Scopes of an authenticated user (agent token, admin token or operator)
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {string[]} Granted scopes
+ */
+function getScopes(user) {
+  if (!user) {
+    return [];
+  }
+
+  return user.scopes || ROLE_SCOPES[user.role] || [];
+}
+
+/**
+ * Check whether a user holds a scope. Agents only hold their scopes for
+ * their own agent ID.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} scope - Required scope
+ * @param {string} [agentId] - Agent the request is about
+ * @returns {boolean} Whether the scope is granted
+ */
+function hasScope(user, scope, agentId) {
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === "agent" && (!agentId || user.agentId !== agentId)) {
+    return false;
+  }
+
+  return scopeGranted(getScopes(user), scope);
+}
+
+module.exports = {
+  SCOPES,
+  ROLE_SCOPES,
+  OPERATOR_ROLES,
+  isValidScope,
+  scopeGranted,
+  getScopes,
+  hasScope,
+};
@@ -464,25 +464,35 @@ class TraefikMetricsManager {
       });
     }
 
-    // Update active alerts
-    if (alerts.length > 0) {
-      for (const alert of alerts) {
-        this.activeAlerts.push(alert);
-        this.alertHistory.push(alert);
-      }
+    this.recordAlerts(alerts);
+  }
 
-      // Limit active alerts array size
-      if (this.activeAlerts.length > 100) {
-        this.activeAlerts = this.activeAlerts.slice(-100);
-      }
+  /**
+   * Add alerts to the active alerts and the alert history. Also used by
+   * other monitors, e.g. the database probes.
+   * @param {Array} alerts - Alerts ({ id, type, severity, message, timestamp, ... })
+   */
+  recordAlerts(alerts) {
+    if (alerts.length === 0) {
+      return;
+    }
 
-      // Limit alert history array size
-      if (this.alertHistory.length > 1000) {
-        this.alertHistory = this.alertHistory.slice(-1000);
-      }
+    for (const alert of alerts) {
+      this.activeAlerts.push(alert);
+      this.alertHistory.push(alert);
+    }
 
-      logger.warn(`${alerts.length} new alerts detected`);
+    // Limit active alerts array size
+    if (this.activeAlerts.length > 100) {
+      this.activeAlerts = this.activeAlerts.slice(-100);
     }
+
+    // Limit alert history array size
+    if (this.alertHistory.length > 1000) {
+      this.alertHistory = this.alertHistory.slice(-1000);
+    }
+
+    logger.warn(`${alerts.length} new alerts detected`);
   }
 
   /**